@@ -0,0 +1,8 @@
+// This file is generated by scripts/generate-abis.js from the Foundry build. Do not edit.
+
+export { StoaQuestionABI } from './StoaQuestion';
+export { StoaQuestionFactoryABI } from './StoaQuestionFactory';
+export { StoaClaimRouterABI } from './StoaClaimRouter';
+export { StoaProtocolABI } from './StoaProtocol';
+export { BalanceManagerABI } from './BalanceManager';
+export { InflationTokenABI } from './InflationToken';
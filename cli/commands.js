@@ -0,0 +1,1166 @@
+const { getAddress, isAddress, isHex, keccak256, parseUnits, stringToHex } = require('viem');
+const { createClient } = require('@supabase/supabase-js');
+
+const {
+  SCORING_MODES,
+  createCommitment,
+  generateSalt,
+  previewRewards,
+  sendAnswerIntent,
+  serializeAnswerIntent,
+  validateScoring
+} = require('../sdk');
+const { storeAnswerContent } = require('../indexer/answers');
+const { saveQuestionDraft } = require('../indexer/store');
+const { Amount, transaction } = require('./format');
+
+/**
+ * stoa subcommands.
+ *
+ * Each command declares its own `util.parseArgs` options and an async `run`
+ * that receives the StoaClient, the parsed values and positionals, and the
+ * resolved network, and returns the object to print.
+ */
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+function parseAddress(value, name) {
+  if (!value || !isAddress(value)) {
+    throw usageError(`${name} must be an address, got "${value ?? ''}"`);
+  }
+  return getAddress(value);
+}
+
+function parseAmount(value, token, name) {
+  if (!value || !/^\d+(\.\d+)?$/.test(value)) {
+    throw usageError(`${name} must be a token amount like 10 or 1.5, got "${value ?? ''}"`);
+  }
+  return parseUnits(value, token.decimals);
+}
+
+function parseDuration(value, name = '--duration') {
+  const match = /^(\d+)([smhd]?)$/.exec(value || '');
+  if (!match) {
+    throw usageError(`${name} must be seconds or a number with s, m, h or d, got "${value ?? ''}"`);
+  }
+  return BigInt(match[1]) * BigInt(DURATION_UNITS[match[2] || 's']);
+}
+
+function parseHash(value, name) {
+  if (!isHex(value) || value.length !== 66) {
+    throw usageError(`${name} must be 32 bytes of hex, got "${value}"`);
+  }
+  return value;
+}
+
+function parseInteger(value, name) {
+  if (!/^\d+$/.test(value || '')) {
+    throw usageError(`${name} must be a non-negative integer, got "${value ?? ''}"`);
+  }
+  return Number(value);
+}
+
+/**
+ * Parses `--scoring <mode>[:<bps>,...]`, e.g. `equal`, `geometric:5000` or `custom:6000,3000,1000`.
+ */
+function parseScoring(value, maxWinners) {
+  const [mode, list] = value.split(':');
+  if (!SCORING_MODES.includes(mode)) {
+    throw usageError(`--scoring mode must be one of ${SCORING_MODES.join(', ')}, got "${mode}"`);
+  }
+  const params = list ? list.split(',').map(bps => parseInteger(bps, '--scoring basis points')) : [];
+  try {
+    validateScoring({ mode, params }, maxWinners);
+  } catch (error) {
+    throw usageError(`--scoring: ${error.message}`);
+  }
+  return { mode, params };
+}
+
+/**
+ * Payout table rows with amounts formatted in the question's token.
+ */
+function payouts(rows, token) {
+  return rows.map(({ rank, score, shareBps, amount }) => ({ rank, score, shareBps, amount: new Amount(amount, token) }));
+}
+
+function hasSupabase() {
+  return Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY);
+}
+
+/**
+ * Reads `--permit` and `--permit2`, which pay with a signed permit instead of an approval transaction.
+ */
+function parsePermit(values) {
+  if (values.permit && values.permit2) {
+    throw usageError('Pass either --permit or --permit2, not both');
+  }
+  if (values.permit) return 'permit';
+  return values.permit2 ? 'permit2' : null;
+}
+
+function requirePositionals(positionals, names) {
+  if (positionals.length < names.length) {
+    throw usageError(`Missing ${names.slice(positionals.length).map(name => `<${name}>`).join(' ')}`);
+  }
+}
+
+/**
+ * Resolves `protocol` and `factory` to the network's deployments, anything else must be an address.
+ */
+function resolveContract(value, network, name) {
+  if (value === 'protocol' || value === 'factory') {
+    const address = value === 'protocol' ? network.protocolAddress : network.factoryAddress;
+    if (!address) {
+      throw usageError(`No ${value} in the ${network.name} deployment manifest`);
+    }
+    return address;
+  }
+  return parseAddress(value, name);
+}
+
+/**
+ * Approves `spender` if needed, then sends `write`. In a dry run an approval
+ * that is still missing can only be simulated, since the write's own
+ * simulation would revert until it is mined; the write is then skipped.
+ */
+async function withApproval(stoa, network, token, spender, amount, write) {
+  const approval = amount > 0n ? await stoa.approve(token, spender, amount) : null;
+  return sendAfterApproval(network, approval, write);
+}
+
+/**
+ * Like withApproval for writes paid with a signed permit. EIP-2612 permits
+ * need no approval at all; Permit2 needs a one-time approval of Permit2
+ * itself, which is sent first if missing.
+ */
+async function withPermit(stoa, network, token, method, amount, write) {
+  const approval = method === 'permit2' && amount > 0n ? await stoa.approvePermit2(token, amount) : null;
+  return sendAfterApproval(network, approval, write);
+}
+
+async function sendAfterApproval(network, approval, write) {
+  const result = {};
+  if (approval) {
+    result.approval = transaction(network, approval);
+  }
+  if (approval && approval.dryRun) {
+    result.skipped = 'the approval above must be mined before this call can be simulated';
+    return { result, sent: null };
+  }
+  const sent = await write();
+  result.transaction = transaction(network, sent);
+  return { result, sent };
+}
+
+/**
+ * Sends `--creator-bps` and `--referral-bps`, if given, to a question or the
+ * factory, and returns their transactions.
+ */
+async function setFees(stoa, network, contract, values) {
+  const transactions = [];
+  if (values['creator-bps']) {
+    const creatorFeeBps = parseInteger(values['creator-bps'], '--creator-bps');
+    transactions.push(transaction(network, await stoa.setCreatorFeeBps(contract, creatorFeeBps)));
+  }
+  if (values['referral-bps']) {
+    const referralFeeBps = parseInteger(values['referral-bps'], '--referral-bps');
+    transactions.push(transaction(network, await stoa.setReferralFeeBps(contract, referralFeeBps)));
+  }
+  return transactions;
+}
+
+/**
+ * Signs an answer intent and has the relayer at `relayerUrl` submit it,
+ * paying the submission cost and gas. A dry run returns the signed intent
+ * without sending it.
+ */
+async function relayAnswer(stoa, network, question, answerHash, referrer, relayerUrl) {
+  const intent = await stoa.signAnswerIntent(question, answerHash, { referrer });
+  if (stoa.dryRun) {
+    return { result: { relayer: relayerUrl, intent: serializeAnswerIntent(intent) }, sent: { dryRun: true } };
+  }
+  const { hash, index } = await sendAnswerIntent(relayerUrl, intent);
+  const receipt = await stoa.publicClient.getTransactionReceipt({ hash });
+  const result = { relayer: relayerUrl, transaction: transaction(network, { hash, receipt }) };
+  return { result, sent: { hash, index: BigInt(index) } };
+}
+
+/**
+ * Mirrors a new question's content into Supabase, like the app does. The
+ * indexer fills in every other column from the chain.
+ */
+async function saveQuestionContent(questionId, info, duration, content, creationTxHash) {
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  const endTime = new Date(Number(info.endsAt) * 1000);
+
+  const { error: userError } = await supabase
+    .from('users')
+    .upsert({ wallet: info.creator.toLowerCase() }, { onConflict: 'wallet', ignoreDuplicates: true });
+  if (userError) {
+    throw new Error(`Failed to save creator to Supabase: ${userError.message}`);
+  }
+
+  const { error } = await supabase.from('questions').upsert(
+    {
+      question_id: Number(questionId),
+      contract_address: info.address.toLowerCase(),
+      creator: info.creator.toLowerCase(),
+      content,
+      token_address: info.token.toLowerCase(),
+      submission_cost: info.submissionCost.toString(),
+      max_winners: info.maxWinners,
+      duration: Number(duration),
+      reveal_period: Number(info.revealPeriod),
+      evaluator: info.evaluator.toLowerCase(),
+      start_time: new Date(endTime.getTime() - Number(duration) * 1000).toISOString(),
+      end_time: endTime.toISOString(),
+      evaluation_deadline: new Date(Number(info.evaluationDeadline) * 1000).toISOString(),
+      creation_tx_hash: creationTxHash
+    },
+    { onConflict: 'question_id' }
+  );
+  if (error) {
+    throw new Error(`Failed to save question to Supabase: ${error.message}`);
+  }
+}
+
+/**
+ * Submits a sealed answer to a commit-reveal question. The content stays in
+ * the local reveal store rather than Supabase, where later submitters could
+ * read it, until `answer reveal`.
+ */
+async function submitSealedAnswer(stoa, network, info, token, content, referrer, permit) {
+  const commit = () => stoa.commitAnswer(info.address, content, { referrer, permit });
+  const { result, sent } = permit
+    ? await withPermit(stoa, network, info.token, permit, info.submissionCost, commit)
+    : await withApproval(stoa, network, info.token, info.address, info.submissionCost, commit);
+  result.cost = new Amount(info.submissionCost, token);
+  if (!sent || sent.dryRun) {
+    return result;
+  }
+  result.index = sent.index;
+  result.sealedHash = sent.sealedHash;
+  result.answerHash = sent.answerHash;
+  result.revealBetween = [info.endsAt, info.revealEndsAt].map(time => new Date(Number(time) * 1000).toISOString());
+  if (stoa.revealStore.path) {
+    result.revealStore = stoa.revealStore.path;
+  }
+  return result;
+}
+
+const commands = {
+  'question create': {
+    usage:
+      'question create --token <address> --cost <amount> --duration <7d> --max-winners <n> [--seed <amount>] ' +
+      '[--evaluator <address>] [--scoring <mode>[:<bps>,...]] [--reveal-period <1d>] [--salt <bytes32>] ' +
+      '[--content <text>]',
+    description:
+      'Create a question through the factory; --evaluator defaults to the creator, --scoring to linear ' +
+      '(or winnerTakesMost:<bps>, equal, geometric:<bps>, custom:<bps>,...); ' +
+      '--reveal-period makes answers sealed until the question ends and gives responders that long to reveal them; ' +
+      '--salt deploys it to the address `question address` predicts; ' +
+      '--content is saved to Supabase under that address before the question is created (needs SUPABASE_URL)',
+    options: {
+      token: { type: 'string' },
+      cost: { type: 'string' },
+      duration: { type: 'string' },
+      'max-winners': { type: 'string' },
+      seed: { type: 'string', default: '0' },
+      evaluator: { type: 'string' },
+      scoring: { type: 'string' },
+      'reveal-period': { type: 'string' },
+      salt: { type: 'string' },
+      content: { type: 'string' }
+    },
+    async run(stoa, { values }, network) {
+      const token = await stoa.getTokenInfo(parseAddress(values.token, '--token'));
+      const submissionCost = parseAmount(values.cost, token, '--cost');
+      const duration = parseDuration(values.duration);
+      const maxWinners = parseInteger(values['max-winners'], '--max-winners');
+      const seedAmount = parseAmount(values.seed, token, '--seed');
+      const evaluator = values.evaluator ? parseAddress(values.evaluator, '--evaluator') : undefined;
+      const scoring = values.scoring ? parseScoring(values.scoring, maxWinners) : undefined;
+      const revealPeriod = values['reveal-period']
+        ? parseDuration(values['reveal-period'], '--reveal-period')
+        : undefined;
+      const { content } = values;
+      if (content !== undefined && !hasSupabase()) {
+        throw new Error('--content needs SUPABASE_URL and SUPABASE_SERVICE_KEY to save the question content');
+      }
+      // Content is stored under the question's address before it exists, which needs a salt
+      const salt = values.salt ? parseHash(values.salt, '--salt') : content !== undefined ? generateSalt() : undefined;
+
+      const factory = resolveContract('factory', network);
+      if (content !== undefined && !stoa.dryRun) {
+        const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+        const contractAddress = stoa.predictQuestionAddress(salt);
+        await saveQuestionDraft(supabase, { contractAddress, creator: stoa.account, salt, content });
+      }
+      const { result, sent } = await withApproval(stoa, network, token.address, factory, seedAmount, () =>
+        stoa.createQuestion({
+          token: token.address,
+          submissionCost,
+          duration,
+          maxWinners,
+          seedAmount,
+          evaluator,
+          scoring,
+          revealPeriod,
+          salt
+        })
+      );
+      result.submissionCost = new Amount(submissionCost, token);
+      result.duration = duration;
+      result.maxWinners = maxWinners;
+      result.seed = new Amount(seedAmount, token);
+      result.evaluator = evaluator || stoa.account;
+      result.scoring = scoring || { mode: 'linear', params: [] };
+      if (revealPeriod) {
+        result.revealPeriod = revealPeriod;
+      }
+      if (salt) {
+        result.salt = salt;
+      }
+      result.payouts = payouts(previewRewards({ rewardPool: seedAmount, maxWinners, scoring }), token);
+      if (!sent || sent.dryRun) {
+        return result;
+      }
+
+      result.questionId = sent.questionId;
+      result.question = sent.question;
+      result.creator = sent.creator;
+
+      if (content !== undefined) {
+        const info = await stoa.getQuestion(sent.question);
+        await saveQuestionContent(sent.questionId, info, duration, content, sent.hash);
+        result.contentSaved = true;
+      }
+      return result;
+    }
+  },
+
+  'question show': {
+    usage: 'question show <question>',
+    description: 'Print a question, its answers and either the payout table or, once evaluated, its winners',
+    async run(stoa, { positionals }) {
+      requirePositionals(positionals, ['question']);
+      const question = parseAddress(positionals[0], 'question');
+      const [info, answers, scoring] = await Promise.all([
+        stoa.getQuestion(question),
+        stoa.getAllAnswers(question),
+        stoa.getScoringCurve(question)
+      ]);
+      const token = await stoa.getTokenInfo(info.token);
+
+      const result = {
+        ...info,
+        tokenSymbol: token.symbol,
+        submissionCost: new Amount(info.submissionCost, token),
+        totalRewardPool: new Amount(info.totalRewardPool, token),
+        endsAt: new Date(Number(info.endsAt) * 1000).toISOString(),
+        maxEndsAt: new Date(Number(info.maxEndsAt) * 1000).toISOString(),
+        evaluationDeadline: new Date(Number(info.evaluationDeadline) * 1000).toISOString(),
+        scoring,
+        answers: answers.map((answer, index) => ({ index, ...answer }))
+      };
+      if (info.revealPeriod > 0n) {
+        result.revealEndsAt = new Date(Number(info.revealEndsAt) * 1000).toISOString();
+        const revealed = await Promise.all(result.answers.map(answer => stoa.isRevealed(question, answer.index)));
+        result.answers = result.answers.map((answer, i) => ({ ...answer, revealed: revealed[i] }));
+      } else {
+        // Open answers: nothing to reveal
+        delete result.revealPeriod;
+        delete result.revealEndsAt;
+      }
+      if (info.cancelled) {
+        // Nothing is paid out; responders and funders take back what they paid in
+      } else if (!info.evaluated) {
+        // What each rank would receive from the current pool if every winner slot is filled
+        result.payouts = payouts(
+          previewRewards({ rewardPool: info.totalRewardPool, maxWinners: info.maxWinners, scoring }),
+          token
+        );
+      } else {
+        const winners = await stoa.getRankedWinners(question);
+        const claimable = await stoa.getMultipleClaimableAmounts(
+          question,
+          winners.map(winner => winner.responder)
+        );
+        result.winners = winners.map(({ responder, score }) => ({
+          responder,
+          score,
+          claimable: new Amount(claimable.get(responder), token)
+        }));
+
+        const claimWindow = await stoa.getClaimWindow(question);
+        if (claimWindow.claimPeriod > 0n) {
+          result.claimDeadline = new Date(Number(claimWindow.claimDeadline) * 1000).toISOString();
+          result.rewardsSwept = claimWindow.rewardsSwept;
+          result.unclaimed = new Amount(claimWindow.unclaimed, token);
+        }
+      }
+      return result;
+    }
+  },
+
+  'question evaluate': {
+    usage: 'question evaluate <question> (<index>... | --no-winners)',
+    description:
+      "Rank answers by index, best first; only the question's evaluator can evaluate. With no winners, " +
+      'participants can take refunds once the ranking is final',
+    options: {
+      'no-winners': { type: 'boolean', default: false }
+    },
+    async run(stoa, { values, positionals }, network) {
+      requirePositionals(positionals, values['no-winners'] ? ['question'] : ['question', 'index']);
+      if (values['no-winners'] && positionals.length > 1) {
+        throw usageError('Pass either answer indices or --no-winners, not both');
+      }
+      const question = parseAddress(positionals[0], 'question');
+      const rankedIndices = positionals.slice(1).map(index => parseInteger(index, 'index'));
+      const sent = await stoa.evaluateAnswers(question, rankedIndices);
+      return { question, rankedIndices, transaction: transaction(network, sent) };
+    }
+  },
+
+  'question evaluator': {
+    usage: 'question evaluator <question> <address>',
+    description: 'Hand evaluation of a question to another address; only its creator can, until it is evaluated',
+    async run(stoa, { positionals }, network) {
+      requirePositionals(positionals, ['question', 'address']);
+      const question = parseAddress(positionals[0], 'question');
+      const evaluator = parseAddress(positionals[1], 'address');
+      const previous = await stoa.getQuestion(question).then(info => info.evaluator);
+      const sent = await stoa.setEvaluator(question, evaluator);
+      return { question, previousEvaluator: previous, evaluator, transaction: transaction(network, sent) };
+    }
+  },
+
+  'question extend': {
+    usage: 'question extend <question> <duration>',
+    description:
+      'Keep a question open longer, e.g. while it has too few answers; only its creator can, before it ends, ' +
+      'and no further than 30 days past the end it was created with',
+    async run(stoa, { positionals }, network) {
+      requirePositionals(positionals, ['question', 'duration']);
+      const question = parseAddress(positionals[0], 'question');
+      const duration = parseDuration(positionals[1], 'duration');
+      const info = await stoa.getQuestion(question);
+      const endsAt = info.endsAt + duration;
+      if (endsAt > info.maxEndsAt) {
+        throw usageError(
+          `The question can be extended to ${new Date(Number(info.maxEndsAt) * 1000).toISOString()} at most`
+        );
+      }
+      const sent = await stoa.extendDeadline(question, endsAt);
+      return {
+        question,
+        endsAt: new Date(Number(endsAt) * 1000).toISOString(),
+        transaction: transaction(network, sent)
+      };
+    }
+  },
+
+  'question close': {
+    usage: 'question close <question>',
+    description:
+      'End a question early, e.g. once it has enough answers; answers are still accepted for an hour. ' +
+      'Only its creator can',
+    async run(stoa, { positionals }, network) {
+      requirePositionals(positionals, ['question']);
+      const question = parseAddress(positionals[0], 'question');
+      const sent = await stoa.closeEarly(question);
+      const result = { question, transaction: transaction(network, sent) };
+      if (!sent.dryRun) {
+        result.endsAt = new Date(Number(sent.endsAt) * 1000).toISOString();
+      }
+      return result;
+    }
+  },
+
+  'question cancel': {
+    usage: 'question cancel <question>',
+    description:
+      'Cancel a question created by mistake; only its creator can, until it is evaluated. Responders take back ' +
+      'what they paid into the reward pool with `refund`, funders their seeds with `seed reclaim`',
+    async run(stoa, { positionals }, network) {
+      requirePositionals(positionals, ['question']);
+      const question = parseAddress(positionals[0], 'question');
+      const sent = await stoa.cancelQuestion(question);
+      return { question, cancelled: !sent.dryRun, transaction: transaction(network, sent) };
+    }
+  },
+
+  'question fees': {
+    usage: 'question fees <question> [--creator-bps <n>] [--referral-bps <n>] [--revision-fee <amount>]',
+    description:
+      "Show a question's fees, fixed when it was created; its creator can set the creator and referral fees " +
+      'up to the caps it was created with, and, before the first answer, the revision fee `answer update` charges ' +
+      '(added to the reward pool)',
+    options: {
+      'creator-bps': { type: 'string' },
+      'referral-bps': { type: 'string' },
+      'revision-fee': { type: 'string' }
+    },
+    async run(stoa, { values, positionals }, network) {
+      requirePositionals(positionals, ['question']);
+      const question = parseAddress(positionals[0], 'question');
+      const info = await stoa.getQuestion(question);
+      const token = await stoa.getTokenInfo(info.token);
+      const transactions = await setFees(stoa, network, question, values);
+      if (values['revision-fee']) {
+        const revisionFee = parseAmount(values['revision-fee'], token, '--revision-fee');
+        transactions.push(transaction(network, await stoa.setRevisionFee(question, revisionFee)));
+      }
+      return {
+        question,
+        ...(await stoa.getFeeConfig(question)),
+        revisionFee: new Amount(await stoa.getRevisionFee(question), token),
+        ...(transactions.length && { transactions })
+      };
+    }
+  },
+
+  'question address': {
+    usage: 'question address <salt> [--creator <address>]',
+    description:
+      'Print the address `question create --salt` deploys to; --creator defaults to the PRIVATE_KEY account',
+    options: {
+      creator: { type: 'string' }
+    },
+    async run(stoa, { values, positionals }) {
+      requirePositionals(positionals, ['salt']);
+      const salt = parseHash(positionals[0], 'salt');
+      const creator = values.creator ? parseAddress(values.creator, '--creator') : stoa.account;
+      const question = stoa.predictQuestionAddress(salt, creator);
+      const code = await stoa.publicClient.getCode({ address: question });
+      return { creator, salt, question, created: Boolean(code && code !== '0x') };
+    }
+  },
+
+  'question submitter': {
+    usage: 'question submitter <question> <address> [--revoke]',
+    description:
+      'Let an address, such as an intent relayer, submit answers on behalf of users; only the creator can. ' +
+      '--revoke takes the permission back',
+    options: {
+      revoke: { type: 'boolean', default: false }
+    },
+    async run(stoa, { values, positionals }, network) {
+      requirePositionals(positionals, ['question', 'address']);
+      const question = parseAddress(positionals[0], 'question');
+      const submitter = parseAddress(positionals[1], 'address');
+      const sent = await stoa.setSubmitter(question, submitter, !values.revoke);
+      return { question, submitter, allowed: !values.revoke, transaction: transaction(network, sent) };
+    }
+  },
+
+  'answer submit': {
+    usage:
+      'answer submit <question> (<answer> [--salt] | --hash <bytes32>) [--referrer <address>] ' +
+      '[--permit | --permit2 | --relayer <url>]',
+    description:
+      'Pay the submission cost and commit to an answer; its content is saved to Supabase when SUPABASE_URL is set. ' +
+      'On commit-reveal questions the answer is sealed and its content kept in the local reveal store instead, ' +
+      'until `answer reveal`. --permit pays with a signed EIP-2612 permit instead of an approval, --permit2 ' +
+      'through Permit2 for tokens without one. --relayer signs an answer intent and has that relayer submit it ' +
+      'and pay for it instead (open answers only)',
+    options: {
+      hash: { type: 'string' },
+      salt: { type: 'boolean', default: false },
+      referrer: { type: 'string' },
+      permit: { type: 'boolean', default: false },
+      permit2: { type: 'boolean', default: false },
+      relayer: { type: 'string' }
+    },
+    async run(stoa, { values, positionals }, network) {
+      requirePositionals(positionals, values.hash ? ['question'] : ['question', 'answer']);
+      const question = parseAddress(positionals[0], 'question');
+      const commitment = values.hash ? null : createCommitment(positionals[1], { salt: values.salt });
+      const answerHash = commitment ? commitment.answerHash : parseHash(values.hash, '--hash');
+      const referrer = values.referrer ? parseAddress(values.referrer, '--referrer') : null;
+      const permit = parsePermit(values);
+      if (values.relayer && permit) {
+        throw usageError('The relayer pays for the answer; drop --permit and --permit2');
+      }
+
+      const info = await stoa.getQuestion(question);
+      const token = await stoa.getTokenInfo(info.token);
+      if (info.revealPeriod > 0n) {
+        if (!commitment || commitment.salt) {
+          throw usageError(
+            'Answers to commit-reveal questions are sealed with their own salt; pass the answer text only'
+          );
+        }
+        if (values.relayer) {
+          throw usageError('--relayer only submits open answers, not sealed ones');
+        }
+        return submitSealedAnswer(stoa, network, info, token, commitment.content, referrer, permit);
+      }
+      const { result, sent } = values.relayer
+        ? await relayAnswer(stoa, network, question, answerHash, referrer, values.relayer)
+        : permit
+        ? await withPermit(stoa, network, info.token, permit, info.submissionCost, () =>
+            stoa.submitAnswerWithPermit(question, answerHash, { referrer, method: permit })
+          )
+        : await withApproval(stoa, network, info.token, question, info.submissionCost, () =>
+            referrer
+              ? stoa.submitAnswerWithReferral(question, answerHash, referrer)
+              : stoa.submitAnswer(question, answerHash)
+          );
+      result.answerHash = answerHash;
+      if (commitment && commitment.salt) {
+        // Without the salt nobody can show the content matches the hash
+        result.salt = commitment.salt;
+      }
+      result.cost = new Amount(info.submissionCost, token);
+      if (!sent || sent.dryRun) {
+        return result;
+      }
+
+      result.index = sent.index;
+      if (commitment && hasSupabase()) {
+        await storeAnswerContent({
+          supabase: createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY),
+          publicClient: stoa.publicClient,
+          question,
+          answerIndex: sent.index,
+          content: commitment.content,
+          salt: commitment.salt
+        });
+        result.contentSaved = true;
+      }
+      return result;
+    }
+  },
+
+  'answer update': {
+    usage: 'answer update <question> (<answer> [--salt] | --hash <bytes32>)',
+    description:
+      'Replace your answer while the question is open, paying its revision fee if it has one; the answer keeps ' +
+      'its index, and its content is saved to Supabase when SUPABASE_URL is set, keeping the previous version. ' +
+      'On commit-reveal questions the revision is sealed under a fresh salt in the local reveal store',
+    options: {
+      hash: { type: 'string' },
+      salt: { type: 'boolean', default: false }
+    },
+    async run(stoa, { values, positionals }, network) {
+      requirePositionals(positionals, values.hash ? ['question'] : ['question', 'answer']);
+      const question = parseAddress(positionals[0], 'question');
+      const commitment = values.hash ? null : createCommitment(positionals[1], { salt: values.salt });
+      const answerHash = commitment ? commitment.answerHash : parseHash(values.hash, '--hash');
+
+      const [info, revisionFee] = await Promise.all([stoa.getQuestion(question), stoa.getRevisionFee(question)]);
+      const token = await stoa.getTokenInfo(info.token);
+      const sealed = info.revealPeriod > 0n;
+      if (sealed && (!commitment || commitment.salt)) {
+        throw usageError(
+          'Answers to commit-reveal questions are sealed with their own salt; pass the answer text only'
+        );
+      }
+      const { result, sent } = await withApproval(stoa, network, info.token, question, revisionFee, () =>
+        sealed ? stoa.commitAnswerUpdate(question, commitment.content) : stoa.updateAnswer(question, answerHash)
+      );
+      result.answerHash = answerHash;
+      if (commitment && commitment.salt) {
+        result.salt = commitment.salt;
+      }
+      result.revisionFee = new Amount(revisionFee, token);
+      if (!sent || sent.dryRun) {
+        return result;
+      }
+
+      result.index = sent.index;
+      if (sealed) {
+        result.sealedHash = sent.sealedHash;
+        if (stoa.revealStore.path) {
+          result.revealStore = stoa.revealStore.path;
+        }
+      } else if (commitment && hasSupabase()) {
+        await storeAnswerContent({
+          supabase: createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY),
+          publicClient: stoa.publicClient,
+          question,
+          answerIndex: sent.index,
+          content: commitment.content,
+          salt: commitment.salt
+        });
+        result.contentSaved = true;
+      }
+      return result;
+    }
+  },
+
+  'answer reveal': {
+    usage: 'answer reveal <question> [--responder <address>]',
+    description:
+      'Reveal a sealed answer from the local reveal store after a commit-reveal question ends; ' +
+      'its content is then saved to Supabase when SUPABASE_URL is set',
+    options: {
+      responder: { type: 'string' }
+    },
+    async run(stoa, { values, positionals }, network) {
+      requirePositionals(positionals, ['question']);
+      const question = parseAddress(positionals[0], 'question');
+      const responder = values.responder ? parseAddress(values.responder, '--responder') : stoa.account;
+
+      const sent = await stoa.revealAnswer(question, { responder });
+      const result = {
+        question,
+        responder,
+        index: sent.index,
+        answerHash: sent.answerHash,
+        transaction: transaction(network, sent)
+      };
+      if (!sent.dryRun && hasSupabase()) {
+        await storeAnswerContent({
+          supabase: createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY),
+          publicClient: stoa.publicClient,
+          question,
+          answerIndex: sent.index,
+          content: sent.content,
+          salt: null
+        });
+        result.contentSaved = true;
+      }
+      return result;
+    }
+  },
+
+  seed: {
+    usage: 'seed <question> <amount> [--permit | --permit2]',
+    description: "Add tokens to a question's reward pool; --permit and --permit2 work as for `answer submit`",
+    options: {
+      permit: { type: 'boolean', default: false },
+      permit2: { type: 'boolean', default: false }
+    },
+    async run(stoa, { values, positionals }, network) {
+      requirePositionals(positionals, ['question', 'amount']);
+      const question = parseAddress(positionals[0], 'question');
+      const permit = parsePermit(values);
+      const info = await stoa.getQuestion(question);
+      const token = await stoa.getTokenInfo(info.token);
+      const amount = parseAmount(positionals[1], token, 'amount');
+
+      const { result } = permit
+        ? await withPermit(stoa, network, info.token, permit, amount, () =>
+            stoa.seedQuestionWithPermit(question, amount, { method: permit })
+          )
+        : await withApproval(stoa, network, info.token, question, amount, () => stoa.seedQuestion(question, amount));
+      result.amount = new Amount(amount, token);
+      return result;
+    }
+  },
+
+  'seed reclaim': {
+    usage: 'seed reclaim <question>',
+    description: 'Take your seed back from a question that ended without any answers, or that was cancelled',
+    async run(stoa, { positionals }, network) {
+      requirePositionals(positionals, ['question']);
+      const question = parseAddress(positionals[0], 'question');
+      const [info, seed] = await Promise.all([stoa.getQuestion(question), stoa.getSeed(question)]);
+      const token = await stoa.getTokenInfo(info.token);
+      const sent = await stoa.reclaimSeed(question);
+      const amount = sent.dryRun ? seed.reclaimable : sent.amount;
+      return { question, amount: new Amount(amount, token), transaction: transaction(network, sent) };
+    }
+  },
+
+  claim: {
+    usage: 'claim <question>',
+    description: 'Claim your reward from an evaluated question once its ranking is final',
+    async run(stoa, { positionals }, network) {
+      requirePositionals(positionals, ['question']);
+      const question = parseAddress(positionals[0], 'question');
+      const info = await stoa.getQuestion(question);
+      const token = await stoa.getTokenInfo(info.token);
+      const sent = await stoa.claimReward(question);
+      const amount = sent.dryRun ? await stoa.getClaimableAmount(question, stoa.account) : sent.amount;
+      return { question, amount: new Amount(amount, token), transaction: transaction(network, sent) };
+    }
+  },
+
+  'claim all': {
+    usage: 'claim all [--for <address>]',
+    description:
+      "Claim every reward you won from the factory's questions, in one transaction through the claim router; " +
+      'with --for, claim on behalf of another winner, who receives the rewards',
+    options: {
+      for: { type: 'string' }
+    },
+    async run(stoa, { values }, network) {
+      const user = values.for ? parseAddress(values.for, '--for') : stoa.account;
+      const rewards = await stoa.getClaimableRewards(user);
+      const tokens = new Map();
+      const amount = async ({ question, amount: value }) => {
+        const { token } = await stoa.getQuestion(question);
+        if (!tokens.has(token)) tokens.set(token, await stoa.getTokenInfo(token));
+        return { question, amount: new Amount(value, tokens.get(token)) };
+      };
+
+      const claims = [];
+      const sent = rewards.some(reward => reward.routed) ? await stoa.claimAll(user) : null;
+      for (const claim of sent ? sent.claimed : []) {
+        claims.push({ ...(await amount(claim)), transaction: transaction(network, sent) });
+      }
+
+      // Questions created before the factory had a router can only be claimed by the winner, one at a time
+      const unrouted = [];
+      for (const reward of rewards.filter(reward => !reward.routed)) {
+        if (user !== stoa.account) {
+          unrouted.push(await amount(reward));
+          continue;
+        }
+        const claimed = await stoa.claimReward(reward.question);
+        claims.push({ ...(await amount(reward)), transaction: transaction(network, claimed) });
+      }
+      return { user, claims, unrouted };
+    }
+  },
+
+  refund: {
+    usage: 'refund <question>',
+    description:
+      'Take an emergency refund from a question that was never evaluated or whose ranking has no winners, ' +
+      'or take back what you paid into the reward pool of a cancelled question',
+    async run(stoa, { positionals }, network) {
+      requirePositionals(positionals, ['question']);
+      const question = parseAddress(positionals[0], 'question');
+      const info = await stoa.getQuestion(question);
+      const token = await stoa.getTokenInfo(info.token);
+      const sent = await stoa.emergencyRefund(question);
+      const amount = !sent.dryRun
+        ? sent.amount
+        : info.cancelled
+        ? await stoa.getPoolContribution(question)
+        : await stoa.getEmergencyRefundAmount(question);
+      return { question, amount: new Amount(amount, token), transaction: transaction(network, sent) };
+    }
+  },
+
+  sweep: {
+    usage: 'sweep <question> (--to <treasury|creator> | --follow-up <question>)',
+    description:
+      'Move rewards left unclaimed after the claim deadline to the treasury, the creator or the reward pool ' +
+      "of a follow-up question; only the question's creator or treasury can",
+    options: {
+      to: { type: 'string' },
+      'follow-up': { type: 'string' }
+    },
+    async run(stoa, { values, positionals }, network) {
+      requirePositionals(positionals, ['question']);
+      const question = parseAddress(positionals[0], 'question');
+      if (Boolean(values.to) === Boolean(values['follow-up'])) {
+        throw usageError('Pass either --to or --follow-up');
+      }
+      if (values.to && !['treasury', 'creator'].includes(values.to)) {
+        throw usageError(`--to must be treasury or creator, got "${values.to}"`);
+      }
+      const followUpQuestion = values['follow-up'] ? parseAddress(values['follow-up'], '--follow-up') : undefined;
+      const destination = values.to || 'followUp';
+
+      const [info, claimWindow] = await Promise.all([stoa.getQuestion(question), stoa.getClaimWindow(question)]);
+      const token = await stoa.getTokenInfo(info.token);
+      const sent = await stoa.sweepUnclaimedRewards(question, { destination, followUpQuestion });
+      return {
+        question,
+        destination,
+        recipient: sent.dryRun ? null : sent.recipient,
+        amount: new Amount(sent.dryRun ? claimWindow.unclaimed : sent.amount, token),
+        transaction: transaction(network, sent)
+      };
+    }
+  },
+
+  'sweep config': {
+    usage: 'sweep config [--period <90d> | --disable]',
+    description:
+      'Show or set how long winners of new questions have to claim before leftovers can be swept; ' +
+      'only the factory owner can set it',
+    options: {
+      period: { type: 'string' },
+      disable: { type: 'boolean', default: false }
+    },
+    async run(stoa, { values }, network) {
+      if (!values.period && !values.disable) {
+        return { claimPeriod: await stoa.getClaimPeriod() };
+      }
+      if (values.period && values.disable) {
+        throw usageError('Pass either --period or --disable, not both');
+      }
+
+      const claimPeriod = values.disable ? 0n : parseDuration(values.period, '--period');
+      const sent = await stoa.setClaimPeriod(claimPeriod);
+      return { claimPeriod, transaction: transaction(network, sent) };
+    }
+  },
+
+  'dispute open': {
+    usage: 'dispute open <question> (<reason> | --hash <bytes32>)',
+    description: "Stake the dispute bond to challenge a question's ranking during its dispute period",
+    options: {
+      hash: { type: 'string' }
+    },
+    async run(stoa, { values, positionals }, network) {
+      requirePositionals(positionals, values.hash ? ['question'] : ['question', 'reason']);
+      const question = parseAddress(positionals[0], 'question');
+      const reasonHash = values.hash ? parseHash(values.hash, '--hash') : keccak256(stringToHex(positionals[1]));
+
+      const [info, disputes] = await Promise.all([stoa.getQuestion(question), stoa.getDisputeInfo(question)]);
+      if (!disputes.arbiter) {
+        throw new Error(`Question ${question} has no arbiter, so its ranking cannot be disputed`);
+      }
+      const token = await stoa.getTokenInfo(info.token);
+      const { result, sent } = await withApproval(stoa, network, info.token, question, disputes.disputeBond, () =>
+        stoa.openDispute(question, reasonHash)
+      );
+      result.reasonHash = reasonHash;
+      result.bond = new Amount(disputes.disputeBond, token);
+      if (sent && !sent.dryRun) {
+        result.index = sent.index;
+      }
+      return result;
+    }
+  },
+
+  'dispute show': {
+    usage: 'dispute show <question>',
+    description: "Print a question's arbiter, dispute deadlines and disputes",
+    async run(stoa, { positionals }) {
+      requirePositionals(positionals, ['question']);
+      const question = parseAddress(positionals[0], 'question');
+      const [info, disputes] = await Promise.all([stoa.getQuestion(question), stoa.getDisputeInfo(question)]);
+      const token = await stoa.getTokenInfo(info.token);
+      const date = seconds => (seconds === 0n ? null : new Date(Number(seconds) * 1000).toISOString());
+
+      return {
+        question,
+        status: info.status,
+        arbiter: disputes.arbiter,
+        disputePeriod: disputes.disputePeriod,
+        disputeBond: new Amount(disputes.disputeBond, token),
+        disputeEndsAt: date(disputes.disputeEndsAt),
+        arbitrationDeadline: date(disputes.arbitrationDeadline),
+        finalized: disputes.finalized,
+        disputes: disputes.disputes.map(dispute => ({ ...dispute, bond: new Amount(dispute.bond, token) }))
+      };
+    }
+  },
+
+  'dispute uphold': {
+    usage: 'dispute uphold <question>',
+    description: "Keep a disputed ranking and slash the challengers' bonds; only the question's arbiter can",
+    async run(stoa, { positionals }, network) {
+      requirePositionals(positionals, ['question']);
+      const question = parseAddress(positionals[0], 'question');
+      const sent = await stoa.upholdRanking(question);
+      return { question, rankingUpheld: true, transaction: transaction(network, sent) };
+    }
+  },
+
+  'dispute replace': {
+    usage: 'dispute replace <question> <index>...',
+    description: "Replace a disputed ranking, best first, and refund the challengers' bonds; only the arbiter can",
+    async run(stoa, { positionals }, network) {
+      requirePositionals(positionals, ['question', 'index']);
+      const question = parseAddress(positionals[0], 'question');
+      const rankedIndices = positionals.slice(1).map(index => parseInteger(index, 'index'));
+      const sent = await stoa.replaceRanking(question, rankedIndices);
+      return { question, rankingUpheld: false, rankedIndices, transaction: transaction(network, sent) };
+    }
+  },
+
+  'dispute reclaim': {
+    usage: 'dispute reclaim <question>',
+    description: 'Take back your dispute bond after the arbiter missed the arbitration deadline',
+    async run(stoa, { positionals }, network) {
+      requirePositionals(positionals, ['question']);
+      const question = parseAddress(positionals[0], 'question');
+      const info = await stoa.getQuestion(question);
+      const token = await stoa.getTokenInfo(info.token);
+      const sent = await stoa.reclaimDisputeBond(question);
+      const amount = sent.dryRun ? (await stoa.getDisputeInfo(question)).disputeBond : sent.amount;
+      return { question, amount: new Amount(amount, token), transaction: transaction(network, sent) };
+    }
+  },
+
+  'dispute config': {
+    usage: 'dispute config [--arbiter <address> --period <3d> --bond-bps <n> | --disable]',
+    description:
+      'Show or set the arbiter, dispute period and bond (bps of the submission cost) given to new questions; ' +
+      'only the factory owner can set them',
+    options: {
+      arbiter: { type: 'string' },
+      period: { type: 'string' },
+      'bond-bps': { type: 'string' },
+      disable: { type: 'boolean', default: false }
+    },
+    async run(stoa, { values }, network) {
+      if (!values.arbiter && !values.disable) {
+        return stoa.getDisputeConfig();
+      }
+      if (values.arbiter && values.disable) {
+        throw usageError('Pass either --arbiter or --disable, not both');
+      }
+
+      const config = values.disable
+        ? { arbiter: null, disputePeriod: 0n, disputeBondBps: 0 }
+        : {
+            arbiter: parseAddress(values.arbiter, '--arbiter'),
+            disputePeriod: parseDuration(values.period, '--period'),
+            disputeBondBps: parseInteger(values['bond-bps'], '--bond-bps')
+          };
+      const sent = await stoa.setDisputeConfig(config);
+      return { ...config, transaction: transaction(network, sent) };
+    }
+  },
+
+  'fee config': {
+    usage:
+      'fee config [--protocol-bps <n>] [--creator-bps <n>] [--referral-bps <n>] [--max-creator-bps <n>] ' +
+      '[--max-referral-bps <n>] [--treasury <address>]',
+    description:
+      'Show or set the fees and treasury new questions are created with; creators can raise their own ' +
+      "question's creator and referral fees up to the max. Only the factory owner can set them",
+    options: {
+      'protocol-bps': { type: 'string' },
+      'creator-bps': { type: 'string' },
+      'referral-bps': { type: 'string' },
+      'max-creator-bps': { type: 'string' },
+      'max-referral-bps': { type: 'string' },
+      treasury: { type: 'string' }
+    },
+    async run(stoa, { values }, network) {
+      const current = await stoa.getFeeConfig();
+      const feeBps = values['protocol-bps'] && parseInteger(values['protocol-bps'], '--protocol-bps');
+      const caps = {
+        maxCreatorFeeBps: values['max-creator-bps']
+          ? parseInteger(values['max-creator-bps'], '--max-creator-bps')
+          : current.maxCreatorFeeBps,
+        maxReferralFeeBps: values['max-referral-bps']
+          ? parseInteger(values['max-referral-bps'], '--max-referral-bps')
+          : current.maxReferralFeeBps
+      };
+      const treasury = values.treasury && parseAddress(values.treasury, '--treasury');
+
+      // The protocol fee and the caps can't add up to more than 100% after either write, so a lower fee goes first
+      const transactions = [];
+      const send = async write => transactions.push(transaction(network, await write()));
+      const capsChanged =
+        caps.maxCreatorFeeBps !== current.maxCreatorFeeBps || caps.maxReferralFeeBps !== current.maxReferralFeeBps;
+      if (feeBps !== undefined && feeBps < current.feeBps) await send(() => stoa.setFeeBps(feeBps));
+      if (capsChanged) await send(() => stoa.setFeeCaps(caps));
+      if (feeBps !== undefined && feeBps > current.feeBps) await send(() => stoa.setFeeBps(feeBps));
+      transactions.push(...(await setFees(stoa, network, resolveContract('factory', network), values)));
+      if (treasury && treasury !== current.treasury) await send(() => stoa.setTreasury(treasury));
+
+      return { ...(await stoa.getFeeConfig()), ...(transactions.length && { transactions }) };
+    }
+  },
+
+  'creator whitelist': {
+    usage: 'creator whitelist <address> [--revoke]',
+    description: 'Allow (or with --revoke, disallow) an address to create questions',
+    options: {
+      revoke: { type: 'boolean', default: false }
+    },
+    async run(stoa, { values, positionals }, network) {
+      requirePositionals(positionals, ['address']);
+      const creator = parseAddress(positionals[0], 'address');
+      const allowed = !values.revoke;
+
+      if ((await stoa.isWhitelisted(creator)) === allowed) {
+        return { creator, whitelisted: allowed, unchanged: true };
+      }
+      const sent = await stoa.whitelistCreator(creator, allowed);
+      return { creator, whitelisted: allowed, transaction: transaction(network, sent) };
+    }
+  },
+
+  pause: {
+    usage: 'pause',
+    description:
+      'Stop question creation, answers and seeding on every question until unpaused; claims, refunds and ' +
+      'evaluation keep working. Only the guardian or the factory owner can pause',
+    async run(stoa, args, network) {
+      if (await stoa.isPaused()) {
+        return { paused: true, unchanged: true };
+      }
+      const sent = await stoa.pause();
+      return { paused: true, transaction: transaction(network, sent) };
+    }
+  },
+
+  unpause: {
+    usage: 'unpause',
+    description: 'Lift a pause; only the guardian or the factory owner can unpause',
+    async run(stoa, args, network) {
+      if (!(await stoa.isPaused())) {
+        return { paused: false, unchanged: true };
+      }
+      const sent = await stoa.unpause();
+      return { paused: false, transaction: transaction(network, sent) };
+    }
+  },
+
+  'pause guardian': {
+    usage: 'pause guardian [<address> | --disable]',
+    description:
+      'Show whether the protocol is paused and who can pause it, or set the guardian who can pause and unpause ' +
+      'besides the factory owner; only the factory owner can set it',
+    options: {
+      disable: { type: 'boolean', default: false }
+    },
+    async run(stoa, { values, positionals }, network) {
+      if (!positionals.length && !values.disable) {
+        const [paused, guardian] = await Promise.all([stoa.isPaused(), stoa.getGuardian()]);
+        return { paused, guardian, owner: await stoa.getOwner(resolveContract('factory', network)) };
+      }
+      if (positionals.length && values.disable) {
+        throw usageError('Pass either an address or --disable, not both');
+      }
+
+      const guardian = values.disable ? null : parseAddress(positionals[0], 'address');
+      const sent = await stoa.setGuardian(guardian);
+      return { guardian, transaction: transaction(network, sent) };
+    }
+  },
+
+  'ownership check': {
+    usage: 'ownership check',
+    description: 'Show the factory and protocol owners; the factory must own the protocol to register questions',
+    async run(stoa, args, network) {
+      const factory = resolveContract('factory', network);
+      const protocol = resolveContract('protocol', network);
+      const [factoryOwner, protocolOwner] = await Promise.all([stoa.getOwner(factory), stoa.getOwner(protocol)]);
+      return {
+        factory: { address: factory, owner: factoryOwner },
+        protocol: { address: protocol, owner: protocolOwner },
+        wallet: process.env.PRIVATE_KEY ? stoa.account : null,
+        factoryOwnsProtocol: protocolOwner === factory
+      };
+    }
+  },
+
+  'ownership transfer': {
+    usage: 'ownership transfer <contract|protocol|factory> <new-owner|factory>',
+    description: 'Transfer ownership of a Stoa contract, e.g. `ownership transfer protocol factory`',
+    async run(stoa, { positionals }, network) {
+      requirePositionals(positionals, ['contract', 'new-owner']);
+      const contract = resolveContract(positionals[0], network, 'contract');
+      const newOwner = resolveContract(positionals[1], network, 'new-owner');
+      const previousOwner = await stoa.getOwner(contract);
+      const sent = await stoa.transferOwnership(contract, newOwner);
+      return { contract, previousOwner, newOwner, transaction: transaction(network, sent) };
+    }
+  }
+};
+
+module.exports = { commands, usageError };
@@ -0,0 +1,100 @@
+const { formatUnits } = require('viem');
+
+const { txUrl } = require('../sdk');
+
+/**
+ * Output helpers for the stoa CLI.
+ *
+ * Commands return plain objects. With --json they are printed as JSON, with
+ * bigints and amounts as integer strings in the token's smallest unit;
+ * otherwise as indented `key: value` lines with amounts in whole tokens.
+ */
+
+/**
+ * A token amount: the raw value in JSON, `1.5 USDC` for people.
+ */
+class Amount {
+  /**
+   * @param {bigint} value
+   * @param {{symbol: string, decimals: number}} token
+   */
+  constructor(value, token) {
+    this.value = value;
+    this.token = token;
+  }
+
+  toJSON() {
+    return this.value.toString();
+  }
+
+  toString() {
+    return `${formatUnits(this.value, this.token.decimals)} ${this.token.symbol}`;
+  }
+}
+
+/**
+ * Summarizes what an SDK write resolved with, without the full receipt.
+ * @param {import('../sdk').Network} network
+ * @param {object} result TransactionResult or SimulationResult
+ */
+function transaction(network, result) {
+  if (result.dryRun) {
+    return {
+      simulated: true,
+      contract: result.address,
+      function: result.functionName,
+      args: result.args,
+      returns: result.result
+    };
+  }
+  const summary = { hash: result.hash, block: result.receipt.blockNumber };
+  if (network.explorerUrl) {
+    summary.url = txUrl(network, result.hash);
+  }
+  return summary;
+}
+
+function toJSON(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Amount) && !Array.isArray(value);
+}
+
+function formatScalar(value) {
+  if (value === undefined || value === null) return '-';
+  if (Array.isArray(value)) return value.length === 0 ? '[]' : value.map(formatScalar).join(', ');
+  return String(value);
+}
+
+function printHuman(value, indent = '') {
+  for (const [key, field] of Object.entries(value)) {
+    if (isPlainObject(field)) {
+      console.log(`${indent}${key}:`);
+      printHuman(field, `${indent}  `);
+    } else if (Array.isArray(field) && field.some(isPlainObject)) {
+      console.log(`${indent}${key}:`);
+      field.forEach((item, i) => {
+        console.log(`${indent}  [${i}]`);
+        printHuman(item, `${indent}    `);
+      });
+    } else {
+      console.log(`${indent}${key}: ${formatScalar(field)}`);
+    }
+  }
+}
+
+/**
+ * @param {object} result
+ * @param {boolean} json
+ */
+function print(result, json) {
+  if (json) {
+    console.log(toJSON(result));
+  } else {
+    printHuman(result);
+  }
+}
+
+module.exports = { Amount, transaction, print, toJSON };
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+// Load environment variables
+require('dotenv').config({ quiet: true });
+
+/**
+ * stoa command-line tool
+ *
+ * Usage:
+ * stoa <command> [arguments] [--network base|base-sepolia|local] [--dry-run] [--json]
+ * stoa --help
+ *
+ * Contract addresses come from deployments/<chainId>.json for the selected
+ * network. Transactions are signed with PRIVATE_KEY; read-only commands run
+ * without it.
+ */
+
+const { parseArgs } = require('util');
+
+const { createStoaClient, loadNetwork, NETWORKS } = require('../sdk');
+const { commands } = require('./commands');
+const { print, toJSON } = require('./format');
+
+const GLOBAL_OPTIONS = {
+  network: { type: 'string' },
+  'rpc-url': { type: 'string' },
+  confirmations: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+function usage() {
+  const width = Math.max(...Object.keys(commands).map(name => name.length));
+  const lines = Object.entries(commands).map(([name, command]) => `  ${name.padEnd(width)}  ${command.description}`);
+  return `Usage: stoa <command> [arguments] [options]
+
+Commands:
+${lines.join('\n')}
+
+Options:
+  --network <name>       ${Object.keys(NETWORKS).join(', ')} (default base, or NETWORK)
+  --rpc-url <url>        Override the network's RPC URL
+  --confirmations <n>    Blocks to wait for after each transaction (default 1)
+  --dry-run              Simulate transactions with eth_call instead of sending them
+  --json                 Print machine-readable JSON
+  -h, --help             Show help; \`stoa <command> --help\` shows a command's arguments
+
+Environment:
+  PRIVATE_KEY            Key that signs transactions (not needed for read-only commands)`;
+}
+
+/**
+ * Matches the longest command name at the start of argv, e.g. `question create`.
+ */
+function findCommand(argv) {
+  for (const words of [2, 1]) {
+    const name = argv.slice(0, words).join(' ');
+    if (commands[name]) {
+      return { name, command: commands[name], rest: argv.slice(words) };
+    }
+  }
+  return null;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const found = findCommand(argv);
+  if (!found) {
+    const wantsHelp = argv.length === 0 || argv.includes('--help') || argv.includes('-h');
+    console.log(usage());
+    if (!wantsHelp) {
+      console.error(`\n❌ Unknown command: ${argv.filter(arg => !arg.startsWith('-')).join(' ')}`);
+    }
+    process.exitCode = wantsHelp ? 0 : 1;
+    return;
+  }
+
+  const { name, command, rest } = found;
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true,
+      strict: true
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\nUsage: stoa ${command.usage}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(`Usage: stoa ${command.usage}\n\n${command.description}`);
+    return;
+  }
+
+  try {
+    const network = loadNetwork(values.network || process.env.NETWORK || 'base');
+    const rpcUrl = values['rpc-url'] || network.rpcUrl;
+    if (!rpcUrl) {
+      throw new Error(`Set ${network.rpcEnv} or pass --rpc-url`);
+    }
+    if (network.legacy) {
+      console.error(`⚠️  The ${network.name} manifest lists contracts older than these scripts; some commands may fail`);
+    }
+
+    const stoa = createStoaClient({
+      network,
+      rpcUrl,
+      privateKey: process.env.PRIVATE_KEY,
+      confirmations: values.confirmations ? Number(values.confirmations) : undefined,
+      dryRun: values['dry-run']
+    });
+
+    const result = await command.run(stoa, { values, positionals }, network);
+    print(result, values.json);
+  } catch (error) {
+    const message = error.shortMessage || error.message;
+    if (values.json) {
+      console.error(toJSON({ error: message }));
+    } else {
+      console.error(`❌ ${message}`);
+      if (error.usage) {
+        console.error(`\nUsage: stoa ${command.usage}`);
+      }
+    }
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -0,0 +1,39 @@
+/**
+ * Model adapters.
+ *
+ * An adapter turns a question and its answers into a model reply:
+ *
+ *   adapter.model: string, recorded in ai_evaluations.ai_model
+ *   adapter.rank({ question, answers, prompt }) => Promise<{
+ *     text: string,    // reply containing the {"ranking": [...]} JSON, see ../prompt.js
+ *     raw: object,     // full provider response, stored in ai_evaluations.raw_response
+ *     usage: { inputTokens: number, outputTokens: number } | null
+ *   }>
+ *
+ * Add a provider by adding a module here and a case below.
+ */
+
+const { createStubAdapter } = require('./stub');
+const { createOpenAIAdapter } = require('./openai');
+
+// The only network the stub may submit rankings on; anywhere else its length-based ranking would pay out real rewards
+const STUB_NETWORK = 'local';
+
+/**
+ * @param {object} config See ../config.js
+ */
+function createAdapter(config) {
+  switch (config.adapter) {
+    case 'stub':
+      if (config.network.name !== STUB_NETWORK) {
+        throw new Error(`The stub adapter ranks answers by length and only runs on --network ${STUB_NETWORK}`);
+      }
+      return createStubAdapter();
+    case 'openai':
+      return createOpenAIAdapter(config);
+    default:
+      throw new Error(`Unknown EVALUATOR_ADAPTER "${config.adapter}", expected openai or stub`);
+  }
+}
+
+module.exports = { createAdapter };
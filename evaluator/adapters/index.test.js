@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAdapter } = require('.');
+
+test('refuses the stub adapter outside the local network', () => {
+  for (const name of ['base', 'base-sepolia']) {
+    assert.throws(() => createAdapter({ adapter: 'stub', network: { name } }), /only runs on --network local/);
+  }
+});
+
+test('refuses a missing or unknown adapter', () => {
+  assert.throws(() => createAdapter({ network: { name: 'local' } }), /Unknown EVALUATOR_ADAPTER "undefined"/);
+  assert.throws(() => createAdapter({ adapter: 'gpt', network: { name: 'base' } }), /Unknown EVALUATOR_ADAPTER "gpt"/);
+});
+
+test('the stub ranks longer answers first, ties by lower index', async () => {
+  const adapter = createAdapter({ adapter: 'stub', network: { name: 'local' } });
+  const reply = await adapter.rank({
+    answers: [
+      { index: 0, content: 'ab' },
+      { index: 1, content: 'abcd' },
+      { index: 2, content: 'cd' }
+    ]
+  });
+  assert.deepEqual(JSON.parse(reply.text).ranking, [1, 0, 2]);
+});
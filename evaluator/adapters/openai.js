@@ -0,0 +1,46 @@
+/**
+ * Adapter for any OpenAI-compatible chat completions endpoint.
+ *
+ * Reads EVALUATOR_API_URL (default https://api.openai.com/v1), EVALUATOR_API_KEY
+ * and EVALUATOR_MODEL through ../config.js.
+ */
+function createOpenAIAdapter({ apiUrl, apiKey, model }) {
+  if (!apiKey) {
+    throw new Error('EVALUATOR_API_KEY is required for the openai adapter');
+  }
+  if (!model) {
+    throw new Error('EVALUATOR_MODEL is required for the openai adapter');
+  }
+
+  return {
+    model,
+    async rank({ prompt }) {
+      const response = await fetch(`${apiUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', authorization: `Bearer ${apiKey}` },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          response_format: { type: 'json_object' },
+          messages: [
+            { role: 'system', content: prompt.system },
+            { role: 'user', content: prompt.user }
+          ]
+        })
+      });
+
+      const raw = await response.json().catch(() => null);
+      if (!response.ok) {
+        const message = raw && raw.error ? raw.error.message : response.statusText;
+        throw new Error(`Model request failed with ${response.status}: ${message}`);
+      }
+
+      const usage = raw.usage
+        ? { inputTokens: raw.usage.prompt_tokens, outputTokens: raw.usage.completion_tokens }
+        : null;
+      return { text: raw.choices[0].message.content, raw, usage };
+    }
+  };
+}
+
+module.exports = { createOpenAIAdapter };
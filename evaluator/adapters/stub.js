@@ -0,0 +1,19 @@
+/**
+ * Deterministic local adapter for tests and dry runs: ranks longer answers
+ * first, breaking ties by the lower answer index. Never calls a model, and
+ * createAdapter only allows it on the local network.
+ */
+function createStubAdapter() {
+  return {
+    model: 'stub',
+    async rank({ answers }) {
+      const ranking = [...answers]
+        .sort((a, b) => b.content.length - a.content.length || a.index - b.index)
+        .map(answer => answer.index);
+      const reply = { ranking, reasoning: 'Ranked by answer length', confidence: 1 };
+      return { text: JSON.stringify(reply), raw: reply, usage: { inputTokens: 0, outputTokens: 0 } };
+    }
+  };
+}
+
+module.exports = { createStubAdapter };
@@ -0,0 +1,54 @@
+const { loadNetwork } = require('../sdk/networks');
+
+/**
+ * Evaluation worker configuration, read from the `--network` flag (default base) and the environment.
+ *
+ * Required:
+ * - BASE_RPC_URL: Base network RPC URL (BASE_SEPOLIA_RPC_URL / LOCAL_RPC_URL for the other networks)
+ * - SUPABASE_URL: Your Supabase project URL
+ * - SUPABASE_SERVICE_KEY: Supabase service role key
+ * - EVALUATOR_PRIVATE_KEY: Evaluator key; only questions whose evaluator is this address are evaluated
+ * - EVALUATOR_ADAPTER: Model adapter, `openai` or `stub`. The stub ranks by answer length, so it only runs against
+ *   the local network
+ *
+ * Optional:
+ * - EVALUATOR_MODEL / EVALUATOR_API_KEY / EVALUATOR_API_URL: Passed to the openai adapter
+ * - EVALUATOR_INPUT_COST_PER_MTOK / EVALUATOR_OUTPUT_COST_PER_MTOK: USD per million tokens, for ai_evaluations.cost_usd
+ * - EVALUATOR_MAX_ATTEMPTS: Failed evaluations after which a question is left alone (default 3)
+ * - EVALUATOR_POLL_INTERVAL_MS: Delay between polls (default 60000)
+ * - EVALUATOR_CONFIRMATIONS: Blocks to wait for after evaluateAnswers (default 2)
+ */
+const REQUIRED_ENV = ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY', 'EVALUATOR_PRIVATE_KEY', 'EVALUATOR_ADAPTER'];
+
+function validateEnvironment(network = loadNetwork()) {
+  const missing = REQUIRED_ENV.filter(env => !process.env[env]);
+  if (!network.rpcUrl) {
+    missing.unshift(network.rpcEnv);
+  }
+
+  if (missing.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missing.forEach(env => console.error(`   - ${env}`));
+    process.exit(1);
+  }
+}
+
+function loadConfig(network = loadNetwork()) {
+  return {
+    network,
+    supabaseUrl: process.env.SUPABASE_URL,
+    supabaseKey: process.env.SUPABASE_SERVICE_KEY,
+    privateKey: process.env.EVALUATOR_PRIVATE_KEY,
+    adapter: process.env.EVALUATOR_ADAPTER,
+    model: process.env.EVALUATOR_MODEL,
+    apiKey: process.env.EVALUATOR_API_KEY,
+    apiUrl: process.env.EVALUATOR_API_URL || 'https://api.openai.com/v1',
+    inputCostPerMTok: Number(process.env.EVALUATOR_INPUT_COST_PER_MTOK || 0),
+    outputCostPerMTok: Number(process.env.EVALUATOR_OUTPUT_COST_PER_MTOK || 0),
+    maxAttempts: Number(process.env.EVALUATOR_MAX_ATTEMPTS || 3),
+    pollIntervalMs: Number(process.env.EVALUATOR_POLL_INTERVAL_MS || 60000),
+    confirmations: Number(process.env.EVALUATOR_CONFIRMATIONS || 2)
+  };
+}
+
+module.exports = { validateEnvironment, loadConfig };
@@ -0,0 +1,158 @@
+/**
+ * Evaluates one question: asks the model to rank the answers whose content
+ * matches their on-chain commitment, records the attempt in `ai_evaluations`
+ * and submits the ranking with `evaluateAnswers`.
+ *
+ * A completed ranking whose transaction failed is reused on the next poll
+ * rather than paying for another model call.
+ */
+
+const { verifyCommitment } = require('../sdk/commitments');
+const { rankScores } = require('../sdk/scoring');
+const { buildPrompt, parseRanking, toRankedIndices } = require('./prompt');
+const {
+  loadAnswers,
+  loadAiEvaluations,
+  startAiEvaluation,
+  updateAiEvaluation,
+  recordEvaluation
+} = require('./store');
+
+/**
+ * @typedef {object} EvaluatorContext
+ * @property {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @property {import('../sdk').StoaClient} stoa Signs with the evaluator's key
+ * @property {object} adapter See ./adapters
+ * @property {object} config See ./config.js
+ */
+
+/**
+ * Answers the model may rank: those with stored content that hashes to the
+ * on-chain `answerHash`. Unverifiable content is left out rather than trusted.
+ */
+function eligibleAnswers(rows, onChainAnswers) {
+  return rows
+    .filter(row => {
+      const answer = onChainAnswers[row.answer_index];
+      return answer && row.content !== '' && verifyCommitment(row.content, row.content_salt, answer.answerHash);
+    })
+    .map(row => ({ index: Number(row.answer_index), content: row.content }));
+}
+
+function costUsd(usage, config) {
+  if (!usage || (!config.inputCostPerMTok && !config.outputCostPerMTok)) return null;
+  return (usage.inputTokens * config.inputCostPerMTok + usage.outputTokens * config.outputCostPerMTok) / 1e6;
+}
+
+/**
+ * Runs the model and stores the attempt.
+ * @returns {Promise<object>} the completed ai_evaluations fields
+ */
+async function rankAnswers(ctx, question, answers) {
+  const { supabase, adapter, config } = ctx;
+  const prompt = buildPrompt({ content: question.content, maxWinners: question.maxWinners }, answers);
+  const id = await startAiEvaluation(supabase, {
+    questionId: question.questionId,
+    contractAddress: question.address,
+    model: adapter.model,
+    prompt: `${prompt.system}\n\n${prompt.user}`
+  });
+
+  try {
+    const startedAt = Date.now();
+    const reply = await adapter.rank({ question, answers, prompt });
+    const processingTimeMs = Date.now() - startedAt;
+
+    const parsed = parseRanking(reply.text);
+    const eligible = new Set(answers.map(answer => answer.index));
+    const completed = {
+      raw_response: reply.raw,
+      reasoning: parsed.reasoning,
+      confidence_score: parsed.confidence,
+      processing_time_ms: processingTimeMs,
+      cost_usd: costUsd(reply.usage, config),
+      ranked_answer_indices: toRankedIndices(parsed.ranking, eligible, question.maxWinners),
+      status: 'completed',
+      completed_at: new Date().toISOString()
+    };
+    await updateAiEvaluation(supabase, id, completed);
+    return { id, ai_model: adapter.model, ...completed };
+  } catch (error) {
+    await updateAiEvaluation(supabase, id, {
+      status: 'failed',
+      error_message: error.message,
+      completed_at: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * @param {EvaluatorContext} ctx
+ * @param {object} row Question row from loadDueQuestions
+ * @returns {Promise<{status: 'evaluated' | 'skipped', reason?: string, hash?: string, rankedIndices?: number[]}>}
+ */
+async function evaluateQuestion(ctx, row) {
+  const { supabase, stoa, config } = ctx;
+  const address = row.contract_address;
+
+  const info = await stoa.getQuestion(address);
+  if (info.status !== 'AwaitingEvaluation') {
+    return { status: 'skipped', reason: info.status };
+  }
+  const maxWinners = Number(info.maxWinners);
+
+  const attempts = await loadAiEvaluations(supabase, row.question_id);
+  const failures = attempts.filter(attempt => attempt.status === 'failed').length;
+  let evaluation = attempts.find(attempt => attempt.status === 'completed' && !attempt.evaluation_tx_hash);
+
+  if (!evaluation) {
+    if (failures >= config.maxAttempts) {
+      return { status: 'skipped', reason: `${failures} failed attempts` };
+    }
+
+    if (!row.content) {
+      return { status: 'skipped', reason: 'question has no content' };
+    }
+
+    const [onChainAnswers, rows] = await Promise.all([stoa.getAllAnswers(address), loadAnswers(supabase, address)]);
+    const answers = eligibleAnswers(rows, onChainAnswers);
+    if (answers.length === 0) {
+      return { status: 'skipped', reason: 'no answers with verified content' };
+    }
+
+    const question = { questionId: row.question_id, address, content: row.content, maxWinners };
+    evaluation = await rankAnswers(ctx, question, answers);
+  }
+
+  const rankedIndices = evaluation.ranked_answer_indices.map(Number);
+  let result;
+  try {
+    result = await stoa.evaluateAnswers(address, rankedIndices);
+  } catch (error) {
+    // Keep the ranking so the next poll retries the transaction
+    await updateAiEvaluation(supabase, evaluation.id, { error_message: error.shortMessage || error.message });
+    throw error;
+  }
+
+  const scores = rankScores(await stoa.getScoringCurve(address), maxWinners);
+  const totalScore = Number(scores.slice(0, rankedIndices.length).reduce((sum, score) => sum + score, 0n));
+
+  await updateAiEvaluation(supabase, evaluation.id, { evaluation_tx_hash: result.hash, error_message: null });
+  await recordEvaluation(supabase, {
+    questionId: row.question_id,
+    evaluator: stoa.walletClient.account.address,
+    rankedIndices,
+    totalScore,
+    txHash: result.hash,
+    aiEvaluation: {
+      ai_evaluation_id: evaluation.id,
+      model: evaluation.ai_model,
+      confidence: evaluation.confidence_score,
+      reasoning: evaluation.reasoning
+    }
+  });
+  return { status: 'evaluated', hash: result.hash, rankedIndices };
+}
+
+module.exports = { evaluateQuestion, eligibleAnswers };
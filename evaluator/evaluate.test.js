@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCommitment } = require('../sdk/commitments');
+const { evaluateQuestion } = require('./evaluate');
+
+const QUESTION = '0x00000000000000000000000000000000000000aa';
+const EVALUATOR = '0x00000000000000000000000000000000000000ee';
+
+/**
+ * In-memory stand-in for the Supabase tables the worker touches. Reads return the whole table, which is enough for
+ * a single question; writes are kept so tests can inspect them.
+ */
+function createSupabase(tables) {
+  let nextId = 0;
+  return {
+    tables,
+    from(name) {
+      const rows = (tables[name] = tables[name] || []);
+      let result = { data: rows, error: null };
+      const query = {
+        select: () => query,
+        eq: () => query,
+        order: () => query,
+        single: () => query,
+        insert(row) {
+          const inserted = { id: String(++nextId), ...row };
+          rows.push(inserted);
+          result = { data: inserted, error: null };
+          return query;
+        },
+        update(fields) {
+          return {
+            eq(column, value) {
+              rows.filter(row => row[column] === value).forEach(row => Object.assign(row, fields));
+              return Promise.resolve({ data: null, error: null });
+            }
+          };
+        },
+        upsert(row) {
+          rows.push(row);
+          return Promise.resolve({ data: null, error: null });
+        },
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+      };
+      return query;
+    }
+  };
+}
+
+function createStoa({ answers, maxWinners }) {
+  const submitted = [];
+  return {
+    submitted,
+    walletClient: { account: { address: EVALUATOR } },
+    getQuestion: async () => ({ status: 'AwaitingEvaluation', maxWinners: BigInt(maxWinners) }),
+    getAllAnswers: async () => answers.map(answer => ({ answerHash: answer.answerHash })),
+    getScoringCurve: async () => ({ mode: 'linear', params: [] }),
+    async evaluateAnswers(address, rankedIndices) {
+      submitted.push({ address, rankedIndices });
+      return { hash: '0xfeed' };
+    }
+  };
+}
+
+function createAdapter(ranking) {
+  const calls = [];
+  return {
+    calls,
+    model: 'test-model',
+    async rank(request) {
+      calls.push(request);
+      const text = `Sure.\n\`\`\`json\n${JSON.stringify({ ranking, reasoning: 'why', confidence: 0.9 })}\n\`\`\``;
+      return { text, raw: { ranking }, usage: { inputTokens: 1000, outputTokens: 100 } };
+    }
+  };
+}
+
+/**
+ * Four answers on-chain: 0-2 stored with content that matches their hash, 3 stored with content that does not.
+ */
+function setup({ ranking, maxWinners }) {
+  const contents = ['short', 'a longer answer', 'the longest answer of all', 'tampered'];
+  const commitments = contents.map(content => createCommitment(content, { salt: true }));
+  const answers = commitments.map((commitment, index) =>
+    index === 3 ? { answerHash: createCommitment('original').answerHash } : commitment
+  );
+  const supabase = createSupabase({
+    answers: commitments.map((commitment, index) => ({
+      answer_index: index,
+      content: commitment.content,
+      content_salt: commitment.salt
+    })),
+    ai_evaluations: []
+  });
+  const ctx = {
+    supabase,
+    stoa: createStoa({ answers, maxWinners }),
+    adapter: createAdapter(ranking),
+    config: { maxAttempts: 3, inputCostPerMTok: 2, outputCostPerMTok: 10 }
+  };
+  const row = { question_id: 'q1', contract_address: QUESTION, content: 'What is best?' };
+  return { ctx, row };
+}
+
+test('shows the model only answers whose content matches the chain', async () => {
+  const { ctx, row } = setup({ ranking: [0], maxWinners: 3 });
+  await evaluateQuestion(ctx, row);
+
+  const [call] = ctx.adapter.calls;
+  assert.deepEqual(call.answers.map(answer => answer.index), [0, 1, 2]);
+  assert.doesNotMatch(call.prompt.user, /tampered/);
+});
+
+test('submits the model ranking without ineligible or repeated indices, capped at maxWinners', async () => {
+  // 3 has unverified content, 9 does not exist and 1 is repeated
+  const { ctx, row } = setup({ ranking: [3, 1, 9, 1, 2, 0], maxWinners: 2 });
+  const result = await evaluateQuestion(ctx, row);
+
+  assert.deepEqual(result, { status: 'evaluated', hash: '0xfeed', rankedIndices: [1, 2] });
+  assert.deepEqual(ctx.stoa.submitted, [{ address: QUESTION, rankedIndices: [1, 2] }]);
+
+  const [evaluation] = ctx.supabase.tables.ai_evaluations;
+  assert.equal(evaluation.status, 'completed');
+  assert.deepEqual(evaluation.ranked_answer_indices, [1, 2]);
+  assert.equal(evaluation.evaluation_tx_hash, '0xfeed');
+  assert.equal(evaluation.cost_usd, 0.003);
+
+  const [recorded] = ctx.supabase.tables.evaluations;
+  assert.deepEqual(recorded.ranked_answer_indices, [1, 2]);
+  // Linear scores for two winners out of two: 2 + 1
+  assert.equal(recorded.total_score, 3);
+});
+
+test('records a reply it cannot parse as a failed attempt and submits nothing', async () => {
+  const { ctx, row } = setup({ ranking: [0], maxWinners: 2 });
+  ctx.adapter.rank = async () => ({ text: 'No ranking today', raw: {}, usage: null });
+
+  await assert.rejects(evaluateQuestion(ctx, row), /contains no JSON object/);
+  assert.equal(ctx.supabase.tables.ai_evaluations[0].status, 'failed');
+  assert.deepEqual(ctx.stoa.submitted, []);
+});
+
+test('reuses a completed ranking whose transaction failed instead of calling the model again', async () => {
+  const { ctx, row } = setup({ ranking: [0], maxWinners: 2 });
+  ctx.supabase.tables.ai_evaluations.push({
+    id: 'earlier',
+    ai_model: 'test-model',
+    status: 'completed',
+    ranked_answer_indices: ['2', '0'],
+    evaluation_tx_hash: null
+  });
+
+  const result = await evaluateQuestion(ctx, row);
+  assert.deepEqual(result.rankedIndices, [2, 0]);
+  assert.equal(ctx.adapter.calls.length, 0);
+});
+
+test('skips a question that has used up its attempts', async () => {
+  const { ctx, row } = setup({ ranking: [0], maxWinners: 2 });
+  for (let i = 0; i < 3; i++) ctx.supabase.tables.ai_evaluations.push({ id: `f${i}`, status: 'failed' });
+
+  assert.deepEqual(await evaluateQuestion(ctx, row), { status: 'skipped', reason: '3 failed attempts' });
+  assert.equal(ctx.adapter.calls.length, 0);
+});
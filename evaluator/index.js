@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+// Load environment variables
+require('dotenv').config();
+
+/**
+ * Stoa evaluation worker
+ *
+ * Polls Supabase for questions evaluated by EVALUATOR_PRIVATE_KEY whose
+ * submission period has ended, confirms on-chain that each one is
+ * `AwaitingEvaluation`, has a model rank the answers and submits the ranking
+ * with `evaluateAnswers`. Every model call is recorded in `ai_evaluations`
+ * (prompt, raw response, latency, cost) and every submitted ranking in
+ * `evaluations`.
+ *
+ * Question and answer content come from the rows the indexer and
+ * `storeAnswerContent` maintain, so run the indexer alongside the worker.
+ *
+ * Usage:
+ * node evaluator [--network base|base-sepolia|local] [--once]
+ *
+ * See ./config.js for the environment variables it reads.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+const { createStoaClient } = require('../sdk');
+const { createAdapter } = require('./adapters');
+const { validateEnvironment, loadConfig } = require('./config');
+const { evaluateQuestion } = require('./evaluate');
+const { loadDueQuestions } = require('./store');
+
+// On-chain statuses of questions that already have a ranking; the indexer may not have caught up yet
+const EVALUATED_STATUSES = ['Evaluated', 'DisputePeriod', 'Disputed'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Evaluates every due question once.
+ * @param {import('./evaluate').EvaluatorContext} ctx
+ * @returns {Promise<number>} questions evaluated
+ */
+async function evaluateDueQuestions(ctx) {
+  const evaluator = ctx.stoa.walletClient.account.address;
+  const questions = await loadDueQuestions(ctx.supabase, evaluator, new Date());
+  let evaluated = 0;
+
+  for (const row of questions) {
+    try {
+      const result = await evaluateQuestion(ctx, row);
+      if (result.status === 'evaluated') {
+        console.log(`✅ Question ${row.question_id}: ranked [${result.rankedIndices.join(', ')}] in ${result.hash}`);
+        evaluated++;
+      } else if (!EVALUATED_STATUSES.includes(result.reason)) {
+        console.log(`⏭️  Question ${row.question_id}: skipped, ${result.reason}`);
+      }
+    } catch (error) {
+      console.error(`❌ Question ${row.question_id}: ${error.shortMessage || error.message}`);
+    }
+  }
+  return evaluated;
+}
+
+async function runEvaluator({ once = process.argv.includes('--once') } = {}) {
+  const config = loadConfig();
+  const ctx = {
+    config,
+    supabase: createClient(config.supabaseUrl, config.supabaseKey),
+    stoa: createStoaClient({
+      network: config.network,
+      privateKey: config.privateKey,
+      confirmations: config.confirmations
+    }),
+    adapter: createAdapter(config)
+  };
+
+  console.log('🚀 Stoa evaluation worker started');
+  console.log(`   Network: ${config.network.name}`);
+  console.log(`   Evaluator: ${ctx.stoa.walletClient.account.address}`);
+  console.log(`   Model: ${ctx.adapter.model}\n`);
+
+  if (once) {
+    return evaluateDueQuestions(ctx);
+  }
+
+  let stopping = false;
+  const stop = () => {
+    console.log('\n🛑 Stopping after the current pass...');
+    stopping = true;
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  while (!stopping) {
+    try {
+      await evaluateDueQuestions(ctx);
+    } catch (error) {
+      console.error('❌ Error loading questions:', error.message);
+    }
+    if (!stopping) {
+      await sleep(config.pollIntervalMs);
+    }
+  }
+}
+
+// Run the worker
+if (require.main === module) {
+  validateEnvironment();
+  runEvaluator().catch(error => {
+    console.error('❌ Evaluator crashed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runEvaluator, evaluateDueQuestions };
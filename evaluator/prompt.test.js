@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPrompt, parseRanking, toRankedIndices } = require('./prompt');
+
+test('parseRanking reads a bare JSON reply', () => {
+  const parsed = parseRanking('{"ranking": [2, 0, 1], "reasoning": "2 is the most complete", "confidence": 0.8}');
+  assert.deepEqual(parsed, { ranking: [2, 0, 1], reasoning: '2 is the most complete', confidence: 0.8 });
+});
+
+test('parseRanking tolerates code fences and prose around the JSON', () => {
+  const text = 'Here is my ranking:\n```json\n{"ranking": [1, 0]}\n```\nLet me know if you need more.';
+  assert.deepEqual(parseRanking(text), { ranking: [1, 0], reasoning: null, confidence: null });
+});
+
+test('parseRanking turns string indices into numbers', () => {
+  assert.deepEqual(parseRanking('{"ranking": ["3", "1"]}').ranking, [3, 1]);
+});
+
+test('parseRanking drops a reasoning or confidence of the wrong type', () => {
+  const parsed = parseRanking('{"ranking": [0], "reasoning": ["a"], "confidence": "high"}');
+  assert.equal(parsed.reasoning, null);
+  assert.equal(parsed.confidence, null);
+});
+
+test('parseRanking rejects a reply without JSON', () => {
+  assert.throws(() => parseRanking('I cannot rank these answers.'), /contains no JSON object/);
+});
+
+test('parseRanking rejects a reply without a ranking array', () => {
+  assert.throws(() => parseRanking('{"ranking": "0, 1"}'), /has no "ranking" array/);
+  assert.throws(() => parseRanking('{"reasoning": "none"}'), /has no "ranking" array/);
+});
+
+test('parseRanking rejects malformed JSON', () => {
+  assert.throws(() => parseRanking('{"ranking": [0, 1}'), SyntaxError);
+});
+
+test('toRankedIndices caps the ranking at maxWinners', () => {
+  assert.deepEqual(toRankedIndices([4, 3, 2, 1, 0], new Set([0, 1, 2, 3, 4]), 3), [4, 3, 2]);
+  assert.deepEqual(toRankedIndices([1, 0], new Set([0, 1]), 1), [1]);
+});
+
+test('toRankedIndices keeps a ranking shorter than maxWinners', () => {
+  assert.deepEqual(toRankedIndices([2], new Set([0, 1, 2]), 3), [2]);
+  assert.deepEqual(toRankedIndices([], new Set([0, 1, 2]), 3), []);
+});
+
+test('toRankedIndices skips indices the model was not shown', () => {
+  assert.deepEqual(toRankedIndices([5, 1, -1, 2, 0.5, NaN], new Set([0, 1, 2]), 3), [1, 2]);
+});
+
+test('toRankedIndices skips repeated indices', () => {
+  assert.deepEqual(toRankedIndices([1, 1, 0, 1, 2], new Set([0, 1, 2]), 3), [1, 0, 2]);
+});
+
+test('toRankedIndices counts only kept indices towards maxWinners', () => {
+  // The duplicate and the unknown index do not use up the two places
+  assert.deepEqual(toRankedIndices([3, 3, 7, 0, 2], new Set([0, 2, 3]), 2), [3, 0]);
+});
+
+test('buildPrompt lists every answer by its on-chain index', () => {
+  const prompt = buildPrompt({ content: 'Why is the sky blue?', maxWinners: 2 }, [
+    { index: 0, content: 'Rayleigh scattering' },
+    { index: 3, content: 'It reflects the sea' }
+  ]);
+  assert.match(prompt.user, /^Question:\nWhy is the sky blue\?/);
+  assert.match(prompt.user, /Rank at most 2 of these answers/);
+  assert.match(prompt.user, /<answer index="0">\nRayleigh scattering\n<\/answer>/);
+  assert.match(prompt.user, /<answer index="3">\nIt reflects the sea\n<\/answer>/);
+});
@@ -0,0 +1,117 @@
+/**
+ * Supabase reads and writes for the evaluation worker. Like the indexer's
+ * store, every helper throws on a Supabase error.
+ */
+
+const { PAGE_SIZE, must } = require('../indexer/store');
+
+/**
+ * Questions this evaluator is responsible for whose submission period has
+ * ended but which the indexer has not seen evaluated yet. The chain is the
+ * source of truth; callers still check `getQuestionStatus`.
+ * @param {string} evaluator
+ * @param {Date} now
+ */
+async function loadDueQuestions(supabase, evaluator, now) {
+  const questions = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const rows = await must(
+      supabase
+        .from('questions')
+        .select('question_id, contract_address, content, max_winners')
+        .eq('evaluator', evaluator.toLowerCase())
+        .in('status', ['active', 'ended'])
+        .lte('reveal_end_time', now.toISOString())
+        .order('end_time')
+        .range(from, from + PAGE_SIZE - 1),
+      'load questions awaiting evaluation'
+    );
+    questions.push(...rows);
+
+    if (rows.length < PAGE_SIZE) {
+      return questions;
+    }
+  }
+}
+
+async function loadAnswers(supabase, contractAddress) {
+  return must(
+    supabase
+      .from('answers')
+      .select('answer_index, content, content_salt')
+      .eq('contract_address', contractAddress.toLowerCase())
+      .order('answer_index'),
+    `load answers of ${contractAddress}`
+  );
+}
+
+/**
+ * @returns {Promise<Array<object>>} earlier AI evaluations of the question, newest first
+ */
+async function loadAiEvaluations(supabase, questionId) {
+  return must(
+    supabase
+      .from('ai_evaluations')
+      .select('id, ai_model, status, confidence_score, reasoning, ranked_answer_indices, evaluation_tx_hash')
+      .eq('question_id', questionId)
+      .order('created_at', { ascending: false }),
+    `load AI evaluations of question ${questionId}`
+  );
+}
+
+/**
+ * @returns {Promise<string>} id of the new pending row
+ */
+async function startAiEvaluation(supabase, { questionId, contractAddress, model, prompt }) {
+  const row = await must(
+    supabase
+      .from('ai_evaluations')
+      .insert({
+        question_id: questionId,
+        contract_address: contractAddress.toLowerCase(),
+        ai_model: model,
+        evaluation_prompt: prompt,
+        status: 'pending'
+      })
+      .select('id')
+      .single(),
+    `start AI evaluation of question ${questionId}`
+  );
+  return row.id;
+}
+
+async function updateAiEvaluation(supabase, id, fields) {
+  await must(supabase.from('ai_evaluations').update(fields).eq('id', id), `update AI evaluation ${id}`);
+}
+
+/**
+ * Records the worker's evaluation with the model's metadata. The indexer
+ * upserts the same row from the `Evaluated` event; neither overwrites the
+ * other's columns.
+ */
+async function recordEvaluation(supabase, { questionId, evaluator, rankedIndices, totalScore, txHash, aiEvaluation }) {
+  await must(
+    supabase.from('evaluations').upsert(
+      {
+        question_id: questionId,
+        evaluator: evaluator.toLowerCase(),
+        ranked_answer_indices: rankedIndices,
+        total_score: totalScore,
+        evaluation_tx_hash: txHash,
+        ai_evaluation_data: aiEvaluation
+      },
+      { onConflict: 'evaluation_tx_hash' }
+    ),
+    `record evaluation of question ${questionId}`
+  );
+}
+
+module.exports = {
+  loadDueQuestions,
+  loadAnswers,
+  loadAiEvaluations,
+  startAiEvaluation,
+  updateAiEvaluation,
+  recordEvaluation
+};
@@ -0,0 +1,32 @@
+const { StoaQuestionABI, StoaQuestionFactoryABI } = require('../sdk/abis');
+
+/**
+ * The events the indexer decodes, taken from the SDK ABIs. Only events with
+ * a handler are listed so unrelated logs (ownership, fee changes) are skipped.
+ */
+const eventsNamed = (abi, names) => abi.filter(item => item.type === 'event' && names.includes(item.name));
+
+const FACTORY_EVENTS_ABI = eventsNamed(StoaQuestionFactoryABI, ['QuestionCreated', 'Paused', 'Unpaused']);
+
+const QUESTION_EVENTS_ABI = eventsNamed(StoaQuestionABI, [
+  'AnswerSubmitted',
+  'AnswerSubmittedWithReferral',
+  'Seeded',
+  'SeedReclaimed',
+  'Evaluated',
+  'EvaluatorUpdated',
+  'QuestionExtended',
+  'QuestionClosedEarly',
+  'QuestionCancelled',
+  'AnswerRevealed',
+  'AnswerUpdated',
+  'DisputeOpened',
+  'DisputesResolved',
+  'DisputeBondReclaimed',
+  'RewardClaimed',
+  'UnclaimedRewardsSwept'
+]);
+
+const QUESTION_READ_ABI = StoaQuestionABI;
+
+module.exports = { FACTORY_EVENTS_ABI, QUESTION_EVENTS_ABI, QUESTION_READ_ABI };
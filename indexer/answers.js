@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Off-chain answer content
+ *
+ * `storeAnswerContent` saves an answer's canonical content and salt in
+ * Supabase once it matches the hash submitted on-chain. Run as a script, the
+ * verifier recomputes the commitment of every stored answer, compares it with
+ * `Answer.answerHash` on-chain and flags each row `verified` or `mismatch` in
+ * `answers.content_status`. It exits non-zero if any answer mismatches.
+ *
+ * Usage:
+ * node indexer/answers.js [--network base|base-sepolia|local]
+ *
+ * Reads the same RPC and Supabase environment variables as the indexer.
+ */
+
+const { createPublicClient, http } = require('viem');
+const { createClient } = require('@supabase/supabase-js');
+
+const { createCommitment, verifyCommitment } = require('../sdk/commitments');
+const { loadNetwork } = require('../sdk/networks');
+const { QUESTION_READ_ABI } = require('./abis');
+const { PAGE_SIZE, upsertUser, saveAnswerContent, loadAnswerContents, setAnswerContentStatus } = require('./store');
+
+// Answers read from the chain concurrently while verifying
+const READ_BATCH_SIZE = 20;
+
+function readAnswer(publicClient, contractAddress, answerIndex) {
+  return publicClient.readContract({
+    address: contractAddress,
+    abi: QUESTION_READ_ABI,
+    functionName: 'getAnswer',
+    args: [BigInt(answerIndex)]
+  });
+}
+
+/**
+ * Saves an answer's content after checking it against the on-chain hash.
+ * @param {object} params
+ * @param {import('@supabase/supabase-js').SupabaseClient} params.supabase
+ * @param {import('viem').PublicClient} params.publicClient
+ * @param {import('viem').Address} params.question
+ * @param {bigint | number} params.answerIndex
+ * @param {string} params.content Raw answer text; stored in canonical form
+ * @param {import('viem').Hex | null} [params.salt]
+ * @returns {Promise<import('../sdk/commitments').AnswerCommitment>}
+ */
+async function storeAnswerContent({ supabase, publicClient, question, answerIndex, content, salt = null }) {
+  const answer = await readAnswer(publicClient, question, answerIndex);
+  const commitment = createCommitment(content, { salt });
+  if (commitment.answerHash !== answer.answerHash) {
+    throw new Error(
+      `Content does not match answer ${answerIndex} of ${question}: ` +
+        `hashes to ${commitment.answerHash}, on-chain hash is ${answer.answerHash}`
+    );
+  }
+
+  await upsertUser(supabase, answer.responder, new Date(Number(answer.timestamp) * 1000));
+  await saveAnswerContent(supabase, {
+    contractAddress: question,
+    answerIndex,
+    answer,
+    content: commitment.content,
+    salt: commitment.salt,
+    status: 'verified'
+  });
+  return commitment;
+}
+
+/**
+ * Re-verifies every stored answer content against the chain.
+ * @returns {Promise<{checked: number, mismatches: Array<object>}>}
+ */
+async function verifyAnswerContents({ supabase, publicClient }) {
+  let checked = 0;
+  const mismatches = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const rows = await loadAnswerContents(supabase, from);
+
+    for (let i = 0; i < rows.length; i += READ_BATCH_SIZE) {
+      const batch = rows.slice(i, i + READ_BATCH_SIZE);
+      const answers = await Promise.all(
+        batch.map(row => readAnswer(publicClient, row.contract_address, row.answer_index))
+      );
+
+      for (const [j, row] of batch.entries()) {
+        const onChainHash = answers[j].answerHash;
+        const matches = verifyCommitment(row.content, row.content_salt, onChainHash);
+        const status = matches ? 'verified' : 'mismatch';
+
+        if (!matches) {
+          mismatches.push({
+            contractAddress: row.contract_address,
+            answerIndex: row.answer_index,
+            storedHash: row.answer_hash,
+            onChainHash
+          });
+        }
+        if (row.content_status !== status) {
+          await setAnswerContentStatus(supabase, row.id, status);
+        }
+        checked++;
+      }
+    }
+
+    if (rows.length < PAGE_SIZE) {
+      return { checked, mismatches };
+    }
+  }
+}
+
+async function main() {
+  const network = loadNetwork();
+  const missing = [network.rpcUrl ? null : network.rpcEnv, 'SUPABASE_URL', 'SUPABASE_SERVICE_KEY'].filter(
+    env => env && !process.env[env]
+  );
+  if (missing.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missing.forEach(env => console.error(`   - ${env}`));
+    process.exit(1);
+  }
+
+  const publicClient = createPublicClient({ chain: network.chain, transport: http(network.rpcUrl) });
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+  console.log(`🔍 Verifying answer content against ${network.name}...\n`);
+  const { checked, mismatches } = await verifyAnswerContents({ supabase, publicClient });
+
+  for (const mismatch of mismatches) {
+    console.log(`❌ Answer ${mismatch.answerIndex} of ${mismatch.contractAddress}`);
+    console.log(`   On-chain hash: ${mismatch.onChainHash}`);
+    console.log(`   Stored hash:   ${mismatch.storedHash}`);
+  }
+  console.log(`\n✅ Checked ${checked} answers, ${mismatches.length} mismatched`);
+
+  if (mismatches.length > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  // Load environment variables
+  require('dotenv').config();
+
+  main().catch(error => {
+    console.error('❌ Error verifying answers:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { storeAnswerContent, verifyAnswerContents };
@@ -0,0 +1,55 @@
+const { loadNetwork } = require('../sdk/networks');
+
+/**
+ * Indexer configuration, read from the `--network` flag (default base) and the environment.
+ *
+ * The RPC URL comes from the network's env var and the factory address and start block from its
+ * deployment manifest, deployments/<chainId>.json.
+ *
+ * Required:
+ * - BASE_RPC_URL: Base network RPC URL (BASE_SEPOLIA_RPC_URL / LOCAL_RPC_URL for the other networks)
+ * - SUPABASE_URL: Your Supabase project URL
+ * - SUPABASE_SERVICE_KEY: Supabase service role key
+ *
+ * Optional:
+ * - FACTORY_ADDRESS: StoaQuestionFactory address to index (default from the manifest)
+ * - INDEXER_START_BLOCK: First block to backfill from when no checkpoint exists (default the manifest's deployment block;
+ *   required when the manifest does not record one)
+ * - INDEXER_BLOCK_RANGE: Maximum number of blocks fetched per getLogs call (default 2000)
+ * - INDEXER_POLL_INTERVAL_MS: Delay between polls once caught up with the chain head (default 4000)
+ * - INDEXER_CONFIRMATIONS: Blocks an event must be buried under before it is marked final (default 20)
+ */
+const REQUIRED_ENV = ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'];
+
+function validateEnvironment(network = loadNetwork()) {
+  const missing = REQUIRED_ENV.filter(env => !process.env[env]);
+  if (!network.rpcUrl) {
+    missing.unshift(network.rpcEnv);
+  }
+  if (!process.env.FACTORY_ADDRESS && !network.factoryAddress) {
+    missing.push(`FACTORY_ADDRESS (no StoaQuestionFactory in the ${network.name} deployment manifest)`);
+  }
+
+  if (missing.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missing.forEach(env => console.error(`   - ${env}`));
+    process.exit(1);
+  }
+}
+
+function loadConfig(network = loadNetwork()) {
+  return {
+    network: network.name,
+    chain: network.chain,
+    rpcUrl: network.rpcUrl,
+    supabaseUrl: process.env.SUPABASE_URL,
+    supabaseKey: process.env.SUPABASE_SERVICE_KEY,
+    factoryAddress: process.env.FACTORY_ADDRESS || network.factoryAddress,
+    startBlock: process.env.INDEXER_START_BLOCK ? BigInt(process.env.INDEXER_START_BLOCK) : network.deploymentBlock,
+    blockRange: BigInt(process.env.INDEXER_BLOCK_RANGE || 2000),
+    pollIntervalMs: Number(process.env.INDEXER_POLL_INTERVAL_MS || 4000),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 20)
+  };
+}
+
+module.exports = { validateEnvironment, loadConfig };
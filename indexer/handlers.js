@@ -0,0 +1,1046 @@
+const { zeroAddress } = require('viem');
+
+const { QUESTION_READ_ABI } = require('./abis');
+const {
+  archiveAnswerVersion,
+  loadAnswer,
+  loadAnswerRevision,
+  loadEarlierAnswerUpdates,
+  loadQuestionDraft,
+  must,
+  upsertUser
+} = require('./store');
+
+/**
+ * Event handlers, keyed by event name.
+ *
+ * `apply` receives the indexer context and a decoded viem log and must be
+ * idempotent: a crash between applying an event and flagging it processed
+ * replays it on restart. Question state that the events don't carry (answer
+ * hashes, scores, the reward pool) is read from the contract at the event's
+ * block.
+ *
+ * `revert` receives the stored contract_events row when its block is
+ * reorged out and undoes the derived rows. Reward pool totals are restored
+ * by the caller once every reverted event has been undone.
+ */
+
+function readQuestion(ctx, log, functionName, args = []) {
+  return ctx.publicClient.readContract({
+    address: log.address,
+    abi: QUESTION_READ_ABI,
+    functionName,
+    args,
+    blockNumber: log.blockNumber
+  });
+}
+
+function questionFor(ctx, log) {
+  const question = ctx.questions.get(log.address.toLowerCase());
+  if (!question) {
+    throw new Error(`Unknown question contract ${log.address}`);
+  }
+  return question;
+}
+
+async function updateQuestion(ctx, questionId, fields) {
+  await must(
+    ctx.supabase.from('questions').update(fields).eq('question_id', questionId),
+    `update question ${questionId}`
+  );
+}
+
+/**
+ * Reads a getter that questions deployed before it was added don't have,
+ * returning `fallback` for those. Questions created before evaluators were
+ * separated from creators can only be evaluated by their creator, those
+ * created before disputes have no arbiter, those created before
+ * commit-reveal take open answers and those created before sweeping keep
+ * unclaimed rewards forever.
+ */
+async function readOptional(ctx, log, question, functionName, fallback) {
+  try {
+    return await ctx.publicClient.readContract({
+      address: question,
+      abi: QUESTION_READ_ABI,
+      functionName,
+      blockNumber: log.blockNumber
+    });
+  } catch (error) {
+    if (error.name !== 'ContractFunctionExecutionError') throw error;
+    return fallback;
+  }
+}
+
+async function onQuestionCreated(ctx, log) {
+  const { questionId, question, creator, token, submissionCost, duration, maxWinners } = log.args;
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+  const evaluator = await readOptional(ctx, log, question, 'evaluator', creator);
+  // The factory configures disputes before emitting QuestionCreated
+  const arbiter = await readOptional(ctx, log, question, 'arbiter', zeroAddress);
+  const disputes = arbiter !== zeroAddress;
+
+  // Content is written separately by whoever authored the question, or stored as a draft under the predicted
+  // address before a salted createQuestion
+  const draft = await loadQuestionDraft(ctx.supabase, question);
+
+  await upsertUser(ctx.supabase, creator, timestamp);
+
+  await must(
+    ctx.supabase.from('questions').upsert(
+      {
+        question_id: Number(questionId),
+        contract_address: question.toLowerCase(),
+        creator: creator.toLowerCase(),
+        token_address: token.toLowerCase(),
+        submission_cost: submissionCost.toString(),
+        max_winners: Number(maxWinners),
+        duration: Number(duration),
+        evaluator: evaluator.toLowerCase(),
+        arbiter: disputes ? arbiter.toLowerCase() : null,
+        dispute_period: disputes ? Number(await readOptional(ctx, log, question, 'disputePeriod', 0n)) : null,
+        dispute_bond: disputes ? (await readOptional(ctx, log, question, 'disputeBond', 0n)).toString() : null,
+        reveal_period: Number(await readOptional(ctx, log, question, 'revealPeriod', 0n)),
+        claim_period: Number(await readOptional(ctx, log, question, 'claimPeriod', 0n)) || null,
+        start_time: timestamp.toISOString(),
+        creation_tx_hash: log.transactionHash,
+        ...(draft && { content: draft.content })
+      },
+      { onConflict: 'question_id' }
+    ),
+    `upsert question ${questionId}`
+  );
+
+  ctx.questions.set(question.toLowerCase(), { questionId: Number(questionId), creator: creator.toLowerCase() });
+}
+
+async function revertQuestionCreated(ctx, event) {
+  const { questionId, question } = event.event_data;
+
+  // Answers, seeds, claims and evaluations cascade with the question
+  await must(
+    ctx.supabase.from('questions').delete().eq('question_id', Number(questionId)),
+    `delete question ${questionId}`
+  );
+
+  ctx.questions.delete(question);
+}
+
+async function onAnswerSubmitted(ctx, log) {
+  const { responder, index, referrer } = log.args;
+  const question = questionFor(ctx, log);
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+  const answer = await readQuestion(ctx, log, 'getAnswer', [index]);
+  const totalRewardPool = await readQuestion(ctx, log, 'totalRewardPool');
+
+  await upsertUser(ctx.supabase, responder, timestamp);
+
+  await must(
+    ctx.supabase.from('answers').upsert(
+      {
+        answer_index: Number(index),
+        question_id: question.questionId,
+        contract_address: log.address.toLowerCase(),
+        responder: responder.toLowerCase(),
+        answer_hash: answer.answerHash,
+        referrer: referrer ? referrer.toLowerCase() : null,
+        timestamp: new Date(Number(answer.timestamp) * 1000).toISOString(),
+        submission_tx_hash: log.transactionHash
+      },
+      { onConflict: 'contract_address,answer_index' }
+    ),
+    `upsert answer ${index} of question ${question.questionId}`
+  );
+
+  // Answers are appended in order, so the index alone gives the running count
+  await updateQuestion(ctx, question.questionId, {
+    total_submissions: Number(index) + 1,
+    total_reward_pool: totalRewardPool.toString()
+  });
+}
+
+async function revertAnswerSubmitted(ctx, event) {
+  const { index } = event.event_data;
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  await must(
+    ctx.supabase
+      .from('answers')
+      .delete()
+      .eq('contract_address', event.contract_address)
+      .eq('answer_index', Number(index)),
+    `delete answer ${index} of question ${question.questionId}`
+  );
+
+  await updateQuestion(ctx, question.questionId, { total_submissions: Number(index) });
+}
+
+/**
+ * A reveal replaces the sealed hash on-chain with the content hash. The
+ * sealed hash is the one the row holds, or kept from an earlier pass so
+ * replays and reverts agree.
+ */
+async function onAnswerRevealed(ctx, log) {
+  const { index, answerHash } = log.args;
+  const question = questionFor(ctx, log);
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+
+  const [answer] = await must(
+    ctx.supabase
+      .from('answers')
+      .select('answer_hash, sealed_hash')
+      .eq('contract_address', log.address.toLowerCase())
+      .eq('answer_index', Number(index)),
+    `load answer ${index} of question ${question.questionId}`
+  );
+  if (!answer) {
+    throw new Error(`Answer ${index} of question ${question.questionId} revealed before it was indexed`);
+  }
+  let sealedHash = answer.sealed_hash || answer.answer_hash;
+  if (sealedHash === answerHash) {
+    // Content saved for the revealed hash replaced the sealed one before this event. Answers only change while the
+    // question is open and reveals only once it has ended, so the block before still holds the sealed hash
+    const sealed = await readQuestion(ctx, { ...log, blockNumber: log.blockNumber - 1n }, 'getAnswer', [index]);
+    sealedHash = sealed.answerHash;
+  }
+
+  await must(
+    ctx.supabase
+      .from('answers')
+      .update({ answer_hash: answerHash, sealed_hash: sealedHash, revealed_at: timestamp.toISOString() })
+      .eq('contract_address', log.address.toLowerCase())
+      .eq('answer_index', Number(index)),
+    `reveal answer ${index} of question ${question.questionId}`
+  );
+}
+
+async function revertAnswerRevealed(ctx, event) {
+  const { index } = event.event_data;
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  const [answer] = await must(
+    ctx.supabase
+      .from('answers')
+      .select('sealed_hash')
+      .eq('contract_address', event.contract_address)
+      .eq('answer_index', Number(index)),
+    `load answer ${index} of question ${question.questionId}`
+  );
+  if (!answer || !answer.sealed_hash) return;
+
+  await must(
+    ctx.supabase
+      .from('answers')
+      .update({ answer_hash: answer.sealed_hash, sealed_hash: null, revealed_at: null })
+      .eq('contract_address', event.contract_address)
+      .eq('answer_index', Number(index)),
+    `unreveal answer ${index} of question ${question.questionId}`
+  );
+}
+
+/**
+ * A revision replaces the answer's hash on-chain. The version the answers
+ * row held moves to answer_revisions with its content, and the row starts
+ * over as unverified under the new hash.
+ *
+ * The answer's earlier AnswerUpdated events number the revision and give the
+ * hash it replaced, so several updates in one block each replace the version
+ * before them. Content saved ahead of the indexer may already have archived
+ * that version, or overwritten it if it had no content.
+ */
+async function onAnswerUpdated(ctx, log) {
+  const { index, answerHash } = log.args;
+  const question = questionFor(ctx, log);
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+  const totalRewardPool = await readQuestion(ctx, log, 'totalRewardPool');
+  const replacedBy = { tx_hash: log.transactionHash, log_index: log.logIndex, replaced_at: timestamp.toISOString() };
+
+  const answer = await loadAnswer(ctx.supabase, log.address, index);
+  if (!answer) {
+    throw new Error(`Answer ${index} of question ${question.questionId} updated before it was indexed`);
+  }
+
+  const earlier = await loadEarlierAnswerUpdates(ctx.supabase, ctx.chainId, log);
+  const revision = earlier.length;
+  const archived = await loadAnswerRevision(ctx.supabase, log.address, index, revision);
+  // The first update replaces the submitted version, whose hash only the row has
+  const replacedHash = revision > 0 ? earlier[revision - 1].event_data.answerHash : null;
+  const holdsReplaced =
+    answer.revisions === revision &&
+    answer.answer_hash !== answerHash &&
+    (replacedHash === null || answer.answer_hash === replacedHash);
+
+  if (archived) {
+    // Archived when the new content was saved, or by this event on an earlier pass
+    await must(
+      ctx.supabase.from('answer_revisions').update(replacedBy).eq('id', archived.id),
+      `record revision of answer ${index} of question ${question.questionId}`
+    );
+  } else if (holdsReplaced) {
+    await archiveAnswerVersion(ctx.supabase, answer, replacedBy);
+    await must(
+      ctx.supabase
+        .from('answers')
+        .update({
+          answer_hash: answerHash,
+          content: '',
+          content_salt: null,
+          content_status: 'unverified',
+          content_verified_at: null,
+          revisions: revision + 1
+        })
+        .eq('id', answer.id),
+      `revise answer ${index} of question ${question.questionId}`
+    );
+  } else {
+    // Content saved for a later hash overwrote this version, which had none; keep its hash at least. Nothing else
+    // changed the answer before its first update, so the block before holds the submitted hash
+    let hash = replacedHash;
+    if (!hash) {
+      const submitted = await readQuestion(ctx, { ...log, blockNumber: log.blockNumber - 1n }, 'getAnswer', [index]);
+      hash = submitted.answerHash;
+    }
+    await archiveAnswerVersion(
+      ctx.supabase,
+      {
+        ...answer,
+        revisions: revision,
+        answer_hash: hash,
+        content: '',
+        content_salt: null,
+        content_status: 'unverified'
+      },
+      replacedBy
+    );
+    await must(
+      ctx.supabase.from('answers').update({ revisions: Math.max(answer.revisions, revision + 1) }).eq('id', answer.id),
+      `count revision of answer ${index} of question ${question.questionId}`
+    );
+  }
+
+  await updateQuestion(ctx, question.questionId, { total_reward_pool: totalRewardPool.toString() });
+}
+
+async function revertAnswerUpdated(ctx, event) {
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  const [revision] = await must(
+    ctx.supabase
+      .from('answer_revisions')
+      .select('id, answer_id, revision, answer_hash, content, content_salt, content_status')
+      .eq('tx_hash', event.tx_hash)
+      .eq('log_index', event.log_index),
+    `load revision of question ${question.questionId}`
+  );
+  if (!revision) return;
+
+  await must(
+    ctx.supabase
+      .from('answers')
+      .update({
+        answer_hash: revision.answer_hash,
+        content: revision.content,
+        content_salt: revision.content_salt,
+        content_status: revision.content_status,
+        revisions: revision.revision
+      })
+      .eq('id', revision.answer_id),
+    `restore revision ${revision.revision} of question ${question.questionId}`
+  );
+  await must(
+    ctx.supabase.from('answer_revisions').delete().eq('id', revision.id),
+    `delete revision ${revision.revision} of question ${question.questionId}`
+  );
+}
+
+async function sumSeeds(ctx, questionId) {
+  const seeds = await must(
+    ctx.supabase.from('seeds').select('amount').eq('question_id', questionId),
+    `load seeds for question ${questionId}`
+  );
+  const seededAmount = seeds.reduce((sum, seed) => sum + BigInt(seed.amount), 0n);
+  return seededAmount.toString();
+}
+
+async function onSeeded(ctx, log) {
+  const { funder, amount } = log.args;
+  const question = questionFor(ctx, log);
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+  const totalRewardPool = await readQuestion(ctx, log, 'totalRewardPool');
+
+  // The factory seeds on the creator's behalf when createQuestion is given a seedAmount; factories before
+  // seedQuestionFor emitted their own address as the funder
+  const seeder =
+    funder.toLowerCase() === ctx.factoryAddress.toLowerCase() ? question.creator : funder.toLowerCase();
+
+  await upsertUser(ctx.supabase, seeder, timestamp);
+
+  await must(
+    ctx.supabase.from('seeds').upsert(
+      {
+        question_id: question.questionId,
+        funder: seeder,
+        amount: amount.toString(),
+        tx_hash: log.transactionHash,
+        log_index: log.logIndex,
+        seeded_at: timestamp.toISOString()
+      },
+      { onConflict: 'tx_hash,log_index' }
+    ),
+    `record seed for question ${question.questionId}`
+  );
+
+  await updateQuestion(ctx, question.questionId, {
+    seeded_amount: await sumSeeds(ctx, question.questionId),
+    total_reward_pool: totalRewardPool.toString()
+  });
+}
+
+async function revertSeeded(ctx, event) {
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  await must(
+    ctx.supabase.from('seeds').delete().eq('tx_hash', event.tx_hash).eq('log_index', event.log_index),
+    `delete seed for question ${question.questionId}`
+  );
+
+  await updateQuestion(ctx, question.questionId, {
+    seeded_amount: await sumSeeds(ctx, question.questionId)
+  });
+}
+
+/**
+ * A funder took their seed back from a question that ended without answers.
+ */
+async function onSeedReclaimed(ctx, log) {
+  const { funder, amount } = log.args;
+  const question = questionFor(ctx, log);
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+  const totalRewardPool = await readQuestion(ctx, log, 'totalRewardPool');
+
+  await must(
+    ctx.supabase.from('seed_reclaims').upsert(
+      {
+        question_id: question.questionId,
+        funder: funder.toLowerCase(),
+        amount: amount.toString(),
+        tx_hash: log.transactionHash,
+        log_index: log.logIndex,
+        reclaimed_at: timestamp.toISOString()
+      },
+      { onConflict: 'tx_hash,log_index' }
+    ),
+    `record seed reclaim for question ${question.questionId}`
+  );
+
+  await updateQuestion(ctx, question.questionId, { total_reward_pool: totalRewardPool.toString() });
+}
+
+async function revertSeedReclaimed(ctx, event) {
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  await must(
+    ctx.supabase.from('seed_reclaims').delete().eq('tx_hash', event.tx_hash).eq('log_index', event.log_index),
+    `delete seed reclaim for question ${question.questionId}`
+  );
+}
+
+/**
+ * Writes the score and rank of each ranked answer.
+ * @param {bigint[]} scores Score of each rank, best first
+ * @returns {bigint} the total score
+ */
+async function scoreAnswers(ctx, contractAddress, questionId, rankedAnswerIndices, scores) {
+  let totalScore = 0n;
+  for (let rank = 0; rank < rankedAnswerIndices.length; rank++) {
+    const index = rankedAnswerIndices[rank];
+    totalScore += scores[rank];
+
+    await must(
+      ctx.supabase
+        .from('answers')
+        .update({ score: Number(scores[rank]), rank: rank + 1 })
+        .eq('contract_address', contractAddress)
+        .eq('answer_index', Number(index)),
+      `score answer ${index} of question ${questionId}`
+    );
+  }
+  return totalScore;
+}
+
+async function resetScores(ctx, contractAddress, questionId) {
+  await must(
+    ctx.supabase.from('answers').update({ score: 0, rank: null }).eq('contract_address', contractAddress),
+    `reset scores of question ${questionId}`
+  );
+}
+
+async function onEvaluated(ctx, log) {
+  const { rankedAnswerIndices } = log.args;
+  const question = questionFor(ctx, log);
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+  // The evaluator, not the sender: evaluations can come through a relayer, multisig or router
+  const evaluator = await readOptional(ctx, log, log.address, 'evaluator', question.creator);
+  const disputeEndsAt = await readOptional(ctx, log, log.address, 'disputeEndsAt', 0n);
+
+  const answers = await Promise.all(rankedAnswerIndices.map(index => readQuestion(ctx, log, 'getAnswer', [index])));
+  const totalScore = await scoreAnswers(
+    ctx,
+    log.address.toLowerCase(),
+    question.questionId,
+    rankedAnswerIndices,
+    answers.map(answer => answer.score)
+  );
+
+  await must(
+    ctx.supabase.from('evaluations').upsert(
+      {
+        question_id: question.questionId,
+        evaluator: evaluator.toLowerCase(),
+        ranked_answer_indices: rankedAnswerIndices.map(Number),
+        total_score: Number(totalScore),
+        evaluation_tx_hash: log.transactionHash,
+        evaluated_at: timestamp.toISOString()
+      },
+      { onConflict: 'evaluation_tx_hash' }
+    ),
+    `record evaluation of question ${question.questionId}`
+  );
+
+  await updateQuestion(ctx, question.questionId, {
+    status: 'evaluated',
+    evaluated_at: timestamp.toISOString(),
+    evaluation_tx_hash: log.transactionHash,
+    // Without disputes the ranking is final at evaluation
+    dispute_ends_at: new Date(Number(disputeEndsAt) * 1000 || timestamp.getTime()).toISOString()
+  });
+}
+
+async function revertEvaluated(ctx, event) {
+  const { rankedAnswerIndices } = event.event_data;
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  await must(
+    ctx.supabase
+      .from('answers')
+      .update({ score: 0, rank: null })
+      .eq('contract_address', event.contract_address)
+      .in('answer_index', rankedAnswerIndices.map(Number)),
+    `reset scores of question ${question.questionId}`
+  );
+
+  await must(
+    ctx.supabase.from('evaluations').delete().eq('evaluation_tx_hash', event.tx_hash),
+    `delete evaluation of question ${question.questionId}`
+  );
+
+  await updateQuestion(ctx, question.questionId, {
+    status: 'active',
+    evaluated_at: null,
+    evaluation_tx_hash: null,
+    dispute_ends_at: null
+  });
+}
+
+async function onEvaluatorUpdated(ctx, log) {
+  const { newEvaluator } = log.args;
+  const question = questionFor(ctx, log);
+  await updateQuestion(ctx, question.questionId, { evaluator: newEvaluator.toLowerCase() });
+}
+
+async function revertEvaluatorUpdated(ctx, event) {
+  const { previousEvaluator } = event.event_data;
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  await updateQuestion(ctx, question.questionId, { evaluator: previousEvaluator });
+}
+
+/**
+ * Extending, closing early and cancelling move the question's end. The
+ * questions row keeps its start time and gets the new duration, from which
+ * the schema's trigger recomputes end_time and the deadlines after it. On
+ * revert the end is read from the block before the event's.
+ */
+async function syncEndTime(ctx, log, question) {
+  const endsAt = await readQuestion(ctx, log, 'endsAt');
+  const { start_time: startTime } = await must(
+    ctx.supabase.from('questions').select('start_time').eq('question_id', question.questionId).single(),
+    `load question ${question.questionId}`
+  );
+  await updateQuestion(ctx, question.questionId, {
+    duration: Number(endsAt) - Math.floor(new Date(startTime).getTime() / 1000)
+  });
+}
+
+function blockBefore(event) {
+  return { address: event.contract_address, blockNumber: BigInt(event.block_number) - 1n };
+}
+
+async function onDeadlineChanged(ctx, log) {
+  await syncEndTime(ctx, log, questionFor(ctx, log));
+}
+
+async function revertDeadlineChanged(ctx, event) {
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  await syncEndTime(ctx, blockBefore(event), question);
+}
+
+async function onQuestionCancelled(ctx, log) {
+  const question = questionFor(ctx, log);
+  await syncEndTime(ctx, log, question);
+  await updateQuestion(ctx, question.questionId, { status: 'cancelled' });
+}
+
+async function revertQuestionCancelled(ctx, event) {
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  // Only questions that were not evaluated and had no emergency refunds can be cancelled
+  await syncEndTime(ctx, blockBefore(event), question);
+  await updateQuestion(ctx, question.questionId, { status: 'active' });
+}
+
+/**
+ * The AI evaluation behind a submitted ranking is flagged `disputed` while a
+ * dispute against it is open and after the arbiter replaces it.
+ */
+async function setAiEvaluationStatus(ctx, contractAddress, from, to) {
+  await must(
+    ctx.supabase
+      .from('ai_evaluations')
+      .update({ status: to })
+      .eq('contract_address', contractAddress)
+      .eq('status', from)
+      .not('evaluation_tx_hash', 'is', null),
+    `mark AI evaluation of ${contractAddress} ${to}`
+  );
+}
+
+async function hasOpenDisputes(ctx, contractAddress) {
+  const open = await must(
+    ctx.supabase.from('disputes').select('id').eq('contract_address', contractAddress).eq('status', 'open').limit(1),
+    `load open disputes of ${contractAddress}`
+  );
+  return open.length > 0;
+}
+
+async function onDisputeOpened(ctx, log) {
+  const { challenger, index, reasonHash, bond } = log.args;
+  const question = questionFor(ctx, log);
+  const contractAddress = log.address.toLowerCase();
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+
+  await upsertUser(ctx.supabase, challenger, timestamp);
+
+  await must(
+    ctx.supabase.from('disputes').upsert(
+      {
+        question_id: question.questionId,
+        contract_address: contractAddress,
+        dispute_index: Number(index),
+        challenger: challenger.toLowerCase(),
+        reason_hash: reasonHash,
+        bond: bond.toString(),
+        opened_tx_hash: log.transactionHash,
+        opened_at: timestamp.toISOString()
+      },
+      { onConflict: 'contract_address,dispute_index' }
+    ),
+    `record dispute ${index} of question ${question.questionId}`
+  );
+
+  await updateQuestion(ctx, question.questionId, { status: 'disputed' });
+  await setAiEvaluationStatus(ctx, contractAddress, 'completed', 'disputed');
+}
+
+async function revertDisputeOpened(ctx, event) {
+  const { index } = event.event_data;
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  await must(
+    ctx.supabase
+      .from('disputes')
+      .delete()
+      .eq('contract_address', event.contract_address)
+      .eq('dispute_index', Number(index)),
+    `delete dispute ${index} of question ${question.questionId}`
+  );
+
+  if (!(await hasOpenDisputes(ctx, event.contract_address))) {
+    await updateQuestion(ctx, question.questionId, { status: 'evaluated' });
+    await setAiEvaluationStatus(ctx, event.contract_address, 'disputed', 'completed');
+  }
+}
+
+/**
+ * An upheld ranking slashes the bonds and leaves the scores alone; a
+ * replaced one refunds them and re-scores the answers.
+ */
+async function onDisputesResolved(ctx, log) {
+  const { rankingUpheld, rankedAnswerIndices } = log.args;
+  const question = questionFor(ctx, log);
+  const contractAddress = log.address.toLowerCase();
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+
+  await must(
+    ctx.supabase
+      .from('disputes')
+      .update({
+        status: rankingUpheld ? 'upheld' : 'overturned',
+        ranked_answer_indices: rankingUpheld ? null : rankedAnswerIndices.map(Number),
+        resolution_tx_hash: log.transactionHash,
+        resolved_at: timestamp.toISOString()
+      })
+      .eq('contract_address', contractAddress)
+      .eq('status', 'open'),
+    `resolve disputes of question ${question.questionId}`
+  );
+
+  if (!rankingUpheld) {
+    const answers = await Promise.all(rankedAnswerIndices.map(index => readQuestion(ctx, log, 'getAnswer', [index])));
+    await resetScores(ctx, contractAddress, question.questionId);
+    await scoreAnswers(
+      ctx,
+      contractAddress,
+      question.questionId,
+      rankedAnswerIndices,
+      answers.map(answer => answer.score)
+    );
+  }
+
+  await updateQuestion(ctx, question.questionId, { status: 'evaluated' });
+  if (rankingUpheld) {
+    await setAiEvaluationStatus(ctx, contractAddress, 'disputed', 'completed');
+  }
+}
+
+async function revertDisputesResolved(ctx, event) {
+  const { rankingUpheld } = event.event_data;
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  await must(
+    ctx.supabase
+      .from('disputes')
+      .update({ status: 'open', ranked_answer_indices: null, resolution_tx_hash: null, resolved_at: null })
+      .eq('resolution_tx_hash', event.tx_hash),
+    `reopen disputes of question ${question.questionId}`
+  );
+
+  if (!rankingUpheld) {
+    // Restore the evaluator's ranking; rank scores are fixed at creation
+    const { evaluation_tx_hash: evaluationTxHash } = await must(
+      ctx.supabase.from('questions').select('evaluation_tx_hash').eq('question_id', question.questionId).single(),
+      `load question ${question.questionId}`
+    );
+    const evaluation = await must(
+      ctx.supabase.from('evaluations').select('ranked_answer_indices').eq('evaluation_tx_hash', evaluationTxHash).single(),
+      `load evaluation of question ${question.questionId}`
+    );
+    const rankedAnswerIndices = evaluation.ranked_answer_indices.map(BigInt);
+    const scores = await Promise.all(
+      rankedAnswerIndices.map((_, rank) =>
+        ctx.publicClient.readContract({
+          address: event.contract_address,
+          abi: QUESTION_READ_ABI,
+          functionName: 'rankScore',
+          args: [BigInt(rank)]
+        })
+      )
+    );
+    await resetScores(ctx, event.contract_address, question.questionId);
+    await scoreAnswers(ctx, event.contract_address, question.questionId, rankedAnswerIndices, scores);
+  }
+
+  await updateQuestion(ctx, question.questionId, { status: 'disputed' });
+  await setAiEvaluationStatus(ctx, event.contract_address, 'completed', 'disputed');
+}
+
+/**
+ * The arbiter missed the deadline, so the evaluator's ranking stands.
+ */
+async function onDisputeBondReclaimed(ctx, log) {
+  const { challenger } = log.args;
+  const question = questionFor(ctx, log);
+  const contractAddress = log.address.toLowerCase();
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+
+  await must(
+    ctx.supabase
+      .from('disputes')
+      .update({ status: 'reclaimed', resolution_tx_hash: log.transactionHash, resolved_at: timestamp.toISOString() })
+      .eq('contract_address', contractAddress)
+      .eq('challenger', challenger.toLowerCase()),
+    `mark dispute of ${challenger} reclaimed for question ${question.questionId}`
+  );
+
+  if (!(await hasOpenDisputes(ctx, contractAddress))) {
+    await updateQuestion(ctx, question.questionId, { status: 'evaluated' });
+    await setAiEvaluationStatus(ctx, contractAddress, 'disputed', 'completed');
+  }
+}
+
+async function revertDisputeBondReclaimed(ctx, event) {
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  await must(
+    ctx.supabase
+      .from('disputes')
+      .update({ status: 'open', resolution_tx_hash: null, resolved_at: null })
+      .eq('resolution_tx_hash', event.tx_hash),
+    `reopen reclaimed dispute of question ${question.questionId}`
+  );
+
+  await updateQuestion(ctx, question.questionId, { status: 'disputed' });
+  await setAiEvaluationStatus(ctx, event.contract_address, 'completed', 'disputed');
+}
+
+/**
+ * RewardClaimed is emitted by both claimReward and emergencyRefund; the
+ * latter is only reachable while no answer is scored, either because the
+ * question was never evaluated, because its ranking has no winners or
+ * because it was cancelled.
+ */
+async function onRewardClaimed(ctx, log) {
+  const { user, amount } = log.args;
+  const question = questionFor(ctx, log);
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+  const scored = (await readQuestion(ctx, log, 'totalScore')) > 0n;
+
+  const answer = await must(
+    ctx.supabase
+      .from('answers')
+      .select('id')
+      .eq('contract_address', log.address.toLowerCase())
+      .eq('responder', user.toLowerCase())
+      .single(),
+    `load answer of ${user} for question ${question.questionId}`
+  );
+
+  if (scored) {
+    await must(
+      ctx.supabase.from('reward_claims').upsert(
+        {
+          question_id: question.questionId,
+          answer_id: answer.id,
+          claimer: user.toLowerCase(),
+          amount: amount.toString(),
+          tx_hash: log.transactionHash,
+          log_index: log.logIndex,
+          claimed_at: timestamp.toISOString()
+        },
+        { onConflict: 'tx_hash,log_index' }
+      ),
+      `record reward claim for question ${question.questionId}`
+    );
+
+    await must(
+      ctx.supabase
+        .from('answers')
+        .update({ rewarded: true, reward_amount: amount.toString(), reward_claim_tx_hash: log.transactionHash })
+        .eq('id', answer.id),
+      `mark answer ${answer.id} rewarded`
+    );
+  } else {
+    await must(
+      ctx.supabase.from('emergency_refunds').upsert(
+        {
+          question_id: question.questionId,
+          user_wallet: user.toLowerCase(),
+          refund_amount: amount.toString(),
+          tx_hash: log.transactionHash,
+          log_index: log.logIndex,
+          refunded_at: timestamp.toISOString()
+        },
+        { onConflict: 'tx_hash,log_index' }
+      ),
+      `record emergency refund for question ${question.questionId}`
+    );
+
+    await must(
+      ctx.supabase.from('answers').update({ rewarded: true }).eq('id', answer.id),
+      `mark answer ${answer.id} refunded`
+    );
+
+    // A cancelled question's refunds keep its status
+    await must(
+      ctx.supabase
+        .from('questions')
+        .update({ status: 'emergency' })
+        .eq('question_id', question.questionId)
+        .neq('status', 'cancelled'),
+      `update status of question ${question.questionId}`
+    );
+  }
+}
+
+async function revertRewardClaimed(ctx, event) {
+  const { user } = event.event_data;
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  // Only one of the two tables holds this log
+  for (const table of ['reward_claims', 'emergency_refunds']) {
+    await must(
+      ctx.supabase.from(table).delete().eq('tx_hash', event.tx_hash).eq('log_index', event.log_index),
+      `delete ${table} row for question ${question.questionId}`
+    );
+  }
+
+  await must(
+    ctx.supabase
+      .from('answers')
+      .update({ rewarded: false, reward_amount: 0, reward_claim_tx_hash: null })
+      .eq('contract_address', event.contract_address)
+      .eq('responder', user),
+    `reset claim of ${user} for question ${question.questionId}`
+  );
+
+  const refunds = await must(
+    ctx.supabase.from('emergency_refunds').select('id').eq('question_id', question.questionId).limit(1),
+    `load emergency refunds for question ${question.questionId}`
+  );
+  if (refunds.length === 0) {
+    const { evaluated_at: evaluatedAt } = await must(
+      ctx.supabase.from('questions').select('evaluated_at').eq('question_id', question.questionId).single(),
+      `load question ${question.questionId}`
+    );
+    await must(
+      ctx.supabase
+        .from('questions')
+        .update({ status: evaluatedAt ? 'evaluated' : 'active' })
+        .eq('question_id', question.questionId)
+        .eq('status', 'emergency'),
+      `reset status of question ${question.questionId}`
+    );
+  }
+}
+
+// Indexed by the contract's SweepDestination enum
+const SWEEP_DESTINATIONS = ['treasury', 'creator', 'follow_up'];
+
+async function onUnclaimedRewardsSwept(ctx, log) {
+  const { destination, recipient, amount } = log.args;
+  const question = questionFor(ctx, log);
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+
+  await must(
+    ctx.supabase.from('reward_sweeps').upsert(
+      {
+        question_id: question.questionId,
+        contract_address: log.address.toLowerCase(),
+        destination: SWEEP_DESTINATIONS[destination],
+        recipient: recipient.toLowerCase(),
+        amount: amount.toString(),
+        tx_hash: log.transactionHash,
+        log_index: log.logIndex,
+        swept_at: timestamp.toISOString()
+      },
+      { onConflict: 'tx_hash,log_index' }
+    ),
+    `record reward sweep for question ${question.questionId}`
+  );
+}
+
+async function revertUnclaimedRewardsSwept(ctx, event) {
+  const question = ctx.questions.get(event.contract_address);
+  if (!question) return;
+
+  await must(
+    ctx.supabase.from('reward_sweeps').delete().eq('tx_hash', event.tx_hash).eq('log_index', event.log_index),
+    `delete reward sweep for question ${question.questionId}`
+  );
+}
+
+/**
+ * The factory's guardian or owner paused or unpaused the protocol. A pause
+ * covers every question the factory created, so it is recorded once, against
+ * the factory, rather than on each question.
+ */
+async function onPaused(ctx, log) {
+  const { account } = log.args;
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+
+  await must(
+    ctx.supabase.from('protocol_pauses').upsert(
+      {
+        factory_address: log.address.toLowerCase(),
+        paused_by: account.toLowerCase(),
+        paused_at: timestamp.toISOString(),
+        tx_hash: log.transactionHash,
+        log_index: log.logIndex
+      },
+      { onConflict: 'tx_hash,log_index' }
+    ),
+    'record protocol pause'
+  );
+}
+
+async function revertPaused(ctx, event) {
+  await must(
+    ctx.supabase.from('protocol_pauses').delete().eq('tx_hash', event.tx_hash).eq('log_index', event.log_index),
+    'delete protocol pause'
+  );
+}
+
+async function onUnpaused(ctx, log) {
+  const { account } = log.args;
+  const timestamp = await ctx.getBlockTimestamp(log.blockNumber);
+
+  // The factory can't be paused twice, so at most one pause is open
+  await must(
+    ctx.supabase
+      .from('protocol_pauses')
+      .update({
+        unpaused_by: account.toLowerCase(),
+        unpaused_at: timestamp.toISOString(),
+        unpause_tx_hash: log.transactionHash
+      })
+      .eq('factory_address', log.address.toLowerCase())
+      .is('unpaused_at', null),
+    'close protocol pause'
+  );
+}
+
+async function revertUnpaused(ctx, event) {
+  await must(
+    ctx.supabase
+      .from('protocol_pauses')
+      .update({ unpaused_by: null, unpaused_at: null, unpause_tx_hash: null })
+      .eq('unpause_tx_hash', event.tx_hash),
+    'reopen protocol pause'
+  );
+}
+
+module.exports = {
+  QuestionCreated: { apply: onQuestionCreated, revert: revertQuestionCreated },
+  AnswerSubmitted: { apply: onAnswerSubmitted, revert: revertAnswerSubmitted },
+  AnswerSubmittedWithReferral: { apply: onAnswerSubmitted, revert: revertAnswerSubmitted },
+  AnswerRevealed: { apply: onAnswerRevealed, revert: revertAnswerRevealed },
+  AnswerUpdated: { apply: onAnswerUpdated, revert: revertAnswerUpdated },
+  Seeded: { apply: onSeeded, revert: revertSeeded },
+  SeedReclaimed: { apply: onSeedReclaimed, revert: revertSeedReclaimed },
+  Evaluated: { apply: onEvaluated, revert: revertEvaluated },
+  EvaluatorUpdated: { apply: onEvaluatorUpdated, revert: revertEvaluatorUpdated },
+  QuestionExtended: { apply: onDeadlineChanged, revert: revertDeadlineChanged },
+  QuestionClosedEarly: { apply: onDeadlineChanged, revert: revertDeadlineChanged },
+  QuestionCancelled: { apply: onQuestionCancelled, revert: revertQuestionCancelled },
+  DisputeOpened: { apply: onDisputeOpened, revert: revertDisputeOpened },
+  DisputesResolved: { apply: onDisputesResolved, revert: revertDisputesResolved },
+  DisputeBondReclaimed: { apply: onDisputeBondReclaimed, revert: revertDisputeBondReclaimed },
+  RewardClaimed: { apply: onRewardClaimed, revert: revertRewardClaimed },
+  UnclaimedRewardsSwept: { apply: onUnclaimedRewardsSwept, revert: revertUnclaimedRewardsSwept },
+  Paused: { apply: onPaused, revert: revertPaused },
+  Unpaused: { apply: onUnpaused, revert: revertUnpaused }
+};
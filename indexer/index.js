@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+// Load environment variables
+require('dotenv').config();
+
+/**
+ * Stoa event indexer
+ *
+ * Backfills every StoaQuestionFactory and StoaQuestion event from a start
+ * block, then tails the chain and mirrors them into the Supabase tables
+ * defined in schema.sql. The last fully indexed block is checkpointed in
+ * `indexer_checkpoints`, so a restart resumes where the previous run stopped.
+ *
+ * Events are applied as soon as they are seen and flagged `finalized` once
+ * they are INDEXER_CONFIRMATIONS blocks deep. Before each range the indexer
+ * re-checks the hashes of unfinalized blocks it relied on; if one changed,
+ * everything indexed after the last canonical block is reverted and
+ * re-indexed from the new chain.
+ *
+ * Usage:
+ * node indexer [--network base|base-sepolia|local]
+ *
+ * See ./config.js for the environment variables it reads.
+ */
+
+const { createPublicClient, http } = require('viem');
+const { createClient } = require('@supabase/supabase-js');
+
+const { FACTORY_EVENTS_ABI, QUESTION_EVENTS_ABI } = require('./abis');
+const { validateEnvironment, loadConfig } = require('./config');
+const handlers = require('./handlers');
+const { findReorg, rollbackTo } = require('./reorg');
+const {
+  loadQuestions,
+  loadCheckpoint,
+  saveCheckpoint,
+  recordBlock,
+  finalizeUpTo,
+  recordEvent,
+  markEventProcessed
+} = require('./store');
+
+// Keeps the address list of a single eth_getLogs call within common RPC limits
+const ADDRESS_BATCH_SIZE = 500;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function byPosition(a, b) {
+  if (a.blockNumber !== b.blockNumber) return a.blockNumber < b.blockNumber ? -1 : 1;
+  return a.logIndex - b.logIndex;
+}
+
+async function processLog(ctx, log) {
+  const alreadyProcessed = await recordEvent(ctx.supabase, ctx.chainId, log);
+  if (alreadyProcessed) return;
+
+  await handlers[log.eventName].apply(ctx, log);
+  await markEventProcessed(ctx.supabase, ctx.chainId, log);
+}
+
+/**
+ * Throws if a log of the range's last block comes from another chain than
+ * the hash recorded for it, i.e. the block was reorged between the two reads.
+ */
+function checkBlockHash(logs, lastBlock) {
+  const stale = logs.find(log => log.blockNumber === lastBlock.number && log.blockHash !== lastBlock.hash);
+  if (stale) {
+    throw new Error(`Block ${lastBlock.number} was reorged while indexing (${stale.blockHash} != ${lastBlock.hash})`);
+  }
+}
+
+/**
+ * Indexes every event in [fromBlock, lastBlock.number]. Factory events are
+ * applied first so that questions created in the range are known before
+ * their own events (including the Seeded event emitted inside
+ * createQuestion) are.
+ * @param {import('viem').Block} lastBlock The range's last block, read before its logs
+ */
+async function indexRange(ctx, fromBlock, lastBlock) {
+  const toBlock = lastBlock.number;
+  const factoryLogs = await ctx.publicClient.getLogs({
+    address: ctx.factoryAddress,
+    events: FACTORY_EVENTS_ABI,
+    fromBlock,
+    toBlock,
+    strict: true
+  });
+  checkBlockHash(factoryLogs, lastBlock);
+
+  for (const log of factoryLogs.sort(byPosition)) {
+    await processLog(ctx, log);
+  }
+
+  const addresses = [...ctx.questions.keys()];
+  const questionLogs = [];
+  for (let i = 0; i < addresses.length; i += ADDRESS_BATCH_SIZE) {
+    const logs = await ctx.publicClient.getLogs({
+      address: addresses.slice(i, i + ADDRESS_BATCH_SIZE),
+      events: QUESTION_EVENTS_ABI,
+      fromBlock,
+      toBlock,
+      strict: true
+    });
+    questionLogs.push(...logs);
+  }
+  checkBlockHash(questionLogs, lastBlock);
+
+  for (const log of questionLogs.sort(byPosition)) {
+    await processLog(ctx, log);
+  }
+
+  return factoryLogs.length + questionLogs.length;
+}
+
+async function runIndexer(config = loadConfig()) {
+  const publicClient = createPublicClient({
+    chain: config.chain,
+    transport: http(config.rpcUrl)
+  });
+  const supabase = createClient(config.supabaseUrl, config.supabaseKey);
+
+  const blockTimestamps = new Map();
+  const checkpointId = `${config.chain.id}:${config.factoryAddress.toLowerCase()}`;
+  const ctx = {
+    publicClient,
+    supabase,
+    checkpointId,
+    chainId: config.chain.id,
+    factoryAddress: config.factoryAddress,
+    questions: await loadQuestions(supabase),
+    async getBlockTimestamp(blockNumber) {
+      if (!blockTimestamps.has(blockNumber)) {
+        const block = await publicClient.getBlock({ blockNumber });
+        blockTimestamps.set(blockNumber, new Date(Number(block.timestamp) * 1000));
+      }
+      return blockTimestamps.get(blockNumber);
+    }
+  };
+
+  let checkpoint = await loadCheckpoint(supabase, checkpointId);
+  if (checkpoint === null) {
+    if (config.startBlock === null) {
+      throw new Error(
+        `The ${config.network} deployment manifest does not record when the Stoa contracts were deployed; ` +
+          'set INDEXER_START_BLOCK'
+      );
+    }
+    checkpoint = { blockNumber: config.startBlock - 1n, finalizedBlock: config.startBlock - 1n };
+    await saveCheckpoint(supabase, checkpointId, checkpoint);
+  }
+
+  let stopping = false;
+  const stop = () => {
+    console.log('\n🛑 Stopping after the current block range...');
+    stopping = true;
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  console.log('🚀 Stoa indexer started');
+  console.log(`   Network: ${config.network}`);
+  console.log(`   Factory: ${config.factoryAddress}`);
+  console.log(`   Tracked questions: ${ctx.questions.size}`);
+  console.log(`   Confirmations: ${config.confirmations}`);
+  console.log(`   Resuming after block: ${checkpoint.blockNumber}\n`);
+
+  while (!stopping) {
+    try {
+      const lastCanonical = await findReorg(ctx, checkpoint);
+      if (lastCanonical !== null) {
+        console.log(`⚠️  Reorg detected, rolling back to block ${lastCanonical}`);
+        const reverted = await rollbackTo(ctx, lastCanonical);
+        checkpoint = { ...checkpoint, blockNumber: lastCanonical };
+        await saveCheckpoint(supabase, checkpointId, checkpoint);
+        blockTimestamps.clear();
+        console.log(`   Reverted ${reverted} events`);
+      }
+
+      const head = await publicClient.getBlockNumber();
+      if (checkpoint.blockNumber >= head) {
+        await sleep(config.pollIntervalMs);
+        continue;
+      }
+
+      const fromBlock = checkpoint.blockNumber + 1n;
+      const toBlock = fromBlock + config.blockRange - 1n < head ? fromBlock + config.blockRange - 1n : head;
+
+      // Recorded before the logs are read: if the range is reorged meanwhile, the stored hash no longer matches the
+      // chain and the next pass rolls the range back
+      const lastBlock = await publicClient.getBlock({ blockNumber: toBlock });
+      await recordBlock(supabase, checkpointId, lastBlock);
+      const count = await indexRange(ctx, fromBlock, lastBlock);
+
+      const safeBlock = head - BigInt(config.confirmations);
+      const finalizedBlock = safeBlock < toBlock ? safeBlock : toBlock;
+      if (finalizedBlock > checkpoint.finalizedBlock) {
+        await finalizeUpTo(supabase, checkpointId, ctx.chainId, finalizedBlock);
+      }
+
+      checkpoint = {
+        blockNumber: toBlock,
+        finalizedBlock: finalizedBlock > checkpoint.finalizedBlock ? finalizedBlock : checkpoint.finalizedBlock
+      };
+      await saveCheckpoint(supabase, checkpointId, checkpoint);
+      blockTimestamps.clear();
+
+      if (count > 0) {
+        console.log(`📦 Blocks ${fromBlock}-${toBlock}: applied ${count} events`);
+      }
+    } catch (error) {
+      console.error('❌ Error indexing events:', error.message);
+      await sleep(config.pollIntervalMs);
+    }
+  }
+}
+
+// Run the indexer
+if (require.main === module) {
+  validateEnvironment();
+  runIndexer().catch(error => {
+    console.error('❌ Indexer crashed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runIndexer, indexRange };
@@ -0,0 +1,67 @@
+const { QUESTION_READ_ABI } = require('./abis');
+const handlers = require('./handlers');
+const { must, loadUnfinalizedHashes, loadEventsAfter, deleteEvent, deleteBlocksAfter } = require('./store');
+
+/**
+ * Compares every block hash the indexer relied on above the finalized
+ * block with the canonical chain.
+ * @returns {Promise<bigint|null>} the newest block still known to be canonical
+ *          below the first mismatch, or null if nothing was reorged
+ */
+async function findReorg(ctx, checkpoint) {
+  const hashes = await loadUnfinalizedHashes(ctx.supabase, ctx.checkpointId, ctx.chainId, checkpoint.finalizedBlock);
+
+  let lastCanonical = checkpoint.finalizedBlock;
+  for (const { blockNumber, blockHash } of hashes) {
+    const block = await ctx.publicClient.getBlock({ blockNumber });
+    if (block.hash !== blockHash) {
+      return lastCanonical;
+    }
+    lastCanonical = blockNumber;
+  }
+
+  return null;
+}
+
+/**
+ * Undoes every event indexed after `blockNumber`, newest first, then
+ * re-reads the reward pool of each touched question at `blockNumber`.
+ */
+async function rollbackTo(ctx, blockNumber) {
+  const events = await loadEventsAfter(ctx.supabase, ctx.chainId, blockNumber);
+  const touched = new Set();
+
+  for (const event of events) {
+    if (event.processed) {
+      await handlers[event.event_name].revert(ctx, event);
+    }
+    await deleteEvent(ctx.supabase, event);
+    touched.add(event.contract_address);
+  }
+
+  for (const address of touched) {
+    const question = ctx.questions.get(address);
+    if (!question) continue; // The factory, or a question that was itself rolled back
+
+    const totalRewardPool = await ctx.publicClient.readContract({
+      address,
+      abi: QUESTION_READ_ABI,
+      functionName: 'totalRewardPool',
+      blockNumber
+    });
+
+    await must(
+      ctx.supabase
+        .from('questions')
+        .update({ total_reward_pool: totalRewardPool.toString() })
+        .eq('question_id', question.questionId),
+      `restore reward pool of question ${question.questionId}`
+    );
+  }
+
+  await deleteBlocksAfter(ctx.supabase, ctx.checkpointId, blockNumber);
+
+  return events.length;
+}
+
+module.exports = { findReorg, rollbackTo };
@@ -0,0 +1,223 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { indexRange } = require('.');
+const { findReorg, rollbackTo } = require('./reorg');
+const { finalizeUpTo, recordBlock } = require('./store');
+
+const CHAIN_ID = 31337;
+const CHECKPOINT_ID = `${CHAIN_ID}:factory`;
+const FACTORY = '0x00000000000000000000000000000000000000fa';
+const QUESTION = '0x00000000000000000000000000000000000000aa';
+const FUNDER = '0x00000000000000000000000000000000000000f1';
+
+/**
+ * In-memory stand-in for the Supabase tables, supporting the filters, ordering and writes the indexer uses.
+ */
+function createSupabase(tables) {
+  return {
+    tables,
+    from(name) {
+      const filters = [];
+      const orders = [];
+      let write = null;
+      let single = false;
+
+      const run = () => {
+        const rows = (tables[name] = tables[name] || []);
+        const matches = rows.filter(row => filters.every(filter => filter(row)));
+        if (write) return write(rows, matches);
+        const sorted = orders.reduceRight(
+          (sorted, [column, ascending]) =>
+            [...sorted].sort((a, b) => (a[column] === b[column] ? 0 : (a[column] < b[column]) === ascending ? -1 : 1)),
+          matches
+        );
+        const copies = sorted.map(row => ({ ...row }));
+        return single ? copies[0] || null : copies;
+      };
+
+      const filter = predicate => {
+        filters.push(predicate);
+        return query;
+      };
+      const query = {
+        select: () => query,
+        eq: (column, value) => filter(row => row[column] === value),
+        gt: (column, value) => filter(row => row[column] > value),
+        lt: (column, value) => filter(row => row[column] < value),
+        lte: (column, value) => filter(row => row[column] <= value),
+        in: (column, values) => filter(row => values.includes(row[column])),
+        order(column, { ascending = true } = {}) {
+          orders.push([column, ascending]);
+          return query;
+        },
+        maybeSingle() {
+          single = true;
+          return query;
+        },
+        insert(row) {
+          write = rows => rows.push({ finalized: false, ...row }) && null;
+          return query;
+        },
+        upsert(row, { onConflict, ignoreDuplicates } = {}) {
+          write = rows => {
+            const keys = onConflict.split(',');
+            const existing = rows.find(other => keys.every(key => other[key] === row[key]));
+            if (!existing) rows.push({ ...row });
+            else if (!ignoreDuplicates) Object.assign(existing, row);
+            return null;
+          };
+          return query;
+        },
+        update(fields) {
+          write = (rows, matches) => matches.forEach(row => Object.assign(row, fields)) || null;
+          return query;
+        },
+        delete() {
+          write = (rows, matches) => {
+            tables[name] = rows.filter(row => !matches.includes(row));
+            return null;
+          };
+          return query;
+        },
+        then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+      };
+      return query;
+    }
+  };
+}
+
+const seeded = (blockNumber, blockHash, amount, logIndex = 0) => ({
+  address: QUESTION,
+  eventName: 'Seeded',
+  args: { funder: FUNDER, amount },
+  blockNumber,
+  blockHash,
+  transactionHash: `0x${blockHash.slice(2)}${logIndex}`,
+  logIndex
+});
+
+/**
+ * A chain of blocks 10-12, each optionally seeding the question; the reward pool is the sum of the seeds so far.
+ * @param {Record<number, {hash: string, seed?: bigint}>} blocks
+ */
+function createChain(blocks) {
+  const chain = { blocks };
+  chain.publicClient = {
+    getBlock: async ({ blockNumber }) => ({ number: blockNumber, hash: chain.blocks[blockNumber].hash }),
+    async getLogs({ address, fromBlock, toBlock }) {
+      if (address === FACTORY) return [];
+      return Object.entries(chain.blocks)
+        .filter(([number, block]) => block.seed && BigInt(number) >= fromBlock && BigInt(number) <= toBlock)
+        .map(([number, block]) => seeded(BigInt(number), block.hash, block.seed));
+    },
+    async readContract({ functionName, blockNumber }) {
+      assert.equal(functionName, 'totalRewardPool');
+      return Object.entries(chain.blocks)
+        .filter(([number]) => BigInt(number) <= blockNumber)
+        .reduce((pool, [, block]) => pool + (block.seed || 0n), 0n);
+    }
+  };
+  return chain;
+}
+
+function setup() {
+  const chain = createChain({
+    10: { hash: '0xa10', seed: 100n },
+    11: { hash: '0xa11', seed: 50n },
+    12: { hash: '0xa12' }
+  });
+  const supabase = createSupabase({
+    questions: [{ question_id: 1, contract_address: QUESTION, total_reward_pool: '0', seeded_amount: '0' }],
+    // Another chain's events share the table and must be left alone
+    contract_events: [
+      { chain_id: 84532, block_number: 11, block_hash: '0xother', tx_hash: '0xother', log_index: 0, finalized: false }
+    ]
+  });
+  const ctx = {
+    supabase,
+    publicClient: chain.publicClient,
+    chainId: CHAIN_ID,
+    checkpointId: CHECKPOINT_ID,
+    factoryAddress: FACTORY,
+    questions: new Map([[QUESTION, { questionId: 1, creator: FUNDER }]]),
+    getBlockTimestamp: async blockNumber => new Date(Number(blockNumber) * 1000)
+  };
+  return { chain, supabase, ctx };
+}
+
+async function index(ctx, chain, fromBlock, toBlock) {
+  const lastBlock = await chain.publicClient.getBlock({ blockNumber: toBlock });
+  await indexRange(ctx, fromBlock, lastBlock);
+  await recordBlock(ctx.supabase, ctx.checkpointId, lastBlock);
+}
+
+const seeds = supabase => supabase.tables.seeds.map(seed => seed.amount);
+const ownEvents = supabase => supabase.tables.contract_events.filter(event => event.chain_id === CHAIN_ID);
+
+test('rolls back the events of reorged blocks and applies the new chain', async () => {
+  const { chain, supabase, ctx } = setup();
+  await index(ctx, chain, 10n, 12n);
+  assert.deepEqual(seeds(supabase), ['100', '50']);
+  assert.equal(supabase.tables.questions[0].total_reward_pool, '150');
+  assert.equal(await findReorg(ctx, { finalizedBlock: 9n }), null);
+
+  // Block 11 is replaced by one that seeds 70 instead of 50
+  chain.blocks = { 10: chain.blocks[10], 11: { hash: '0xb11', seed: 70n }, 12: { hash: '0xb12' } };
+  const lastCanonical = await findReorg(ctx, { finalizedBlock: 9n });
+  assert.equal(lastCanonical, 10n);
+
+  assert.equal(await rollbackTo(ctx, lastCanonical), 1);
+  assert.deepEqual(seeds(supabase), ['100']);
+  assert.equal(supabase.tables.questions[0].seeded_amount, '100');
+  assert.equal(supabase.tables.questions[0].total_reward_pool, '100');
+  assert.deepEqual(ownEvents(supabase).map(event => event.block_number), [10]);
+  assert.equal(supabase.tables.contract_events.filter(event => event.chain_id === 84532).length, 1);
+  assert.deepEqual(supabase.tables.indexer_blocks, []);
+
+  await index(ctx, chain, lastCanonical + 1n, 12n);
+  assert.deepEqual(seeds(supabase), ['100', '70']);
+  assert.equal(supabase.tables.questions[0].seeded_amount, '170');
+  assert.equal(supabase.tables.questions[0].total_reward_pool, '170');
+  assert.deepEqual(ownEvents(supabase).map(event => event.block_hash), ['0xa10', '0xb11']);
+  assert.equal(await findReorg(ctx, { finalizedBlock: 9n }), null);
+});
+
+test('detects a reorg of a recorded range end that had no events', async () => {
+  const { chain, ctx } = setup();
+  await index(ctx, chain, 10n, 12n);
+
+  chain.blocks = { ...chain.blocks, 12: { hash: '0xb12' } };
+  assert.equal(await findReorg(ctx, { finalizedBlock: 9n }), 11n);
+});
+
+test('finalizes events up to the finalized block and stops checking below it', async () => {
+  const { chain, supabase, ctx } = setup();
+  await index(ctx, chain, 10n, 11n);
+  await index(ctx, chain, 12n, 12n);
+
+  await finalizeUpTo(supabase, ctx.checkpointId, ctx.chainId, 11n);
+  assert.deepEqual(
+    ownEvents(supabase).map(event => [event.block_number, event.finalized]),
+    [
+      [10, true],
+      [11, true]
+    ]
+  );
+  // The other chain's unfinalized event is untouched
+  assert.equal(supabase.tables.contract_events.find(event => event.chain_id === 84532).finalized, false);
+  // The newest finalized range end is kept as an anchor
+  assert.deepEqual(supabase.tables.indexer_blocks.map(block => block.block_number), [11, 12]);
+
+  // A block at or below the finalized one can no longer be reorged
+  chain.blocks = { ...chain.blocks, 11: { hash: '0xb11', seed: 50n } };
+  assert.equal(await findReorg(ctx, { finalizedBlock: 11n }), null);
+});
+
+test('refuses a range whose logs come from another fork than its last block', async () => {
+  const { chain, ctx } = setup();
+  const lastBlock = await chain.publicClient.getBlock({ blockNumber: 11n });
+  chain.blocks = { ...chain.blocks, 11: { hash: '0xb11', seed: 70n } };
+
+  await assert.rejects(indexRange(ctx, 10n, lastBlock), /Block 11 was reorged while indexing/);
+});
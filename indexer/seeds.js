@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Seed reconciliation
+ *
+ * Questions track how much each funder seeded (`seededAmounts`), so a funder
+ * can reclaim it if nobody answers. The verifier nets every funder's rows in
+ * `seeds` against their rows in `seed_reclaims` and compares the result with
+ * `seededAmounts(funder)` on-chain. It exits non-zero if any funder differs,
+ * which means events were missed or applied twice.
+ *
+ * Usage:
+ * node indexer/seeds.js [--network base|base-sepolia|local]
+ *
+ * Reads the same RPC and Supabase environment variables as the indexer.
+ */
+
+const { createPublicClient, http } = require('viem');
+const { createClient } = require('@supabase/supabase-js');
+
+const { loadNetwork } = require('../sdk/networks');
+const { QUESTION_READ_ABI } = require('./abis');
+const { PAGE_SIZE, must, loadQuestions } = require('./store');
+
+// Funders read from the chain concurrently while verifying
+const READ_BATCH_SIZE = 20;
+
+async function loadAll(supabase, table) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const page = await must(
+      supabase
+        .from(table)
+        .select('question_id, funder, amount')
+        .order('id')
+        .range(from, from + PAGE_SIZE - 1),
+      `load ${table}`
+    );
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Compares the indexed seeds of every funder with the question contracts.
+ * @returns {Promise<{checked: number, mismatches: Array<object>}>}
+ */
+async function verifySeeds({ supabase, publicClient }) {
+  const questions = await loadQuestions(supabase);
+  const addresses = new Map([...questions].map(([address, question]) => [question.questionId, address]));
+
+  // Net amount per question and funder: seeds minus reclaims
+  const expected = new Map();
+  const add = (row, sign) => {
+    const key = `${row.question_id}:${row.funder}`;
+    expected.set(key, (expected.get(key) || 0n) + sign * BigInt(row.amount));
+  };
+  (await loadAll(supabase, 'seeds')).forEach(row => add(row, 1n));
+  (await loadAll(supabase, 'seed_reclaims')).forEach(row => add(row, -1n));
+
+  const entries = [...expected.entries()];
+  const mismatches = [];
+  for (let i = 0; i < entries.length; i += READ_BATCH_SIZE) {
+    const batch = entries.slice(i, i + READ_BATCH_SIZE).map(([key, amount]) => {
+      const [questionId, funder] = key.split(':');
+      return { contractAddress: addresses.get(Number(questionId)), funder, amount };
+    });
+    const onChain = await Promise.all(
+      batch.map(({ contractAddress, funder }) =>
+        publicClient.readContract({
+          address: contractAddress,
+          abi: QUESTION_READ_ABI,
+          functionName: 'seededAmounts',
+          args: [funder]
+        })
+      )
+    );
+
+    for (const [j, entry] of batch.entries()) {
+      if (onChain[j] !== entry.amount) {
+        mismatches.push({ ...entry, onChainAmount: onChain[j] });
+      }
+    }
+  }
+  return { checked: entries.length, mismatches };
+}
+
+async function main() {
+  const network = loadNetwork();
+  const missing = [network.rpcUrl ? null : network.rpcEnv, 'SUPABASE_URL', 'SUPABASE_SERVICE_KEY'].filter(
+    env => env && !process.env[env]
+  );
+  if (missing.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missing.forEach(env => console.error(`   - ${env}`));
+    process.exit(1);
+  }
+
+  const publicClient = createPublicClient({ chain: network.chain, transport: http(network.rpcUrl) });
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+  console.log(`🔍 Reconciling seeds against ${network.name}...\n`);
+  const { checked, mismatches } = await verifySeeds({ supabase, publicClient });
+
+  for (const mismatch of mismatches) {
+    console.log(`❌ Seed of ${mismatch.funder} in ${mismatch.contractAddress}`);
+    console.log(`   On-chain amount: ${mismatch.onChainAmount}`);
+    console.log(`   Indexed amount:  ${mismatch.amount}`);
+  }
+  console.log(`\n✅ Checked ${checked} funders, ${mismatches.length} mismatched`);
+
+  if (mismatches.length > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  // Load environment variables
+  require('dotenv').config();
+
+  main().catch(error => {
+    console.error('❌ Error verifying seeds:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { verifySeeds };
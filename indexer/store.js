@@ -0,0 +1,452 @@
+/**
+ * Thin helpers around the Supabase tables the indexer writes to.
+ * Every helper throws on a Supabase error so the caller can retry the
+ * whole block range instead of leaving it half applied.
+ */
+
+const PAGE_SIZE = 1000;
+
+async function must(query, action) {
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to ${action}: ${error.message}`);
+  }
+  return data;
+}
+
+async function upsertUser(supabase, wallet, joinedAt) {
+  await must(
+    supabase
+      .from('users')
+      .upsert({ wallet: wallet.toLowerCase(), joined_at: joinedAt.toISOString() }, {
+        onConflict: 'wallet',
+        ignoreDuplicates: true
+      }),
+    `upsert user ${wallet}`
+  );
+}
+
+/**
+ * Loads every indexed question so the indexer can resume watching their
+ * contracts after a restart.
+ * @returns {Promise<Map<string, {questionId: number, creator: string}>>} keyed by lowercase contract address
+ */
+async function loadQuestions(supabase) {
+  const questions = new Map();
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const rows = await must(
+      supabase
+        .from('questions')
+        .select('question_id, contract_address, creator')
+        .order('question_id')
+        .range(from, from + PAGE_SIZE - 1),
+      'load questions'
+    );
+
+    for (const row of rows) {
+      questions.set(row.contract_address.toLowerCase(), { questionId: row.question_id, creator: row.creator });
+    }
+
+    if (rows.length < PAGE_SIZE) {
+      return questions;
+    }
+  }
+}
+
+/**
+ * @returns {Promise<{blockNumber: bigint, finalizedBlock: bigint}|null>} the last fully indexed block and
+ *          the last block considered final, or null if the indexer never ran
+ */
+async function loadCheckpoint(supabase, id) {
+  const row = await must(
+    supabase.from('indexer_checkpoints').select('block_number, finalized_block').eq('id', id).maybeSingle(),
+    'load checkpoint'
+  );
+  return row ? { blockNumber: BigInt(row.block_number), finalizedBlock: BigInt(row.finalized_block) } : null;
+}
+
+async function saveCheckpoint(supabase, id, { blockNumber, finalizedBlock }) {
+  await must(
+    supabase.from('indexer_checkpoints').upsert(
+      {
+        id,
+        block_number: Number(blockNumber),
+        finalized_block: Number(finalizedBlock),
+        updated_at: new Date().toISOString()
+      },
+      { onConflict: 'id' }
+    ),
+    'save checkpoint'
+  );
+}
+
+/**
+ * Remembers the hash of the last block of an indexed range so a later
+ * reorg below it can be detected even if the range had no events.
+ */
+async function recordBlock(supabase, checkpointId, block) {
+  await must(
+    supabase
+      .from('indexer_blocks')
+      .upsert(
+        { checkpoint_id: checkpointId, block_number: Number(block.number), block_hash: block.hash },
+        { onConflict: 'checkpoint_id,block_number' }
+      ),
+    `record block ${block.number}`
+  );
+}
+
+/**
+ * @returns {Promise<Array<{blockNumber: bigint, blockHash: string}>>} every block hash the indexer relied on
+ *          above `finalizedBlock`, from recorded range ends and from unfinalized events
+ */
+async function loadUnfinalizedHashes(supabase, checkpointId, chainId, finalizedBlock) {
+  const blocks = await must(
+    supabase
+      .from('indexer_blocks')
+      .select('block_number, block_hash')
+      .eq('checkpoint_id', checkpointId)
+      .gt('block_number', Number(finalizedBlock)),
+    'load unfinalized blocks'
+  );
+  const events = await must(
+    supabase
+      .from('contract_events')
+      .select('block_number, block_hash')
+      .eq('chain_id', chainId)
+      .eq('finalized', false)
+      .gt('block_number', Number(finalizedBlock)),
+    'load unfinalized events'
+  );
+
+  const hashes = new Map();
+  for (const row of [...blocks, ...events]) {
+    hashes.set(row.block_number, row.block_hash);
+  }
+
+  return [...hashes]
+    .map(([blockNumber, blockHash]) => ({ blockNumber: BigInt(blockNumber), blockHash }))
+    .sort((a, b) => (a.blockNumber < b.blockNumber ? -1 : 1));
+}
+
+/**
+ * @returns {Promise<Array<object>>} contract_events rows of chain `chainId` above `blockNumber`, newest first
+ */
+async function loadEventsAfter(supabase, chainId, blockNumber) {
+  return must(
+    supabase
+      .from('contract_events')
+      .select('*')
+      .eq('chain_id', chainId)
+      .gt('block_number', Number(blockNumber))
+      .order('block_number', { ascending: false })
+      .order('log_index', { ascending: false }),
+    `load events after block ${blockNumber}`
+  );
+}
+
+async function deleteEvent(supabase, event) {
+  await must(
+    supabase
+      .from('contract_events')
+      .delete()
+      .eq('chain_id', event.chain_id)
+      .eq('tx_hash', event.tx_hash)
+      .eq('log_index', event.log_index),
+    `delete ${event.event_name} event`
+  );
+}
+
+async function deleteBlocksAfter(supabase, checkpointId, blockNumber) {
+  await must(
+    supabase.from('indexer_blocks').delete().eq('checkpoint_id', checkpointId).gt('block_number', Number(blockNumber)),
+    `delete blocks after ${blockNumber}`
+  );
+}
+
+/**
+ * Flags every event of chain `chainId` at or below `finalizedBlock` as final and forgets block hashes that can no
+ * longer be reorged, keeping the newest one as an anchor.
+ */
+async function finalizeUpTo(supabase, checkpointId, chainId, finalizedBlock) {
+  await must(
+    supabase
+      .from('contract_events')
+      .update({ finalized: true })
+      .eq('chain_id', chainId)
+      .eq('finalized', false)
+      .lte('block_number', Number(finalizedBlock)),
+    `finalize events up to block ${finalizedBlock}`
+  );
+  await must(
+    supabase
+      .from('indexer_blocks')
+      .delete()
+      .eq('checkpoint_id', checkpointId)
+      .lt('block_number', Number(finalizedBlock)),
+    `prune blocks below ${finalizedBlock}`
+  );
+}
+
+/**
+ * Records a raw log in contract_events.
+ * @returns {Promise<boolean>} true if the event was already applied by a previous run
+ */
+async function recordEvent(supabase, chainId, log) {
+  const existing = await must(
+    supabase
+      .from('contract_events')
+      .select('processed')
+      .eq('chain_id', chainId)
+      .eq('tx_hash', log.transactionHash)
+      .eq('log_index', log.logIndex)
+      .maybeSingle(),
+    'load contract event'
+  );
+
+  if (existing) {
+    return existing.processed;
+  }
+
+  await must(
+    supabase.from('contract_events').insert({
+      chain_id: chainId,
+      contract_address: log.address.toLowerCase(),
+      event_name: log.eventName,
+      block_number: Number(log.blockNumber),
+      block_hash: log.blockHash,
+      tx_hash: log.transactionHash,
+      log_index: log.logIndex,
+      event_data: serializeArgs(log.args),
+      processed: false
+    }),
+    `record ${log.eventName} event`
+  );
+  return false;
+}
+
+async function markEventProcessed(supabase, chainId, log) {
+  await must(
+    supabase
+      .from('contract_events')
+      .update({ processed: true })
+      .eq('chain_id', chainId)
+      .eq('tx_hash', log.transactionHash)
+      .eq('log_index', log.logIndex),
+    `mark ${log.eventName} event processed`
+  );
+}
+
+/**
+ * Stores an answer's off-chain content next to its on-chain fields. The row
+ * is upserted so content can be saved before the indexer reaches the answer;
+ * the indexer's own upsert leaves content, salt and status untouched.
+ *
+ * Content for a revised answer can also arrive before the indexer reaches
+ * the AnswerUpdated event; the content the row holds for the previous hash
+ * is then archived first, so a revision never overwrites it.
+ */
+async function saveAnswerContent(supabase, { contractAddress, answerIndex, answer, content, salt, status }) {
+  const existing = await loadAnswer(supabase, contractAddress, answerIndex);
+  // Sealed answers have no content here, so a row whose hash a reveal replaced is never mistaken for a revision
+  const revised = existing && existing.answer_hash !== answer.answerHash && existing.content !== '';
+  if (revised) {
+    await archiveAnswerVersion(supabase, existing);
+  }
+
+  await must(
+    supabase.from('answers').upsert(
+      {
+        contract_address: contractAddress.toLowerCase(),
+        answer_index: Number(answerIndex),
+        responder: answer.responder.toLowerCase(),
+        answer_hash: answer.answerHash,
+        timestamp: new Date(Number(answer.timestamp) * 1000).toISOString(),
+        content,
+        content_salt: salt,
+        content_status: status,
+        content_verified_at: new Date().toISOString(),
+        ...(revised && { revisions: existing.revisions + 1 })
+      },
+      { onConflict: 'contract_address,answer_index' }
+    ),
+    `save content of answer ${answerIndex} of ${contractAddress}`
+  );
+}
+
+/**
+ * @returns {Promise<object|null>} the answers row of an answer, if it has been stored
+ */
+async function loadAnswer(supabase, contractAddress, answerIndex) {
+  return must(
+    supabase
+      .from('answers')
+      .select('id, contract_address, answer_index, answer_hash, content, content_salt, content_status, revisions')
+      .eq('contract_address', contractAddress.toLowerCase())
+      .eq('answer_index', Number(answerIndex))
+      .maybeSingle(),
+    `load answer ${answerIndex} of ${contractAddress}`
+  );
+}
+
+/**
+ * Copies the version of an answer its row holds into `answer_revisions`,
+ * numbered by the row's revision count, before the row takes the next one.
+ * @param {object} answer An answers row, as loadAnswer returns it
+ * @param {object} [replacedBy] tx_hash, log_index and replaced_at of the AnswerUpdated event, once indexed
+ */
+async function archiveAnswerVersion(supabase, answer, replacedBy = {}) {
+  await must(
+    supabase.from('answer_revisions').upsert(
+      {
+        answer_id: answer.id,
+        contract_address: answer.contract_address,
+        answer_index: answer.answer_index,
+        revision: answer.revisions,
+        answer_hash: answer.answer_hash,
+        content: answer.content,
+        content_salt: answer.content_salt,
+        content_status: answer.content_status,
+        ...replacedBy
+      },
+      { onConflict: 'contract_address,answer_index,revision' }
+    ),
+    `archive revision ${answer.revisions} of answer ${answer.answer_index} of ${answer.contract_address}`
+  );
+}
+
+/**
+ * @returns {Promise<object|null>} revision `revision` of an answer, if it has been archived
+ */
+async function loadAnswerRevision(supabase, contractAddress, answerIndex, revision) {
+  return must(
+    supabase
+      .from('answer_revisions')
+      .select('id, revision, answer_hash, content, content_salt, content_status, tx_hash')
+      .eq('contract_address', contractAddress.toLowerCase())
+      .eq('answer_index', Number(answerIndex))
+      .eq('revision', revision)
+      .maybeSingle(),
+    `load revision ${revision} of answer ${answerIndex} of ${contractAddress}`
+  );
+}
+
+/**
+ * The AnswerUpdated events of an answer recorded before `log`, oldest first.
+ * Each one's `answerHash` is the hash of the version the next one replaced.
+ * @param {object} log An AnswerUpdated log
+ * @returns {Promise<Array<{block_number: number, log_index: number, event_data: object}>>}
+ */
+async function loadEarlierAnswerUpdates(supabase, chainId, log) {
+  const events = await must(
+    supabase
+      .from('contract_events')
+      .select('block_number, log_index, event_data')
+      .eq('chain_id', chainId)
+      .eq('contract_address', log.address.toLowerCase())
+      .eq('event_name', 'AnswerUpdated')
+      .eq('event_data->>index', log.args.index.toString())
+      .lte('block_number', Number(log.blockNumber))
+      .order('block_number')
+      .order('log_index'),
+    `load updates of answer ${log.args.index} of ${log.address}`
+  );
+  return events.filter(event => event.block_number < Number(log.blockNumber) || event.log_index < log.logIndex);
+}
+
+/**
+ * Stores a question's content under its predicted address before the
+ * question is created; onQuestionCreated copies it into the question row.
+ */
+async function saveQuestionDraft(supabase, { contractAddress, creator, salt, content }) {
+  await must(
+    supabase.from('question_drafts').upsert(
+      {
+        contract_address: contractAddress.toLowerCase(),
+        creator: creator.toLowerCase(),
+        salt,
+        content
+      },
+      { onConflict: 'contract_address' }
+    ),
+    `save draft of question ${contractAddress}`
+  );
+}
+
+/**
+ * @returns {Promise<{content: string}|null>} the draft stored under a question's address, if any
+ */
+async function loadQuestionDraft(supabase, contractAddress) {
+  return must(
+    supabase
+      .from('question_drafts')
+      .select('content')
+      .eq('contract_address', contractAddress.toLowerCase())
+      .maybeSingle(),
+    `load draft of question ${contractAddress}`
+  );
+}
+
+/**
+ * @returns {Promise<Array<object>>} one page of answers that have off-chain content, oldest first
+ */
+async function loadAnswerContents(supabase, from) {
+  return must(
+    supabase
+      .from('answers')
+      .select('id, contract_address, answer_index, answer_hash, content, content_salt, content_status')
+      .neq('content', '')
+      .order('created_at')
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1),
+    'load answer contents'
+  );
+}
+
+async function setAnswerContentStatus(supabase, id, status) {
+  await must(
+    supabase
+      .from('answers')
+      .update({ content_status: status, content_verified_at: new Date().toISOString() })
+      .eq('id', id),
+    `set content status of answer ${id}`
+  );
+}
+
+// JSON has no bigint, so amounts are stored as decimal strings and addresses lowercased
+function serializeArgs(args) {
+  return JSON.parse(
+    JSON.stringify(args, (_, value) => {
+      if (typeof value === 'bigint') return value.toString();
+      if (typeof value === 'string' && value.startsWith('0x') && value.length === 42) return value.toLowerCase();
+      return value;
+    })
+  );
+}
+
+module.exports = {
+  PAGE_SIZE,
+  must,
+  upsertUser,
+  loadQuestions,
+  loadCheckpoint,
+  saveCheckpoint,
+  recordBlock,
+  loadUnfinalizedHashes,
+  loadEventsAfter,
+  deleteEvent,
+  deleteBlocksAfter,
+  finalizeUpTo,
+  recordEvent,
+  markEventProcessed,
+  saveQuestionDraft,
+  loadQuestionDraft,
+  saveAnswerContent,
+  loadAnswer,
+  archiveAnswerVersion,
+  loadAnswerRevision,
+  loadEarlierAnswerUpdates,
+  loadAnswerContents,
+  setAnswerContentStatus
+};
@@ -0,0 +1,64 @@
+const { getAddress } = require('viem');
+
+const { loadNetwork } = require('../sdk/networks');
+
+/**
+ * Intent relayer configuration, read from the `--network` flag (default base) and the environment.
+ *
+ * Required:
+ * - BASE_RPC_URL: Base network RPC URL (BASE_SEPOLIA_RPC_URL / LOCAL_RPC_URL for the other networks)
+ * - RELAYER_PRIVATE_KEY: Relayer key; question creators authorize its address with `setSubmitter`, and it pays the
+ *   submission cost and gas of every intent it relays
+ *
+ * Optional:
+ * - RELAYER_PORT: HTTP port (default 8788)
+ * - RELAYER_MAX_SUBMISSION_COST: Highest submission cost the relayer pays, in the token's smallest unit (default 0,
+ *   free questions only)
+ * - RELAYER_CREATORS: Comma-separated creators whose questions are relayed (default any creator)
+ * - RELAYER_RESPONDER_LIMIT: Validly signed intents accepted per responder per window (default 5)
+ * - RELAYER_IP_LIMIT: Requests accepted per client IP per window (default 30)
+ * - RELAYER_RATE_WINDOW_MS: Rate limit window (default 3600000)
+ * - RELAYER_TRUST_PROXY: Take the client IP from X-Forwarded-For, behind a reverse proxy (default false)
+ * - RELAYER_CONFIRMATIONS: Blocks to wait for after each submission (default 1)
+ * - SUPABASE_URL / SUPABASE_SERVICE_KEY: Record intents in `relayed_intents`, so several relayer instances share
+ *   nonce reservations; without them reservations are kept in memory
+ */
+const REQUIRED_ENV = ['RELAYER_PRIVATE_KEY'];
+
+function validateEnvironment(network = loadNetwork()) {
+  const missing = REQUIRED_ENV.filter(env => !process.env[env]);
+  if (!network.rpcUrl) {
+    missing.unshift(network.rpcEnv);
+  }
+
+  if (missing.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missing.forEach(env => console.error(`   - ${env}`));
+    process.exit(1);
+  }
+}
+
+function loadConfig(network = loadNetwork()) {
+  const creators = (process.env.RELAYER_CREATORS || '')
+    .split(',')
+    .map(creator => creator.trim())
+    .filter(Boolean)
+    .map(creator => getAddress(creator));
+
+  return {
+    network,
+    privateKey: process.env.RELAYER_PRIVATE_KEY,
+    port: Number(process.env.RELAYER_PORT || 8788),
+    maxSubmissionCost: BigInt(process.env.RELAYER_MAX_SUBMISSION_COST || 0),
+    creators: creators.length > 0 ? creators : null,
+    responderLimit: Number(process.env.RELAYER_RESPONDER_LIMIT || 5),
+    ipLimit: Number(process.env.RELAYER_IP_LIMIT || 30),
+    rateWindowMs: Number(process.env.RELAYER_RATE_WINDOW_MS || 3600000),
+    trustProxy: process.env.RELAYER_TRUST_PROXY === 'true',
+    confirmations: Number(process.env.RELAYER_CONFIRMATIONS || 1),
+    supabaseUrl: process.env.SUPABASE_URL,
+    supabaseKey: process.env.SUPABASE_SERVICE_KEY
+  };
+}
+
+module.exports = { validateEnvironment, loadConfig };
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+// Load environment variables
+require('dotenv').config();
+
+/**
+ * Stoa intent relayer
+ *
+ * Lets an app offer gasless answering. Responders sign an answer intent
+ * (`StoaClient#signAnswerIntent`) and POST it here; the relayer checks it and
+ * submits it with `submitAnswerWithIntent`, paying the submission cost and
+ * gas from RELAYER_PRIVATE_KEY. Question creators opt in by authorizing the
+ * relayer's address with `setSubmitter`.
+ *
+ * Endpoints:
+ * - POST /intents: body is a JSON answer intent (see sdk/intents.js). Answers
+ *   200 {hash, index} once the submission is mined, or an error status with
+ *   {error}: 400 malformed, 401 bad signature, 403 not sponsored, 404 unknown
+ *   question, 409 stale or duplicate nonce, 422 not submittable, 429 rate limited.
+ * - GET /health: the relayer address and network.
+ *
+ * Usage:
+ * node relayer [--network base|base-sepolia|local]
+ *
+ * See ./config.js for the environment variables it reads.
+ */
+
+const http = require('http');
+const { createClient } = require('@supabase/supabase-js');
+
+const { createStoaClient } = require('../sdk');
+const { parseAnswerIntent } = require('../sdk/intents');
+const { validateEnvironment, loadConfig } = require('./config');
+const { createRateLimiter } = require('./limits');
+const { createMemoryNonceStore, createSupabaseNonceStore } = require('./nonces');
+const { createQueue, relayIntent } = require('./relay');
+
+// Largest request body accepted; an intent is well under 1 KB
+const MAX_BODY_BYTES = 16 * 1024;
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function clientIp(req, trustProxy) {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+/**
+ * @param {import('./relay').RelayerContext} ctx
+ * @returns {import('http').Server}
+ */
+function createServer(ctx) {
+  const { config } = ctx;
+  const ipLimiter = createRateLimiter({ limit: config.ipLimit, windowMs: config.rateWindowMs });
+  const responderLimiter = createRateLimiter({ limit: config.responderLimit, windowMs: config.rateWindowMs });
+  const relayCtx = { ...ctx, responderLimiter };
+  const tooMany = (res, waitMs) =>
+    send(res, 429, { error: 'Rate limit exceeded' }, { 'retry-after': String(Math.ceil(waitMs / 1000)) });
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://relayer');
+
+    if (req.method === 'GET' && pathname === '/health') {
+      return send(res, 200, { relayer: ctx.stoa.walletClient.account.address, network: config.network.name });
+    }
+    if (pathname !== '/intents') {
+      return send(res, 404, { error: 'Not found' });
+    }
+    if (req.method !== 'POST') {
+      return send(res, 405, { error: 'Method not allowed' }, { allow: 'POST' });
+    }
+
+    const ipWait = ipLimiter.take(clientIp(req, config.trustProxy));
+    if (ipWait > 0) return tooMany(res, ipWait);
+
+    let intent;
+    try {
+      intent = parseAnswerIntent(JSON.parse(await readBody(req)));
+    } catch (error) {
+      return send(res, 400, { error: error.message });
+    }
+
+    try {
+      const result = await relayIntent(relayCtx, intent);
+      if (result.status === 'rejected') {
+        console.log(`⏭️  ${intent.responder} → ${intent.question}: ${result.reason}`);
+        if (result.retryAfterMs) return tooMany(res, result.retryAfterMs);
+        return send(res, result.code, { error: result.reason });
+      }
+      console.log(`✅ ${intent.responder} → ${intent.question}: answer ${result.index} in ${result.hash}`);
+      return send(res, 200, { hash: result.hash, index: result.index.toString() });
+    } catch (error) {
+      console.error(`❌ ${intent.responder} → ${intent.question}: ${error.shortMessage || error.message}`);
+      return send(res, 500, { error: 'Relayer error' });
+    }
+  });
+
+  // Forget idle clients so the limiters do not grow without bound
+  const pruning = setInterval(() => {
+    ipLimiter.prune();
+    responderLimiter.prune();
+  }, config.rateWindowMs);
+  pruning.unref();
+  server.on('close', () => clearInterval(pruning));
+
+  return server;
+}
+
+async function runRelayer() {
+  const config = loadConfig();
+  const stoa = createStoaClient({
+    network: config.network,
+    privateKey: config.privateKey,
+    confirmations: config.confirmations
+  });
+  const relayer = stoa.walletClient.account.address;
+  const nonces = config.supabaseUrl
+    ? createSupabaseNonceStore(createClient(config.supabaseUrl, config.supabaseKey), {
+        chainId: config.network.chainId,
+        relayer
+      })
+    : createMemoryNonceStore();
+  const ctx = { config, stoa, nonces, enqueue: createQueue(), questions: new Set() };
+
+  const server = createServer(ctx);
+  await new Promise(resolve => server.listen(config.port, resolve));
+
+  console.log('🚀 Stoa intent relayer started');
+  console.log(`   Network: ${config.network.name}`);
+  console.log(`   Relayer: ${relayer}`);
+  console.log(`   Max submission cost: ${config.maxSubmissionCost}`);
+  console.log(`   Nonce store: ${config.supabaseUrl ? 'supabase' : 'memory'}`);
+  console.log(`   Listening on port ${config.port}\n`);
+
+  const stop = () => {
+    console.log('\n🛑 Stopping after in-flight submissions...');
+    server.close();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  return server;
+}
+
+// Run the relayer
+if (require.main === module) {
+  validateEnvironment();
+  runRelayer().catch(error => {
+    console.error('❌ Relayer crashed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { createServer, runRelayer };
@@ -0,0 +1,47 @@
+/**
+ * Sliding-window rate limits for the relayer, kept in memory per process.
+ */
+
+/**
+ * @param {object} options
+ * @param {number} options.limit Requests allowed per key within the window
+ * @param {number} options.windowMs
+ * @param {() => number} [options.now]
+ */
+function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  const hits = new Map();
+
+  const recent = key => {
+    const cutoff = now() - windowMs;
+    const times = (hits.get(key) || []).filter(time => time > cutoff);
+    if (times.length === 0) {
+      hits.delete(key);
+    } else {
+      hits.set(key, times);
+    }
+    return times;
+  };
+
+  return {
+    /**
+     * Counts a request against `key` if it is under the limit.
+     * @param {string} key
+     * @returns {number} 0 if the request is allowed, otherwise milliseconds until it would be
+     */
+    take(key) {
+      const times = recent(key);
+      if (times.length >= limit) {
+        return times[0] + windowMs - now();
+      }
+      hits.set(key, [...times, now()]);
+      return 0;
+    },
+
+    /** Drops keys with no requests left in the window; call periodically so the map does not grow. */
+    prune() {
+      [...hits.keys()].forEach(recent);
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
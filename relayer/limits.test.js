@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRateLimiter } = require('./limits');
+
+function createClock() {
+  let time = 1_000_000;
+  return { now: () => time, advance: ms => (time += ms) };
+}
+
+test('allows up to the limit per key within the window', () => {
+  const clock = createClock();
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000, ...clock });
+
+  assert.equal(limiter.take('a'), 0);
+  clock.advance(100);
+  assert.equal(limiter.take('a'), 0);
+  assert.equal(limiter.take('b'), 0);
+  // Until the first request leaves the window
+  assert.equal(limiter.take('a'), 900);
+});
+
+test('a rejected request does not count against the limit', () => {
+  const clock = createClock();
+  const limiter = createRateLimiter({ limit: 1, windowMs: 1000, ...clock });
+
+  limiter.take('a');
+  clock.advance(500);
+  assert.equal(limiter.take('a'), 500);
+  clock.advance(500);
+  assert.equal(limiter.take('a'), 0);
+});
+
+test('requests leave the window as it slides', () => {
+  const clock = createClock();
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000, ...clock });
+
+  limiter.take('a');
+  clock.advance(600);
+  limiter.take('a');
+  clock.advance(400);
+  assert.equal(limiter.take('a'), 0);
+  assert.equal(limiter.take('a'), 600);
+});
+
+test('prune keeps the limits of keys still in the window', () => {
+  const clock = createClock();
+  const limiter = createRateLimiter({ limit: 1, windowMs: 1000, ...clock });
+
+  limiter.take('a');
+  clock.advance(600);
+  limiter.take('b');
+  clock.advance(400);
+  limiter.prune();
+  assert.equal(limiter.take('a'), 0);
+  assert.equal(limiter.take('b'), 600);
+});
@@ -0,0 +1,149 @@
+/**
+ * Nonce reservations for the relayer.
+ *
+ * An intent's nonce is only used up once its submission is mined, so two
+ * copies of the same intent could both pass the on-chain nonce check and the
+ * second would revert after the relayer paid its gas. Before submitting, the
+ * relayer reserves the intent's (question, responder, nonce); a reservation is
+ * released if the submission fails, so the responder can send the intent
+ * again.
+ *
+ * A store is any object with async `reserve(intent)`, `complete(intent, hash)`
+ * and `release(intent, error)`. The memory store suits a single relayer; the
+ * Supabase store shares reservations between instances through
+ * `relayed_intents` and keeps a record of every relayed intent.
+ */
+
+const { must } = require('../indexer/store');
+
+// A pending reservation older than this is treated as abandoned, e.g. by a relayer that crashed mid-submission
+const PENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * @typedef {object} NonceStore
+ * @property {(intent: import('../sdk/intents').AnswerIntent) => Promise<boolean>} reserve false if already reserved
+ * @property {(intent: import('../sdk/intents').AnswerIntent, hash: string) => Promise<void>} complete
+ * @property {(intent: import('../sdk/intents').AnswerIntent, error: string) => Promise<void>} release
+ */
+
+function nonceKey(intent) {
+  return `${intent.question.toLowerCase()}:${intent.responder.toLowerCase()}:${intent.nonce}`;
+}
+
+/**
+ * @param {object} [options]
+ * @param {() => number} [options.now]
+ * @returns {NonceStore}
+ */
+function createMemoryNonceStore({ now = Date.now } = {}) {
+  // Kept in the order they were last written, so the oldest are first
+  const reservations = new Map();
+
+  const write = (key, reservation) => {
+    reservations.delete(key);
+    reservations.set(key, reservation);
+  };
+
+  // Drops abandoned reservations and completed ones; a completed intent's on-chain nonce has moved past it, so
+  // checkIntent turns it away without the reservation
+  const prune = () => {
+    for (const [key, { reservedAt }] of reservations) {
+      if (now() - reservedAt < PENDING_TIMEOUT_MS) return;
+      reservations.delete(key);
+    }
+  };
+
+  return {
+    async reserve(intent) {
+      prune();
+      const key = nonceKey(intent);
+      if (reservations.has(key)) {
+        return false;
+      }
+      write(key, { reservedAt: now() });
+      return true;
+    },
+    async complete(intent, hash) {
+      write(nonceKey(intent), { reservedAt: now(), hash });
+    },
+    async release(intent) {
+      reservations.delete(nonceKey(intent));
+    }
+  };
+}
+
+/**
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} options
+ * @param {number} options.chainId
+ * @param {string} options.relayer Relayer address, recorded with each intent
+ * @returns {NonceStore}
+ */
+function createSupabaseNonceStore(supabase, { chainId, relayer }) {
+  const match = (query, intent) =>
+    query
+      .eq('chain_id', chainId)
+      .eq('contract_address', intent.question.toLowerCase())
+      .eq('responder', intent.responder.toLowerCase())
+      .eq('nonce', intent.nonce.toString())
+      .eq('status', 'pending');
+
+  return {
+    async reserve(intent) {
+      const staleBefore = new Date(Date.now() - PENDING_TIMEOUT_MS).toISOString();
+      await must(
+        match(supabase.from('relayed_intents').update({ status: 'failed', error_message: 'Abandoned' }), intent).lt(
+          'created_at',
+          staleBefore
+        ),
+        `expire abandoned reservation ${nonceKey(intent)}`
+      );
+
+      const { error } = await supabase.from('relayed_intents').insert({
+        chain_id: chainId,
+        contract_address: intent.question.toLowerCase(),
+        responder: intent.responder.toLowerCase(),
+        nonce: intent.nonce.toString(),
+        answer_hash: intent.answerHash,
+        referrer: intent.referrer.toLowerCase(),
+        deadline: intent.deadline.toString(),
+        relayer: relayer.toLowerCase(),
+        status: 'pending'
+      });
+      if (error && error.code === UNIQUE_VIOLATION) {
+        return false;
+      }
+      if (error) {
+        throw new Error(`Failed to reserve ${nonceKey(intent)}: ${error.message}`);
+      }
+      return true;
+    },
+    async complete(intent, hash) {
+      await must(
+        match(
+          supabase
+            .from('relayed_intents')
+            .update({ status: 'submitted', tx_hash: hash, completed_at: new Date().toISOString() }),
+          intent
+        ),
+        `complete reservation ${nonceKey(intent)}`
+      );
+    },
+    async release(intent, error) {
+      await must(
+        match(
+          supabase
+            .from('relayed_intents')
+            .update({ status: 'failed', error_message: error, completed_at: new Date().toISOString() }),
+          intent
+        ),
+        `release reservation ${nonceKey(intent)}`
+      );
+    }
+  };
+}
+
+module.exports = { PENDING_TIMEOUT_MS, createMemoryNonceStore, createSupabaseNonceStore };
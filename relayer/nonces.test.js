@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PENDING_TIMEOUT_MS, createMemoryNonceStore } = require('./nonces');
+
+const intent = (nonce, responder = '0x00000000000000000000000000000000000000Aa') => ({
+  question: '0x000000000000000000000000000000000000000b',
+  responder,
+  nonce
+});
+
+function createClock() {
+  let time = 1_000_000;
+  return { now: () => time, advance: ms => (time += ms) };
+}
+
+test('reserves an intent once, whatever the address case', async () => {
+  const nonces = createMemoryNonceStore();
+  assert.equal(await nonces.reserve(intent(0n)), true);
+  assert.equal(await nonces.reserve(intent(0n, '0x00000000000000000000000000000000000000aA')), false);
+  assert.equal(await nonces.reserve(intent(1n)), true);
+});
+
+test('a released intent can be reserved again', async () => {
+  const nonces = createMemoryNonceStore();
+  await nonces.reserve(intent(0n));
+  await nonces.release(intent(0n), 'reverted');
+  assert.equal(await nonces.reserve(intent(0n)), true);
+});
+
+test('a completed intent stays reserved until it expires', async () => {
+  const clock = createClock();
+  const nonces = createMemoryNonceStore(clock);
+  await nonces.reserve(intent(0n));
+  await nonces.complete(intent(0n), '0xfeed');
+
+  clock.advance(PENDING_TIMEOUT_MS - 1);
+  assert.equal(await nonces.reserve(intent(0n)), false);
+  clock.advance(1);
+  assert.equal(await nonces.reserve(intent(0n)), true);
+});
+
+test('an abandoned reservation expires after the pending timeout', async () => {
+  const clock = createClock();
+  const nonces = createMemoryNonceStore(clock);
+  await nonces.reserve(intent(0n));
+
+  clock.advance(PENDING_TIMEOUT_MS - 1);
+  assert.equal(await nonces.reserve(intent(0n)), false);
+  clock.advance(1);
+  assert.equal(await nonces.reserve(intent(0n)), true);
+});
+
+test('pruning goes by when a reservation was last written, not first reserved', async () => {
+  const clock = createClock();
+  const nonces = createMemoryNonceStore(clock);
+  await nonces.reserve(intent(0n));
+  clock.advance(PENDING_TIMEOUT_MS / 2);
+  await nonces.reserve(intent(1n));
+  clock.advance(PENDING_TIMEOUT_MS / 4);
+  // Completing nonce 0 moves it behind nonce 1
+  await nonces.complete(intent(0n), '0xfeed');
+
+  clock.advance((PENDING_TIMEOUT_MS * 3) / 4);
+  // Nonce 1 is now stale and pruned; nonce 0 was completed three quarters of a timeout ago and is kept
+  assert.equal(await nonces.reserve(intent(2n)), true);
+  assert.equal(await nonces.reserve(intent(0n)), false);
+  assert.equal(await nonces.reserve(intent(1n)), true);
+});
@@ -0,0 +1,141 @@
+/**
+ * Checks and submits one answer intent.
+ *
+ * Everything that can be checked before paying gas is: the question was
+ * created by the factory, is open, accepts this relayer and fits its spending
+ * limits, and the intent is current and signed by its responder. Submissions then go out one at a time, since
+ * they share the relayer account's transaction nonce.
+ */
+
+const { buildAnswerIntentTypedData } = require('../sdk/intents');
+
+/**
+ * @typedef {object} RelayerContext
+ * @property {import('../sdk').StoaClient} stoa Signs with the relayer's key
+ * @property {import('./nonces').NonceStore} nonces
+ * @property {object} config See ./config.js
+ * @property {(task: () => Promise<any>) => Promise<any>} enqueue Runs submissions one at a time
+ * @property {Set<string>} questions Factory questions seen so far, lowercase; see isFactoryQuestion
+ * @property {ReturnType<import('./limits').createRateLimiter>} [responderLimiter] Charged per responder once an
+ *           intent's signature checks out, so forged intents cannot use up a responder's allowance
+ *
+ * @typedef {{status: 'submitted', hash: string, index: bigint}
+ *   | {status: 'rejected', code: number, reason: string, retryAfterMs?: number}} RelayResult
+ * `code` is the HTTP status the server answers a rejection with; `retryAfterMs` is set on rate limited (429) ones.
+ */
+
+const reject = (code, reason) => ({ status: 'rejected', code, reason });
+
+/**
+ * Serializes async tasks: each starts once the previous one settled.
+ * @returns {RelayerContext['enqueue']}
+ */
+function createQueue() {
+  let tail = Promise.resolve();
+  return task => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+/**
+ * The relayer approves questions for their submission cost, so it only deals
+ * with contracts the factory deployed. The list is reloaded when an unknown
+ * address comes in, since questions are only ever added.
+ * @param {RelayerContext} ctx
+ * @param {string} question
+ */
+async function isFactoryQuestion(ctx, question) {
+  if (!ctx.questions.has(question.toLowerCase())) {
+    const questions = await ctx.stoa.getAllQuestions();
+    questions.forEach(address => ctx.questions.add(address.toLowerCase()));
+  }
+  return ctx.questions.has(question.toLowerCase());
+}
+
+/**
+ * @param {RelayerContext} ctx
+ * @param {import('../sdk/intents').AnswerIntent} intent
+ * @returns {Promise<RelayResult | null>} a rejection, or null if the intent can be submitted
+ */
+async function checkIntent(ctx, intent) {
+  const { stoa, config } = ctx;
+  const relayer = stoa.walletClient.account.address;
+
+  if (!(await isFactoryQuestion(ctx, intent.question))) {
+    return reject(404, `${intent.question} is not a Stoa question`);
+  }
+  const [question, authorized, nonce, answer, block] = await Promise.all([
+    stoa.getQuestion(intent.question),
+    stoa.isAuthorizedSubmitter(intent.question, relayer),
+    stoa.getIntentNonce(intent.question, intent.responder),
+    stoa.getUserAnswer(intent.question, intent.responder),
+    stoa.publicClient.getBlock()
+  ]);
+
+  if (question.status !== 'Active') return reject(422, `Question is not accepting answers (${question.status})`);
+  if (!authorized) return reject(403, 'Relayer is not an authorized submitter of this question');
+  if (config.creators && !config.creators.includes(question.creator)) {
+    return reject(403, 'Relayer does not sponsor questions by this creator');
+  }
+  if (question.submissionCost > config.maxSubmissionCost) {
+    return reject(403, `Submission cost ${question.submissionCost} is above the relayer's limit`);
+  }
+  if (answer) return reject(409, 'Responder has already answered this question');
+  if (intent.nonce !== nonce) return reject(409, `Intent nonce is ${intent.nonce}, expected ${nonce}`);
+  if (intent.deadline < block.timestamp) return reject(422, 'Intent expired');
+
+  const valid = await stoa.publicClient.verifyTypedData({
+    address: intent.responder,
+    ...buildAnswerIntentTypedData({ chainId: await stoa.publicClient.getChainId(), ...intent }),
+    signature: intent.signature
+  });
+  if (!valid) return reject(401, 'Invalid signature');
+
+  const wait = ctx.responderLimiter ? ctx.responderLimiter.take(intent.responder.toLowerCase()) : 0;
+  if (wait > 0) return { ...reject(429, 'Rate limit exceeded'), retryAfterMs: wait };
+
+  return null;
+}
+
+/**
+ * Checks an intent and, if it passes, submits it with the relayer's account.
+ * @param {RelayerContext} ctx
+ * @param {import('../sdk/intents').AnswerIntent} intent
+ * @returns {Promise<RelayResult>}
+ */
+async function relayIntent(ctx, intent) {
+  const { stoa, nonces, enqueue } = ctx;
+
+  const rejection = await checkIntent(ctx, intent);
+  if (rejection) return rejection;
+  if (!(await nonces.reserve(intent))) return reject(409, 'Intent is already being relayed');
+
+  let submitted;
+  try {
+    submitted = await enqueue(async () => {
+      const { token, submissionCost } = await stoa.getQuestion(intent.question);
+      if (submissionCost > 0n) {
+        await stoa.approve(token, intent.question, submissionCost);
+      }
+      return stoa.submitAnswerWithIntent(intent);
+    });
+  } catch (error) {
+    const reason = error.shortMessage || error.message;
+    await nonces.release(intent, reason);
+    return reject(422, reason);
+  }
+
+  // The answer is mined and the on-chain nonce used up, so failing to record that must not release the reservation
+  // or report the intent as rejected
+  const { hash, index } = submitted;
+  try {
+    await nonces.complete(intent, hash);
+  } catch (error) {
+    console.error(`⚠️  ${intent.responder} → ${intent.question}: submitted in ${hash} but ${error.message}`);
+  }
+  return { status: 'submitted', hash, index };
+}
+
+module.exports = { createQueue, isFactoryQuestion, checkIntent, relayIntent };
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyTypedData } = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+
+const { buildAnswerIntentTypedData } = require('../sdk/intents');
+const { createRateLimiter } = require('./limits');
+const { createMemoryNonceStore } = require('./nonces');
+const { checkIntent, createQueue, relayIntent } = require('./relay');
+
+const CHAIN_ID = 31337;
+const QUESTION = '0x00000000000000000000000000000000000000aa';
+const RELAYER = '0x00000000000000000000000000000000000000ee';
+const responder = privateKeyToAccount('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const forger = privateKeyToAccount('0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a');
+
+async function signIntent(signer = responder, fields = {}) {
+  const intent = {
+    question: QUESTION,
+    responder: responder.address,
+    answerHash: `0x${'ab'.repeat(32)}`,
+    referrer: '0x0000000000000000000000000000000000000000',
+    nonce: 0n,
+    deadline: 2000n,
+    ...fields
+  };
+  const signature = await signer.signTypedData(buildAnswerIntentTypedData({ chainId: CHAIN_ID, ...intent }));
+  return { ...intent, signature };
+}
+
+/** A StoaClient stand-in for an open question the relayer may submit to, answered by nobody yet. */
+function createStoa() {
+  const submitted = [];
+  return {
+    submitted,
+    walletClient: { account: { address: RELAYER } },
+    publicClient: {
+      getBlock: async () => ({ timestamp: 1000n }),
+      getChainId: async () => CHAIN_ID,
+      verifyTypedData
+    },
+    getAllQuestions: async () => [QUESTION],
+    getQuestion: async () => ({ status: 'Active', creator: RELAYER, token: RELAYER, submissionCost: 0n }),
+    isAuthorizedSubmitter: async () => true,
+    getIntentNonce: async () => 0n,
+    getUserAnswer: async () => null,
+    async submitAnswerWithIntent(intent) {
+      submitted.push(intent);
+      return { hash: '0xfeed', index: 0n };
+    }
+  };
+}
+
+function createContext({ limit = 10 } = {}) {
+  return {
+    stoa: createStoa(),
+    nonces: createMemoryNonceStore(),
+    config: { maxSubmissionCost: 10n },
+    enqueue: createQueue(),
+    questions: new Set(),
+    responderLimiter: createRateLimiter({ limit, windowMs: 60_000 })
+  };
+}
+
+test('accepts an intent signed by its responder', async () => {
+  const ctx = createContext();
+  assert.equal(await checkIntent(ctx, await signIntent()), null);
+});
+
+test('rejects a forged signature without charging the responder rate limit', async () => {
+  const ctx = createContext({ limit: 1 });
+  const forged = await signIntent(forger);
+
+  for (let i = 0; i < 3; i++) {
+    assert.deepEqual(await checkIntent(ctx, forged), { status: 'rejected', code: 401, reason: 'Invalid signature' });
+  }
+  assert.equal(await checkIntent(ctx, await signIntent()), null);
+});
+
+test('rejects a responder over the rate limit with the time until the next request is allowed', async () => {
+  const ctx = createContext({ limit: 1 });
+  const intent = await signIntent();
+
+  assert.equal(await checkIntent(ctx, intent), null);
+  const rejection = await checkIntent(ctx, intent);
+  assert.equal(rejection.code, 429);
+  assert.ok(rejection.retryAfterMs > 0 && rejection.retryAfterMs <= 60_000);
+});
+
+test('rejects questions the factory did not create', async () => {
+  const ctx = createContext();
+  const intent = await signIntent(responder, { question: '0x00000000000000000000000000000000000000bb' });
+  assert.equal((await checkIntent(ctx, intent)).code, 404);
+});
+
+test('relays an intent once', async () => {
+  const ctx = createContext();
+  const intent = await signIntent();
+
+  assert.deepEqual(await relayIntent(ctx, intent), { status: 'submitted', hash: '0xfeed', index: 0n });
+  assert.deepEqual(await relayIntent(ctx, intent), {
+    status: 'rejected',
+    code: 409,
+    reason: 'Intent is already being relayed'
+  });
+  assert.equal(ctx.stoa.submitted.length, 1);
+});
+
+test('releases the reservation of a submission that fails', async () => {
+  const ctx = createContext();
+  const intent = await signIntent();
+  ctx.stoa.submitAnswerWithIntent = async () => {
+    throw new Error('execution reverted');
+  };
+
+  assert.deepEqual(await relayIntent(ctx, intent), { status: 'rejected', code: 422, reason: 'execution reverted' });
+  assert.equal(await ctx.nonces.reserve(intent), true);
+});
+
+test('reports a mined submission even if recording it fails', async t => {
+  const ctx = createContext();
+  const intent = await signIntent();
+  ctx.nonces.complete = async () => {
+    throw new Error('database is down');
+  };
+  t.mock.method(console, 'error', () => {});
+
+  assert.equal((await relayIntent(ctx, intent)).status, 'submitted');
+  assert.equal(await ctx.nonces.reserve(intent), false);
+});
@@ -26,26 +26,44 @@ create table questions (
   question_id bigint unique not null, -- From contract questionCount
   contract_address text not null, -- Individual question contract address
   creator text not null references users(wallet),
-  content text not null, -- The actual question content
+  content text not null default '', -- The actual question content (filled in off-chain)
   token_address text not null, -- ERC20 token used for fees/rewards
   submission_cost bigint not null,
   max_winners integer not null,
   duration integer not null, -- Duration in seconds
   evaluator text not null, -- Address authorized to evaluate
+  arbiter text, -- Settles disputes against the ranking; null if disputes are disabled
+  dispute_period integer, -- Seconds after evaluation during which the ranking can be disputed
+  dispute_bond bigint, -- Tokens a challenger stakes
+  reveal_period integer not null default 0, -- Seconds after end_time to reveal sealed answers; 0 for open answers
+  claim_period integer, -- Seconds winners have to claim before leftovers can be swept; null if sweeping is disabled
   start_time timestamptz not null,
   end_time timestamptz not null,
+  reveal_end_time timestamptz not null, -- Evaluation can start from here; equals end_time for open answers
   evaluation_deadline timestamptz not null,
   seeded_amount bigint default 0, -- Amount seeded by funders
   total_reward_pool bigint default 0, -- Available for distribution
   total_submissions integer default 0,
   protocol_fees_collected bigint default 0,
   creator_fees_collected bigint default 0,
-  status text default 'active' check (status in ('active', 'ended', 'evaluated', 'emergency')),
+  status text default 'active' check (status in ('active', 'ended', 'evaluated', 'disputed', 'emergency', 'cancelled')),
   evaluated_at timestamptz,
+  dispute_ends_at timestamptz, -- Rewards are claimable from then on unless a dispute is open
   creation_tx_hash text,
   evaluation_tx_hash text
 );
 
+-- QUESTION_DRAFTS TABLE
+-- Content saved under a question's predicted address before a salted createQuestion; the indexer copies it into
+-- questions.content once the question is created
+create table question_drafts (
+  contract_address text primary key, -- Predicted question contract address
+  creator text not null, -- Account that will create the question
+  salt text not null, -- Salt passed to createQuestion
+  content text not null,
+  created_at timestamptz default now()
+);
+
 -- ANSWERS TABLE
 -- Updated to match contract Answer struct
 create table answers (
@@ -55,7 +73,14 @@ create table answers (
   contract_address text not null, -- Question contract address
   responder text not null references users(wallet),
   answer_hash text not null, -- Keccak256 hash stored on-chain
-  content text not null, -- Full answer content (off-chain)
+  sealed_hash text, -- Commit-reveal: the sealed hash submitted before the reveal replaced it with answer_hash
+  revealed_at timestamptz, -- Commit-reveal: when the answer was revealed; null while it is sealed
+  content text not null default '', -- Full answer content (off-chain), canonicalised by sdk/commitments.js
+  content_salt text, -- 32-byte salt mixed into answer_hash, if the answer was salted
+  content_status text not null default 'unverified' check (content_status in ('unverified', 'verified', 'mismatch')),
+  content_verified_at timestamptz, -- Last time content was checked against the on-chain answer_hash
+  referrer text, -- Referrer passed to submitAnswerWithReferral, if any
+  revisions integer not null default 0, -- Times the answer was updated; replaced versions are kept in answer_revisions
   timestamp timestamptz not null, -- Submission timestamp
   score integer default 0, -- Score assigned during evaluation (0 = no score)
   rank integer, -- Final ranking (1 = best, 2 = second, etc.)
@@ -63,7 +88,28 @@ create table answers (
   rewarded boolean default false, -- Has reward been claimed
   submission_tx_hash text,
   reward_claim_tx_hash text,
-  created_at timestamptz default now()
+  created_at timestamptz default now(),
+  unique (contract_address, answer_index)
+);
+
+-- ANSWER_REVISIONS TABLE
+-- Versions of an answer replaced by updateAnswer, with the content they had; answers holds the current one
+create table answer_revisions (
+  id uuid primary key default gen_random_uuid(),
+  answer_id uuid references answers(id) on delete cascade,
+  contract_address text not null,
+  answer_index bigint not null,
+  revision integer not null, -- 0 for the answer as first submitted, counting up with each update
+  answer_hash text not null, -- Hash this version was submitted under
+  content text not null default '',
+  content_salt text,
+  content_status text not null default 'unverified' check (content_status in ('unverified', 'verified', 'mismatch')),
+  tx_hash text, -- updateAnswer transaction that replaced this version; null until the indexer reaches it
+  log_index integer,
+  replaced_at timestamptz,
+  created_at timestamptz default now(),
+  unique (contract_address, answer_index, revision),
+  unique (tx_hash, log_index)
 );
 
 -- EVALUATIONS TABLE
@@ -74,11 +120,30 @@ create table evaluations (
   evaluator text not null,
   ranked_answer_indices bigint[], -- Array of answer indices in ranking order
   total_score integer not null, -- Sum of all scores assigned
-  evaluation_tx_hash text not null,
+  evaluation_tx_hash text not null unique,
   evaluated_at timestamptz default now(),
   ai_evaluation_data jsonb -- Store AI evaluation reasoning/metadata
 );
 
+-- DISPUTES TABLE
+-- Challenges to a question's ranking and how the arbiter settled them
+create table disputes (
+  id uuid primary key default gen_random_uuid(),
+  question_id bigint references questions(question_id) on delete cascade,
+  contract_address text not null,
+  dispute_index bigint not null, -- Index in contract disputes array
+  challenger text not null references users(wallet),
+  reason_hash text not null, -- Keccak256 of the challenger's reasoning
+  bond bigint not null,
+  status text not null default 'open' check (status in ('open', 'upheld', 'overturned', 'reclaimed')),
+  ranked_answer_indices bigint[], -- Arbiter's replacement ranking, if overturned
+  opened_tx_hash text not null,
+  resolution_tx_hash text, -- upholdRanking, replaceRanking or reclaimDisputeBond transaction
+  opened_at timestamptz not null,
+  resolved_at timestamptz,
+  unique (contract_address, dispute_index)
+);
+
 -- SEEDS TABLE  
 -- Track question seeding events
 create table seeds (
@@ -87,7 +152,22 @@ create table seeds (
   funder text not null references users(wallet),
   amount bigint not null,
   tx_hash text not null,
-  seeded_at timestamptz default now()
+  log_index integer not null,
+  seeded_at timestamptz default now(),
+  unique (tx_hash, log_index)
+);
+
+-- SEED_RECLAIMS TABLE
+-- Seeds taken back by their funders from questions that ended without answers
+create table seed_reclaims (
+  id uuid primary key default gen_random_uuid(),
+  question_id bigint references questions(question_id) on delete cascade,
+  funder text not null references users(wallet),
+  amount bigint not null,
+  tx_hash text not null,
+  log_index integer not null,
+  reclaimed_at timestamptz default now(),
+  unique (tx_hash, log_index)
 );
 
 -- REWARD_CLAIMS TABLE
@@ -99,7 +179,24 @@ create table reward_claims (
   claimer text not null references users(wallet),
   amount bigint not null,
   tx_hash text not null,
-  claimed_at timestamptz default now()
+  log_index integer not null,
+  claimed_at timestamptz default now(),
+  unique (tx_hash, log_index)
+);
+
+-- REWARD_SWEEPS TABLE
+-- Unclaimed rewards moved out of a question after its claim deadline
+create table reward_sweeps (
+  id uuid primary key default gen_random_uuid(),
+  question_id bigint references questions(question_id) on delete cascade,
+  contract_address text not null,
+  destination text not null check (destination in ('treasury', 'creator', 'follow_up')),
+  recipient text not null, -- Treasury, creator or follow-up question contract
+  amount bigint not null,
+  tx_hash text not null,
+  log_index integer not null,
+  swept_at timestamptz default now(),
+  unique (tx_hash, log_index)
 );
 
 -- EMERGENCY_REFUNDS TABLE
@@ -110,7 +207,9 @@ create table emergency_refunds (
   user_wallet text not null references users(wallet),
   refund_amount bigint not null,
   tx_hash text not null,
-  refunded_at timestamptz default now()
+  log_index integer not null,
+  refunded_at timestamptz default now(),
+  unique (tx_hash, log_index)
 );
 
 -- REPUTATION_HISTORY TABLE
@@ -132,18 +231,56 @@ create table reputation_history (
 create table ai_evaluations (
   id uuid primary key default gen_random_uuid(),
   question_id bigint references questions(question_id) on delete cascade,
+  contract_address text, -- Question contract that was evaluated
   ai_model text not null, -- Model used for evaluation
   evaluation_prompt text, -- Prompt sent to AI
   raw_response jsonb, -- Full AI response
   confidence_score float, -- AI confidence in evaluation
   processing_time_ms integer, -- Time taken to evaluate
   cost_usd float, -- API cost for evaluation
+  reasoning text, -- Model's explanation of the ranking
+  ranked_answer_indices bigint[], -- Ranking after capping at max_winners
+  evaluation_tx_hash text, -- evaluateAnswers transaction that submitted the ranking
   status text default 'pending' check (status in ('pending', 'completed', 'failed', 'disputed')),
   error_message text,
   created_at timestamptz default now(),
   completed_at timestamptz
 );
 
+-- RELAYED_INTENTS TABLE
+-- Answer intents submitted by the intent relayer; pending rows reserve an intent's nonce across relayer instances
+create table relayed_intents (
+  id uuid primary key default gen_random_uuid(),
+  chain_id bigint not null,
+  contract_address text not null, -- Question contract
+  responder text not null, -- Signer of the intent
+  nonce numeric not null, -- The responder's intentNonces value the intent was signed with
+  answer_hash text not null,
+  referrer text, -- Zero address for none
+  deadline numeric not null, -- Unix timestamp
+  relayer text not null, -- Relayer address that submitted it
+  status text default 'pending' check (status in ('pending', 'submitted', 'failed')),
+  tx_hash text, -- submitAnswerWithIntent transaction
+  error_message text,
+  created_at timestamptz default now(),
+  completed_at timestamptz
+);
+
+-- PROTOCOL_PAUSES TABLE
+-- Periods during which the factory's guardian or owner paused question creation, answers and seeding
+create table protocol_pauses (
+  id uuid primary key default gen_random_uuid(),
+  factory_address text not null,
+  paused_by text not null, -- Guardian or owner
+  paused_at timestamptz not null,
+  tx_hash text not null,
+  log_index integer not null,
+  unpaused_by text,
+  unpaused_at timestamptz, -- Null while the pause is in effect
+  unpause_tx_hash text,
+  unique (tx_hash, log_index)
+);
+
 -- PROTOCOL_METRICS TABLE
 -- Enhanced metrics tracking
 create table protocol_metrics (
@@ -168,13 +305,36 @@ create table protocol_metrics (
 -- Track all contract events for debugging/auditing
 create table contract_events (
   id uuid primary key default gen_random_uuid(),
+  chain_id bigint not null,
   contract_address text not null,
   event_name text not null,
   block_number bigint not null,
+  block_hash text not null, -- Used to detect reorgs until the event is finalized
   tx_hash text not null,
+  log_index integer not null,
   event_data jsonb not null,
-  processed boolean default false,
-  created_at timestamptz default now()
+  processed boolean default false, -- Derived rows have been written
+  finalized boolean default false, -- Buried under enough confirmations to be reorg-safe
+  created_at timestamptz default now(),
+  unique (chain_id, tx_hash, log_index)
+);
+
+-- INDEXER_CHECKPOINTS TABLE
+-- Last fully indexed block per indexer, so restarts resume where they left off
+create table indexer_checkpoints (
+  id text primary key, -- '<chainId>:<factory address>'
+  block_number bigint not null, -- Last indexed block
+  finalized_block bigint not null, -- Last block past the confirmation depth
+  updated_at timestamptz default now()
+);
+
+-- INDEXER_BLOCKS TABLE
+-- Hashes of recently indexed blocks, checked against the chain to detect reorgs
+create table indexer_blocks (
+  checkpoint_id text references indexer_checkpoints(id) on delete cascade,
+  block_number bigint not null,
+  block_hash text not null,
+  primary key (checkpoint_id, block_number)
 );
 
 -- INDEXES for performance
@@ -184,54 +344,83 @@ create index idx_questions_end_time on questions(end_time);
 create index idx_answers_question_id on answers(question_id);
 create index idx_answers_responder on answers(responder);
 create index idx_answers_score on answers(score);
+create index idx_answer_revisions_answer_id on answer_revisions(answer_id);
 create index idx_evaluations_question_id on evaluations(question_id);
+create index idx_ai_evaluations_question_id on ai_evaluations(question_id);
+create index idx_disputes_question_id on disputes(question_id);
 create index idx_seeds_question_id on seeds(question_id);
 create index idx_seeds_funder on seeds(funder);
+create index idx_seed_reclaims_question_id on seed_reclaims(question_id);
 create index idx_reward_claims_question_id on reward_claims(question_id);
+create index idx_reward_sweeps_question_id on reward_sweeps(question_id);
 create index idx_reputation_history_wallet on reputation_history(wallet);
+create index idx_protocol_pauses_factory on protocol_pauses(factory_address);
 create index idx_contract_events_processed on contract_events(processed);
-create index idx_contract_events_block on contract_events(block_number);
+create index idx_contract_events_block on contract_events(chain_id, block_number);
+create index idx_contract_events_finalized on contract_events(finalized);
+-- One live reservation per nonce; failed attempts can be retried
+create unique index idx_relayed_intents_nonce on relayed_intents(chain_id, contract_address, responder, nonce)
+  where status <> 'failed';
 
 -- Enable row-level security
 alter table users enable row level security;
 alter table questions enable row level security;
+alter table question_drafts enable row level security;
 alter table answers enable row level security;
+alter table answer_revisions enable row level security;
 alter table evaluations enable row level security;
+alter table disputes enable row level security;
 alter table seeds enable row level security;
+alter table seed_reclaims enable row level security;
 alter table reward_claims enable row level security;
+alter table reward_sweeps enable row level security;
 alter table emergency_refunds enable row level security;
 alter table reputation_history enable row level security;
 alter table ai_evaluations enable row level security;
 alter table protocol_metrics enable row level security;
 alter table contract_events enable row level security;
+alter table indexer_checkpoints enable row level security;
+alter table indexer_blocks enable row level security;
+alter table relayed_intents enable row level security;
+alter table protocol_pauses enable row level security;
 
 -- Trigger function to calculate question times
 create or replace function set_question_times()
 returns trigger as $$
 begin
   new.end_time = new.start_time + make_interval(secs => new.duration);
-  new.evaluation_deadline = new.start_time + make_interval(secs => new.duration) + interval '7 days';
+  new.reveal_end_time = new.end_time + make_interval(secs => new.reveal_period);
+  new.evaluation_deadline = new.reveal_end_time + interval '7 days';
   return new;
 end;
 $$ language plpgsql;
 
 -- Trigger to automatically set times
 create trigger set_question_times_trigger
-  before insert or update of start_time, duration on questions
+  before insert or update of start_time, duration, reveal_period on questions
   for each row execute function set_question_times();
 
 -- Default policies (service role only - update as needed for your app)
 create policy "Service role access" on users for all using (auth.role() = 'service_role');
 create policy "Service role access" on questions for all using (auth.role() = 'service_role');
+create policy "Service role access" on question_drafts for all using (auth.role() = 'service_role');
 create policy "Service role access" on answers for all using (auth.role() = 'service_role');
+create policy "Service role access" on answer_revisions for all using (auth.role() = 'service_role');
 create policy "Service role access" on evaluations for all using (auth.role() = 'service_role');
+create policy "Service role access" on disputes for all using (auth.role() = 'service_role');
 create policy "Service role access" on seeds for all using (auth.role() = 'service_role');
+create policy "Service role access" on seed_reclaims for all using (auth.role() = 'service_role');
 create policy "Service role access" on reward_claims for all using (auth.role() = 'service_role');
+create policy "Service role access" on reward_sweeps for all using (auth.role() = 'service_role');
 create policy "Service role access" on emergency_refunds for all using (auth.role() = 'service_role');
 create policy "Service role access" on reputation_history for all using (auth.role() = 'service_role');
 create policy "Service role access" on ai_evaluations for all using (auth.role() = 'service_role');
 create policy "Service role access" on protocol_metrics for all using (auth.role() = 'service_role');
 create policy "Service role access" on contract_events for all using (auth.role() = 'service_role');
+create policy "Service role access" on indexer_checkpoints for all using (auth.role() = 'service_role');
+create policy "Service role access" on indexer_blocks for all using (auth.role() = 'service_role');
+create policy "Service role access" on relayed_intents for all using (auth.role() = 'service_role');
+create policy "Service role access" on protocol_pauses for all using (auth.role() = 'service_role');
 
 -- Example public read policies (uncomment and modify as needed)
 -- create policy "Public read access" on questions for select using (true);
@@ -253,7 +442,8 @@ select
   q.evaluation_deadline,
   coalesce(e.evaluated_at, null) as evaluated_at,
   case 
-    when now() > q.evaluation_deadline and q.status != 'evaluated' then true
+    when q.status = 'cancelled' then true
+    when now() > q.evaluation_deadline and q.status not in ('evaluated', 'disputed') then true
     else false
   end as emergency_refund_available
 from questions q
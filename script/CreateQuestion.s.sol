@@ -4,11 +4,13 @@ pragma solidity ^0.8.20;
 import "forge-std/Script.sol";
 import "../src/StoaQuestionFactory.sol";
 
-contract CreateQuestionScript is Script {
+import {Utils} from "../script/utils/Utils.sol";
+
+contract CreateQuestionScript is Utils {
     function run() public {
-        vm.startBroadcast(vm.envUint("DEPLOYER_PRIVATE_KEY"));
+        StoaQuestionFactory factory = StoaQuestionFactory(readDeployment("StoaQuestionFactory"));
 
-        StoaQuestionFactory factory = StoaQuestionFactory(0x56Ee1dAb5b0CB673D25C4893FBE8253b08112658);
+        vm.startBroadcast(vm.envUint("DEPLOYER_PRIVATE_KEY"));
 
         address questionAddress = factory.createQuestion(
             0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913, // USDC token
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.20;
+
+import "forge-std/Script.sol";
+import "../src/StoaClaimRouter.sol";
+import "../src/StoaQuestionFactory.sol";
+
+import {Utils} from "../script/utils/Utils.sol";
+
+/**
+ * @title DeployStoaClaimRouterScript
+ * @notice This script deploys the StoaClaimRouter contract, sets it as the claim router of the StoaQuestionFactory
+ *         recorded in `deployments/<chainId>.json`, and adds the router to the same manifest.
+ * @dev Run DeployStoaQuestionFactory.s.sol on the same network first; the deployer must own the factory.
+ *      Only questions created after this script runs can be claimed through the router.
+ *      Simulate running it by entering:
+ *      `forge script script/DeployStoaClaimRouter.s.sol --sender <the_caller_address> --fork-url $RPC_URL -vvvv`
+ *      To deploy for real, add the --broadcast flag:
+ *      `forge script script/DeployStoaClaimRouter.s.sol --fork-url $RPC_URL --broadcast --verify`
+ */
+contract DeployStoaClaimRouterScript is Utils {
+    function run() public {
+        StoaQuestionFactory questionFactory = StoaQuestionFactory(readDeployment("StoaQuestionFactory"));
+
+        vm.startBroadcast(vm.envUint("DEPLOYER_PRIVATE_KEY"));
+
+        StoaClaimRouter claimRouter = new StoaClaimRouter();
+        questionFactory.setClaimRouter(address(claimRouter));
+
+        vm.stopBroadcast();
+
+        console.log("StoaClaimRouter deployed at:", address(claimRouter));
+        console.log("Question Factory:", address(questionFactory));
+        console.log("Factory Claim Router:", questionFactory.claimRouter());
+
+        writeDeployment("StoaClaimRouter", address(claimRouter));
+    }
+}
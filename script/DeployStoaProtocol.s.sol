@@ -4,15 +4,17 @@ pragma solidity ^0.8.20;
 import "forge-std/Script.sol";
 import "../src/StoaProtocol.sol";
 
+import {Utils} from "../script/utils/Utils.sol";
+
 /**
  * @title DeployStoaProtocolScript
- * @notice This script deploys the StoaProtocol contract.
+ * @notice This script deploys the StoaProtocol contract and records it in `deployments/<chainId>.json`.
  * @dev Simulate running it by entering:
  *      `forge script script/DeployStoaProtocol.s.sol --sender <the_caller_address> --fork-url $RPC_URL -vvvv`
  *      To deploy for real, add the --broadcast flag:
  *      `forge script script/DeployStoaProtocol.s.sol --fork-url $RPC_URL --broadcast --verify`
  */
-contract DeployStoaProtocolScript is Script {
+contract DeployStoaProtocolScript is Utils {
     function run() public {
         vm.broadcast(vm.envUint("DEPLOYER_PRIVATE_KEY"));
 
@@ -21,5 +23,7 @@ contract DeployStoaProtocolScript is Script {
         console.log("StoaProtocol deployed at:", address(protocol));
         console.log("Owner:", protocol.owner());
         console.log("Question count:", protocol.getQuestionCount());
+
+        writeDeployment("StoaProtocol", address(protocol));
     }
 }
@@ -4,28 +4,36 @@ pragma solidity ^0.8.20;
 import "forge-std/Script.sol";
 import "../src/StoaQuestionFactory.sol";
 
+import {Utils} from "../script/utils/Utils.sol";
+
 /**
  * @title DeployStoaQuestionFactoryScript
- * @notice This script deploys the StoaQuestionFactory contract with the specified parameters.
- * @dev Simulate running it by entering:
+ * @notice This script deploys the StoaQuestionFactory contract against the StoaProtocol registry recorded in
+ *         `deployments/<chainId>.json`, and adds the factory to the same manifest.
+ * @dev Run DeployStoaProtocol.s.sol on the same network first.
+ *      Simulate running it by entering:
  *      `forge script script/DeployStoaQuestionFactory.s.sol --sender <the_caller_address> --fork-url $RPC_URL -vvvv`
  *      To deploy for real, add the --broadcast flag:
  *      `forge script script/DeployStoaQuestionFactory.s.sol --fork-url $RPC_URL --broadcast --verify`
  */
-contract DeployStoaQuestionFactoryScript is Script {
+contract DeployStoaQuestionFactoryScript is Utils {
     // Contract addresses
     address constant TREASURY = 0xBe523e724B9Ea7D618dD093f14618D90c4B19b0c;
-    address constant PROTOCOL_REGISTRY = 0xFB20AD3ad36b197a3e0a36CC2C8edcf09767c13f;
 
     function run() public {
+        address protocolRegistry = readDeployment("StoaProtocol");
+
         vm.broadcast(vm.envUint("DEPLOYER_PRIVATE_KEY"));
 
-        StoaQuestionFactory questionFactory = new StoaQuestionFactory(TREASURY, PROTOCOL_REGISTRY);
+        StoaQuestionFactory questionFactory = new StoaQuestionFactory(TREASURY, protocolRegistry);
 
         console.log("StoaQuestionFactory deployed at:", address(questionFactory));
+        console.log("Question Implementation:", questionFactory.questionImplementation());
         console.log("Treasury:", questionFactory.treasury());
         console.log("Protocol Registry:", address(questionFactory.protocolRegistry()));
         console.log("Owner:", questionFactory.owner());
         console.log("Question Count:", questionFactory.questionCount());
+
+        writeDeployment("StoaQuestionFactory", address(questionFactory));
     }
 }
@@ -35,4 +35,66 @@ contract Utils is Script {
         string memory outputFilePath = string.concat(outputDir, outputFileName, ".json");
         return outputFilePath;
     }
+
+    /// @notice Path of the per-network manifest, `deployments/<chainId>.json`
+    function getManifestPath() internal view returns (string memory) {
+        return getOutputPath(vm.toString(block.chainid));
+    }
+
+    /// @notice Reads a contract's address from the current network's manifest, reverting if it was never deployed
+    function readDeployment(string memory contractName) internal returns (address) {
+        string memory manifestPath = getManifestPath();
+        string memory key = string.concat(".contracts.", contractName, ".address");
+        require(vm.exists(manifestPath), string.concat("No deployment manifest at ", manifestPath));
+
+        string memory manifest = vm.readFile(manifestPath);
+        require(vm.keyExists(manifest, key), string.concat(contractName, " missing from ", manifestPath));
+        return vm.parseJsonAddress(manifest, key);
+    }
+
+    /// @notice Records a deployed contract in the current network's manifest, keeping the other contracts' entries
+    function writeDeployment(string memory contractName, address contractAddress) internal {
+        string memory manifestPath = getManifestPath();
+        string memory contracts = "contracts";
+        string memory contractsOutput;
+
+        if (vm.exists(manifestPath)) {
+            string memory manifest = vm.readFile(manifestPath);
+            string[] memory names = vm.parseJsonKeys(manifest, ".contracts");
+            for (uint256 i = 0; i < names.length; i++) {
+                if (keccak256(bytes(names[i])) == keccak256(bytes(contractName))) continue;
+                string memory prefix = string.concat(".contracts.", names[i]);
+                string memory blockKey = string.concat(prefix, ".deploymentBlock");
+                address deployed = vm.parseJsonAddress(manifest, string.concat(prefix, ".address"));
+                // Legacy entries may not know their deployment block; keep it unknown rather than recording 0
+                contractsOutput = vm.serializeString(
+                    contracts,
+                    names[i],
+                    vm.keyExists(manifest, blockKey)
+                        ? _serializeDeployment(names[i], deployed, vm.parseJsonUint(manifest, blockKey))
+                        : vm.serializeAddress(names[i], "address", deployed)
+                );
+            }
+        }
+
+        contractsOutput = vm.serializeString(
+            contracts, contractName, _serializeDeployment(contractName, contractAddress, block.number)
+        );
+
+        string memory parent_object = "manifest";
+        string memory finalJson;
+        finalJson = vm.serializeUint(parent_object, "chainId", block.chainid);
+        finalJson = vm.serializeString(parent_object, contracts, contractsOutput);
+
+        vm.createDir(string.concat(vm.projectRoot(), "/deployments"), true);
+        vm.writeJson(finalJson, manifestPath);
+    }
+
+    function _serializeDeployment(string memory contractName, address contractAddress, uint256 deploymentBlock)
+        private
+        returns (string memory output)
+    {
+        output = vm.serializeAddress(contractName, "address", contractAddress);
+        output = vm.serializeUint(contractName, "deploymentBlock", deploymentBlock);
+    }
 }
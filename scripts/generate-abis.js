@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Generates the JS/TS ABIs from Foundry build artifacts
+ *
+ * Reads out/<Contract>.sol/<Contract>.json for every contract below and writes:
+ * - abis/<Contract>.json: the raw ABI, loaded by the SDK
+ * - abis/<Contract>.ts: the same ABI as an `as const` module for typed viem calls
+ * - abis/index.ts: re-exports every TypeScript module
+ *
+ * Usage:
+ * forge build && node scripts/generate-abis.js
+ * node scripts/generate-abis.js --check   # exit 1 if abis/ is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUT_DIR = path.join(ROOT, 'out');
+const ABI_DIR = path.join(ROOT, 'abis');
+
+const CONTRACTS = [
+  'StoaQuestion',
+  'StoaQuestionFactory',
+  'StoaClaimRouter',
+  'StoaProtocol',
+  'BalanceManager',
+  'InflationToken'
+];
+
+const HEADER = '// This file is generated by scripts/generate-abis.js from the Foundry build. Do not edit.\n';
+
+function readAbi(contract) {
+  const artifactPath = path.join(OUT_DIR, `${contract}.sol`, `${contract}.json`);
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error(`Missing build artifact ${path.relative(ROOT, artifactPath)}, run \`forge build\` first`);
+  }
+  return JSON.parse(fs.readFileSync(artifactPath, 'utf8')).abi;
+}
+
+/**
+ * @returns {Map<string, string>} generated file contents keyed by path relative to abis/
+ */
+function renderFiles() {
+  const files = new Map();
+
+  for (const contract of CONTRACTS) {
+    const abi = JSON.stringify(readAbi(contract), null, 2);
+    files.set(`${contract}.json`, `${abi}\n`);
+    files.set(`${contract}.ts`, `${HEADER}\nexport const ${contract}ABI = ${abi} as const;\n`);
+  }
+
+  const exports = CONTRACTS.map(contract => `export { ${contract}ABI } from './${contract}';`).join('\n');
+  files.set('index.ts', `${HEADER}\n${exports}\n`);
+
+  return files;
+}
+
+function writeFiles(files) {
+  fs.mkdirSync(ABI_DIR, { recursive: true });
+  for (const [file, contents] of files) {
+    fs.writeFileSync(path.join(ABI_DIR, file), contents);
+  }
+  console.log(`✅ Wrote ${files.size} files to ${path.relative(ROOT, ABI_DIR)}/`);
+}
+
+function checkFiles(files) {
+  const stale = [...files].filter(([file, contents]) => {
+    const filePath = path.join(ABI_DIR, file);
+    return !fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf8') !== contents;
+  });
+
+  if (stale.length > 0) {
+    console.error('❌ Committed ABIs are out of date with the compiled contracts:');
+    stale.forEach(([file]) => console.error(`   - abis/${file}`));
+    console.error('\nRun `forge build && node scripts/generate-abis.js` and commit the result.');
+    process.exit(1);
+  }
+
+  console.log('✅ Committed ABIs match the compiled contracts');
+}
+
+if (require.main === module) {
+  try {
+    const files = renderFiles();
+    if (process.argv.includes('--check')) {
+      checkFiles(files);
+    } else {
+      writeFiles(files);
+    }
+  } catch (error) {
+    console.error('❌ Error generating ABIs:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { renderFiles };
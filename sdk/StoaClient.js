@@ -0,0 +1,1623 @@
+const {
+  BaseError,
+  ContractFunctionRevertedError,
+  createPublicClient,
+  createWalletClient,
+  domainSeparator,
+  getAddress,
+  http,
+  isAddressEqual,
+  maxUint256,
+  parseEventLogs,
+  parseSignature,
+  zeroAddress
+} = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+const { base } = require('viem/chains');
+
+const {
+  ERC20ABI,
+  ERC20PermitABI,
+  OwnableABI,
+  StoaClaimRouterABI,
+  StoaFeesABI,
+  StoaProtocolABI,
+  StoaQuestionABI,
+  StoaQuestionFactoryABI
+} = require('./abis');
+const { parseQuestionSalt, predictQuestionAddress } = require('./addresses');
+const { createSealedCommitment } = require('./commitments');
+const { decodeStoaError, getRevertError } = require('./errors');
+const { buildAnswerIntentTypedData } = require('./intents');
+const { loadNetwork } = require('./networks');
+const { collect, paginate, paginatePages } = require('./pagination');
+const { PERMIT2_ADDRESS, buildPermit2TypedData, buildPermitTypedData, randomPermit2Nonce } = require('./permits');
+const { createFileRevealStore } = require('./reveals');
+const { SCORING_MODES, previewRewards, scoringModeId } = require('./scoring');
+
+/**
+ * @typedef {import('viem').Address} Address
+ * @typedef {import('viem').Hash} Hash
+ * @typedef {import('viem').TransactionReceipt} TransactionReceipt
+ *
+ * @typedef {object} Answer
+ * @property {Address} responder
+ * @property {Hash} answerHash
+ * @property {bigint} timestamp
+ * @property {bigint} score
+ * @property {boolean} rewarded
+ *
+ * @typedef {'Active' | 'RevealPeriod' | 'AwaitingEvaluation' | 'DisputePeriod' | 'Disputed' | 'Evaluated' |
+ *   'EmergencyRefundAvailable' | 'Cancelled'} QuestionStatus
+ *
+ * @typedef {object} QuestionInfo
+ * @property {Address} address
+ * @property {Address} token
+ * @property {Address} creator
+ * @property {Address} evaluator Address allowed to call evaluateAnswers
+ * @property {bigint} submissionCost
+ * @property {bigint} totalRewardPool
+ * @property {bigint} endsAt
+ * @property {bigint} maxEndsAt Latest end the creator can extend the question to
+ * @property {bigint} revealPeriod Seconds after endsAt to reveal sealed answers; 0 for open answers
+ * @property {bigint} revealEndsAt When evaluation can start; endsAt for open answers
+ * @property {bigint} evaluationDeadline
+ * @property {number} maxWinners
+ * @property {boolean} evaluated
+ * @property {boolean} cancelled
+ * @property {bigint} answerCount
+ * @property {QuestionStatus} status
+ *
+ * @typedef {object} Dispute
+ * @property {bigint} index
+ * @property {Address} challenger
+ * @property {Hash} reasonHash keccak256 of the challenger's reasoning
+ * @property {bigint} bond
+ * @property {boolean} resolved
+ *
+ * @typedef {object} DisputeInfo
+ * @property {Address | null} arbiter null if disputes are disabled for the question
+ * @property {bigint} disputePeriod Seconds after evaluation during which disputes can be opened
+ * @property {bigint} disputeBond
+ * @property {bigint} disputeEndsAt 0 until the question is evaluated
+ * @property {bigint} arbitrationDeadline Last moment the arbiter can settle open disputes
+ * @property {boolean} finalized Whether rewards can be claimed
+ * @property {Dispute[]} disputes Every dispute, oldest first
+ *
+ * @typedef {object} FeeConfig All fees in basis points of the submission cost
+ * @property {number} feeBps Protocol fee, paid to the treasury
+ * @property {number} creatorFeeBps
+ * @property {number} referralFeeBps Paid to the referrer, or added to the reward pool without one
+ * @property {number} maxCreatorFeeBps Highest creator fee the question's creator can set
+ * @property {number} maxReferralFeeBps Highest referral fee the question's creator can set
+ * @property {Address} treasury
+ *
+ * @typedef {'treasury' | 'creator' | 'followUp'} SweepDestination
+ *
+ * @typedef {object} ClaimWindow
+ * @property {bigint} claimPeriod Seconds winners have to claim once rewards are final; 0 if sweeping is disabled
+ * @property {bigint} claimDeadline After this, unclaimed rewards can be swept; 0 until evaluated or if disabled
+ * @property {boolean} rewardsSwept
+ * @property {bigint} unclaimed Rewards not yet claimed, 0 once swept
+ *
+ * @typedef {object} RegisteredQuestion
+ * @property {bigint} id Registry index, starting at 0
+ * @property {Address} questionAddress
+ * @property {Address} creator
+ * @property {bigint} submissionCost
+ * @property {bigint} duration
+ * @property {number} maxWinners
+ * @property {bigint} createdAt
+ *
+ * @typedef {object} PageOptions
+ * @property {bigint | number} [pageSize] Items read per call (default 100)
+ *
+ * @typedef {object} ClaimableReward
+ * @property {Address} question
+ * @property {bigint} amount In the question's token
+ * @property {boolean} routed Whether the factory's claim router can claim it; questions created before the
+ *           router was set must be claimed one by one with claimReward
+ *
+ * @typedef {object} TransactionResult
+ * @property {Hash} hash
+ * @property {TransactionReceipt} receipt
+ *
+ * @typedef {object} SimulationResult
+ * @property {true} dryRun
+ * @property {Address} address Contract the call was simulated against
+ * @property {string} functionName
+ * @property {readonly unknown[]} args
+ * @property {unknown} result The function's simulated return value
+ */
+
+/** Sweep destinations, in the order of the contract's SweepDestination enum */
+const SWEEP_DESTINATIONS = ['treasury', 'creator', 'followUp'];
+
+/** How long signed permits stay valid unless a deadline is given, in seconds */
+const PERMIT_LIFETIME = 3600n;
+
+// A view the contract predates reverts without data, as the call falls through its function dispatch
+const isMissingFunction = error =>
+  error instanceof BaseError &&
+  error.walk(e => e instanceof ContractFunctionRevertedError && !e.data && (!e.raw || e.raw === '0x')) !== null;
+
+/**
+ * Client for the Stoa factory, question and registry contracts.
+ *
+ * Reads only need a public client. Writes need a wallet client with an
+ * account; every write is simulated first so reverts surface before a
+ * transaction is sent, and resolves once the receipt is mined. Amounts are
+ * always bigints in the token's smallest unit.
+ *
+ * With `dryRun`, writes stop after the simulation and resolve with a
+ * {@link SimulationResult} instead; nothing is sent.
+ */
+class StoaClient {
+  /**
+   * @param {object} options
+   * @param {import('viem').PublicClient} options.publicClient
+   * @param {import('viem').WalletClient} [options.walletClient]
+   * @param {Address} [options.factoryAddress] StoaQuestionFactory address
+   * @param {Address} [options.protocolAddress] StoaProtocol registry address
+   * @param {number} [options.confirmations] Blocks to wait for on every write (default 1)
+   * @param {boolean} [options.dryRun] Only simulate writes
+   * @param {import('./reveals').RevealStore} [options.revealStore] Where sealed answers wait for their reveal
+   */
+  constructor({
+    publicClient,
+    walletClient,
+    factoryAddress,
+    protocolAddress,
+    confirmations = 1,
+    dryRun = false,
+    revealStore
+  }) {
+    this.publicClient = publicClient;
+    this.walletClient = walletClient;
+    this.factoryAddress = factoryAddress;
+    this.protocolAddress = protocolAddress;
+    this.confirmations = confirmations;
+    this.dryRun = dryRun;
+    this.revealStore = revealStore;
+    this._legacyFactory = false; // set once the factory turns out to predate getQuestions
+  }
+
+  /**
+   * @returns {Address} the address writes are sent from
+   */
+  get account() {
+    if (!this.walletClient || !this.walletClient.account) {
+      throw new Error('StoaClient needs a walletClient with an account to send transactions');
+    }
+    return this.walletClient.account.address;
+  }
+
+  // ------------------------------------------------------------------
+  // Factory
+  // ------------------------------------------------------------------
+
+  /**
+   * Creates a question through the factory. The caller must be whitelisted
+   * and, if `seedAmount` > 0, have approved the factory for it.
+   * @param {object} params
+   * @param {Address} params.token ERC20 used for submissions and rewards
+   * @param {bigint} params.submissionCost
+   * @param {bigint} params.duration Seconds answers are accepted for
+   * @param {number} params.maxWinners
+   * @param {bigint} [params.seedAmount]
+   * @param {Address} [params.evaluator] Address that ranks the answers; defaults to the creator
+   * @param {import('./scoring').ScoringCurve} [params.scoring] Omit for the linear curve
+   * @param {bigint} [params.revealPeriod] Seconds after the question ends to reveal sealed answers; omit for open
+   *        answers (see {@link StoaClient#commitAnswer})
+   * @param {import('viem').Hex} [params.salt] Deploys the question at the address
+   *        {@link StoaClient#predictQuestionAddress} returns for this salt
+   * @returns {Promise<TransactionResult & {questionId: bigint, question: Address, creator: Address}>}
+   */
+  async createQuestion({
+    token,
+    submissionCost,
+    duration,
+    maxWinners,
+    seedAmount = 0n,
+    evaluator,
+    scoring,
+    revealPeriod,
+    salt
+  }) {
+    const args = [token, submissionCost, duration, maxWinners, seedAmount];
+    // The short overload keeps working against factories deployed before evaluators, scoring curves and reveals
+    if (evaluator || scoring || revealPeriod || salt) {
+      const { mode, params = [] } = scoring || { mode: 'linear' };
+      args.push(evaluator || this.account, scoringModeId(mode), params, revealPeriod || 0n);
+    }
+    if (salt) {
+      args.push(parseQuestionSalt(salt));
+    }
+    const result = await this._write(this._factory(), StoaQuestionFactoryABI, 'createQuestion', args);
+    if (result.dryRun) return { ...result, question: result.result };
+    const { questionId, question, creator } = this._findEvent(result.receipt, StoaQuestionFactoryABI, 'QuestionCreated');
+    return { ...result, questionId, question, creator };
+  }
+
+  /**
+   * Address a question created with `salt` will have, computed offline so
+   * its content can be stored before the question exists.
+   * @param {import('viem').Hex} salt 32-byte salt, e.g. from `generateSalt()`
+   * @param {Address} [creator] Account that will create it; defaults to this client's
+   * @returns {Address}
+   */
+  predictQuestionAddress(salt, creator = this.account) {
+    return predictQuestionAddress({ factory: this._factory(), creator, salt });
+  }
+
+  /**
+   * @param {Address} user
+   * @param {boolean} allowed
+   * @returns {Promise<TransactionResult>}
+   */
+  whitelistCreator(user, allowed) {
+    return this._write(this._factory(), StoaQuestionFactoryABI, 'whitelistCreator', [user, allowed]);
+  }
+
+  /**
+   * @param {Address} user
+   * @returns {Promise<boolean>}
+   */
+  isWhitelisted(user) {
+    return this._read(this._factory(), StoaQuestionFactoryABI, 'isWhitelisted', [user]);
+  }
+
+  /**
+   * Sets the arbiter, dispute period and bond applied to questions created
+   * from now on. Only the factory owner can call this.
+   * @param {object} params
+   * @param {Address | null} params.arbiter null or the zero address disables disputes
+   * @param {bigint} [params.disputePeriod] Seconds after evaluation during which disputes can be opened
+   * @param {number} [params.disputeBondBps] Bond in basis points of each question's submission cost
+   * @returns {Promise<TransactionResult>}
+   */
+  setDisputeConfig({ arbiter, disputePeriod = 0n, disputeBondBps = 0 }) {
+    const args = [arbiter || zeroAddress, disputePeriod, BigInt(disputeBondBps)];
+    return this._write(this._factory(), StoaQuestionFactoryABI, 'setDisputeConfig', args);
+  }
+
+  /**
+   * @returns {Promise<{arbiter: Address | null, disputePeriod: bigint, disputeBondBps: number}>} settings new
+   *          questions are created with; arbiter is null while disputes are disabled
+   */
+  async getDisputeConfig() {
+    const [arbiter, disputePeriod, disputeBondBps] = await Promise.all(
+      ['arbiter', 'disputePeriod', 'disputeBondBps'].map(functionName =>
+        this._read(this._factory(), StoaQuestionFactoryABI, functionName)
+      )
+    );
+    return { arbiter: arbiter === zeroAddress ? null : arbiter, disputePeriod, disputeBondBps: Number(disputeBondBps) };
+  }
+
+  /**
+   * Sets the claim window of questions created from now on; 0 disables
+   * sweeping unclaimed rewards. Only the factory owner can call this.
+   * @param {bigint} claimPeriod Seconds, at least 7 days unless 0
+   * @returns {Promise<TransactionResult>}
+   */
+  setClaimPeriod(claimPeriod) {
+    return this._write(this._factory(), StoaQuestionFactoryABI, 'setClaimPeriod', [claimPeriod]);
+  }
+
+  /**
+   * @returns {Promise<bigint>} claim period new questions are created with, 0 if sweeping is disabled
+   */
+  getClaimPeriod() {
+    return this._read(this._factory(), StoaQuestionFactoryABI, 'claimPeriod');
+  }
+
+  /**
+   * Sets the claim router of questions created from now on; existing
+   * questions keep theirs. Only the factory owner can call this.
+   * @param {Address | null} claimRouter StoaClaimRouter address, null or the zero address for none
+   * @returns {Promise<TransactionResult>}
+   */
+  setClaimRouter(claimRouter) {
+    return this._write(this._factory(), StoaQuestionFactoryABI, 'setClaimRouter', [claimRouter || zeroAddress]);
+  }
+
+  /**
+   * @returns {Promise<Address | null>} claim router new questions are created with, null if none or if the
+   *          factory predates claim routers
+   */
+  async getClaimRouter() {
+    const claimRouter = await this._read(this._factory(), StoaQuestionFactoryABI, 'claimRouter').catch(error => {
+      if (isMissingFunction(error)) return zeroAddress;
+      throw error;
+    });
+    return claimRouter === zeroAddress ? null : claimRouter;
+  }
+
+  /**
+   * Sets the guardian, who can pause and unpause the protocol like the
+   * factory owner. Only the factory owner can call this.
+   * @param {Address | null} guardian null or the zero address leaves pausing to the owner
+   * @returns {Promise<TransactionResult>}
+   */
+  setGuardian(guardian) {
+    return this._write(this._factory(), StoaQuestionFactoryABI, 'setGuardian', [guardian || zeroAddress]);
+  }
+
+  /**
+   * @returns {Promise<Address | null>} the guardian, null if only the owner can pause
+   */
+  async getGuardian() {
+    const guardian = await this._read(this._factory(), StoaQuestionFactoryABI, 'guardian');
+    return guardian === zeroAddress ? null : guardian;
+  }
+
+  /**
+   * Stops question creation, and answers, revisions and seeding on every
+   * question of the factory, until unpaused. Claims, refunds, reveals,
+   * evaluation and disputes keep working. Only the guardian or the factory
+   * owner can call this.
+   * @returns {Promise<TransactionResult>}
+   */
+  pause() {
+    return this._write(this._factory(), StoaQuestionFactoryABI, 'pause');
+  }
+
+  /**
+   * Lifts a pause. Only the guardian or the factory owner can call this.
+   * @returns {Promise<TransactionResult>}
+   */
+  unpause() {
+    return this._write(this._factory(), StoaQuestionFactoryABI, 'unpause');
+  }
+
+  /**
+   * @returns {Promise<boolean>} whether the protocol is paused
+   */
+  isPaused() {
+    return this._read(this._factory(), StoaQuestionFactoryABI, 'paused');
+  }
+
+  /**
+   * @returns {Promise<bigint>}
+   */
+  getQuestionCount() {
+    return this._read(this._factory(), StoaQuestionFactoryABI, 'questionCount');
+  }
+
+  /**
+   * Factories deployed before `getQuestions` existed are read one
+   * `allQuestions(i)` call per question instead.
+   * @param {bigint | number} offset Index of the first question; question IDs are indices plus one
+   * @param {bigint | number} limit
+   * @returns {Promise<readonly Address[]>} up to `limit` questions created by the factory, oldest first; empty
+   *          past the last one
+   */
+  async getQuestions(offset, limit) {
+    const args = [BigInt(offset), BigInt(limit)];
+    if (!this._legacyFactory) {
+      try {
+        return await this._read(this._factory(), StoaQuestionFactoryABI, 'getQuestions', args);
+      } catch (error) {
+        if (!isMissingFunction(error)) throw error;
+        this._legacyFactory = true;
+      }
+    }
+    return this._getLegacyQuestions(...args);
+  }
+
+  /**
+   * Every question created by the factory, oldest first, read a page at a
+   * time.
+   * @param {PageOptions} [options]
+   * @returns {AsyncGenerator<Address>}
+   */
+  iterateQuestions({ pageSize } = {}) {
+    return paginate((offset, limit) => this.getQuestions(offset, limit), pageSize);
+  }
+
+  /**
+   * @returns {Promise<Address[]>} every question created by the factory, oldest first
+   */
+  getAllQuestions() {
+    return collect(this.iterateQuestions());
+  }
+
+  // ------------------------------------------------------------------
+  // Fees
+  // ------------------------------------------------------------------
+
+  /**
+   * Sets the protocol fee of questions created from now on. Only the factory
+   * owner can call this.
+   * @param {number} feeBps Together with both caps at most 10000
+   * @returns {Promise<TransactionResult>}
+   */
+  setFeeBps(feeBps) {
+    return this._write(this._factory(), StoaQuestionFactoryABI, 'setFeeBps', [BigInt(feeBps)]);
+  }
+
+  /**
+   * Sets how high creators can raise the creator and referral fees of
+   * questions created from now on; defaults above the caps are lowered to
+   * them. Only the factory owner can call this.
+   * @param {object} params
+   * @param {number} params.maxCreatorFeeBps
+   * @param {number} params.maxReferralFeeBps
+   * @returns {Promise<TransactionResult>}
+   */
+  setFeeCaps({ maxCreatorFeeBps, maxReferralFeeBps }) {
+    const args = [BigInt(maxCreatorFeeBps), BigInt(maxReferralFeeBps)];
+    return this._write(this._factory(), StoaQuestionFactoryABI, 'setFeeCaps', args);
+  }
+
+  /**
+   * Sets the treasury of questions created from now on. Only the factory
+   * owner can call this.
+   * @param {Address} treasury
+   * @returns {Promise<TransactionResult>}
+   */
+  setTreasury(treasury) {
+    return this._write(this._factory(), StoaQuestionFactoryABI, 'setTreasury', [treasury]);
+  }
+
+  /**
+   * Sets a question's creator fee, up to the cap it was created with, or on
+   * the factory the default of questions created from now on. Only the
+   * contract's owner can call this.
+   * @param {Address} contract A question or the factory
+   * @param {number} creatorFeeBps
+   * @returns {Promise<TransactionResult>}
+   */
+  setCreatorFeeBps(contract, creatorFeeBps) {
+    return this._write(contract, StoaFeesABI, 'setCreatorFeeBps', [BigInt(creatorFeeBps)]);
+  }
+
+  /**
+   * Like {@link StoaClient#setCreatorFeeBps}, for the referral fee.
+   * @param {Address} contract A question or the factory
+   * @param {number} referralFeeBps
+   * @returns {Promise<TransactionResult>}
+   */
+  setReferralFeeBps(contract, referralFeeBps) {
+    return this._write(contract, StoaFeesABI, 'setReferralFeeBps', [BigInt(referralFeeBps)]);
+  }
+
+  /**
+   * @param {Address} [contract] A question, for the fees it was created with; defaults to the factory, whose fees
+   *        new questions get
+   * @returns {Promise<FeeConfig>}
+   */
+  async getFeeConfig(contract = this._factory()) {
+    const names = ['feeBps', 'creatorFeeBps', 'referralFeeBps', 'maxCreatorFeeBps', 'maxReferralFeeBps'];
+    const [treasury, ...values] = await Promise.all(
+      ['treasury', ...names].map(functionName => this._read(contract, StoaFeesABI, functionName))
+    );
+    return { ...Object.fromEntries(names.map((name, i) => [name, Number(values[i])])), treasury };
+  }
+
+  // ------------------------------------------------------------------
+  // Question writes
+  // ------------------------------------------------------------------
+
+  /**
+   * Submits an answer. The caller must have approved the question for its
+   * submission cost (see {@link StoaClient#approve}).
+   * @param {Address} question
+   * @param {Hash} answerHash keccak256 of the answer content
+   * @returns {Promise<TransactionResult & {index: bigint}>}
+   */
+  async submitAnswer(question, answerHash) {
+    const result = await this._write(question, StoaQuestionABI, 'submitAnswer', [answerHash]);
+    if (result.dryRun) return result;
+    const { index } = this._findEvent(result.receipt, StoaQuestionABI, 'AnswerSubmitted');
+    return { ...result, index };
+  }
+
+  /**
+   * @param {Address} question
+   * @param {Hash} answerHash keccak256 of the answer content
+   * @param {Address} referrer Receives the referral fee
+   * @returns {Promise<TransactionResult & {index: bigint}>}
+   */
+  async submitAnswerWithReferral(question, answerHash, referrer) {
+    const result = await this._write(question, StoaQuestionABI, 'submitAnswerWithReferral', [answerHash, referrer]);
+    if (result.dryRun) return result;
+    return { ...result, index: this._answerIndex(result.receipt) };
+  }
+
+  /**
+   * Submits an answer paid with a signed permit instead of a prior approval
+   * transaction. With 'permit' the token must support EIP-2612; with
+   * 'permit2' the account must have approved Permit2 for the token once
+   * (see {@link StoaClient#approvePermit2}).
+   * @param {Address} question
+   * @param {Hash} answerHash keccak256 of the answer content
+   * @param {object} [options]
+   * @param {Address} [options.referrer] Receives the referral fee
+   * @param {import('./permits').PermitMethod} [options.method] Defaults to 'permit'
+   * @param {bigint} [options.deadline] Defaults to an hour after the latest block
+   * @returns {Promise<TransactionResult & {index: bigint}>}
+   */
+  async submitAnswerWithPermit(question, answerHash, { referrer, method = 'permit', deadline } = {}) {
+    const [token, submissionCost] = await Promise.all([
+      this._read(question, StoaQuestionABI, 'token'),
+      this._read(question, StoaQuestionABI, 'submissionCost')
+    ]);
+    const permit = await this._signPayment(method, token, question, submissionCost, deadline);
+    const functionName = method === 'permit2' ? 'submitAnswerWithPermit2' : 'submitAnswerWithPermit';
+    const result = await this._write(question, StoaQuestionABI, functionName, [
+      answerHash,
+      referrer || zeroAddress,
+      ...permit
+    ]);
+    if (result.dryRun) return result;
+    return { ...result, index: this._answerIndex(result.receipt) };
+  }
+
+  /**
+   * Signs an answer intent a relayer can submit for the client account with
+   * {@link StoaClient#submitAnswerWithIntent}, paying the submission cost and
+   * gas itself. Nothing is sent; pass the intent to the relayer (see
+   * `sendAnswerIntent` in ./intents).
+   * @param {Address} question
+   * @param {Hash} answerHash keccak256 of the answer content (the sealed hash for commit-reveal questions)
+   * @param {object} [options]
+   * @param {Address} [options.referrer] Receives the referral fee
+   * @param {bigint} [options.deadline] Defaults to an hour after the latest block
+   * @returns {Promise<import('./intents').AnswerIntent>}
+   */
+  async signAnswerIntent(question, answerHash, { referrer, deadline } = {}) {
+    const [nonce, chainId, expiry] = await Promise.all([
+      this.getIntentNonce(question, this.account),
+      this._chainId(),
+      deadline || this._permitDeadline()
+    ]);
+    const message = { question, answerHash, referrer: referrer || zeroAddress, nonce, deadline: expiry };
+    const typedData = buildAnswerIntentTypedData({ chainId, ...message });
+    const signature = await this.walletClient.signTypedData({ account: this.walletClient.account, ...typedData });
+    return { ...message, responder: this.account, signature };
+  }
+
+  /**
+   * Submits an answer intent another account signed. The client account
+   * must be an authorized submitter of the question (see
+   * {@link StoaClient#setSubmitter}) and have approved it for the
+   * submission cost, which it pays.
+   * @param {import('./intents').AnswerIntent} intent
+   * @returns {Promise<TransactionResult & {index: bigint}>}
+   */
+  async submitAnswerWithIntent(intent) {
+    const result = await this._write(intent.question, StoaQuestionABI, 'submitAnswerWithIntent', [
+      intent.responder,
+      intent.answerHash,
+      intent.referrer || zeroAddress,
+      intent.deadline,
+      intent.signature
+    ]);
+    if (result.dryRun) return result;
+    return { ...result, index: this._answerIndex(result.receipt) };
+  }
+
+  /**
+   * Submits a sealed answer to a commit-reveal question. A fresh salt is
+   * generated and the answer saved to the reveal store before the
+   * transaction is sent, since it cannot be revealed without them.
+   * @param {Address} question
+   * @param {string} content Answer text
+   * @param {object} [options]
+   * @param {Address} [options.referrer] Receives the referral fee
+   * @param {import('./permits').PermitMethod} [options.permit] Pay with a signed permit instead of an approval
+   * @returns {Promise<TransactionResult & import('./commitments').SealedCommitment & {index: bigint}>}
+   */
+  async commitAnswer(question, content, { referrer, permit } = {}) {
+    const commitment = createSealedCommitment(content, { question, responder: this.account });
+    const entry = { chainId: await this._chainId(), question, responder: this.account, ...commitment };
+    if (!this.dryRun) {
+      await this._revealStore().save(entry);
+    }
+    let result;
+    if (permit) {
+      result = await this.submitAnswerWithPermit(question, commitment.sealedHash, { referrer, method: permit });
+    } else {
+      result = referrer
+        ? await this.submitAnswerWithReferral(question, commitment.sealedHash, referrer)
+        : await this.submitAnswer(question, commitment.sealedHash);
+    }
+    if (result.dryRun) return { ...result, ...commitment };
+    await this._revealStore().save({ ...entry, index: result.index });
+    return { ...result, ...commitment };
+  }
+
+  /**
+   * Replaces the client account's answer while the question is open. It
+   * keeps its index; the caller must have approved the question for its
+   * revision fee, if any (see {@link StoaClient#getRevisionFee}).
+   * @param {Address} question
+   * @param {Hash} answerHash keccak256 of the revised content (a fresh sealed hash for commit-reveal questions, see
+   *        {@link StoaClient#commitAnswerUpdate})
+   * @returns {Promise<TransactionResult & {index: bigint}>}
+   */
+  async updateAnswer(question, answerHash) {
+    const result = await this._write(question, StoaQuestionABI, 'updateAnswer', [answerHash]);
+    if (result.dryRun) return result;
+    const { index } = this._findEvent(result.receipt, StoaQuestionABI, 'AnswerUpdated');
+    return { ...result, index };
+  }
+
+  /**
+   * Revises a sealed answer to a commit-reveal question under a fresh salt.
+   * Like {@link StoaClient#commitAnswer}, the revision is saved to the reveal
+   * store before the transaction is sent; the entry it replaces is kept
+   * with it until the update is mined, since until then either seal can be
+   * the one on-chain.
+   * @param {Address} question
+   * @param {string} content Revised answer text
+   * @returns {Promise<TransactionResult & import('./commitments').SealedCommitment & {index: bigint}>}
+   */
+  async commitAnswerUpdate(question, content) {
+    const chainId = await this._chainId();
+    const current = await this._revealStore().load(chainId, question, this.account);
+    const commitment = createSealedCommitment(content, { question, responder: this.account });
+    const entry = {
+      chainId,
+      question,
+      responder: this.account,
+      index: current ? current.index : undefined,
+      ...commitment
+    };
+    if (!this.dryRun) {
+      await this._revealStore().save({ ...entry, previous: current ? { ...current, previous: undefined } : undefined });
+    }
+    const result = await this.updateAnswer(question, commitment.sealedHash);
+    if (result.dryRun) return { ...result, ...commitment };
+    await this._revealStore().save({ ...entry, index: result.index });
+    return { ...result, ...commitment };
+  }
+
+  /**
+   * Reveals a sealed answer between the end of the question and the end of
+   * its reveal period, using the entry {@link StoaClient#commitAnswer} saved.
+   * Anyone can send the reveal, so a relayer can reveal for the responder.
+   * @param {Address} question
+   * @param {object} [options]
+   * @param {Address} [options.responder] Defaults to the client's account
+   * @returns {Promise<TransactionResult & {index: bigint, answerHash: Hash, content: string}>}
+   */
+  async revealAnswer(question, { responder = this.account } = {}) {
+    const entry = await this._revealStore().load(await this._chainId(), question, responder);
+    if (!entry) {
+      throw new Error(`No sealed answer from ${responder} to ${question} in the reveal store`);
+    }
+    const index =
+      entry.index !== undefined
+        ? entry.index
+        : (await this._read(question, StoaQuestionABI, 'userAnswerIndex', [responder])) - 1n;
+    if (index < 0n) {
+      throw new Error(`${responder} has not answered ${question}`);
+    }
+    // A revision that never got mined leaves the previous seal on-chain
+    const { answerHash: sealedHash } = entry.previous ? await this.getAnswer(question, index) : entry;
+    const { answerHash, salt, content } =
+      entry.previous && sealedHash === entry.previous.sealedHash ? entry.previous : entry;
+    const result = await this._write(question, StoaQuestionABI, 'revealAnswer', [index, answerHash, salt]);
+    if (!result.dryRun) {
+      await this._revealStore().remove(entry.chainId, question, responder);
+    }
+    return { ...result, index, answerHash, content };
+  }
+
+  /**
+   * @param {Address} question
+   * @param {bigint} amount Added to the reward pool; must be approved first
+   * @returns {Promise<TransactionResult>}
+   */
+  seedQuestion(question, amount) {
+    return this._write(question, StoaQuestionABI, 'seedQuestion', [amount]);
+  }
+
+  /**
+   * Seeds a question with a signed permit instead of a prior approval
+   * transaction; see {@link StoaClient#submitAnswerWithPermit} for the methods.
+   * @param {Address} question
+   * @param {bigint} amount Added to the reward pool
+   * @param {object} [options]
+   * @param {import('./permits').PermitMethod} [options.method] Defaults to 'permit'
+   * @param {bigint} [options.deadline] Defaults to an hour after the latest block
+   * @returns {Promise<TransactionResult>}
+   */
+  async seedQuestionWithPermit(question, amount, { method = 'permit', deadline } = {}) {
+    const token = await this._read(question, StoaQuestionABI, 'token');
+    const permit = await this._signPayment(method, token, question, amount, deadline);
+    const functionName = method === 'permit2' ? 'seedQuestionWithPermit2' : 'seedQuestionWithPermit';
+    return this._write(question, StoaQuestionABI, functionName, [amount, ...permit]);
+  }
+
+  /**
+   * Takes the caller's seed back from a question that ended without answers,
+   * or that was cancelled.
+   * @param {Address} question
+   * @returns {Promise<TransactionResult & {amount: bigint}>}
+   */
+  async reclaimSeed(question) {
+    const result = await this._write(question, StoaQuestionABI, 'reclaimSeed');
+    if (result.dryRun) return result;
+    const { amount } = this._findEvent(result.receipt, StoaQuestionABI, 'SeedReclaimed');
+    return { ...result, amount };
+  }
+
+  /**
+   * @param {Address} question
+   * @param {Array<bigint | number>} rankedIndices Answer indices, best first
+   * @returns {Promise<TransactionResult>}
+   */
+  evaluateAnswers(question, rankedIndices) {
+    return this._write(question, StoaQuestionABI, 'evaluateAnswers', [rankedIndices.map(BigInt)]);
+  }
+
+  /**
+   * Hands evaluation to another address. Only the question's owner (its
+   * creator) can call this, and only before the answers are evaluated.
+   * @param {Address} question
+   * @param {Address} evaluator
+   * @returns {Promise<TransactionResult>}
+   */
+  setEvaluator(question, evaluator) {
+    return this._write(question, StoaQuestionABI, 'setEvaluator', [evaluator]);
+  }
+
+  /**
+   * Sets what responders pay to revise their answer, added to the reward
+   * pool. Only the question's owner (its creator) can call this, and only
+   * before the first answer.
+   * @param {Address} question
+   * @param {bigint} revisionFee Token base units; 0 makes revisions free
+   * @returns {Promise<TransactionResult>}
+   */
+  setRevisionFee(question, revisionFee) {
+    return this._write(question, StoaQuestionABI, 'setRevisionFee', [revisionFee]);
+  }
+
+  /**
+   * Keeps a question open longer. Only the question's owner (its creator)
+   * can call this, before it ends, up to its `maxEndsAt`.
+   * @param {Address} question
+   * @param {bigint} endsAt New end, in seconds since the epoch
+   * @returns {Promise<TransactionResult>}
+   */
+  extendDeadline(question, endsAt) {
+    return this._write(question, StoaQuestionABI, 'extendDeadline', [endsAt]);
+  }
+
+  /**
+   * Ends a question early; answers are still accepted for the contract's
+   * CLOSE_NOTICE. Only the question's owner (its creator) can call this.
+   * @param {Address} question
+   * @returns {Promise<TransactionResult & {endsAt: bigint}>}
+   */
+  async closeEarly(question) {
+    const result = await this._write(question, StoaQuestionABI, 'closeEarly');
+    if (result.dryRun) return result;
+    const { endsAt } = this._findEvent(result.receipt, StoaQuestionABI, 'QuestionClosedEarly');
+    return { ...result, endsAt };
+  }
+
+  /**
+   * Cancels a question that has not been evaluated. Responders then take back
+   * what they paid into the reward pool with emergencyRefund, and funders
+   * their seeds with reclaimSeed. Only the question's owner (its creator) can
+   * call this.
+   * @param {Address} question
+   * @returns {Promise<TransactionResult>}
+   */
+  cancelQuestion(question) {
+    return this._write(question, StoaQuestionABI, 'cancel');
+  }
+
+  /**
+   * Lets `submitter` answer on behalf of users, including with signed answer
+   * intents. Only the question's owner (its creator) can call this.
+   * @param {Address} question
+   * @param {Address} submitter A relayer or integration account
+   * @param {boolean} allowed
+   * @returns {Promise<TransactionResult>}
+   */
+  setSubmitter(question, submitter, allowed) {
+    return this._write(question, StoaQuestionABI, 'setSubmitter', [submitter, allowed]);
+  }
+
+  /**
+   * @param {Address} question
+   * @returns {Promise<TransactionResult & {amount: bigint}>}
+   */
+  async claimReward(question) {
+    const result = await this._write(question, StoaQuestionABI, 'claimReward');
+    if (result.dryRun) return result;
+    const { amount } = this._findEvent(result.receipt, StoaQuestionABI, 'RewardClaimed');
+    return { ...result, amount };
+  }
+
+  /**
+   * Claims `user`'s rewards from every routed question of the factory in one
+   * transaction through the claim router. Rewards always go to `user`, so
+   * anyone can send it on a winner's behalf. Rewards of questions without the
+   * router are left alone; find them with getClaimableRewards.
+   * @param {Address} [user] Defaults to the client account
+   * @returns {Promise<(TransactionResult & {claimed: Array<{question: Address, amount: bigint}>}) | null>} null if
+   *          no routed question has anything to claim
+   */
+  async claimAll(user = this.account) {
+    const claimRouter = await this.getClaimRouter();
+    if (!claimRouter) throw new Error('The factory has no claim router');
+    const questions = (await this.getClaimableRewards(user))
+      .filter(reward => reward.routed)
+      .map(reward => reward.question);
+    if (questions.length === 0) return null;
+
+    const result = await this._write(claimRouter, StoaClaimRouterABI, 'claimAll', [user, questions]);
+    if (result.dryRun) {
+      return { ...result, claimed: questions.map((question, i) => ({ question, amount: result.result[i] })) };
+    }
+    const claimed = parseEventLogs({ abi: StoaQuestionABI, eventName: 'RewardClaimed', logs: result.receipt.logs })
+      .filter(log => isAddressEqual(log.args.user, user))
+      .map(log => ({ question: getAddress(log.address), amount: log.args.amount }));
+    return { ...result, claimed };
+  }
+
+  /**
+   * Challenges the ranking during the dispute period by staking the
+   * question's dispute bond, which must be approved first.
+   * @param {Address} question
+   * @param {Hash} reasonHash keccak256 of the challenger's reasoning
+   * @returns {Promise<TransactionResult & {index: bigint, bond: bigint}>}
+   */
+  async openDispute(question, reasonHash) {
+    const result = await this._write(question, StoaQuestionABI, 'openDispute', [reasonHash]);
+    if (result.dryRun) return result;
+    const { index, bond } = this._findEvent(result.receipt, StoaQuestionABI, 'DisputeOpened');
+    return { ...result, index, bond };
+  }
+
+  /**
+   * Keeps the evaluator's ranking and slashes the open disputes' bonds.
+   * Only the question's arbiter can call this.
+   * @param {Address} question
+   * @returns {Promise<TransactionResult>}
+   */
+  upholdRanking(question) {
+    return this._write(question, StoaQuestionABI, 'upholdRanking');
+  }
+
+  /**
+   * Replaces the evaluator's ranking and refunds the open disputes' bonds.
+   * Only the question's arbiter can call this.
+   * @param {Address} question
+   * @param {Array<bigint | number>} rankedIndices Answer indices, best first
+   * @returns {Promise<TransactionResult>}
+   */
+  replaceRanking(question, rankedIndices) {
+    return this._write(question, StoaQuestionABI, 'replaceRanking', [rankedIndices.map(BigInt)]);
+  }
+
+  /**
+   * Returns the caller's bond after the arbiter missed the arbitration deadline.
+   * @param {Address} question
+   * @returns {Promise<TransactionResult & {amount: bigint}>}
+   */
+  async reclaimDisputeBond(question) {
+    const result = await this._write(question, StoaQuestionABI, 'reclaimDisputeBond');
+    if (result.dryRun) return result;
+    const { amount } = this._findEvent(result.receipt, StoaQuestionABI, 'DisputeBondReclaimed');
+    return { ...result, amount };
+  }
+
+  /**
+   * Takes an equal share of the reward pool after the evaluation deadline
+   * was missed, or once a ranking with no winners is final. From a cancelled
+   * question, takes back what the caller paid into the pool instead (see
+   * {@link StoaClient#getPoolContribution}).
+   * @param {Address} question
+   * @returns {Promise<TransactionResult & {amount: bigint}>}
+   */
+  async emergencyRefund(question) {
+    const result = await this._write(question, StoaQuestionABI, 'emergencyRefund');
+    if (result.dryRun) return result;
+    const { amount } = this._findEvent(result.receipt, StoaQuestionABI, 'RewardClaimed');
+    return { ...result, amount };
+  }
+
+  /**
+   * Moves rewards nobody claimed before the claim deadline out of the
+   * question. Only the question's creator or treasury can call this.
+   * @param {Address} question
+   * @param {object} params
+   * @param {SweepDestination} params.destination
+   * @param {Address} [params.followUpQuestion] Required for 'followUp': an active question with the
+   *        same token, whose reward pool receives the rewards
+   * @returns {Promise<TransactionResult & {amount: bigint, recipient: Address}>}
+   */
+  async sweepUnclaimedRewards(question, { destination, followUpQuestion }) {
+    const id = SWEEP_DESTINATIONS.indexOf(destination);
+    if (id === -1) {
+      throw new Error(`Unknown sweep destination "${destination}", expected one of ${SWEEP_DESTINATIONS.join(', ')}`);
+    }
+    if ((destination === 'followUp') !== Boolean(followUpQuestion)) {
+      throw new Error('followUpQuestion is required for, and only allowed with, the followUp destination');
+    }
+
+    const args = [id, followUpQuestion || zeroAddress];
+    const result = await this._write(question, StoaQuestionABI, 'sweepUnclaimedRewards', args);
+    if (result.dryRun) return result;
+    const { amount, recipient } = this._findEvent(result.receipt, StoaQuestionABI, 'UnclaimedRewardsSwept');
+    return { ...result, amount, recipient };
+  }
+
+  // ------------------------------------------------------------------
+  // Question reads
+  // ------------------------------------------------------------------
+
+  /**
+   * Reads the on-chain parameters and state of a question.
+   * @param {Address} question
+   * @returns {Promise<QuestionInfo>}
+   */
+  async getQuestion(question) {
+    const fields = [
+      'token',
+      'creator',
+      'evaluator',
+      'submissionCost',
+      'totalRewardPool',
+      'endsAt',
+      'maxEndsAt',
+      'revealPeriod',
+      'revealEndsAt',
+      'evaluationDeadline',
+      'maxWinners',
+      'evaluated',
+      'cancelled',
+      'getAnswerCount',
+      'getQuestionStatus'
+    ];
+    // Plain reads rather than multicall, which local chains don't deploy
+    const results = await Promise.all(fields.map(functionName => this._read(question, StoaQuestionABI, functionName)));
+    const [
+      token,
+      creator,
+      evaluator,
+      submissionCost,
+      totalRewardPool,
+      endsAt,
+      maxEndsAt,
+      revealPeriod,
+      revealEndsAt,
+      evaluationDeadline,
+      maxWinners,
+      evaluated,
+      cancelled,
+      answerCount,
+      status
+    ] = results;
+
+    return {
+      address: question,
+      token,
+      creator,
+      evaluator,
+      submissionCost,
+      totalRewardPool,
+      endsAt,
+      maxEndsAt,
+      revealPeriod,
+      revealEndsAt,
+      evaluationDeadline,
+      maxWinners,
+      evaluated,
+      cancelled,
+      answerCount,
+      status
+    };
+  }
+
+  /**
+   * @param {Address} question
+   * @returns {Promise<QuestionStatus>}
+   */
+  getQuestionStatus(question) {
+    return this._read(question, StoaQuestionABI, 'getQuestionStatus');
+  }
+
+  /**
+   * @param {Address} question
+   * @param {bigint | number} index
+   * @returns {Promise<Answer>}
+   */
+  getAnswer(question, index) {
+    return this._read(question, StoaQuestionABI, 'getAnswer', [BigInt(index)]);
+  }
+
+  /**
+   * @param {Address} question
+   * @param {bigint | number} offset Index of the first answer
+   * @param {bigint | number} limit
+   * @returns {Promise<readonly Answer[]>} up to `limit` answers in submission order; empty past the last one
+   */
+  getAnswers(question, offset, limit) {
+    return this._read(question, StoaQuestionABI, 'getAnswers', [BigInt(offset), BigInt(limit)]);
+  }
+
+  /**
+   * Every answer to `question`, in submission order (so the nth item is
+   * answer index n), read a page at a time.
+   * @param {Address} question
+   * @param {PageOptions} [options]
+   * @returns {AsyncGenerator<Answer>}
+   */
+  iterateAnswers(question, { pageSize } = {}) {
+    return paginate((offset, limit) => this.getAnswers(question, offset, limit), pageSize);
+  }
+
+  /**
+   * @param {Address} question
+   * @returns {Promise<Answer[]>}
+   */
+  getAllAnswers(question) {
+    return collect(this.iterateAnswers(question));
+  }
+
+  /**
+   * @param {Address} question
+   * @returns {Promise<bigint>} what {@link StoaClient#updateAnswer} costs, in token base units
+   */
+  getRevisionFee(question) {
+    return this._read(question, StoaQuestionABI, 'revisionFee');
+  }
+
+  /**
+   * @param {Address} question
+   * @param {bigint | number} index
+   * @returns {Promise<boolean>} whether a sealed answer has been revealed; always false for open answers
+   */
+  isRevealed(question, index) {
+    return this._read(question, StoaQuestionABI, 'isRevealed', [BigInt(index)]);
+  }
+
+  /**
+   * @param {Address} question
+   * @param {Address} user
+   * @returns {Promise<Answer | null>} null if the user hasn't answered
+   */
+  async getUserAnswer(question, user) {
+    const index = await this._read(question, StoaQuestionABI, 'userAnswerIndex', [user]);
+    if (index === 0n) return null;
+    return this.getAnswer(question, index - 1n);
+  }
+
+  /**
+   * @param {Address} question
+   * @param {Address} submitter
+   * @returns {Promise<boolean>} whether `submitter` may answer on behalf of users
+   */
+  isAuthorizedSubmitter(question, submitter) {
+    return this._read(question, StoaQuestionABI, 'isAuthorizedSubmitter', [submitter]);
+  }
+
+  /**
+   * @param {Address} question
+   * @param {Address} responder
+   * @returns {Promise<bigint>} the nonce the responder's next answer intent must sign
+   */
+  getIntentNonce(question, responder) {
+    return this._read(question, StoaQuestionABI, 'intentNonces', [responder]);
+  }
+
+  /**
+   * @param {Address} question
+   * @param {Address} user
+   * @returns {Promise<bigint>}
+   */
+  getClaimableAmount(question, user) {
+    return this._read(question, StoaQuestionABI, 'getClaimableAmount', [user]);
+  }
+
+  /**
+   * @param {Address} question
+   * @param {Address[]} users
+   * @returns {Promise<Map<Address, bigint>>} claimable amount per user
+   */
+  async getMultipleClaimableAmounts(question, users) {
+    const amounts = await this._read(question, StoaQuestionABI, 'getMultipleClaimableAmounts', [users]);
+    return new Map(users.map((user, i) => [user, amounts[i]]));
+  }
+
+  /**
+   * Every question of the factory `user` has a reward to claim from, oldest
+   * first, read a page of questions at a time. Each page's amounts are read
+   * through the claim router in one call when the factory has one.
+   * @param {Address} [user] Defaults to the client account
+   * @param {PageOptions} [options]
+   * @returns {AsyncGenerator<ClaimableReward>}
+   */
+  async *iterateClaimableRewards(user = this.account, { pageSize } = {}) {
+    const claimRouter = await this.getClaimRouter();
+    const pages = paginatePages((offset, limit) => this.getQuestions(offset, limit), pageSize);
+
+    for await (const questions of pages) {
+      const amounts = claimRouter
+        ? await this._read(claimRouter, StoaClaimRouterABI, 'getClaimableAmounts', [user, questions])
+        : await Promise.all(questions.map(question => this.getClaimableAmount(question, user)));
+
+      const claimable = questions
+        .map((question, i) => ({ question, amount: amounts[i] }))
+        .filter(reward => reward.amount > 0n);
+      // Questions older than claim routers have no claimRouter() to read
+      const routers = claimRouter
+        ? await Promise.all(claimable.map(({ question }) => this._read(question, StoaQuestionABI, 'claimRouter')))
+        : [];
+      yield* claimable.map((reward, i) => ({ ...reward, routed: claimRouter !== null && routers[i] === claimRouter }));
+    }
+  }
+
+  /**
+   * @param {Address} [user] Defaults to the client account
+   * @param {PageOptions} [options]
+   * @returns {Promise<ClaimableReward[]>} every question of the factory `user` has a reward to claim from, oldest
+   *          first
+   */
+  getClaimableRewards(user = this.account, options) {
+    return collect(this.iterateClaimableRewards(user, options));
+  }
+
+  /**
+   * @param {Address} question
+   * @returns {Promise<Array<{responder: Address, score: bigint}>>} winners, best first
+   */
+  async getRankedWinners(question) {
+    const [addresses, scores] = await this._read(question, StoaQuestionABI, 'getRankedWinners');
+    return addresses.map((responder, i) => ({ responder, score: scores[i] }));
+  }
+
+  /**
+   * @param {Address} question
+   * @returns {Promise<import('./scoring').ScoringCurve>} the curve chosen when the question was created
+   */
+  async getScoringCurve(question) {
+    const [mode, params] = await this._read(question, StoaQuestionABI, 'getScoringCurve');
+    return { mode: SCORING_MODES[mode], params: [...params] };
+  }
+
+  /**
+   * Payout table for the question's current reward pool, before or after
+   * anyone has answered.
+   * @param {Address} question
+   * @param {object} [options]
+   * @param {number} [options.winners] Answers that will be ranked (default maxWinners)
+   * @param {bigint} [options.rewardPool] Pool to split instead of the current totalRewardPool
+   * @returns {Promise<import('./scoring').RewardPreviewRow[]>}
+   */
+  async getRewardPreview(question, { winners, rewardPool } = {}) {
+    const [scoring, maxWinners, totalRewardPool] = await Promise.all([
+      this.getScoringCurve(question),
+      this._read(question, StoaQuestionABI, 'maxWinners'),
+      rewardPool === undefined ? this._read(question, StoaQuestionABI, 'totalRewardPool') : rewardPool
+    ]);
+    return previewRewards({ rewardPool: totalRewardPool, maxWinners, scoring, winners });
+  }
+
+  /**
+   * @param {Address} question
+   * @returns {Promise<DisputeInfo>}
+   */
+  async getDisputeInfo(question) {
+    const fields = ['arbiter', 'disputePeriod', 'disputeBond', 'disputeEndsAt', 'ARBITRATION_PERIOD', 'isFinalized'];
+    const [results, disputes] = await Promise.all([
+      Promise.all(fields.map(functionName => this._read(question, StoaQuestionABI, functionName))),
+      this._read(question, StoaQuestionABI, 'getDisputes')
+    ]);
+    const [arbiter, disputePeriod, disputeBond, disputeEndsAt, arbitrationPeriod, finalized] = results;
+
+    return {
+      arbiter: arbiter === zeroAddress ? null : arbiter,
+      disputePeriod,
+      disputeBond,
+      disputeEndsAt,
+      arbitrationDeadline: disputeEndsAt === 0n ? 0n : disputeEndsAt + arbitrationPeriod,
+      finalized,
+      disputes: disputes.map((dispute, i) => ({ index: BigInt(i), ...dispute }))
+    };
+  }
+
+  /**
+   * @param {Address} question
+   * @returns {Promise<Dispute[]>} disputes still waiting for the arbiter
+   */
+  async getOpenDisputes(question) {
+    const { disputes } = await this.getDisputeInfo(question);
+    return disputes.filter(dispute => !dispute.resolved);
+  }
+
+  /**
+   * @param {Address} question
+   * @returns {Promise<ClaimWindow>}
+   */
+  async getClaimWindow(question) {
+    const fields = ['claimPeriod', 'claimDeadline', 'rewardsSwept', 'getUnclaimedRewards'];
+    const [claimPeriod, claimDeadline, rewardsSwept, unclaimed] = await Promise.all(
+      fields.map(functionName => this._read(question, StoaQuestionABI, functionName))
+    );
+    return { claimPeriod, claimDeadline, rewardsSwept, unclaimed };
+  }
+
+  /**
+   * @param {Address} question
+   * @param {Address} [funder] Defaults to the client's account
+   * @returns {Promise<{seeded: bigint, reclaimable: bigint}>} what the funder has seeded, and what reclaimSeed
+   *          would return now (0 unless the question ended without answers or was cancelled)
+   */
+  async getSeed(question, funder = this.account) {
+    const [seeded, reclaimable] = await Promise.all([
+      this._read(question, StoaQuestionABI, 'seededAmounts', [funder]),
+      this._read(question, StoaQuestionABI, 'getReclaimableSeed', [funder])
+    ]);
+    return { seeded, reclaimable };
+  }
+
+  /**
+   * @param {Address} question
+   * @returns {Promise<bigint>} amount each participant receives from emergencyRefund, 0 if unavailable or if the
+   *          question was cancelled (see {@link StoaClient#getPoolContribution})
+   */
+  getEmergencyRefundAmount(question) {
+    return this._read(question, StoaQuestionABI, 'getEmergencyRefundAmount');
+  }
+
+  /**
+   * @param {Address} question
+   * @param {Address} [responder] Defaults to the client's account
+   * @returns {Promise<bigint>} what the responder paid into the reward pool, which emergencyRefund returns if the
+   *          question is cancelled
+   */
+  getPoolContribution(question, responder = this.account) {
+    return this._read(question, StoaQuestionABI, 'poolContributions', [responder]);
+  }
+
+  // ------------------------------------------------------------------
+  // Registry
+  // ------------------------------------------------------------------
+
+  /**
+   * @param {bigint | number} id Registry index, starting at 0
+   */
+  getRegisteredQuestion(id) {
+    return this._read(this._protocol(), StoaProtocolABI, 'getQuestion', [BigInt(id)]);
+  }
+
+  /**
+   * @param {Address} [creator] Only count this creator's questions
+   * @returns {Promise<bigint>}
+   */
+  getRegisteredQuestionCount(creator) {
+    if (creator) {
+      return this._read(this._protocol(), StoaProtocolABI, 'getQuestionCountByCreator', [creator]);
+    }
+    return this._read(this._protocol(), StoaProtocolABI, 'getQuestionCount');
+  }
+
+  /**
+   * @param {bigint | number} offset ID of the first question
+   * @param {bigint | number} limit
+   * @returns {Promise<RegisteredQuestion[]>} up to `limit` registered questions, oldest first; empty past the
+   *          last one
+   */
+  async getRegisteredQuestions(offset, limit) {
+    const page = await this._read(this._protocol(), StoaProtocolABI, 'getQuestions', [BigInt(offset), BigInt(limit)]);
+    return page.map((question, i) => ({ id: BigInt(offset) + BigInt(i), ...question }));
+  }
+
+  /**
+   * @param {Address} creator
+   * @param {bigint | number} offset Position of the first question among the creator's
+   * @param {bigint | number} limit
+   * @returns {Promise<RegisteredQuestion[]>} up to `limit` of the creator's questions, oldest first
+   */
+  async getRegisteredQuestionsByCreator(creator, offset, limit) {
+    const [ids, page] = await this._read(this._protocol(), StoaProtocolABI, 'getQuestionsByCreator', [
+      creator,
+      BigInt(offset),
+      BigInt(limit)
+    ]);
+    return page.map((question, i) => ({ id: ids[i], ...question }));
+  }
+
+  /**
+   * Every registered question, or every one of `creator`'s, oldest first,
+   * read a page at a time.
+   * @param {PageOptions & {creator?: Address}} [options]
+   * @returns {AsyncGenerator<RegisteredQuestion>}
+   */
+  iterateRegisteredQuestions({ creator, pageSize } = {}) {
+    return paginate(
+      (offset, limit) =>
+        creator
+          ? this.getRegisteredQuestionsByCreator(creator, offset, limit)
+          : this.getRegisteredQuestions(offset, limit),
+      pageSize
+    );
+  }
+
+  // ------------------------------------------------------------------
+  // Tokens and ownership
+  // ------------------------------------------------------------------
+
+  /**
+   * @param {Address} token
+   * @returns {Promise<{address: Address, symbol: string, decimals: number}>}
+   */
+  async getTokenInfo(token) {
+    const [symbol, decimals] = await Promise.all([
+      this._read(token, ERC20ABI, 'symbol'),
+      this._read(token, ERC20ABI, 'decimals')
+    ]);
+    return { address: token, symbol, decimals };
+  }
+
+  /**
+   * @param {Address} token
+   * @param {Address} spender
+   * @returns {Promise<bigint>} the client account's allowance for `spender`
+   */
+  getAllowance(token, spender) {
+    return this._read(token, ERC20ABI, 'allowance', [this.account, spender]);
+  }
+
+  /**
+   * @param {Address} token
+   * @param {Address} spender Question or factory contract
+   * @param {bigint} amount
+   * @returns {Promise<TransactionResult | null>} null if the allowance already covers `amount`
+   */
+  async approve(token, spender, amount) {
+    const allowance = await this.getAllowance(token, spender);
+    if (allowance >= amount) return null;
+    return this._write(token, ERC20ABI, 'approve', [spender, amount]);
+  }
+
+  /**
+   * Approves Permit2 to move the account's `token` without a limit, which
+   * the *WithPermit writes need once per token with the 'permit2' method.
+   * @param {Address} token
+   * @param {bigint} [amount] Only approve if the allowance is below this
+   * @returns {Promise<TransactionResult | null>} null if Permit2 is already approved
+   */
+  async approvePermit2(token, amount = maxUint256) {
+    const allowance = await this.getAllowance(token, PERMIT2_ADDRESS);
+    if (allowance >= amount) return null;
+    return this._write(token, ERC20ABI, 'approve', [PERMIT2_ADDRESS, maxUint256]);
+  }
+
+  /**
+   * Signs an EIP-2612 permit letting `spender` take `amount` of the client
+   * account's tokens. The token's EIP-712 domain version is checked against
+   * its DOMAIN_SEPARATOR, since tokens differ ('2' for USDC).
+   * @param {Address} token
+   * @param {Address} spender
+   * @param {bigint} amount
+   * @param {object} [options]
+   * @param {bigint} [options.deadline] Defaults to an hour after the latest block
+   * @returns {Promise<import('./permits').SignedPermit>}
+   */
+  async signPermit(token, spender, amount, { deadline } = {}) {
+    const [name, version, separator, nonce, chainId] = await Promise.all([
+      this._read(token, ERC20PermitABI, 'name'),
+      this._read(token, ERC20PermitABI, 'version').catch(() => null),
+      this._read(token, ERC20PermitABI, 'DOMAIN_SEPARATOR').catch(() => null),
+      this._read(token, ERC20PermitABI, 'nonces', [this.account]).catch(() => null),
+      this._chainId()
+    ]);
+    const domainVersion = [version, '1', '2'].find(candidate => {
+      const domain = { name, version: candidate, chainId, verifyingContract: token };
+      return candidate && domainSeparator({ domain }) === separator;
+    });
+    if (nonce === null || !domainVersion) {
+      throw new Error(`${token} does not support EIP-2612 permit; use Permit2 instead`);
+    }
+
+    const expiry = deadline || (await this._permitDeadline());
+    const typedData = buildPermitTypedData({
+      chainId,
+      token,
+      name,
+      version: domainVersion,
+      owner: this.account,
+      spender,
+      value: amount,
+      nonce,
+      deadline: expiry
+    });
+    const signature = await this.walletClient.signTypedData({ account: this.walletClient.account, ...typedData });
+    const { v, r, s } = parseSignature(signature);
+    return { deadline: expiry, v: Number(v), r, s };
+  }
+
+  /**
+   * Signs a single-use Permit2 transfer of `amount` of the client account's
+   * tokens to `spender`.
+   * @param {Address} token
+   * @param {Address} spender
+   * @param {bigint} amount
+   * @param {object} [options]
+   * @param {bigint} [options.nonce] Defaults to a random unused one
+   * @param {bigint} [options.deadline] Defaults to an hour after the latest block
+   * @returns {Promise<import('./permits').SignedPermit2>}
+   */
+  async signPermit2(token, spender, amount, { nonce = randomPermit2Nonce(), deadline } = {}) {
+    const expiry = deadline || (await this._permitDeadline());
+    const typedData = buildPermit2TypedData({
+      chainId: await this._chainId(),
+      token,
+      spender,
+      amount,
+      nonce,
+      deadline: expiry
+    });
+    const signature = await this.walletClient.signTypedData({ account: this.walletClient.account, ...typedData });
+    return { nonce, deadline: expiry, signature };
+  }
+
+  /**
+   * @param {Address} contract Any Ownable Stoa contract
+   * @returns {Promise<Address>}
+   */
+  getOwner(contract) {
+    return this._read(contract, OwnableABI, 'owner');
+  }
+
+  /**
+   * @param {Address} contract Any Ownable Stoa contract
+   * @param {Address} newOwner
+   * @returns {Promise<TransactionResult>}
+   */
+  transferOwnership(contract, newOwner) {
+    return this._write(contract, OwnableABI, 'transferOwnership', [newOwner]);
+  }
+
+  // ------------------------------------------------------------------
+  // Internals
+  // ------------------------------------------------------------------
+
+  _factory() {
+    if (!this.factoryAddress) throw new Error('StoaClient was created without a factoryAddress');
+    return this.factoryAddress;
+  }
+
+  _protocol() {
+    if (!this.protocolAddress) throw new Error('StoaClient was created without a protocolAddress');
+    return this.protocolAddress;
+  }
+
+  async _getLegacyQuestions(offset, limit) {
+    const count = await this.getQuestionCount();
+    const indices = [];
+    for (let i = offset; i < offset + limit && i < count; i++) indices.push(i);
+    return Promise.all(indices.map(i => this._read(this._factory(), StoaQuestionFactoryABI, 'allQuestions', [i])));
+  }
+
+  _revealStore() {
+    if (!this.revealStore) throw new Error('StoaClient was created without a revealStore');
+    return this.revealStore;
+  }
+
+  async _chainId() {
+    return this.publicClient.chain ? this.publicClient.chain.id : this.publicClient.getChainId();
+  }
+
+  // Reverts surface as StoaErrors (see errors.js) when their data decodes, in reads and writes alike
+  _read(address, abi, functionName, args = []) {
+    return this.publicClient.readContract({ address, abi, functionName, args }).catch(error => {
+      throw decodeStoaError(error);
+    });
+  }
+
+  async _write(address, abi, functionName, args = []) {
+    const { request, result } = await this.publicClient
+      .simulateContract({
+        account: this.walletClient ? this.walletClient.account : undefined,
+        address,
+        abi,
+        functionName,
+        args
+      })
+      .catch(error => {
+        throw decodeStoaError(error);
+      });
+    if (this.dryRun) {
+      return { dryRun: true, address, functionName, args, result };
+    }
+    const hash = await this.walletClient.writeContract(request);
+    const receipt = await this.publicClient.waitForTransactionReceipt({ hash, confirmations: this.confirmations });
+    if (receipt.status !== 'success') {
+      // Simulated fine but reverted once mined, e.g. because the question ended in between
+      const revert = await getRevertError(this.publicClient, hash).catch(() => null);
+      throw revert || new Error(`${functionName} transaction ${hash} reverted`);
+    }
+    return { hash, receipt };
+  }
+
+  async _permitDeadline() {
+    const block = await this.publicClient.getBlock();
+    return block.timestamp + PERMIT_LIFETIME;
+  }
+
+  // Contract arguments that follow the amount in the *WithPermit and *WithPermit2 writes
+  async _signPayment(method, token, spender, amount, deadline) {
+    if (method === 'permit') {
+      const { deadline: expiry, v, r, s } = await this.signPermit(token, spender, amount, { deadline });
+      return [expiry, v, r, s];
+    }
+    if (method === 'permit2') {
+      const { nonce, deadline: expiry, signature } = await this.signPermit2(token, spender, amount, { deadline });
+      return [nonce, expiry, signature];
+    }
+    throw new Error(`Unknown permit method "${method}", expected permit or permit2`);
+  }
+
+  _answerIndex(receipt) {
+    // A zero referrer makes the contract emit a plain AnswerSubmitted
+    const event =
+      this._findEvent(receipt, StoaQuestionABI, 'AnswerSubmittedWithReferral', false) ||
+      this._findEvent(receipt, StoaQuestionABI, 'AnswerSubmitted');
+    return event.index;
+  }
+
+  _findEvent(receipt, abi, eventName, required = true) {
+    const [log] = parseEventLogs({ abi, eventName, logs: receipt.logs });
+    if (!log && required) {
+      throw new Error(`${eventName} event not found in transaction ${receipt.transactionHash}`);
+    }
+    return log ? log.args : null;
+  }
+}
+
+/**
+ * Builds a StoaClient from an RPC URL and, optionally, a private key.
+ *
+ * Pass `network` to take the RPC URL, chain and contract addresses from the
+ * deployment manifest instead; explicit options still override it.
+ * @param {object} options
+ * @param {string | import('./networks').Network} [options.network] Network name or a loaded network
+ * @param {string} [options.rpcUrl]
+ * @param {import('viem').Hex} [options.privateKey] Omit for a read-only client
+ * @param {Address} [options.factoryAddress]
+ * @param {Address} [options.protocolAddress]
+ * @param {import('viem').Chain} [options.chain] Defaults to Base
+ * @param {number} [options.confirmations]
+ * @param {boolean} [options.dryRun] Only simulate writes
+ * @param {import('./reveals').RevealStore} [options.revealStore] Defaults to a file store in ~/.stoa
+ * @returns {StoaClient}
+ */
+function createStoaClient({ network, privateKey, confirmations, dryRun, revealStore, ...options }) {
+  const resolved = typeof network === 'string' ? loadNetwork(network) : network || {};
+  const {
+    rpcUrl = resolved.rpcUrl,
+    chain = resolved.chain || base,
+    factoryAddress = resolved.factoryAddress,
+    protocolAddress = resolved.protocolAddress
+  } = options;
+
+  const transport = http(rpcUrl);
+  const publicClient = createPublicClient({ chain, transport });
+  const walletClient = privateKey
+    ? createWalletClient({ account: privateKeyToAccount(privateKey), chain, transport })
+    : undefined;
+
+  return new StoaClient({
+    publicClient,
+    walletClient,
+    factoryAddress,
+    protocolAddress,
+    confirmations,
+    dryRun,
+    revealStore: revealStore || createFileRevealStore()
+  });
+}
+
+module.exports = { SWEEP_DESTINATIONS, StoaClient, createStoaClient };
@@ -0,0 +1,69 @@
+const { parseAbi, erc20Abi } = require('viem');
+
+/**
+ * ABIs for the Stoa contracts, shared by the SDK, the indexer and the scripts.
+ * The contract ABIs are generated from the Foundry build by scripts/generate-abis.js.
+ */
+
+const StoaQuestionABI = require('../abis/StoaQuestion.json');
+const StoaQuestionFactoryABI = require('../abis/StoaQuestionFactory.json');
+const StoaClaimRouterABI = require('../abis/StoaClaimRouter.json');
+const StoaProtocolABI = require('../abis/StoaProtocol.json');
+const BalanceManagerABI = require('../abis/BalanceManager.json');
+const InflationTokenABI = require('../abis/InflationToken.json');
+
+/**
+ * Picks the named functions and events out of a generated ABI, so shared fragments follow the contracts
+ *
+ * @param {Array} abi
+ * @param {string[]} names
+ * @returns {Array}
+ */
+function pickAbi(abi, names) {
+  return names.map(name => {
+    const item = abi.find(entry => entry.name === name && entry.type !== 'error');
+    if (!item) throw new Error(`${name} is not in the generated ABI, run \`npm run abis\``);
+    return item;
+  });
+}
+
+// Every Stoa contract is Ownable; the question's fragments are the same as the others'
+const OwnableABI = pickAbi(StoaQuestionABI, [
+  'owner',
+  'transferOwnership',
+  'renounceOwnership',
+  'OwnershipTransferred'
+]);
+
+// Fee settings of the factory (the defaults new questions get) and of each question (its snapshot), see StoaBase
+const StoaFeesABI = pickAbi(StoaQuestionABI, [
+  'feeBps',
+  'creatorFeeBps',
+  'referralFeeBps',
+  'maxCreatorFeeBps',
+  'maxReferralFeeBps',
+  'treasury',
+  'setCreatorFeeBps',
+  'setReferralFeeBps'
+]);
+
+// The EIP-2612 and EIP-712 reads needed to sign a permit
+const ERC20PermitABI = parseAbi([
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)'
+]);
+
+module.exports = {
+  OwnableABI,
+  StoaFeesABI,
+  StoaQuestionABI,
+  StoaQuestionFactoryABI,
+  StoaClaimRouterABI,
+  StoaProtocolABI,
+  BalanceManagerABI,
+  InflationTokenABI,
+  ERC20ABI: erc20Abi,
+  ERC20PermitABI
+};
@@ -0,0 +1,57 @@
+const { encodePacked, getContractAddress, isHex, keccak256, size, zeroHash } = require('viem');
+
+/**
+ * Deterministic question addresses.
+ *
+ * Given a salt, `StoaQuestionFactory.createQuestion` deploys the question
+ * through CREATE3: the factory CREATE2-deploys a fixed proxy under a salt
+ * scoped to the creator, and the proxy creates the question as its first
+ * contract. The address only depends on the factory, the creator and the
+ * salt, so it can be computed before the transaction is sent:
+ *
+ *   proxy:    create2(factory, keccak256(abi.encodePacked(address creator, bytes32 salt)), CREATE3_PROXY_INITCODE_HASH)
+ *   question: create(proxy, nonce 1)
+ *
+ * `StoaQuestionFactory.predictQuestionAddress` returns the same address.
+ */
+
+// keccak256 of the CREATE3 proxy's init code (see src/utils/CREATE3.sol)
+const CREATE3_PROXY_INITCODE_HASH = '0x21c35dbe1b344a2488cf3321d6ce542f8e9f305544ff09e4993a62319a497c1f';
+
+/**
+ * @param {unknown} salt
+ * @returns {import('viem').Hex} the salt, if it is 32 nonzero bytes of hex
+ */
+function parseQuestionSalt(salt) {
+  if (!isHex(salt, { strict: true }) || size(salt) !== 32) {
+    throw new Error('Question salt must be 32 bytes of hex');
+  }
+  if (salt === zeroHash) {
+    throw new Error('Question salt must not be zero');
+  }
+  return salt;
+}
+
+/**
+ * Address `creator`'s question created with `salt` gets, computed offline.
+ * @param {object} params
+ * @param {import('viem').Address} params.factory StoaQuestionFactory address
+ * @param {import('viem').Address} params.creator Account that will call createQuestion
+ * @param {import('viem').Hex} params.salt 32-byte salt, e.g. from `generateSalt()`
+ * @returns {import('viem').Address}
+ */
+function predictQuestionAddress({ factory, creator, salt }) {
+  const proxy = getContractAddress({
+    opcode: 'CREATE2',
+    from: factory,
+    salt: keccak256(encodePacked(['address', 'bytes32'], [creator, parseQuestionSalt(salt)])),
+    bytecodeHash: CREATE3_PROXY_INITCODE_HASH
+  });
+  return getContractAddress({ opcode: 'CREATE', from: proxy, nonce: 1n });
+}
+
+module.exports = {
+  CREATE3_PROXY_INITCODE_HASH,
+  parseQuestionSalt,
+  predictQuestionAddress
+};
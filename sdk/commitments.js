@@ -0,0 +1,137 @@
+const { randomBytes } = require('crypto');
+const { bytesToHex, encodePacked, isHex, keccak256, toHex } = require('viem');
+
+/**
+ * Answer commitments.
+ *
+ * Only `answerHash` goes on-chain; the content (and salt, if any) is kept
+ * off-chain. Anyone holding both can recompute the hash and check it against
+ * `StoaQuestion.getAnswer(index).answerHash`:
+ *
+ *   unsalted: keccak256(bytes(canonical))
+ *   salted:   keccak256(abi.encodePacked(bytes32 salt, string canonical))
+ *
+ * Canonical text is NFC-normalised, uses `\n` line endings and has leading and
+ * trailing whitespace trimmed, so the same answer typed on different devices
+ * commits to the same hash. A salt keeps short answers from being guessed by
+ * hashing candidates before the content is revealed.
+ *
+ * On commit-reveal questions the hash submitted while the question is open is
+ * sealed to the question and responder, and only the content hash and seal
+ * salt are published once it ends (see `StoaQuestion.sealAnswer`):
+ *
+ *   sealed:   keccak256(abi.encodePacked(address question, address responder, bytes32 answerHash, bytes32 salt))
+ */
+
+/**
+ * @typedef {object} AnswerCommitment
+ * @property {string} content Canonical content
+ * @property {import('viem').Hex | null} salt
+ * @property {import('viem').Hash} answerHash The bytes32 to submit on-chain
+ *
+ * @typedef {object} SealedCommitment
+ * @property {string} content Canonical content
+ * @property {import('viem').Hash} answerHash Unsalted content hash, published by the reveal
+ * @property {import('viem').Hex} salt Seal salt; the answer cannot be revealed without it
+ * @property {import('viem').Hash} sealedHash The bytes32 to submit while the question is open
+ */
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function canonicalizeAnswer(text) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Answer content must be a string');
+  }
+  return text.normalize('NFC').replace(/\r\n?/g, '\n').trim();
+}
+
+/**
+ * @returns {import('viem').Hex} 32 random bytes
+ */
+function generateSalt() {
+  return bytesToHex(randomBytes(32));
+}
+
+/**
+ * @param {string} text Raw or canonical answer text
+ * @param {import('viem').Hex | null} [salt] 32-byte salt
+ * @returns {import('viem').Hash}
+ */
+function hashAnswer(text, salt = null) {
+  const content = canonicalizeAnswer(text);
+  if (salt === null || salt === undefined) {
+    return keccak256(toHex(content));
+  }
+  if (!isHex(salt) || salt.length !== 66) {
+    throw new Error(`Answer salt must be 32 bytes of hex, got "${salt}"`);
+  }
+  return keccak256(encodePacked(['bytes32', 'string'], [salt, content]));
+}
+
+/**
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean | import('viem').Hex} [options.salt] true for a fresh random salt, or the salt to use
+ * @returns {AnswerCommitment}
+ */
+function createCommitment(text, { salt = false } = {}) {
+  const resolvedSalt = salt === true ? generateSalt() : salt || null;
+  return {
+    content: canonicalizeAnswer(text),
+    salt: resolvedSalt,
+    answerHash: hashAnswer(text, resolvedSalt)
+  };
+}
+
+/**
+ * @param {import('viem').Address} question
+ * @param {import('viem').Address} responder Address the answer is submitted for
+ * @param {import('viem').Hash} answerHash
+ * @param {import('viem').Hex} salt 32-byte salt
+ * @returns {import('viem').Hash}
+ */
+function sealAnswer(question, responder, answerHash, salt) {
+  return keccak256(
+    encodePacked(['address', 'address', 'bytes32', 'bytes32'], [question, responder, answerHash, salt])
+  );
+}
+
+/**
+ * @param {string} text
+ * @param {object} options
+ * @param {import('viem').Address} options.question
+ * @param {import('viem').Address} options.responder
+ * @param {import('viem').Hex} [options.salt] Defaults to a fresh random salt
+ * @returns {SealedCommitment}
+ */
+function createSealedCommitment(text, { question, responder, salt = generateSalt() }) {
+  const answerHash = hashAnswer(text);
+  return {
+    content: canonicalizeAnswer(text),
+    answerHash,
+    salt,
+    sealedHash: sealAnswer(question, responder, answerHash, salt)
+  };
+}
+
+/**
+ * @param {string} text
+ * @param {import('viem').Hex | null} salt
+ * @param {import('viem').Hash} answerHash Hash read from the contract
+ * @returns {boolean}
+ */
+function verifyCommitment(text, salt, answerHash) {
+  return hashAnswer(text, salt).toLowerCase() === answerHash.toLowerCase();
+}
+
+module.exports = {
+  canonicalizeAnswer,
+  generateSalt,
+  hashAnswer,
+  createCommitment,
+  sealAnswer,
+  createSealedCommitment,
+  verifyCommitment
+};
@@ -0,0 +1,280 @@
+/**
+ * Decoding Stoa reverts.
+ *
+ * The contracts revert with the custom errors of src/interfaces/IStoaErrors.sol,
+ * e.g. `QuestionEnded(uint256 endsAt)`. viem only decodes errors found in the
+ * ABI of the call, and a mined transaction that reverted carries no reason at
+ * all, so the helpers here decode against every Stoa error and turn the
+ * result into a StoaError: the error's name, its named arguments and a
+ * message that can be shown to users as is.
+ */
+
+const { BaseError, decodeErrorResult, isHex } = require('viem');
+
+const { StoaClaimRouterABI, StoaProtocolABI, StoaQuestionABI, StoaQuestionFactoryABI } = require('./abis');
+
+// Every custom error the Stoa contracts can revert with, once each
+const STOA_ERRORS_ABI = [
+  ...new Map(
+    [StoaQuestionABI, StoaQuestionFactoryABI, StoaProtocolABI, StoaClaimRouterABI]
+      .flat()
+      .filter(item => item.type === 'error')
+      .map(item => [item.name, item])
+  ).values()
+];
+
+// Solidity panic codes a Stoa call can plausibly hit
+const PANIC_MESSAGES = {
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division by zero',
+  0x32: 'Array index out of bounds'
+};
+
+const time = timestamp => new Date(Number(timestamp) * 1000).toISOString();
+const percent = bps => `${Number(bps) / 100}%`;
+const days = seconds => `${Number(seconds) / 86400} days`;
+
+/**
+ * Human-readable message of each error, from its named arguments.
+ * Answer indices and ranks are 0-based, as in the contracts.
+ * @type {Record<string, (args: Record<string, any>) => string>}
+ */
+const ERROR_MESSAGES = {
+  // Built into Solidity
+  Error: ({ message }) => message,
+  Panic: ({ reason }) => PANIC_MESSAGES[Number(reason)] || `Contract panicked with code 0x${reason.toString(16)}`,
+
+  // Access control
+  NotEvaluator: () => 'Only the evaluator can do this',
+  NotArbiter: () => 'Only the arbiter can do this',
+  NotAuthorizedSubmitter: () => 'Caller is not an authorized submitter of this question',
+  NotClaimRouter: () => 'Only the claim router can claim on behalf of winners',
+  NotCreatorOrTreasury: () => 'Only the creator or the treasury can sweep unclaimed rewards',
+  NotWhitelisted: () => 'Caller is not whitelisted to create questions',
+  NotGuardian: () => 'Only the guardian or the owner can pause and unpause the protocol',
+
+  // Pausing
+  ProtocolPaused: () => 'The protocol is paused',
+  ProtocolNotPaused: () => 'The protocol is not paused',
+
+  // Fees
+  InvalidTreasury: () => 'Treasury cannot be the zero address',
+  FeesExceedMax: ({ totalBps }) => `Protocol fee and fee caps add up to ${percent(totalBps)}, above 100%`,
+  CreatorFeeExceedsCap: ({ feeBps, maxFeeBps }) =>
+    `Creator fee of ${percent(feeBps)} is above the ${percent(maxFeeBps)} cap`,
+  ReferralFeeExceedsCap: ({ feeBps, maxFeeBps }) =>
+    `Referral fee of ${percent(feeBps)} is above the ${percent(maxFeeBps)} cap`,
+
+  // Question setup
+  InvalidToken: () => 'Token cannot be the zero address',
+  InvalidSubmissionCost: () => 'Submission cost must be greater than 0',
+  InvalidDuration: () => 'Duration must be greater than 0',
+  InvalidQuestionAddress: () => 'Question address cannot be the zero address',
+  InvalidCreator: () => 'Creator cannot be the zero address',
+  InvalidEvaluator: () => 'Evaluator cannot be the zero address',
+  InvalidSalt: () => 'Salt cannot be zero',
+  SaltAlreadyUsed: ({ salt }) => `A question was already created with salt ${salt}`,
+  InvalidArbiter: () => 'Arbiter cannot be the zero address',
+  InvalidDisputePeriod: () => 'Dispute period must be greater than 0',
+  InvalidDisputeBond: () => 'Dispute bond must be greater than 0',
+  DisputesAlreadyConfigured: () => 'Disputes are already configured for this question',
+  ClaimPeriodTooShort: ({ claimPeriod, minClaimPeriod }) =>
+    `Claim period of ${days(claimPeriod)} is shorter than the minimum of ${days(minClaimPeriod)}`,
+  InvalidRevealPeriod: () => 'Reveal period must be greater than 0',
+  CommitRevealAlreadyEnabled: () => 'Commit-reveal is already enabled',
+  AnswersAlreadySubmitted: () => 'The question already has answers',
+
+  // Scoring curves
+  UnexpectedScoringParams: () => 'This scoring mode takes no parameters',
+  InvalidScoringParams: () => 'This scoring mode takes exactly one parameter',
+  InvalidFirstPlaceShare: ({ shareBps }) => `First place share of ${percent(shareBps)} must be above 50% and below 100%`,
+  InvalidRatio: ({ ratioBps }) => `Ratio of ${percent(ratioBps)} must be above 0% and below 100%`,
+  ShareCountMismatch: ({ shares, maxWinners }) =>
+    `A custom curve needs one share per winner: got ${shares} for ${maxWinners} winners`,
+  ZeroShare: ({ rank }) => `Share of rank ${rank} must be greater than 0`,
+  SharesSumMismatch: ({ sumBps }) => `Shares add up to ${percent(sumBps)} instead of 100%`,
+  InvalidRank: ({ rank, maxWinners }) => `Rank ${rank} is out of range for ${maxWinners} winners`,
+
+  // Deadlines
+  QuestionEnded: ({ endsAt }) => `The question stopped taking answers at ${time(endsAt)}`,
+  QuestionNotEnded: ({ endsAt }) => `The question is open until ${time(endsAt)}`,
+  QuestionIsCancelled: () => 'The question was cancelled',
+  InvalidEnd: ({ newEndsAt, maxEndsAt }) =>
+    `New end ${time(newEndsAt)} must be after the current end and no later than ${time(maxEndsAt)}`,
+  EndsWithinNoticePeriod: ({ endsAt }) => `The question already ends at ${time(endsAt)}, within the notice period`,
+  EvaluationDeadlinePassed: ({ evaluationDeadline }) =>
+    `The evaluation deadline passed at ${time(evaluationDeadline)}`,
+  EvaluationDeadlineNotReached: ({ evaluationDeadline }) =>
+    `The evaluation deadline is ${time(evaluationDeadline)}`,
+
+  // Answers
+  InvalidUser: () => 'User cannot be the zero address',
+  AlreadySubmitted: ({ responder }) => `${responder} has already answered this question`,
+  NoSubmission: ({ responder }) => `${responder} has not answered this question`,
+  IntentExpired: ({ deadline }) => `The answer intent expired at ${time(deadline)}`,
+  InvalidSignature: () => "The signature is not the responder's",
+  CommitRevealDisabled: () => 'The question takes open answers, not sealed ones',
+  RevealPeriodOver: ({ revealEndsAt }) => `The reveal period ended at ${time(revealEndsAt)}`,
+  AlreadyRevealed: ({ index }) => `Answer ${index} is already revealed`,
+  InvalidReveal: ({ index }) => `The answer and salt do not match sealed answer ${index}`,
+
+  // Seeds
+  InvalidAmount: () => 'Amount must be greater than 0',
+  NoSeed: () => 'Caller has no seed in this question',
+
+  // Evaluation
+  AlreadyEvaluated: () => 'The question is already evaluated',
+  NotEvaluated: () => 'The question is not evaluated yet',
+  EvaluationTooEarly: ({ revealEndsAt }) => `Evaluation opens at ${time(revealEndsAt)}`,
+  TooManyWinners: ({ given, maxWinners }) =>
+    `The ranking names ${given} answers but the question has at most ${maxWinners} winners`,
+  InvalidAnswerIndex: ({ index }) => `No answer has index ${index}`,
+  AnswerNotRevealed: ({ index }) => `Answer ${index} was never revealed, so it cannot be ranked`,
+
+  // Disputes
+  DisputesDisabled: () => 'The question has no arbiter, so its ranking cannot be disputed',
+  DisputePeriodOver: ({ disputeEndsAt }) => `The dispute period ended at ${time(disputeEndsAt)}`,
+  DisputePeriodNotOver: ({ disputeEndsAt }) => `The dispute period runs until ${time(disputeEndsAt)}`,
+  AlreadyDisputed: () => 'Caller has already disputed the ranking',
+  NoDispute: () => 'Caller has not disputed the ranking',
+  DisputeAlreadyResolved: () => 'The dispute is already resolved',
+  NoOpenDisputes: () => 'The ranking has no open disputes',
+  ArbitrationPeriodOver: ({ arbitrationDeadline }) =>
+    `The arbiter's deadline passed at ${time(arbitrationDeadline)}`,
+  ArbitrationPeriodNotOver: ({ arbitrationDeadline }) =>
+    `The arbiter has until ${time(arbitrationDeadline)} to settle disputes`,
+
+  // Claims and refunds
+  RankingNotFinal: () => 'The ranking can still be disputed or is under dispute',
+  NoReward: () => 'The answer was not ranked, so it has no reward',
+  AlreadyClaimed: () => 'The reward was already claimed',
+  AlreadyRefunded: () => 'The refund was already taken',
+  NoScoresAssigned: () => 'No answer was scored',
+  RewardsSwept: () => "The question's unclaimed rewards were swept",
+  SweepingDisabled: () => 'The question has no claim deadline, so its unclaimed rewards cannot be swept',
+  ClaimPeriodNotOver: ({ claimDeadline }) => `Winners can claim until ${time(claimDeadline)}`,
+  NothingToSweep: () => 'Every reward was claimed',
+  InvalidFollowUpQuestion: () => 'A question cannot sweep its rewards into itself',
+  TokenMismatch: () => 'The follow-up question is paid in another token',
+  FollowUpQuestionEnded: () => 'The follow-up question no longer takes answers',
+
+  // Balances
+  NotAdmin: () => 'Only a balance admin can do this',
+  ContractAsUser: () => 'The balance manager cannot hold a balance of its own',
+  InvalidRecipient: () => 'Recipient cannot be the zero address',
+  InsufficientBalance: ({ balance, amount }) => `Balance of ${balance} is less than ${amount}`,
+  NoBalance: () => 'Caller has nothing to claim',
+  InsufficientExcess: ({ available, amount }) => `Only ${available} tokens are not owed to users, less than ${amount}`
+};
+
+/**
+ * @typedef {object} DecodedRevert
+ * @property {string} errorName e.g. 'QuestionEnded', or 'Error' and 'Panic' for Solidity's built-in errors
+ * @property {Record<string, any>} args The error's arguments by name, e.g. `{ endsAt: 1767225600n }`
+ * @property {string} message Human-readable description
+ * @property {import('viem').Hex} data The raw revert data
+ */
+
+/**
+ * A revert decoded against the Stoa errors. `message` is meant for users;
+ * `errorName` and `args` are stable for code to branch on.
+ */
+class StoaError extends Error {
+  /**
+   * @param {DecodedRevert} decoded
+   * @param {object} [options]
+   * @param {unknown} [options.cause] The error the revert was decoded from
+   * @param {import('viem').Hash} [options.hash] The transaction that reverted, if it was mined
+   */
+  constructor({ errorName, args, message, data }, { cause, hash } = {}) {
+    super(message, { cause });
+    this.name = 'StoaError';
+    this.errorName = errorName;
+    this.args = args;
+    this.data = data;
+    this.hash = hash;
+  }
+}
+
+/**
+ * Decodes raw revert data.
+ * @param {import('viem').Hex} data
+ * @param {import('viem').Abi} [abi] Errors to decode against besides Error(string) and Panic(uint256)
+ * @returns {DecodedRevert | null} null for empty data or an error not in `abi`
+ */
+function decodeRevertData(data, abi = STOA_ERRORS_ABI) {
+  if (!isHex(data) || data.length < 10) return null;
+  let decoded;
+  try {
+    decoded = decodeErrorResult({ abi, data });
+  } catch {
+    return null;
+  }
+  const { abiItem, errorName } = decoded;
+  const values = decoded.args || [];
+  const args = Object.fromEntries(abiItem.inputs.map((input, i) => [input.name || String(i), values[i]]));
+  const format = ERROR_MESSAGES[errorName];
+  const message = format ? format(args) : `${errorName}(${values.join(', ')})`;
+  return { errorName, args, message, data };
+}
+
+/**
+ * Finds the revert data in an error thrown by viem, e.g. by simulateContract,
+ * readContract or call, and decodes it.
+ * @param {unknown} error
+ * @returns {StoaError | unknown} a StoaError, or `error` itself if it carries no revert data that decodes
+ */
+function decodeStoaError(error) {
+  if (error instanceof StoaError) return error;
+  return toStoaError(error) || error;
+}
+
+/**
+ * Recovers why a mined transaction reverted. Receipts carry no revert data,
+ * so the transaction is replayed with `eth_call` on the state before its
+ * block; a revert that depended on an earlier transaction in the same block
+ * may not reproduce.
+ * @param {import('viem').PublicClient} publicClient
+ * @param {import('viem').Hash} hash
+ * @returns {Promise<StoaError | null>} null if the replay does not revert with a known error
+ */
+async function getRevertError(publicClient, hash) {
+  const [transaction, receipt] = await Promise.all([
+    publicClient.getTransaction({ hash }),
+    publicClient.getTransactionReceipt({ hash })
+  ]);
+  if (receipt.status === 'success') return null;
+  try {
+    await publicClient.call({
+      account: transaction.from,
+      to: transaction.to,
+      data: transaction.input,
+      value: transaction.value,
+      gas: transaction.gas,
+      blockNumber: receipt.blockNumber - 1n
+    });
+  } catch (error) {
+    return toStoaError(error, hash);
+  }
+  return null;
+}
+
+// ContractFunctionRevertedError keeps the revert data in `raw`, RPC errors in `data` (or `data.data` on some nodes)
+const revertDataOf = e => [e.raw, e.data, e.data && e.data.data].find(value => isHex(value) && value.length >= 10);
+
+function toStoaError(error, hash) {
+  if (!(error instanceof BaseError)) return null;
+  const found = error.walk(e => revertDataOf(e) !== undefined);
+  const decoded = found && decodeRevertData(revertDataOf(found));
+  return decoded ? new StoaError(decoded, { cause: error, hash }) : null;
+}
+
+module.exports = {
+  ERROR_MESSAGES,
+  STOA_ERRORS_ABI,
+  StoaError,
+  decodeRevertData,
+  decodeStoaError,
+  getRevertError
+};
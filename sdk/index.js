@@ -0,0 +1,36 @@
+/**
+ * Stoa JavaScript SDK
+ *
+ * Usage:
+ * const { createStoaClient } = require('./sdk');
+ * const stoa = createStoaClient({ network: 'base', privateKey }); // addresses from deployments/8453.json
+ * const { question } = await stoa.createQuestion({ token, submissionCost, duration, maxWinners: 3 });
+ */
+
+const abis = require('./abis');
+const addresses = require('./addresses');
+const commitments = require('./commitments');
+const errors = require('./errors');
+const intents = require('./intents');
+const { SWEEP_DESTINATIONS, StoaClient, createStoaClient } = require('./StoaClient');
+const networks = require('./networks');
+const pagination = require('./pagination');
+const permits = require('./permits');
+const reveals = require('./reveals');
+const scoring = require('./scoring');
+
+module.exports = {
+  ...abis,
+  ...addresses,
+  ...commitments,
+  ...errors,
+  ...intents,
+  ...networks,
+  ...pagination,
+  ...permits,
+  ...reveals,
+  ...scoring,
+  SWEEP_DESTINATIONS,
+  StoaClient,
+  createStoaClient
+};
@@ -0,0 +1,123 @@
+const { getAddress, zeroAddress } = require('viem');
+
+/**
+ * Signed answer intents, for gasless answering.
+ *
+ * A responder signs an EIP-712 `AnswerIntent` naming the question, the
+ * answer hash, an optional referrer, their intent nonce on that question and
+ * a deadline. A relayer the question authorized (`setSubmitter`) submits it
+ * with `StoaQuestion.submitAnswerWithIntent` and pays the submission cost and
+ * gas; the contract checks the signature, so the relayer cannot answer for
+ * anyone who did not sign. See relayer/ for the service.
+ */
+
+const ANSWER_INTENT_TYPES = {
+  AnswerIntent: [
+    { name: 'question', type: 'address' },
+    { name: 'answerHash', type: 'bytes32' },
+    { name: 'referrer', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * @typedef {object} AnswerIntent
+ * @property {import('viem').Address} question
+ * @property {import('viem').Address} responder The signer
+ * @property {import('viem').Hash} answerHash
+ * @property {import('viem').Address} referrer The zero address for none
+ * @property {bigint} nonce The responder's `intentNonces` on the question when signed
+ * @property {bigint} deadline
+ * @property {import('viem').Hex} signature
+ */
+
+/**
+ * EIP-712 typed data of an answer intent; the domain is the question itself.
+ * @param {object} params
+ * @param {number} params.chainId
+ * @param {import('viem').Address} params.question
+ * @param {import('viem').Hash} params.answerHash
+ * @param {import('viem').Address | null} [params.referrer]
+ * @param {bigint} params.nonce
+ * @param {bigint} params.deadline
+ */
+function buildAnswerIntentTypedData({ chainId, question, answerHash, referrer, nonce, deadline }) {
+  return {
+    domain: { name: 'StoaQuestion', version: '1', chainId, verifyingContract: question },
+    types: ANSWER_INTENT_TYPES,
+    primaryType: 'AnswerIntent',
+    message: { question, answerHash, referrer: referrer || zeroAddress, nonce, deadline }
+  };
+}
+
+/**
+ * Intents travel as JSON, with bigints as decimal strings.
+ * @param {AnswerIntent} intent
+ */
+function serializeAnswerIntent(intent) {
+  return { ...intent, nonce: intent.nonce.toString(), deadline: intent.deadline.toString() };
+}
+
+/**
+ * Parses an intent received as JSON. Throws on a missing or malformed field.
+ * @param {object} json
+ * @returns {AnswerIntent}
+ */
+function parseAnswerIntent(json) {
+  const field = name => {
+    if (json === null || typeof json !== 'object' || json[name] === undefined || json[name] === null) {
+      throw new Error(`Answer intent is missing ${name}`);
+    }
+    return json[name];
+  };
+  const hex = (name, length) => {
+    const value = field(name);
+    if (typeof value !== 'string' || !/^0x[0-9a-fA-F]*$/.test(value) || (length && value.length !== 2 + length * 2)) {
+      throw new Error(`Answer intent ${name} must be ${length ? `${length} bytes of ` : ''}hex`);
+    }
+    return value;
+  };
+  const uint = name => {
+    const value = String(field(name));
+    if (!/^\d+$/.test(value)) throw new Error(`Answer intent ${name} must be a non-negative integer`);
+    return BigInt(value);
+  };
+
+  return {
+    question: getAddress(hex('question', 20)),
+    responder: getAddress(hex('responder', 20)),
+    answerHash: hex('answerHash', 32),
+    referrer: json.referrer ? getAddress(hex('referrer', 20)) : zeroAddress,
+    nonce: uint('nonce'),
+    deadline: uint('deadline'),
+    signature: hex('signature')
+  };
+}
+
+/**
+ * Sends a signed intent to a relayer service (see relayer/).
+ * @param {string} relayerUrl Base URL of the relayer
+ * @param {AnswerIntent} intent
+ * @returns {Promise<{hash: import('viem').Hash, index: string}>} the submission transaction and answer index
+ */
+async function sendAnswerIntent(relayerUrl, intent) {
+  const response = await fetch(new URL('/intents', relayerUrl), {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(serializeAnswerIntent(intent))
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Relayer rejected the intent (${response.status}): ${body.error || response.statusText}`);
+  }
+  return body;
+}
+
+module.exports = {
+  ANSWER_INTENT_TYPES,
+  buildAnswerIntentTypedData,
+  serializeAnswerIntent,
+  parseAnswerIntent,
+  sendAnswerIntent
+};
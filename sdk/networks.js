@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { base, baseSepolia, foundry } = require('viem/chains');
+
+/**
+ * Network config and deployment manifests.
+ *
+ * The Forge deploy scripts record every contract they deploy in deployments/<chainId>.json:
+ * { "chainId": 8453, "contracts": { "StoaQuestionFactory": { "address": "0x...", "deploymentBlock": 123 } } }
+ *
+ * A manifest written by hand for contracts deployed before the scripts recorded them is marked `"legacy": true`, and
+ * its entries have no deploymentBlock when nobody recorded it; consumers must then be told where to start scanning.
+ *
+ * Scripts pick a network with `--network <name>` (or the NETWORK env var) and get its chain, RPC URL and
+ * contract addresses from here instead of hardcoding them.
+ */
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+const DEFAULT_NETWORK = 'base';
+
+const NETWORKS = {
+  base: {
+    chain: base,
+    rpcEnv: 'BASE_RPC_URL',
+    explorerUrl: 'https://basescan.org'
+  },
+  'base-sepolia': {
+    chain: baseSepolia,
+    rpcEnv: 'BASE_SEPOLIA_RPC_URL',
+    explorerUrl: 'https://sepolia.basescan.org'
+  },
+  local: {
+    chain: foundry,
+    rpcEnv: 'LOCAL_RPC_URL',
+    defaultRpcUrl: 'http://127.0.0.1:8545'
+  }
+};
+
+/**
+ * @typedef {object} Deployment
+ * @property {import('viem').Address} address
+ * @property {bigint | null} deploymentBlock - Block the deploy script ran at; a safe lower bound for backfills.
+ *           null if the manifest does not record it
+ */
+
+/**
+ * @typedef {object} Network
+ * @property {string} name
+ * @property {number} chainId
+ * @property {import('viem').Chain} chain
+ * @property {string | undefined} rpcUrl - From the network's RPC env var
+ * @property {string} rpcEnv - Name of that env var
+ * @property {string | undefined} explorerUrl
+ * @property {Record<string, Deployment>} contracts - Everything in the manifest, keyed by contract name
+ * @property {import('viem').Address | undefined} factoryAddress
+ * @property {import('viem').Address | undefined} protocolAddress
+ * @property {bigint | null} deploymentBlock - Earliest deployment block of the Stoa contracts, null if the manifest
+ *           does not record one of them
+ * @property {boolean} legacy - The manifest lists contracts deployed before the current contract versions
+ */
+
+/**
+ * Reads the `--network` flag (`--network base` or `--network=base`), falling back to NETWORK and then to Base.
+ * @param {string[]} [argv]
+ * @returns {string}
+ */
+function getNetworkName(argv = process.argv) {
+  const index = argv.findIndex(arg => arg === '--network' || arg.startsWith('--network='));
+  if (index !== -1) {
+    const name = argv[index].includes('=') ? argv[index].split('=')[1] : argv[index + 1];
+    if (!name) {
+      throw new Error('--network requires a value');
+    }
+    return name;
+  }
+  return process.env.NETWORK || DEFAULT_NETWORK;
+}
+
+function readManifest(chainId) {
+  const manifestPath = path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+  if (!fs.existsSync(manifestPath)) {
+    return { chainId, contracts: {} };
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (manifest.chainId !== chainId) {
+    throw new Error(`${manifestPath} is for chain ${manifest.chainId}, expected ${chainId}`);
+  }
+  return manifest;
+}
+
+/**
+ * Reads deployments/<chainId>.json; a network nothing was deployed to yet has no contracts.
+ * @param {number} chainId
+ * @returns {Record<string, Deployment>}
+ */
+function loadManifest(chainId) {
+  return toDeployments(readManifest(chainId));
+}
+
+function toDeployments(manifest) {
+  const contracts = {};
+  for (const [name, { address, deploymentBlock }] of Object.entries(manifest.contracts || {})) {
+    contracts[name] = { address, deploymentBlock: deploymentBlock === undefined ? null : BigInt(deploymentBlock) };
+  }
+  return contracts;
+}
+
+/**
+ * Resolves a network by name.
+ * @param {string} [name] - Defaults to the `--network` flag
+ * @returns {Network}
+ */
+function loadNetwork(name = getNetworkName()) {
+  const network = NETWORKS[name];
+  if (!network) {
+    throw new Error(`Unknown network "${name}", expected one of: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+
+  const chainId = network.chain.id;
+  const manifest = readManifest(chainId);
+  const contracts = toDeployments(manifest);
+  const stoaBlocks = ['StoaProtocol', 'StoaQuestionFactory']
+    .filter(contract => contracts[contract])
+    .map(contract => contracts[contract].deploymentBlock);
+  const deploymentBlock = stoaBlocks.includes(null)
+    ? null
+    : stoaBlocks.reduce((min, block) => (block < min ? block : min), stoaBlocks[0] ?? 0n);
+
+  return {
+    name,
+    chainId,
+    chain: network.chain,
+    rpcUrl: process.env[network.rpcEnv] || network.defaultRpcUrl,
+    rpcEnv: network.rpcEnv,
+    explorerUrl: network.explorerUrl,
+    contracts,
+    factoryAddress: contracts.StoaQuestionFactory?.address,
+    protocolAddress: contracts.StoaProtocol?.address,
+    deploymentBlock,
+    legacy: manifest.legacy === true
+  };
+}
+
+/**
+ * Link to a transaction on the network's block explorer, or the bare hash for networks without one.
+ * @param {Network} network
+ * @param {string} hash
+ */
+function txUrl(network, hash) {
+  return network.explorerUrl ? `${network.explorerUrl}/tx/${hash}` : hash;
+}
+
+module.exports = { NETWORKS, getNetworkName, loadManifest, loadNetwork, txUrl };
@@ -0,0 +1,59 @@
+/**
+ * Paging through on-chain lists.
+ *
+ * Answers and question registries grow without bound, and returning all of
+ * them from one view eventually exceeds the gas RPC providers allow an
+ * `eth_call`. The contracts expose offset/limit views instead
+ * (`getAnswers`, `getQuestions`, `getQuestionsByCreator`) that return a
+ * short page at the end of the list and an empty one past it; the iterators
+ * here read them one page at a time until a short page comes back.
+ */
+
+// Items per eth_call; well within common RPC gas limits for the largest item, a registry QuestionMeta
+const DEFAULT_PAGE_SIZE = 100n;
+
+/**
+ * Like paginate, for callers that make one further call per page rather than per item.
+ * @template T
+ * @param {(offset: bigint, limit: bigint) => Promise<readonly T[]>} readPage Reads up to `limit` items from `offset`
+ * @param {bigint | number} [pageSize]
+ * @returns {AsyncGenerator<readonly T[]>} every non-empty page, in list order
+ */
+async function* paginatePages(readPage, pageSize = DEFAULT_PAGE_SIZE) {
+  const limit = BigInt(pageSize);
+  if (limit <= 0n) {
+    throw new Error('Page size must be greater than 0');
+  }
+  for (let offset = 0n; ; offset += limit) {
+    const page = await readPage(offset, limit);
+    if (page.length > 0) yield page;
+    if (BigInt(page.length) < limit) return;
+  }
+}
+
+/**
+ * @template T
+ * @param {(offset: bigint, limit: bigint) => Promise<readonly T[]>} readPage Reads up to `limit` items from `offset`
+ * @param {bigint | number} [pageSize]
+ * @returns {AsyncGenerator<T>} every item, in list order
+ */
+async function* paginate(readPage, pageSize) {
+  for await (const page of paginatePages(readPage, pageSize)) {
+    yield* page;
+  }
+}
+
+/**
+ * @template T
+ * @param {AsyncIterable<T>} iterable
+ * @returns {Promise<T[]>}
+ */
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+module.exports = { DEFAULT_PAGE_SIZE, collect, paginate, paginatePages };
@@ -0,0 +1,101 @@
+const { randomBytes } = require('crypto');
+const { bytesToBigInt } = require('viem');
+
+/**
+ * Typed data for paying without a separate approval transaction.
+ *
+ * Tokens with EIP-2612 `permit` (USDC on Base, for one) let the holder sign
+ * an approval the question redeems in the same transaction as the answer or
+ * seed. Other tokens can go through Uniswap's Permit2 instead: the holder
+ * approves Permit2 once per token, then signs a single-use transfer for each
+ * payment (see `StoaQuestion.submitAnswerWithPermit2`).
+ */
+
+// Permit2 is deployed at the same address on every chain
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+/**
+ * @typedef {'permit' | 'permit2'} PermitMethod
+ *
+ * @typedef {object} SignedPermit
+ * @property {bigint} deadline
+ * @property {number} v
+ * @property {import('viem').Hex} r
+ * @property {import('viem').Hex} s
+ *
+ * @typedef {object} SignedPermit2
+ * @property {bigint} nonce
+ * @property {bigint} deadline
+ * @property {import('viem').Hex} signature
+ */
+
+/**
+ * EIP-2612 typed data approving `spender` to take `value` of `owner`'s tokens.
+ * @param {object} params
+ * @param {number} params.chainId
+ * @param {import('viem').Address} params.token
+ * @param {string} params.name The token's EIP-712 domain name, usually its `name()`
+ * @param {string} params.version The token's EIP-712 domain version, '1' for most tokens and '2' for USDC
+ * @param {import('viem').Address} params.owner
+ * @param {import('viem').Address} params.spender
+ * @param {bigint} params.value
+ * @param {bigint} params.nonce The owner's `nonces(owner)` on the token
+ * @param {bigint} params.deadline
+ */
+function buildPermitTypedData({ chainId, token, name, version, owner, spender, value, nonce, deadline }) {
+  return {
+    domain: { name, version, chainId, verifyingContract: token },
+    types: {
+      Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    },
+    primaryType: 'Permit',
+    message: { owner, spender, value, nonce, deadline }
+  };
+}
+
+/**
+ * Permit2 typed data letting `spender` transfer `amount` of the signer's tokens once.
+ * @param {object} params
+ * @param {number} params.chainId
+ * @param {import('viem').Address} params.token
+ * @param {import('viem').Address} params.spender The question contract
+ * @param {bigint} params.amount
+ * @param {bigint} params.nonce Any nonce the signer has not used with Permit2
+ * @param {bigint} params.deadline
+ */
+function buildPermit2TypedData({ chainId, token, spender, amount, nonce, deadline }) {
+  return {
+    domain: { name: 'Permit2', chainId, verifyingContract: PERMIT2_ADDRESS },
+    types: {
+      PermitTransferFrom: [
+        { name: 'permitted', type: 'TokenPermissions' },
+        { name: 'spender', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ],
+      TokenPermissions: [
+        { name: 'token', type: 'address' },
+        { name: 'amount', type: 'uint256' }
+      ]
+    },
+    primaryType: 'PermitTransferFrom',
+    message: { permitted: { token, amount }, spender, nonce, deadline }
+  };
+}
+
+/**
+ * Permit2 nonces are unordered, so a random one is as good as the next and
+ * never collides with permits signed elsewhere.
+ * @returns {bigint}
+ */
+function randomPermit2Nonce() {
+  return bytesToBigInt(randomBytes(32));
+}
+
+module.exports = { PERMIT2_ADDRESS, buildPermitTypedData, buildPermit2TypedData, randomPermit2Nonce };
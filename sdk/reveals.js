@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Storage for sealed answers awaiting their reveal.
+ *
+ * The seal salt of a commit-reveal answer exists nowhere but on the machine
+ * that submitted it, and an answer that is never revealed cannot win. The
+ * client saves each sealed answer before sending it and loads it back to
+ * reveal once the question ends. Entries are keyed by chain, question and
+ * responder, since a responder has one answer per question. Revising a
+ * sealed answer replaces its entry, keeping the one it replaces under
+ * `previous` until the update is mined.
+ *
+ * A store is any object with async `save(entry)`, `load(chainId, question, responder)`
+ * and `remove(chainId, question, responder)`; the two below cover scripts and tests.
+ */
+
+const DEFAULT_REVEALS_PATH = path.join(os.homedir(), '.stoa', 'reveals.json');
+
+/**
+ * @typedef {object} RevealEntry
+ * @property {number} chainId
+ * @property {import('viem').Address} question
+ * @property {import('viem').Address} responder
+ * @property {bigint} [index] Answer index, once the submission is mined
+ * @property {string} content Canonical content
+ * @property {import('viem').Hash} answerHash
+ * @property {import('viem').Hex} salt
+ * @property {import('viem').Hash} sealedHash
+ * @property {RevealEntry} [previous] The entry an unconfirmed revision replaces
+ *
+ * @typedef {object} RevealStore
+ * @property {(entry: RevealEntry) => Promise<void>} save
+ * @property {(chainId: number, question: string, responder: string) => Promise<RevealEntry | null>} load
+ * @property {(chainId: number, question: string, responder: string) => Promise<void>} remove
+ */
+
+function revealKey(chainId, question, responder) {
+  return `${chainId}:${question.toLowerCase()}:${responder.toLowerCase()}`;
+}
+
+function toStored(entry) {
+  return {
+    ...entry,
+    index: entry.index === undefined ? undefined : entry.index.toString(),
+    previous: entry.previous && toStored(entry.previous)
+  };
+}
+
+function fromStored(stored) {
+  return {
+    ...stored,
+    index: stored.index === undefined ? undefined : BigInt(stored.index),
+    previous: stored.previous && fromStored(stored.previous)
+  };
+}
+
+/**
+ * Keeps entries in a JSON file readable only by the current user.
+ * @param {string} [filePath] Defaults to ~/.stoa/reveals.json
+ * @returns {RevealStore}
+ */
+function createFileRevealStore(filePath = DEFAULT_REVEALS_PATH) {
+  const read = () => (fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {});
+  const write = entries => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(filePath, `${JSON.stringify(entries, null, 2)}\n`, { mode: 0o600 });
+  };
+
+  return {
+    path: filePath,
+    async save(entry) {
+      const entries = read();
+      entries[revealKey(entry.chainId, entry.question, entry.responder)] = toStored(entry);
+      write(entries);
+    },
+    async load(chainId, question, responder) {
+      const stored = read()[revealKey(chainId, question, responder)];
+      return stored ? fromStored(stored) : null;
+    },
+    async remove(chainId, question, responder) {
+      const entries = read();
+      delete entries[revealKey(chainId, question, responder)];
+      write(entries);
+    }
+  };
+}
+
+/**
+ * Keeps entries in memory; they are lost when the process exits.
+ * @returns {RevealStore}
+ */
+function createMemoryRevealStore() {
+  const entries = new Map();
+  return {
+    async save(entry) {
+      entries.set(revealKey(entry.chainId, entry.question, entry.responder), { ...entry });
+    },
+    async load(chainId, question, responder) {
+      const entry = entries.get(revealKey(chainId, question, responder));
+      return entry ? { ...entry } : null;
+    },
+    async remove(chainId, question, responder) {
+      entries.delete(revealKey(chainId, question, responder));
+    }
+  };
+}
+
+module.exports = { DEFAULT_REVEALS_PATH, createFileRevealStore, createMemoryRevealStore };
@@ -0,0 +1,125 @@
+/**
+ * Scoring curves.
+ *
+ * Mirrors `StoaQuestion.rankScore`, so a payout table can be shown before a
+ * question exists or anyone has answered. A winner's reward is
+ * `totalRewardPool * score / sum(scores of ranked answers)`, rounded down.
+ *
+ *   linear           rank i scores maxWinners - i
+ *   winnerTakesMost  first place scores params[0] bps, the rest split 10000 - params[0] equally
+ *   equal            every ranked answer scores 1
+ *   geometric        first place scores 10000, each later rank params[0] bps of the one before (min 1)
+ *   custom           rank i scores params[i] bps; one per winner, summing to 10000
+ */
+
+const BASIS_POINTS = 10000n;
+
+// Index in this list is the StoaQuestion.ScoringMode enum value
+const SCORING_MODES = ['linear', 'winnerTakesMost', 'equal', 'geometric', 'custom'];
+
+/**
+ * @typedef {object} ScoringCurve
+ * @property {'linear' | 'winnerTakesMost' | 'equal' | 'geometric' | 'custom'} mode
+ * @property {number[]} [params] Basis points; see above
+ */
+
+/**
+ * @typedef {object} RewardPreviewRow
+ * @property {number} rank 1 for first place
+ * @property {bigint} score
+ * @property {bigint} amount Token amount the rank can claim
+ * @property {number} shareBps Share of the pool in basis points
+ */
+
+/**
+ * @param {string} mode
+ * @returns {number} the enum value to pass to the contract
+ */
+function scoringModeId(mode) {
+  const id = SCORING_MODES.indexOf(mode);
+  if (id === -1) {
+    throw new Error(`Unknown scoring mode "${mode}", expected one of ${SCORING_MODES.join(', ')}`);
+  }
+  return id;
+}
+
+/**
+ * Throws for the parameters the contract rejects. The checks match the contract's, but the messages are readable
+ * text rather than its error names (`First place must be 50-100%` where it reverts `InvalidFirstPlaceShare`).
+ * @param {ScoringCurve} scoring
+ * @param {number} maxWinners
+ */
+function validateScoring({ mode, params = [] }, maxWinners) {
+  scoringModeId(mode);
+  const bps = Number(BASIS_POINTS);
+
+  if (mode === 'linear' || mode === 'equal') {
+    if (params.length !== 0) throw new Error('Unexpected scoring params');
+  } else if (mode === 'winnerTakesMost') {
+    if (params.length !== 1) throw new Error('Invalid scoring params');
+    if (!(params[0] > bps / 2 && params[0] < bps)) throw new Error('First place must be 50-100%');
+  } else if (mode === 'geometric') {
+    if (params.length !== 1) throw new Error('Invalid scoring params');
+    if (!(params[0] > 0 && params[0] < bps)) throw new Error('Ratio must be 0-100%');
+  } else {
+    if (params.length !== maxWinners) throw new Error('One share per winner required');
+    if (params.some(share => !(share > 0))) throw new Error('Share must be greater than 0');
+    if (params.reduce((sum, share) => sum + share, 0) !== bps) throw new Error('Shares must sum to 100%');
+  }
+}
+
+/**
+ * @param {ScoringCurve} scoring
+ * @param {number} maxWinners
+ * @returns {bigint[]} the score of each rank, best first
+ */
+function rankScores(scoring, maxWinners) {
+  validateScoring(scoring, maxWinners);
+  const { mode, params = [] } = scoring;
+  const scores = [];
+
+  for (let rank = 0; rank < maxWinners; rank++) {
+    if (mode === 'linear') {
+      scores.push(BigInt(maxWinners - rank));
+    } else if (mode === 'winnerTakesMost') {
+      const first = BigInt(params[0]);
+      scores.push(rank === 0 ? first : (BASIS_POINTS - first) / BigInt(maxWinners - 1));
+    } else if (mode === 'equal') {
+      scores.push(1n);
+    } else if (mode === 'geometric') {
+      const previous = rank === 0 ? null : scores[rank - 1];
+      const score = previous === null ? BASIS_POINTS : (previous * BigInt(params[0])) / BASIS_POINTS;
+      scores.push(score > 0n ? score : 1n);
+    } else {
+      scores.push(BigInt(params[rank]));
+    }
+  }
+  return scores;
+}
+
+/**
+ * Payout table for a reward pool.
+ * @param {object} params
+ * @param {bigint} params.rewardPool
+ * @param {number} params.maxWinners
+ * @param {ScoringCurve} [params.scoring] Defaults to linear
+ * @param {number} [params.winners] How many answers get ranked; defaults to maxWinners. Fewer winners split the
+ *        whole pool between them.
+ * @returns {RewardPreviewRow[]}
+ */
+function previewRewards({ rewardPool, maxWinners, scoring = { mode: 'linear' }, winners = maxWinners }) {
+  if (winners > maxWinners) {
+    throw new Error(`Cannot rank ${winners} winners, the question allows ${maxWinners}`);
+  }
+
+  const scores = rankScores(scoring, maxWinners).slice(0, winners);
+  const total = scores.reduce((sum, score) => sum + score, 0n);
+  return scores.map((score, i) => ({
+    rank: i + 1,
+    score,
+    amount: (rewardPool * score) / total,
+    shareBps: Number((score * BASIS_POINTS) / total)
+  }));
+}
+
+module.exports = { SCORING_MODES, scoringModeId, validateScoring, rankScores, previewRewards };
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { previewRewards, rankScores } = require('./scoring');
+
+// The values below are the ones test/StoaQuestion.t.sol asserts for each curve, three winners out of three
+const MAX_WINNERS = 3;
+// Not divisible by any of the score totals, so the rounding has to match as well
+const POOL = 1000n * 10n ** 18n + 7n;
+
+const amounts = preview => preview.map(row => row.amount);
+
+test('linear is the default curve and scores 3, 2, 1', () => {
+  const preview = previewRewards({ rewardPool: POOL, maxWinners: MAX_WINNERS });
+  assert.deepEqual(preview.map(row => row.score), [3n, 2n, 1n]);
+  assert.deepEqual(amounts(preview), [(POOL * 3n) / 6n, (POOL * 2n) / 6n, POOL / 6n]);
+});
+
+test('linear with two ranked answers splits the pool 3:2', () => {
+  const preview = previewRewards({ rewardPool: POOL, maxWinners: MAX_WINNERS, winners: 2 });
+  assert.deepEqual(amounts(preview), [(POOL * 3n) / 5n, (POOL * 2n) / 5n]);
+});
+
+test('winnerTakesMost gives first place its share and splits the rest', () => {
+  const preview = previewRewards({
+    rewardPool: POOL,
+    maxWinners: MAX_WINNERS,
+    scoring: { mode: 'winnerTakesMost', params: [8000] }
+  });
+  assert.deepEqual(preview.map(row => row.score), [8000n, 1000n, 1000n]);
+  assert.deepEqual(amounts(preview), [(POOL * 8000n) / 10000n, (POOL * 1000n) / 10000n, (POOL * 1000n) / 10000n]);
+  assert.deepEqual(preview.map(row => row.shareBps), [8000, 1000, 1000]);
+});
+
+test('equal splits the pool in thirds', () => {
+  const preview = previewRewards({ rewardPool: POOL, maxWinners: MAX_WINNERS, scoring: { mode: 'equal' } });
+  assert.deepEqual(amounts(preview), [POOL / 3n, POOL / 3n, POOL / 3n]);
+});
+
+test('geometric halves each rank at a 50% ratio', () => {
+  const preview = previewRewards({
+    rewardPool: POOL,
+    maxWinners: MAX_WINNERS,
+    scoring: { mode: 'geometric', params: [5000] }
+  });
+  assert.deepEqual(preview.map(row => row.score), [10000n, 5000n, 2500n]);
+  assert.deepEqual(amounts(preview), [(POOL * 10000n) / 17500n, (POOL * 5000n) / 17500n, (POOL * 2500n) / 17500n]);
+});
+
+test('geometric scores never reach zero', () => {
+  const scores = rankScores({ mode: 'geometric', params: [1] }, 255);
+  assert.equal(scores[1], 1n);
+  assert.equal(scores[254], 1n);
+});
+
+test('custom pays each rank its share', () => {
+  const scoring = { mode: 'custom', params: [6000, 3000, 1000] };
+  const preview = previewRewards({ rewardPool: POOL, maxWinners: MAX_WINNERS, scoring });
+  assert.deepEqual(amounts(preview), [(POOL * 6000n) / 10000n, (POOL * 3000n) / 10000n, (POOL * 1000n) / 10000n]);
+});
+
+test('custom redistributes the shares of unfilled ranks', () => {
+  const scoring = { mode: 'custom', params: [6000, 3000, 1000] };
+  const preview = previewRewards({ rewardPool: POOL, maxWinners: MAX_WINNERS, scoring, winners: 2 });
+  assert.deepEqual(amounts(preview), [(POOL * 6000n) / 9000n, (POOL * 3000n) / 9000n]);
+});
+
+test('rejects the parameters the contract reverts on', () => {
+  const rejects = (scoring, message) =>
+    assert.throws(() => previewRewards({ rewardPool: POOL, maxWinners: MAX_WINNERS, scoring }), message);
+
+  rejects({ mode: 'winnerTakesMost', params: [5000] }, /First place must be 50-100%/);
+  rejects({ mode: 'geometric', params: [10000] }, /Ratio must be 0-100%/);
+  rejects({ mode: 'linear', params: [10000] }, /Unexpected scoring params/);
+  rejects({ mode: 'geometric', params: [] }, /Invalid scoring params/);
+  rejects({ mode: 'custom', params: [10000] }, /One share per winner required/);
+  rejects({ mode: 'custom', params: [5000, 3000, 1000] }, /Shares must sum to 100%/);
+  rejects({ mode: 'custom', params: [7000, 3000, 0] }, /Share must be greater than 0/);
+  assert.throws(() => previewRewards({ rewardPool: POOL, maxWinners: MAX_WINNERS, winners: 4 }), /Cannot rank 4/);
+});
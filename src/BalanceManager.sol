@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import "openzeppelin-contracts/token/ERC20/IERC20.sol";
 import "openzeppelin-contracts/access/Ownable.sol";
 import "openzeppelin-contracts/security/ReentrancyGuard.sol";
+import "./interfaces/IStoaErrors.sol";
 
 /**
  * @title Balance Manager
@@ -11,7 +12,7 @@ import "openzeppelin-contracts/security/ReentrancyGuard.sol";
  * @notice Only admin can update user balance mappings.
  * @notice Users can claim their balance of any token at any time.
  */
-contract BalanceManager is Ownable, ReentrancyGuard {
+contract BalanceManager is Ownable, ReentrancyGuard, IStoaErrors {
     mapping(address => bool) public admins;
     mapping(address => mapping(address => uint256)) public balances;
     mapping(address => uint256) public totalBalances;
@@ -30,12 +31,12 @@ contract BalanceManager is Ownable, ReentrancyGuard {
     event TokensWithdrawn(address indexed token, uint256 amount, address indexed to);
 
     modifier onlyAdmin() {
-        require(admins[msg.sender], "Caller is not an admin");
+        if (!admins[msg.sender]) revert NotAdmin();
         _;
     }
 
     modifier notContract(address user) {
-        require(user != address(this), "Contract cannot be the user");
+        if (user == address(this)) revert ContractAsUser();
         _;
     }
 
@@ -58,8 +59,8 @@ contract BalanceManager is Ownable, ReentrancyGuard {
      * @param amount The amount to set
      */
     function setBalance(address user, address token, uint256 amount) external onlyAdmin notContract(user) {
-        require(user != address(0), "Invalid user address");
-        require(token != address(0), "Invalid token address");
+        if (user == address(0)) revert InvalidUser();
+        if (token == address(0)) revert InvalidToken();
 
         uint256 currentBalance = balances[user][token];
         if (currentBalance == 0 && amount > 0) {
@@ -81,8 +82,8 @@ contract BalanceManager is Ownable, ReentrancyGuard {
     }
 
     function increaseBalance(address user, address token, uint256 amount) external onlyAdmin notContract(user) {
-        require(user != address(0), "Invalid user address");
-        require(token != address(0), "Invalid token address");
+        if (user == address(0)) revert InvalidUser();
+        if (token == address(0)) revert InvalidToken();
 
         if (balances[user][token] == 0 && amount > 0) {
             walletTokens[user].push(token);
@@ -98,9 +99,9 @@ contract BalanceManager is Ownable, ReentrancyGuard {
     }
 
     function reduceBalance(address user, address token, uint256 amount) external onlyAdmin notContract(user) {
-        require(user != address(0), "Invalid user address");
-        require(token != address(0), "Invalid token address");
-        require(balances[user][token] >= amount, "Insufficient balance");
+        if (user == address(0)) revert InvalidUser();
+        if (token == address(0)) revert InvalidToken();
+        if (balances[user][token] < amount) revert InsufficientBalance(balances[user][token], amount);
 
         balances[user][token] -= amount;
         totalBalances[token] -= amount;
@@ -112,8 +113,8 @@ contract BalanceManager is Ownable, ReentrancyGuard {
      * @dev balance must still be set by admin
      */
     function fund(address token, uint256 amount) external {
-        require(token != address(0), "Invalid token address");
-        require(amount > 0, "Amount must be greater than zero");
+        if (token == address(0)) revert InvalidToken();
+        if (amount == 0) revert InvalidAmount();
         if (totalBalances[token] == 0) {
             allTokens.push(token);
         }
@@ -126,9 +127,9 @@ contract BalanceManager is Ownable, ReentrancyGuard {
      * @param token token to claim balance of
      */
     function claim(address token) public notContract(msg.sender) nonReentrant {
-        require(token != address(0), "Invalid token address");
+        if (token == address(0)) revert InvalidToken();
         uint256 balance = balances[msg.sender][token];
-        require(balance > 0, "No balance available");
+        if (balance == 0) revert NoBalance();
 
         balances[msg.sender][token] = 0;
         totalBalances[token] -= balance;
@@ -141,7 +142,7 @@ contract BalanceManager is Ownable, ReentrancyGuard {
      */
     function claimAll() external notContract(msg.sender) nonReentrant {
         uint256 length = walletTokens[msg.sender].length;
-        require(length > 0, "No balances available to claim");
+        if (length == 0) revert NoBalance();
 
         for (uint256 i = 0; i < length; i++) {
             address token = walletTokens[msg.sender][i];
@@ -163,11 +164,11 @@ contract BalanceManager is Ownable, ReentrancyGuard {
      * @param to address of recipient account
      */
     function withdrawExcessTokens(address token, uint256 amount, address to) external onlyAdmin {
-        require(token != address(0), "Invalid token address");
-        require(to != address(0), "Invalid recipient address");
+        if (token == address(0)) revert InvalidToken();
+        if (to == address(0)) revert InvalidRecipient();
 
         uint256 availableAmount = IERC20(token).balanceOf(address(this)) - totalBalances[token];
-        require(amount <= availableAmount, "Insufficient excess token balance");
+        if (amount > availableAmount) revert InsufficientExcess(availableAmount, amount);
 
         IERC20(token).transfer(to, amount);
         emit TokensWithdrawn(token, amount, to);
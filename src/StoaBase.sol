@@ -2,47 +2,112 @@
 pragma solidity ^0.8.20;
 
 import "openzeppelin-contracts/access/Ownable.sol";
+import "./interfaces/IStoaErrors.sol";
 
-abstract contract StoaBase is Ownable {
-    uint256 public feeBps = 1000; // 10% protocol fee
-    uint256 public creatorFeeBps = 1000; // 10% creator fee (same as protocol fee)
-    uint256 public referralFeeBps = 500; // 5% referral fee
+/**
+ * @dev Fee settings shared by the factory and its questions. The factory's are the protocol defaults and caps; each
+ *      question gets a snapshot of them when it is created, and only its creator and referral fees can change after
+ *      that, within the snapshotted caps.
+ */
+abstract contract StoaBase is Ownable, IStoaErrors {
+    struct FeeConfig {
+        uint256 feeBps;
+        uint256 creatorFeeBps;
+        uint256 referralFeeBps;
+        uint256 maxCreatorFeeBps;
+        uint256 maxReferralFeeBps;
+    }
+
+    // Set in _initializeBase: the factory starts from its constructor's defaults, and each question snapshots the
+    // factory's FeeConfig when it is initialized
+    uint256 public feeBps; // Protocol fee
+    uint256 public creatorFeeBps; // Creator fee, at most maxCreatorFeeBps
+    uint256 public referralFeeBps; // Referral fee, at most maxReferralFeeBps
+    uint256 public maxCreatorFeeBps; // Upper bound on creatorFeeBps
+    uint256 public maxReferralFeeBps; // Upper bound on referralFeeBps
     address public treasury;
 
     uint256 private constant BASIS_POINTS = 10000; // 100% = 10000 basis points
 
+    // Shortest claim period a question accepts; the factory checks its default against the same bound
+    uint256 public constant MIN_CLAIM_PERIOD = 7 days;
+
     event FeeUpdated(uint256 newFeeBps);
     event CreatorFeeUpdated(uint256 newCreatorFeeBps);
     event ReferralFeeUpdated(uint256 newReferralFeeBps);
+    event FeeCapsUpdated(uint256 maxCreatorFeeBps, uint256 maxReferralFeeBps);
     event TreasuryUpdated(address newTreasury);
 
-    constructor(address _treasury) {
-        require(_treasury != address(0), "Invalid treasury");
+    /**
+     * @dev Sets the fees, the treasury and the caller as owner. Called from the inheriting contract's constructor or
+     *      initializer, so that clones get them too.
+     */
+    function _initializeBase(address _treasury, FeeConfig memory fees) internal {
+        if (_treasury == address(0)) revert InvalidTreasury();
+        _checkTotalFees(fees.feeBps, fees.maxCreatorFeeBps, fees.maxReferralFeeBps);
+        if (fees.creatorFeeBps > fees.maxCreatorFeeBps) {
+            revert CreatorFeeExceedsCap(fees.creatorFeeBps, fees.maxCreatorFeeBps);
+        }
+        if (fees.referralFeeBps > fees.maxReferralFeeBps) {
+            revert ReferralFeeExceedsCap(fees.referralFeeBps, fees.maxReferralFeeBps);
+        }
+        feeBps = fees.feeBps;
+        creatorFeeBps = fees.creatorFeeBps;
+        referralFeeBps = fees.referralFeeBps;
+        maxCreatorFeeBps = fees.maxCreatorFeeBps;
+        maxReferralFeeBps = fees.maxReferralFeeBps;
         treasury = _treasury;
         _transferOwnership(msg.sender);
     }
 
-    function setFeeBps(uint256 newFeeBps) external onlyOwner {
-        require(newFeeBps <= BASIS_POINTS, "Fee cannot exceed 100%");
-        feeBps = newFeeBps;
-        emit FeeUpdated(newFeeBps);
-    }
-
     function setCreatorFeeBps(uint256 newCreatorFeeBps) external onlyOwner {
-        require(newCreatorFeeBps <= BASIS_POINTS, "Creator fee cannot exceed 100%");
+        if (newCreatorFeeBps > maxCreatorFeeBps) revert CreatorFeeExceedsCap(newCreatorFeeBps, maxCreatorFeeBps);
         creatorFeeBps = newCreatorFeeBps;
         emit CreatorFeeUpdated(newCreatorFeeBps);
     }
 
     function setReferralFeeBps(uint256 newReferralFeeBps) external onlyOwner {
-        require(newReferralFeeBps <= BASIS_POINTS, "Referral fee cannot exceed 100%");
+        if (newReferralFeeBps > maxReferralFeeBps) revert ReferralFeeExceedsCap(newReferralFeeBps, maxReferralFeeBps);
         referralFeeBps = newReferralFeeBps;
         emit ReferralFeeUpdated(newReferralFeeBps);
     }
 
-    function setTreasury(address newTreasury) external onlyOwner {
-        require(newTreasury != address(0), "Invalid treasury");
+    /// @dev The current settings, in the form _initializeBase takes
+    function _feeConfig() internal view returns (FeeConfig memory) {
+        return FeeConfig(feeBps, creatorFeeBps, referralFeeBps, maxCreatorFeeBps, maxReferralFeeBps);
+    }
+
+    function _setFeeBps(uint256 newFeeBps) internal {
+        _checkTotalFees(newFeeBps, maxCreatorFeeBps, maxReferralFeeBps);
+        feeBps = newFeeBps;
+        emit FeeUpdated(newFeeBps);
+    }
+
+    /// @dev Lowers the creator and referral fees to the new caps if they are above them
+    function _setFeeCaps(uint256 newMaxCreatorFeeBps, uint256 newMaxReferralFeeBps) internal {
+        _checkTotalFees(feeBps, newMaxCreatorFeeBps, newMaxReferralFeeBps);
+        maxCreatorFeeBps = newMaxCreatorFeeBps;
+        maxReferralFeeBps = newMaxReferralFeeBps;
+        emit FeeCapsUpdated(newMaxCreatorFeeBps, newMaxReferralFeeBps);
+        if (creatorFeeBps > newMaxCreatorFeeBps) {
+            creatorFeeBps = newMaxCreatorFeeBps;
+            emit CreatorFeeUpdated(newMaxCreatorFeeBps);
+        }
+        if (referralFeeBps > newMaxReferralFeeBps) {
+            referralFeeBps = newMaxReferralFeeBps;
+            emit ReferralFeeUpdated(newMaxReferralFeeBps);
+        }
+    }
+
+    function _setTreasury(address newTreasury) internal {
+        if (newTreasury == address(0)) revert InvalidTreasury();
         treasury = newTreasury;
         emit TreasuryUpdated(newTreasury);
     }
+
+    /// @dev The protocol fee plus both caps is the most a question can take from its pool, so it must fit in 100%
+    function _checkTotalFees(uint256 _feeBps, uint256 _maxCreatorFeeBps, uint256 _maxReferralFeeBps) private pure {
+        uint256 totalBps = _feeBps + _maxCreatorFeeBps + _maxReferralFeeBps;
+        if (totalBps > BASIS_POINTS) revert FeesExceedMax(totalBps);
+    }
 }
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./StoaQuestion.sol";
+
+/**
+ * @title StoaClaimRouter
+ * @notice Claims a winner's rewards from many questions in one transaction
+ * @dev Questions only accept claims from the router they were created with (see StoaQuestion.claimRewardFor), and
+ *      always pay the winner, so anyone can claim on anyone's behalf. The router holds no funds and no state.
+ */
+contract StoaClaimRouter {
+    /**
+     * @notice Claims every reward `user` can claim among `questions`
+     * @dev Questions with nothing to claim are skipped, so a stale list does not make the whole batch revert
+     * @param user The winner to claim for; rewards are transferred to this address
+     * @param questions The questions to claim from
+     * @return amounts The reward claimed from each question, in the questions' own tokens
+     * @custom:requirements
+     * - Every question with a claimable reward must have this contract as its claim router
+     */
+    function claimAll(address user, address[] calldata questions) external returns (uint256[] memory amounts) {
+        amounts = new uint256[](questions.length);
+        for (uint256 i = 0; i < questions.length; i++) {
+            StoaQuestion question = StoaQuestion(questions[i]);
+            if (question.getClaimableAmount(user) == 0) continue;
+            amounts[i] = question.claimRewardFor(user);
+        }
+    }
+
+    /**
+     * @notice Returns what `user` can claim from each question
+     * @param user The winner to check
+     * @param questions The questions to check
+     * @return amounts The claimable reward of each question, 0 where there is none
+     */
+    function getClaimableAmounts(address user, address[] calldata questions)
+        external
+        view
+        returns (uint256[] memory amounts)
+    {
+        amounts = new uint256[](questions.length);
+        for (uint256 i = 0; i < questions.length; i++) {
+            amounts[i] = StoaQuestion(questions[i]).getClaimableAmount(user);
+        }
+    }
+}
@@ -2,8 +2,10 @@
 pragma solidity ^0.8.20;
 
 import "openzeppelin-contracts/access/Ownable.sol";
+import {Pagination} from "./utils/Pagination.sol";
+import "./interfaces/IStoaErrors.sol";
 
-contract StoaProtocol is Ownable {
+contract StoaProtocol is Ownable, IStoaErrors {
     struct QuestionMeta {
         address questionAddress;
         address creator;
@@ -14,6 +16,7 @@ contract StoaProtocol is Ownable {
     }
 
     QuestionMeta[] public allQuestions;
+    mapping(address => uint256[]) private questionIdsByCreator; // Registry IDs of each creator's questions
 
     event QuestionRegistered(
         uint256 indexed id,
@@ -33,10 +36,10 @@ contract StoaProtocol is Ownable {
         uint256 duration,
         uint8 maxWinners
     ) external onlyOwner {
-        require(questionAddress != address(0), "Invalid question address");
-        require(creator != address(0), "Invalid creator address");
-        require(submissionCost > 0, "Submission cost must be greater than 0");
-        require(duration > 0, "Duration must be greater than 0");
+        if (questionAddress == address(0)) revert InvalidQuestionAddress();
+        if (creator == address(0)) revert InvalidCreator();
+        if (submissionCost == 0) revert InvalidSubmissionCost();
+        if (duration == 0) revert InvalidDuration();
 
         allQuestions.push(
             QuestionMeta({
@@ -49,6 +52,8 @@ contract StoaProtocol is Ownable {
             })
         );
 
+        questionIdsByCreator[creator].push(allQuestions.length - 1);
+
         emit QuestionRegistered(allQuestions.length - 1, questionAddress, creator, submissionCost, duration, maxWinners);
     }
 
@@ -63,4 +68,48 @@ contract StoaProtocol is Ownable {
     function getQuestionCount() external view returns (uint256) {
         return allQuestions.length;
     }
+
+    /**
+     * @notice Returns up to `limit` registered questions, starting at ID `offset`
+     * @param offset ID of the first question to return
+     * @param limit Largest number of questions to return
+     * @return page The questions, oldest first; shorter than `limit` at the end, empty past it
+     */
+    function getQuestions(uint256 offset, uint256 limit) external view returns (QuestionMeta[] memory page) {
+        page = new QuestionMeta[](Pagination.pageLength(allQuestions.length, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = allQuestions[offset + i];
+        }
+    }
+
+    /**
+     * @notice Returns how many questions `creator` has registered
+     * @param creator The question creator
+     */
+    function getQuestionCountByCreator(address creator) external view returns (uint256) {
+        return questionIdsByCreator[creator].length;
+    }
+
+    /**
+     * @notice Returns up to `limit` of `creator`'s questions, starting at their `offset`th
+     * @param creator The question creator
+     * @param offset Position of the first question to return among the creator's questions
+     * @param limit Largest number of questions to return
+     * @return ids The questions' registry IDs, oldest first
+     * @return page The questions, in the same order
+     */
+    function getQuestionsByCreator(address creator, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory ids, QuestionMeta[] memory page)
+    {
+        uint256[] storage creatorIds = questionIdsByCreator[creator];
+        uint256 length = Pagination.pageLength(creatorIds.length, offset, limit);
+        ids = new uint256[](length);
+        page = new QuestionMeta[](length);
+        for (uint256 i = 0; i < length; i++) {
+            ids[i] = creatorIds[offset + i];
+            page[i] = allQuestions[ids[i]];
+        }
+    }
 }
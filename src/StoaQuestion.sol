@@ -2,11 +2,39 @@
 pragma solidity ^0.8.20;
 
 import "openzeppelin-contracts/access/Ownable.sol";
+import "openzeppelin-contracts/proxy/utils/Initializable.sol";
 
 import "openzeppelin-contracts/token/ERC20/IERC20.sol";
 import "./StoaBase.sol";
+import "./StoaScoring.sol";
+import "./StoaSignatures.sol";
+import "./interfaces/IPausable.sol";
+import {Pagination} from "./utils/Pagination.sol";
+
+contract StoaQuestion is StoaBase, Initializable {
+    /**
+     * @notice How `evaluateAnswers` turns a rank into a score. Rewards are paid in proportion to score.
+     * - Linear: rank i scores maxWinners - i (the original curve)
+     * - WinnerTakesMost: first place scores scoringParams[0] bps, the other ranks split the rest equally
+     * - Equal: every ranked answer scores 1
+     * - Geometric: first place scores 10000, each later rank scores scoringParams[0] bps of the rank before (min 1)
+     * - Custom: rank i scores scoringParams[i] bps; one entry per winner, summing to 10000
+     */
+    enum ScoringMode {
+        Linear,
+        WinnerTakesMost,
+        Equal,
+        Geometric,
+        Custom
+    }
+
+    /// @notice Where `sweepUnclaimedRewards` sends the rewards winners left unclaimed
+    enum SweepDestination {
+        Treasury,
+        Creator,
+        FollowUpQuestion
+    }
 
-contract StoaQuestion is StoaBase {
     struct Answer {
         address responder;
         bytes32 answerHash;
@@ -15,9 +43,17 @@ contract StoaQuestion is StoaBase {
         bool rewarded;
     }
 
+    struct Dispute {
+        address challenger;
+        bytes32 reasonHash; // keccak256 of the challenger's reasoning, kept off-chain
+        uint256 bond;
+        bool resolved;
+    }
+
     IERC20 public token; // Single token for everything
 
     uint256 public submissionCost;
+    uint256 public revisionFee; // Charged by updateAnswer and added to the reward pool; zero while revisions are free
     uint256 public totalRewardPool; // Single reward pool
     uint256 public endsAt;
     uint256 public evaluationDeadline; // Deadline for evaluation
@@ -26,48 +62,148 @@ contract StoaQuestion is StoaBase {
     uint256 private constant BASIS_POINTS = 10000; // 100% = 10000 basis points
     uint8 public maxWinners;
     address public creator;
+    address public evaluator; // Ranks the answers; set by the creator and rotatable by the owner until evaluation
+    ScoringMode public scoringMode;
+    uint16[] private scoringParams;
 
     Answer[] public answers;
     mapping(address => uint256) public userAnswerIndex;
     bool public evaluated;
 
     mapping(address => bool) public isAuthorizedSubmitter;
+    address public claimRouter; // Can claim rewards on winners' behalf; rewards always go to the winner
+
+    mapping(address => uint256) public seededAmounts; // Per funder; reclaimable if nobody answers
+    uint256 public totalSeeded;
+
+    uint256 public constant ARBITRATION_PERIOD = 7 days; // Time the arbiter has to settle disputes
+    address public arbiter; // Settles disputes; zero while disputes are disabled
+    uint256 public disputePeriod; // Time after evaluation during which the ranking can be challenged
+    uint256 public disputeBond; // Tokens a challenger stakes
+    uint256 public disputeEndsAt;
+    uint256 public openDisputes;
+    Dispute[] public disputes;
+    mapping(address => uint256) public userDisputeIndex; // 1-based, like userAnswerIndex
+
+    uint256 public claimPeriod; // Time winners have to claim once the ranking is final; zero while sweeping is disabled
+    bool public rewardsSwept;
+
+    uint256 public revealPeriod; // Time after endsAt to reveal sealed answers; zero while commit-reveal is disabled
+    mapping(uint256 => bool) public isRevealed;
+
+    // Uniswap's Permit2, at the same address on every chain; pays for tokens without EIP-2612 permit
+    address public constant PERMIT2 = StoaSignatures.PERMIT2;
+
+    // EIP-712 answer intents, signed by responders and submitted by relayers (see submitAnswerWithIntent)
+    bytes32 public constant ANSWER_INTENT_TYPEHASH = StoaSignatures.ANSWER_INTENT_TYPEHASH;
+    mapping(address => uint256) public intentNonces; // Per responder; each signed intent uses the current one
+
+    uint256 public constant MAX_EXTENSION = 30 days; // How far past its initial end the creator can extend a question
+    uint256 public constant CLOSE_NOTICE = 1 hours; // How long responders still have once the creator closes early
+    uint256 public maxEndsAt; // initial endsAt + MAX_EXTENSION
+    bool public cancelled;
+    mapping(address => uint256) public poolContributions; // Per responder: what they paid into the reward pool
+
+    // Deployed the implementation; immutable, so every clone shares it and its guardian pauses them all at once
+    address public immutable factory;
 
     event AnswerSubmitted(address indexed responder, uint256 index);
     event AnswerSubmittedWithReferral(address indexed responder, uint256 index, address indexed referrer);
+    event AnswerUpdated(address indexed responder, uint256 index, bytes32 answerHash);
+    event RevisionFeeSet(uint256 revisionFee);
     event Evaluated(uint256[] rankedAnswerIndices);
     event RewardClaimed(address indexed user, uint256 amount);
     event Seeded(address indexed funder, uint256 amount);
+    event SeedReclaimed(address indexed funder, uint256 amount);
+    event EvaluatorUpdated(address indexed previousEvaluator, address indexed newEvaluator);
+    event DisputesConfigured(address indexed arbiter, uint256 disputePeriod, uint256 disputeBond);
+    event DisputeOpened(address indexed challenger, uint256 index, bytes32 reasonHash, uint256 bond);
+    event DisputesResolved(bool rankingUpheld, uint256[] rankedAnswerIndices);
+    event DisputeBondReclaimed(address indexed challenger, uint256 amount);
+    event ClaimPeriodSet(uint256 claimPeriod);
+    event UnclaimedRewardsSwept(SweepDestination destination, address indexed recipient, uint256 amount);
+    event CommitRevealEnabled(uint256 revealPeriod);
+    event AnswerRevealed(address indexed responder, uint256 index, bytes32 answerHash);
+    event ClaimRouterSet(address indexed claimRouter);
+    event QuestionExtended(uint256 endsAt);
+    event QuestionClosedEarly(uint256 endsAt);
+    event QuestionCancelled();
 
     modifier onlyEvaluator() {
-        require(msg.sender == creator, "Not evaluator");
+        if (msg.sender != evaluator) revert NotEvaluator();
+        _;
+    }
+
+    modifier onlyArbiter() {
+        _checkArbiter();
         _;
     }
 
     modifier onlyBeforeEnd() {
-        require(block.timestamp < endsAt, "Question ended");
+        _checkBeforeEnd();
+        _;
+    }
+
+    modifier onlyBeforeAnswers() {
+        _checkNoAnswers();
+        _;
+    }
+
+    modifier whenNotPaused() {
+        _requireNotPaused();
         _;
     }
 
     modifier onlyAuthorizedSubmitter() {
-        require(isAuthorizedSubmitter[msg.sender], "Not allowed");
+        _checkAuthorizedSubmitter();
         _;
     }
 
-    constructor(
+    /// @dev Locks the implementation; questions are EIP-1167 clones of it, set up with initialize
+    constructor() {
+        factory = msg.sender;
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Sets up a newly cloned question; the caller becomes its owner
+     * @dev Takes the place of a constructor, since clones do not run one. Can only be called once per clone.
+     * @param _token The ERC20 used for submissions and rewards
+     * @param _submissionCost The cost of submitting an answer
+     * @param _duration How long answers are accepted for, from now
+     * @param _maxWinners The maximum number of answers that can be ranked
+     * @param _treasury The protocol treasury that receives protocol fees
+     * @param _fees The protocol fee, the initial creator and referral fees, and the caps the creator can raise them to
+     * @param _creator The question's creator, who receives creator fees
+     * @param _evaluator The address allowed to rank the answers
+     * @param _scoringMode How ranks are turned into scores
+     * @param _scoringParams The mode's parameters in basis points
+     */
+    function initialize(
         address _token,
         uint256 _submissionCost,
         uint256 _duration,
         uint8 _maxWinners,
         address _treasury,
-        address _creator
-    ) StoaBase(_treasury) {
+        FeeConfig calldata _fees,
+        address _creator,
+        address _evaluator,
+        ScoringMode _scoringMode,
+        uint16[] calldata _scoringParams
+    ) external initializer {
+        _initializeBase(_treasury, _fees);
+        if (_evaluator == address(0)) revert InvalidEvaluator();
+        StoaScoring.validate(_scoringMode, _scoringParams, _maxWinners);
+
         token = IERC20(_token);
         submissionCost = _submissionCost;
-        endsAt = block.timestamp + _duration;
-        evaluationDeadline = endsAt + 7 days; // 7 days after question ends
+        _setEndsAt(block.timestamp + _duration);
+        maxEndsAt = endsAt + MAX_EXTENSION;
         maxWinners = _maxWinners;
         creator = _creator;
+        evaluator = _evaluator;
+        scoringMode = _scoringMode;
+        scoringParams = _scoringParams;
     }
 
     /**
@@ -80,6 +216,221 @@ contract StoaQuestion is StoaBase {
         isAuthorizedSubmitter[submitter] = allowed;
     }
 
+    /**
+     * @notice Sets the contract allowed to claim rewards on winners' behalf
+     * @dev Only the contract owner can call this function; the factory calls it with its claim router
+     * @param _claimRouter The router address, or the zero address to disallow claims on behalf of winners
+     */
+    function setClaimRouter(address _claimRouter) external onlyOwner {
+        claimRouter = _claimRouter;
+        emit ClaimRouterSet(_claimRouter);
+    }
+
+    /**
+     * @notice Hands evaluation of the question to another address
+     * @dev Only the contract owner can call this function, and only until the answers are evaluated
+     * @param newEvaluator The address that will be allowed to call evaluateAnswers
+     * @custom:requirements
+     * - Question must not have been evaluated yet
+     * - New evaluator must not be the zero address
+     */
+    function setEvaluator(address newEvaluator) external onlyOwner {
+        if (evaluated) revert AlreadyEvaluated();
+        if (newEvaluator == address(0)) revert InvalidEvaluator();
+        emit EvaluatorUpdated(evaluator, newEvaluator);
+        evaluator = newEvaluator;
+    }
+
+    /**
+     * @notice Lets participants challenge the ranking for a while after evaluation
+     * @dev Only the contract owner can call this function; the factory calls it with its dispute settings
+     * @param _arbiter The address that upholds or replaces a disputed ranking
+     * @param _disputePeriod How long after evaluation a dispute can be opened
+     * @param _disputeBond Tokens a challenger stakes, slashed to the treasury if the ranking is upheld
+     * @custom:requirements
+     * - Disputes must not have been configured already
+     * - No answers may have been submitted yet, so participants know the rules they answer under
+     * - Arbiter must not be the zero address, and period and bond must be greater than 0
+     */
+    function configureDisputes(address _arbiter, uint256 _disputePeriod, uint256 _disputeBond)
+        external
+        onlyOwner
+        onlyBeforeAnswers
+    {
+        if (arbiter != address(0)) revert DisputesAlreadyConfigured();
+        if (_arbiter == address(0)) revert InvalidArbiter();
+        if (_disputePeriod == 0) revert InvalidDisputePeriod();
+        if (_disputeBond == 0) revert InvalidDisputeBond();
+
+        arbiter = _arbiter;
+        disputePeriod = _disputePeriod;
+        disputeBond = _disputeBond;
+        emit DisputesConfigured(_arbiter, _disputePeriod, _disputeBond);
+    }
+
+    /**
+     * @notice Limits how long winners have to claim, after which unclaimed rewards can be swept
+     * @dev Only the contract owner can call this function; the factory calls it with its default claim period
+     * @param _claimPeriod Time after the ranking is final during which only winners can take their rewards
+     * @custom:requirements
+     * - No answers may have been submitted yet, so participants know how long they will have to claim
+     * - Claim period must be at least MIN_CLAIM_PERIOD
+     */
+    function setClaimPeriod(uint256 _claimPeriod) external onlyOwner onlyBeforeAnswers {
+        if (_claimPeriod < MIN_CLAIM_PERIOD) revert ClaimPeriodTooShort(_claimPeriod, MIN_CLAIM_PERIOD);
+
+        claimPeriod = _claimPeriod;
+        emit ClaimPeriodSet(_claimPeriod);
+    }
+
+    /**
+     * @notice Sets what responders pay to revise their answer with updateAnswer
+     * @dev Only the contract owner (the creator, once the factory hands the question over) can call this function,
+     *      and only before the first answer, so responders know the fee before they approve it.
+     *      The fee goes to the reward pool rather than the creator, so it discourages churn without paying the creator
+     *      for it.
+     * @param _revisionFee Tokens charged per revision; zero makes revisions free
+     */
+    function setRevisionFee(uint256 _revisionFee) external onlyOwner onlyBeforeAnswers {
+        revisionFee = _revisionFee;
+        emit RevisionFeeSet(_revisionFee);
+    }
+
+    /**
+     * @notice Makes answers sealed commitments that are revealed after the question ends
+     * @dev Only the contract owner can call this function; the factory calls it when the creator asks for a reveal period.
+     *      While the question is open, `answerHash` must be sealAnswer(responder, contentHash, salt), so the stored
+     *      hash tells later submitters nothing about the content. Evaluation waits for the reveal period to end.
+     * @param _revealPeriod How long after endsAt answers can be revealed
+     * @custom:requirements
+     * - Commit-reveal must not have been enabled already
+     * - No answers may have been submitted yet
+     * - Reveal period must be greater than 0
+     * @custom:behavior
+     * - Pushes the evaluation deadline back by the reveal period
+     * - Emits CommitRevealEnabled event with the reveal period
+     */
+    function enableCommitReveal(uint256 _revealPeriod) external onlyOwner onlyBeforeAnswers {
+        if (revealPeriod != 0) revert CommitRevealAlreadyEnabled();
+        if (_revealPeriod == 0) revert InvalidRevealPeriod();
+
+        revealPeriod = _revealPeriod;
+        _setEndsAt(endsAt); // Moves the evaluation deadline past the reveal period
+        emit CommitRevealEnabled(_revealPeriod);
+    }
+
+    /**
+     * @notice Opens a sealed answer by publishing the content hash and salt it was sealed with
+     * @dev Anyone holding the salt can reveal, so a relayer can reveal for the user it submitted for.
+     *      The seal binds the responder, so copying someone's sealed hash does not let the copier reveal their content.
+     * @param index The index of the answer to reveal
+     * @param answerHash The keccak256 hash of the answer content
+     * @param salt The 32-byte salt the answer was sealed with
+     * @custom:requirements
+     * - Commit-reveal must be enabled
+     * - Current time must be between endsAt and revealEndsAt
+     * - Answer must not have been revealed already
+     * - sealAnswer(responder, answerHash, salt) must equal the submitted hash
+     * @custom:behavior
+     * - Replaces the sealed hash with answerHash, so the content verifies against getAnswer like an open answer
+     * - Only revealed answers can be ranked
+     * - Emits AnswerRevealed event with the responder, answer index and content hash
+     */
+    function revealAnswer(uint256 index, bytes32 answerHash, bytes32 salt) external {
+        if (revealPeriod == 0) revert CommitRevealDisabled();
+        if (block.timestamp < endsAt) revert QuestionNotEnded(endsAt);
+        if (block.timestamp >= revealEndsAt()) revert RevealPeriodOver(revealEndsAt());
+        if (isRevealed[index]) revert AlreadyRevealed(index);
+        Answer storage ans = answers[index];
+        if (sealAnswer(ans.responder, answerHash, salt) != ans.answerHash) revert InvalidReveal(index);
+
+        ans.answerHash = answerHash;
+        isRevealed[index] = true;
+        emit AnswerRevealed(ans.responder, index, answerHash);
+    }
+
+    /**
+     * @notice Computes the sealed hash a responder submits while commit-reveal is enabled
+     * @param responder The address the answer is submitted for
+     * @param answerHash The keccak256 hash of the answer content
+     * @param salt A random 32-byte salt, kept secret until the reveal
+     * @return keccak256(abi.encodePacked(address(this), responder, answerHash, salt))
+     */
+    function sealAnswer(address responder, bytes32 answerHash, bytes32 salt) public view returns (bytes32) {
+        return keccak256(abi.encodePacked(address(this), responder, answerHash, salt));
+    }
+
+    /**
+     * @notice Returns when the reveal period ends and evaluation can start
+     * @return endsAt plus the reveal period (endsAt when commit-reveal is disabled)
+     */
+    function revealEndsAt() public view returns (uint256) {
+        return endsAt + revealPeriod;
+    }
+
+    /**
+     * @notice Keeps the question open longer, e.g. while it has too few answers
+     * @dev Only the contract owner (the creator) can call this function. The reveal period and evaluation deadline
+     *      move with the end.
+     * @param newEndsAt The new end of the submission period
+     * @custom:requirements
+     * - Question must not have ended or been cancelled
+     * - newEndsAt must be later than endsAt and no later than maxEndsAt, fixed when the question was created
+     * @custom:behavior
+     * - Emits QuestionExtended event with the new end
+     */
+    function extendDeadline(uint256 newEndsAt) external onlyOwner onlyBeforeEnd {
+        if (newEndsAt <= endsAt || newEndsAt > maxEndsAt) revert InvalidEnd(newEndsAt, maxEndsAt);
+        _setEndsAt(newEndsAt);
+        emit QuestionExtended(newEndsAt);
+    }
+
+    /**
+     * @notice Ends the question early, e.g. once it has enough answers
+     * @dev Only the contract owner (the creator) can call this function. Submissions stay open for CLOSE_NOTICE, so
+     *      responders who are writing an answer are not cut off; the reveal period and evaluation deadline move with
+     *      the end.
+     * @custom:requirements
+     * - Question must not have ended or been cancelled
+     * - More than CLOSE_NOTICE must be left
+     * @custom:behavior
+     * - Emits QuestionClosedEarly event with the new end
+     */
+    function closeEarly() external onlyOwner onlyBeforeEnd {
+        uint256 newEndsAt = block.timestamp + CLOSE_NOTICE;
+        if (newEndsAt >= endsAt) revert EndsWithinNoticePeriod(endsAt);
+        _setEndsAt(newEndsAt);
+        emit QuestionClosedEarly(newEndsAt);
+    }
+
+    /**
+     * @notice Cancels the question and lets everyone who paid into the reward pool take their payment back
+     * @dev Only the contract owner (the creator) can call this function. Responders get their poolContributions back
+     *      with emergencyRefund and funders their seeds with reclaimSeed. Protocol, creator and referral fees already
+     *      paid out are not refunded.
+     * @custom:requirements
+     * - Question must not have been evaluated or cancelled
+     * - Evaluation deadline must not have passed, since emergency refunds may have started
+     * @custom:behavior
+     * - Ends the submission period now if it is still open, and rules out evaluation
+     * - Emits QuestionCancelled event
+     */
+    function cancel() external onlyOwner {
+        _checkUnranked();
+        if (block.timestamp > evaluationDeadline) revert EvaluationDeadlinePassed(evaluationDeadline);
+
+        cancelled = true;
+        if (block.timestamp < endsAt) {
+            endsAt = block.timestamp;
+        }
+        emit QuestionCancelled();
+    }
+
+    function _setEndsAt(uint256 newEndsAt) internal {
+        endsAt = newEndsAt;
+        evaluationDeadline = newEndsAt + revealPeriod + 7 days; // 7 days after the reveal period ends
+    }
+
     /**
      * @notice Adds funds to the question's reward pool
      * @dev Anyone can seed the question to increase the total reward pool
@@ -87,12 +438,114 @@ contract StoaQuestion is StoaBase {
      * @custom:requirements
      * - Caller must have approved this contract to spend at least `amount` tokens
      * - Amount must be greater than 0
+     * - Question must not be cancelled, nor the protocol paused (see paused)
+     */
+    function seedQuestion(uint256 amount) external {
+        seedQuestionFor(msg.sender, amount);
+    }
+
+    /**
+     * @notice Adds the caller's funds to the reward pool on behalf of another funder
+     * @dev Used by the factory to seed for the question's creator
+     * @param funder The address credited with the seed, who can reclaim it if nobody answers
+     * @param amount The amount of tokens to add to the reward pool (must be > 0)
+     * @custom:requirements
+     * - Caller must have approved this contract to spend at least `amount` tokens
+     * - Amount must be greater than 0
      */
-    function seedQuestion(uint256 amount) public {
-        require(amount > 0, "Amount must be greater than 0");
+    function seedQuestionFor(address funder, uint256 amount) public {
         token.transferFrom(msg.sender, address(this), amount);
+        _seed(funder, amount);
+    }
+
+    /**
+     * @notice Adds funds to the reward pool, approved with an EIP-2612 permit instead of a prior approval
+     * @dev The permit is skipped if it fails, so a permit front-run from the mempool does not block the seed as long
+     *      as the allowance it set is still there
+     * @param amount The amount of tokens to add to the reward pool (must be > 0)
+     * @param deadline The permit's deadline
+     * @param v The permit signature's v
+     * @param r The permit signature's r
+     * @param s The permit signature's s
+     * @custom:requirements
+     * - Token must support EIP-2612, and the caller must have signed a permit for `amount` to this contract
+     * - Amount must be greater than 0
+     */
+    function seedQuestionWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        StoaSignatures.permit(token, amount, deadline, v, r, s);
+        seedQuestionFor(msg.sender, amount);
+    }
+
+    /**
+     * @notice Adds funds to the reward pool, paid through Permit2 for tokens without EIP-2612 permit
+     * @param amount The amount of tokens to add to the reward pool (must be > 0)
+     * @param nonce The Permit2 permit's nonce
+     * @param deadline The Permit2 permit's deadline
+     * @param signature The caller's signature over the Permit2 permit
+     * @custom:requirements
+     * - Caller must have approved Permit2 for the token and signed a permit for `amount` to this contract
+     * - Amount must be greater than 0
+     */
+    function seedQuestionWithPermit2(uint256 amount, uint256 nonce, uint256 deadline, bytes calldata signature)
+        external
+    {
+        StoaSignatures.permit2Transfer(token, amount, nonce, deadline, signature);
+        _seed(msg.sender, amount);
+    }
+
+    /**
+     * @notice Credits a seed already transferred to this contract
+     * @param funder The address credited with the seed
+     * @param amount The amount added to the reward pool
+     */
+    function _seed(address funder, uint256 amount) internal whenNotPaused {
+        if (amount == 0) revert InvalidAmount();
+        if (cancelled) revert QuestionIsCancelled();
         totalRewardPool += amount;
-        emit Seeded(msg.sender, amount);
+        seededAmounts[funder] += amount;
+        totalSeeded += amount;
+        emit Seeded(funder, amount);
+    }
+
+    /**
+     * @notice Returns the caller's seed from a question nobody answered, or that was cancelled
+     * @custom:requirements
+     * - Question must have ended without any submissions, or been cancelled
+     * - Unclaimed rewards must not have been swept
+     * - Caller must have seeded the question and not reclaimed already
+     * @custom:behavior
+     * - Pays the caller's share of the reward pool, pro rata to their seed (their seed, if cancelled)
+     * - Emits SeedReclaimed event with the caller and the amount returned
+     */
+    function reclaimSeed() external {
+        if (!cancelled) {
+            if (block.timestamp < endsAt) revert QuestionNotEnded(endsAt);
+            if (answers.length != 0) revert AnswersAlreadySubmitted();
+        }
+        _checkNotSwept();
+        uint256 seeded = seededAmounts[msg.sender];
+        if (seeded == 0) revert NoSeed();
+
+        // Once cancelled the pool also holds the responders' refunds
+        uint256 amount = cancelled ? seeded : (totalRewardPool * seeded) / totalSeeded;
+        seededAmounts[msg.sender] = 0;
+        totalSeeded -= seeded;
+        totalRewardPool -= amount;
+
+        token.transfer(msg.sender, amount);
+        emit SeedReclaimed(msg.sender, amount);
+    }
+
+    /**
+     * @notice Returns how much a funder would get back from reclaimSeed
+     * @param funder The address to check
+     * @return The funder's share of the reward pool (their seed, if cancelled), or 0 if the question has submissions
+     *         or has not ended
+     */
+    function getReclaimableSeed(address funder) external view returns (uint256) {
+        if (cancelled) return seededAmounts[funder];
+        if (block.timestamp < endsAt || answers.length > 0 || rewardsSwept || totalSeeded == 0) return 0;
+        return (totalRewardPool * seededAmounts[funder]) / totalSeeded;
     }
 
     /**
@@ -101,6 +554,7 @@ contract StoaQuestion is StoaBase {
      * @param answerHash The keccak256 hash of the answer content
      * @custom:requirements
      * - Question must not have ended (block.timestamp < endsAt)
+     * - Protocol must not be paused (see paused)
      * - Caller must not have already submitted an answer
      * - If submissionCost > 0, caller must have approved the contract to spend the full amount
      * @custom:behavior
@@ -119,6 +573,7 @@ contract StoaQuestion is StoaBase {
      * @param referrer The address of the person who referred this submission
      * @custom:requirements
      * - Question must not have ended (block.timestamp < endsAt)
+     * - Protocol must not be paused (see paused)
      * - Caller must not have already submitted an answer
      * - If submissionCost > 0, caller must have approved the contract to spend the full amount
      * @custom:behavior
@@ -139,6 +594,7 @@ contract StoaQuestion is StoaBase {
      * @custom:requirements
      * - Caller must be an authorized submitter (set via setSubmitter)
      * - Question must not have ended (block.timestamp < endsAt)
+     * - Protocol must not be paused (see paused)
      * - User address must not be zero address
      * - User must not have already submitted an answer
      * - If submissionCost > 0, caller must have approved the contract to spend the full amount
@@ -149,7 +605,8 @@ contract StoaQuestion is StoaBase {
      * - Emits AnswerSubmitted event with the user and answer index
      */
     function submitAnswerFor(address user, bytes32 answerHash) external onlyAuthorizedSubmitter onlyBeforeEnd {
-        _submitAnswerFor(user, answerHash, address(0));
+        if (user == address(0)) revert InvalidUser();
+        _submitAnswer(user, answerHash, address(0));
     }
 
     /**
@@ -161,6 +618,7 @@ contract StoaQuestion is StoaBase {
      * @custom:requirements
      * - Caller must be an authorized submitter (set via setSubmitter)
      * - Question must not have ended (block.timestamp < endsAt)
+     * - Protocol must not be paused (see paused)
      * - User address must not be zero address
      * - User must not have already submitted an answer
      * - If submissionCost > 0, caller must have approved the contract to spend the full amount
@@ -176,49 +634,362 @@ contract StoaQuestion is StoaBase {
         onlyAuthorizedSubmitter
         onlyBeforeEnd
     {
-        _submitAnswerFor(user, answerHash, referrer);
+        if (user == address(0)) revert InvalidUser();
+        _submitAnswer(user, answerHash, referrer);
+    }
+
+    /**
+     * @notice Submits an answer a user signed as an EIP-712 answer intent, on their behalf (authorized submitters only)
+     * @dev Unlike submitAnswerFor, the signature proves the user wrote and agreed to submit this answer. The caller
+     *      pays the submission cost, so relayers can offer gasless answering. Smart contract wallets sign with
+     *      EIP-1271.
+     * @param responder The user who signed the intent
+     * @param answerHash The keccak256 hash of the answer content (sealed, with commit-reveal enabled)
+     * @param referrer The address of the person who referred this submission, or the zero address
+     * @param deadline The intent's deadline
+     * @param signature The responder's signature over hashAnswerIntent with their current intent nonce
+     * @custom:requirements
+     * - Caller must be an authorized submitter (set via setSubmitter)
+     * - Question must not have ended (block.timestamp < endsAt)
+     * - Protocol must not be paused (see paused)
+     * - The intent must not have expired
+     * - Responder must not have already submitted an answer
+     * - If submissionCost > 0, caller must have approved the contract to spend the full amount
+     * @custom:behavior
+     * - Uses up the responder's intent nonce, so the intent cannot be replayed
+     * - Otherwise the same as submitAnswerForWithReferral
+     */
+    function submitAnswerWithIntent(
+        address responder,
+        bytes32 answerHash,
+        address referrer,
+        uint256 deadline,
+        bytes calldata signature
+    ) external onlyAuthorizedSubmitter onlyBeforeEnd {
+        if (block.timestamp > deadline) revert IntentExpired(deadline);
+        bytes32 digest = hashAnswerIntent(answerHash, referrer, intentNonces[responder]++, deadline);
+        if (!StoaSignatures.isValidSignatureNow(responder, digest, signature)) revert InvalidSignature();
+        _submitAnswer(responder, answerHash, referrer);
+    }
+
+    /**
+     * @notice Returns the EIP-712 digest a responder signs to authorize submitAnswerWithIntent
+     * @dev The domain is name "StoaQuestion", version "1", this chain and this question
+     * @param answerHash The keccak256 hash of the answer content
+     * @param referrer The referrer, or the zero address
+     * @param nonce The responder's intent nonce (see intentNonces)
+     * @param deadline The last timestamp the intent can be submitted at
+     * @return The digest to sign
+     */
+    function hashAnswerIntent(bytes32 answerHash, address referrer, uint256 nonce, uint256 deadline)
+        public
+        view
+        returns (bytes32)
+    {
+        return StoaSignatures.hashAnswerIntent(answerHash, referrer, nonce, deadline);
+    }
+
+    /**
+     * @notice Submits an answer by the caller, approved with an EIP-2612 permit instead of a prior approval
+     * @dev The permit is skipped if it fails, so a permit front-run from the mempool does not block the submission as
+     *      long as the allowance it set is still there
+     * @param answerHash The keccak256 hash of the answer content (sealed, with commit-reveal enabled)
+     * @param referrer The address of the person who referred this submission, or the zero address
+     * @param deadline The permit's deadline
+     * @param v The permit signature's v
+     * @param r The permit signature's r
+     * @param s The permit signature's s
+     * @custom:requirements
+     * - Token must support EIP-2612, and the caller must have signed a permit for submissionCost to this contract
+     * - Same as submitAnswerWithReferral otherwise
+     */
+    function submitAnswerWithPermit(
+        bytes32 answerHash,
+        address referrer,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external onlyBeforeEnd {
+        StoaSignatures.permit(token, submissionCost, deadline, v, r, s);
+        _submitAnswer(msg.sender, answerHash, referrer);
+    }
+
+    /**
+     * @notice Submits an answer by the caller, paid through Permit2 for tokens without EIP-2612 permit
+     * @param answerHash The keccak256 hash of the answer content (sealed, with commit-reveal enabled)
+     * @param referrer The address of the person who referred this submission, or the zero address
+     * @param nonce The Permit2 permit's nonce
+     * @param deadline The Permit2 permit's deadline
+     * @param signature The caller's signature over the Permit2 permit
+     * @custom:requirements
+     * - Caller must have approved Permit2 for the token and signed a permit for submissionCost to this contract
+     * - Same as submitAnswerWithReferral otherwise
+     */
+    function submitAnswerWithPermit2(
+        bytes32 answerHash,
+        address referrer,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external onlyBeforeEnd {
+        if (submissionCost > 0) {
+            StoaSignatures.permit2Transfer(token, submissionCost, nonce, deadline, signature);
+        }
+        _recordAnswer(msg.sender, answerHash, referrer);
+    }
+
+    /**
+     * @notice Replaces the caller's answer with a revised one
+     * @dev The answer keeps its index, responder, timestamp and referrer; only the hash changes. On questions with a
+     *      reveal period, newHash must be a fresh sealAnswer(responder, contentHash, salt) commitment.
+     * @param newHash The keccak256 hash of the revised answer content
+     * @custom:requirements
+     * - Question must not have ended (block.timestamp < endsAt)
+     * - Protocol must not be paused (see paused)
+     * - Caller must have submitted an answer
+     * - If revisionFee > 0, caller must have approved the contract to spend it
+     * @custom:behavior
+     * - Revision fee is added to the reward pool
+     * - Emits AnswerUpdated event with the caller, answer index and new hash
+     */
+    function updateAnswer(bytes32 newHash) external onlyBeforeEnd whenNotPaused {
+        uint256 index = _answerIndex(msg.sender);
+
+        if (revisionFee > 0) {
+            token.transferFrom(msg.sender, address(this), revisionFee);
+            totalRewardPool += revisionFee;
+            poolContributions[msg.sender] += revisionFee;
+        }
+
+        answers[index - 1].answerHash = newHash;
+        emit AnswerUpdated(msg.sender, index - 1, newHash);
     }
 
     /**
      * @notice Evaluates and ranks submitted answers, assigning scores to winners
-     * @dev Only the question creator can evaluate answers after the question period ends
+     * @dev Only the question's evaluator can evaluate answers after the question period ends
      * @param rankedIndices Array of answer indices in descending order of quality (best first)
      * @custom:requirements
-     * - Only the creator (evaluator) can call this function
-     * - Question must not have been evaluated yet
-     * - Current time must be >= endsAt (question period must be over)
+     * - Only the evaluator can call this function
+     * - Question must not have been evaluated yet or cancelled
+     * - Current time must be >= revealEndsAt (question and reveal periods must be over)
      * - Number of ranked indices must not exceed maxWinners
      * - All indices in rankedIndices must be valid (< answers.length)
+     * - With commit-reveal enabled, every ranked answer must have been revealed
      * @custom:behavior
-     * - Assigns scores inversely proportional to rank (1st place gets maxWinners points, 2nd gets maxWinners-1, etc.)
+     * - Assigns each rank the score of the question's scoring curve (see rankScore)
      * - Caches total score for efficient reward calculations
      * - Sets evaluated flag to true, preventing future evaluations
+     * - Opens the dispute period if disputes are configured; rewards are claimable once it ends
+     * - Ranking no answers lets participants take equal refunds once the ranking is final (see emergencyRefund)
      * - Emits Evaluated event with the ranked indices
      */
     function evaluateAnswers(uint256[] calldata rankedIndices) external onlyEvaluator {
-        require(!evaluated, "Already evaluated");
-        require(block.timestamp >= endsAt, "Too early");
-        require(rankedIndices.length <= maxWinners, "Too many winners");
-
-        uint256 totalScoreSum = 0;
-        for (uint256 i = 0; i < rankedIndices.length; i++) {
-            require(rankedIndices[i] < answers.length, "Invalid answer index");
-            uint256 score = maxWinners - i;
-            answers[rankedIndices[i]].score = score;
-            totalScoreSum += score;
-        }
+        _checkUnranked();
+        if (block.timestamp < revealEndsAt()) revert EvaluationTooEarly(revealEndsAt());
 
+        _applyRanking(rankedIndices);
         evaluated = true;
-        cachedTotalScore = totalScoreSum; // Cache the total score
+        disputeEndsAt = block.timestamp + disputePeriod;
         emit Evaluated(rankedIndices);
     }
 
+    /**
+     * @notice Challenges the ranking by staking the dispute bond
+     * @param reasonHash The keccak256 hash of the challenger's reasoning
+     * @custom:requirements
+     * - Disputes must be configured for this question
+     * - Answers must have been evaluated and the dispute period must not be over
+     * - Caller must have submitted an answer and not disputed already
+     * - Caller must have approved the contract to spend disputeBond
+     * @custom:behavior
+     * - Holds the bond until the arbiter settles the disputes
+     * - Rewards cannot be claimed while a dispute is open
+     * - Emits DisputeOpened event with the caller, dispute index, reason hash and bond
+     */
+    function openDispute(bytes32 reasonHash) external {
+        if (arbiter == address(0)) revert DisputesDisabled();
+        if (!evaluated) revert NotEvaluated();
+        if (block.timestamp >= disputeEndsAt) revert DisputePeriodOver(disputeEndsAt);
+        _answerIndex(msg.sender);
+        if (userDisputeIndex[msg.sender] != 0) revert AlreadyDisputed();
+
+        token.transferFrom(msg.sender, address(this), disputeBond);
+        disputes.push(Dispute({challenger: msg.sender, reasonHash: reasonHash, bond: disputeBond, resolved: false}));
+        userDisputeIndex[msg.sender] = disputes.length;
+        openDisputes++;
+
+        emit DisputeOpened(msg.sender, disputes.length - 1, reasonHash, disputeBond);
+    }
+
+    /**
+     * @notice Settles the open disputes by keeping the evaluator's ranking
+     * @dev Only the arbiter can call this function, between the end of the dispute period and the arbitration deadline
+     * @custom:behavior
+     * - Slashes every open dispute's bond to the treasury
+     * - Emits DisputesResolved event with rankingUpheld true and no indices
+     */
+    function upholdRanking() external onlyArbiter {
+        _settleDisputes(false);
+        emit DisputesResolved(true, new uint256[](0));
+    }
+
+    /**
+     * @notice Settles the open disputes by replacing the evaluator's ranking
+     * @dev Only the arbiter can call this function, between the end of the dispute period and the arbitration deadline
+     * @param rankedIndices Array of answer indices in descending order of quality (best first)
+     * @custom:requirements
+     * - Same ranking requirements as evaluateAnswers
+     * @custom:behavior
+     * - Clears the previous scores and scores the new ranking with the question's curve
+     * - Refunds every open dispute's bond to its challenger
+     * - Emits DisputesResolved event with rankingUpheld false and the new ranking
+     */
+    function replaceRanking(uint256[] calldata rankedIndices) external onlyArbiter {
+        for (uint256 i = 0; i < answers.length; i++) {
+            answers[i].score = 0;
+        }
+        _applyRanking(rankedIndices);
+        _settleDisputes(true);
+        emit DisputesResolved(false, rankedIndices);
+    }
+
+    /**
+     * @notice Returns the caller's bond when the arbiter missed the arbitration deadline
+     * @custom:requirements
+     * - Caller must have an unresolved dispute
+     * - Arbitration deadline (disputeEndsAt + ARBITRATION_PERIOD) must have passed
+     * @custom:behavior
+     * - The evaluator's ranking stands
+     * - Emits DisputeBondReclaimed event with the caller and bond
+     */
+    function reclaimDisputeBond() external {
+        uint256 index = userDisputeIndex[msg.sender];
+        if (index == 0) revert NoDispute();
+        Dispute storage dispute = disputes[index - 1];
+        if (dispute.resolved) revert DisputeAlreadyResolved();
+        if (block.timestamp <= disputeEndsAt + ARBITRATION_PERIOD) {
+            revert ArbitrationPeriodNotOver(disputeEndsAt + ARBITRATION_PERIOD);
+        }
+
+        dispute.resolved = true;
+        openDisputes--;
+        token.transfer(msg.sender, dispute.bond);
+        emit DisputeBondReclaimed(msg.sender, dispute.bond);
+    }
+
+    /**
+     * @notice Moves the rewards winners did not claim in time out of the question
+     * @dev Only the creator or the treasury can call this function, once, after the claim deadline
+     * @param destination Treasury, Creator, or FollowUpQuestion to seed another question's reward pool
+     * @param followUpQuestion The question to seed when destination is FollowUpQuestion, ignored otherwise
+     * @custom:requirements
+     * - A claim period must be set and the claim deadline (see claimDeadline) must have passed
+     * - Rewards must not have been swept already, and some must be unclaimed
+     * - A follow-up question must use the same token and still accept answers
+     * @custom:behavior
+     * - Sends getUnclaimedRewards() to the destination; unclaimed rewards can no longer be claimed afterwards
+     * - Emits UnclaimedRewardsSwept event with the destination, recipient address and amount
+     */
+    function sweepUnclaimedRewards(SweepDestination destination, address followUpQuestion) external {
+        if (msg.sender != creator && msg.sender != treasury) revert NotCreatorOrTreasury();
+        if (claimPeriod == 0) revert SweepingDisabled();
+        if (!evaluated) revert NotEvaluated();
+        if (block.timestamp <= claimDeadline()) revert ClaimPeriodNotOver(claimDeadline());
+        _checkNotSwept();
+        uint256 amount = getUnclaimedRewards();
+        if (amount == 0) revert NothingToSweep();
+
+        rewardsSwept = true;
+        address recipient;
+        if (destination == SweepDestination.Treasury) {
+            recipient = treasury;
+            token.transfer(recipient, amount);
+        } else if (destination == SweepDestination.Creator) {
+            recipient = creator;
+            token.transfer(recipient, amount);
+        } else {
+            StoaQuestion followUp = StoaQuestion(followUpQuestion);
+            if (followUpQuestion == address(this)) revert InvalidFollowUpQuestion();
+            if (followUp.token() != token) revert TokenMismatch();
+            if (!followUp.isActive()) revert FollowUpQuestionEnded();
+            recipient = followUpQuestion;
+            token.approve(recipient, amount);
+            // Credited to the caller, who can reclaim it if the follow-up gets no answers
+            followUp.seedQuestionFor(msg.sender, amount);
+        }
+        emit UnclaimedRewardsSwept(destination, recipient, amount);
+    }
+
+    /**
+     * @notice Returns when unclaimed rewards can be swept
+     * @dev Counts from the end of the dispute period, or of the arbitration period if a dispute was opened
+     * @return The claim deadline, or 0 while sweeping is disabled or the question is not evaluated
+     */
+    function claimDeadline() public view returns (uint256) {
+        if (claimPeriod == 0 || !evaluated) return 0;
+        return disputeEndsAt + (disputes.length > 0 ? ARBITRATION_PERIOD : 0) + claimPeriod;
+    }
+
+    /**
+     * @notice Returns whether the ranking can no longer change and rewards can be claimed
+     * @return True once the question is evaluated, the dispute period is over and no dispute is awaiting the arbiter
+     */
+    function isFinalized() public view returns (bool) {
+        if (!evaluated || block.timestamp < disputeEndsAt) return false;
+        return openDisputes == 0 || block.timestamp > disputeEndsAt + ARBITRATION_PERIOD;
+    }
+
+    /**
+     * @notice Retrieves every dispute opened against the ranking
+     * @return Array of all Dispute structs, in the order they were opened
+     */
+    function getDisputes() external view returns (Dispute[] memory) {
+        return disputes;
+    }
+
+    /**
+     * @notice Returns the score `evaluateAnswers` assigns to a rank
+     * @param rank Zero-based position in the ranking (0 is the best answer)
+     * @return The score for that rank under the question's scoring mode
+     * @custom:requirements
+     * - Rank must be less than maxWinners
+     */
+    function rankScore(uint256 rank) public view returns (uint256) {
+        if (rank >= maxWinners) revert InvalidRank(rank, maxWinners);
+
+        return StoaScoring.score(scoringMode, scoringParams, maxWinners, rank);
+    }
+
+    /**
+     * @notice Returns the score of every rank, best first
+     * @return scores Array of maxWinners scores; a rank's share of the pool is its score over the sum of ranked scores
+     */
+    function getRankScores() external view returns (uint256[] memory scores) {
+        scores = new uint256[](maxWinners);
+        for (uint256 i = 0; i < maxWinners; i++) {
+            scores[i] = rankScore(i);
+        }
+        return scores;
+    }
+
+    /**
+     * @notice Returns the scoring curve chosen at creation
+     * @return mode The scoring mode
+     * @return params The mode's parameters in basis points (empty for Linear and Equal)
+     */
+    function getScoringCurve() external view returns (ScoringMode mode, uint16[] memory params) {
+        return (scoringMode, scoringParams);
+    }
+
     /**
      * @notice Allows users to claim their reward based on their answer's score
      * @dev Calculates reward proportionally based on answer score relative to total scores
      * @custom:requirements
      * - Caller must have submitted an answer
-     * - Answers must have been evaluated
+     * - Answers must have been evaluated and the ranking finalized (see isFinalized)
+     * - Unclaimed rewards must not have been swept
      * - Caller's answer must have received a score > 0
      * - Caller must not have already claimed their reward
      * - Total scores must be greater than 0
@@ -229,22 +1000,20 @@ contract StoaQuestion is StoaBase {
      * - Emits RewardClaimed event with user address and reward amount
      */
     function claimReward() external {
-        uint256 index = userAnswerIndex[msg.sender];
-        require(index > 0, "No submission");
-        Answer storage ans = answers[index - 1];
-        require(evaluated, "Not evaluated yet");
-        require(ans.score > 0, "No reward");
-        require(!ans.rewarded, "Already claimed");
-
-        require(cachedTotalScore > 0, "No scores assigned");
-
-        // Simple single-token reward calculation
-        uint256 reward = (totalRewardPool * ans.score) / cachedTotalScore;
-        ans.rewarded = true;
+        _claimReward(msg.sender);
+    }
 
-        // Single token transfer - much simpler!
-        token.transfer(msg.sender, reward);
-        emit RewardClaimed(msg.sender, reward);
+    /**
+     * @notice Claims a winner's reward on their behalf and pays it to the winner
+     * @dev Only the claim router can call this function, so it can batch claims across questions
+     * @param user The winner whose reward is claimed
+     * @return The reward transferred to `user`
+     * @custom:requirements
+     * - Same as claimReward, for `user` instead of the caller
+     */
+    function claimRewardFor(address user) external returns (uint256) {
+        if (msg.sender != claimRouter) revert NotClaimRouter();
+        return _claimReward(user);
     }
 
     /**
@@ -281,10 +1050,23 @@ contract StoaQuestion is StoaBase {
     /**
      * @notice Retrieves all submitted answers
      * @return Array of all Answer structs submitted to this question
-     * @dev Returns the complete answers array, useful for frontend display or analysis
+     * @dev Returns the complete answers array; prefer getAnswers, which pages through it, once there are many
      */
     function getAllAnswers() external view returns (Answer[] memory) {
-        return answers;
+        return getAnswers(0, answers.length);
+    }
+
+    /**
+     * @notice Retrieves up to `limit` answers, starting at index `offset`
+     * @param offset Index of the first answer to return
+     * @param limit Largest number of answers to return
+     * @return page The answers, in submission order; shorter than `limit` at the end, empty past it
+     */
+    function getAnswers(uint256 offset, uint256 limit) public view returns (Answer[] memory page) {
+        page = new Answer[](Pagination.pageLength(answers.length, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = answers[offset + i];
+        }
     }
 
     /**
@@ -296,7 +1078,7 @@ contract StoaQuestion is StoaBase {
      */
     function getUserAnswer(address user) external view returns (Answer memory) {
         uint256 index = userAnswerIndex[user];
-        require(index > 0, "No answer");
+        if (index == 0) revert NoSubmission(user);
         return answers[index - 1];
     }
 
@@ -309,56 +1091,124 @@ contract StoaQuestion is StoaBase {
         return totalRewardPool;
     }
 
+    // Checks made by modifiers or in several places are out of line so that their callers share one copy of each
+
+    function _checkBeforeEnd() internal view {
+        if (block.timestamp >= endsAt) revert QuestionEnded(endsAt);
+    }
+
+    function _checkArbiter() internal view {
+        if (msg.sender != arbiter) revert NotArbiter();
+    }
+
+    function _checkAuthorizedSubmitter() internal view {
+        if (!isAuthorizedSubmitter[msg.sender]) revert NotAuthorizedSubmitter();
+    }
+
+    function _checkNoAnswers() internal view {
+        if (answers.length != 0) revert AnswersAlreadySubmitted();
+    }
+
+    function _checkNotSwept() internal view {
+        if (rewardsSwept) revert RewardsSwept();
+    }
+
+    function _requireNotPaused() internal view {
+        if (paused()) revert ProtocolPaused();
+    }
+
+    /// @dev Reverts once the question is evaluated or cancelled; it can be one or the other, never both
+    function _checkUnranked() internal view {
+        if (evaluated) revert AlreadyEvaluated();
+        if (cancelled) revert QuestionIsCancelled();
+    }
+
     /**
-     * @notice Internal function to handle answer submission logic
-     * @param responder The address of the answer responder
-     * @param answerHash The keccak256 hash of the answer content
-     * @param referrer The address of the referrer (address(0) if no referrer)
+     * @notice Returns the 1-based index of a responder's answer, reverting if they have none
+     * @param responder The address to look up
+     * @return index The responder's userAnswerIndex
      */
-    function _submitAnswer(address responder, bytes32 answerHash, address referrer) internal {
-        require(userAnswerIndex[responder] == 0, "Already submitted");
+    function _answerIndex(address responder) internal view returns (uint256 index) {
+        index = userAnswerIndex[responder];
+        if (index == 0) revert NoSubmission(responder);
+    }
 
-        if (submissionCost > 0) {
-            uint256 protocolCut = (submissionCost * feeBps) / BASIS_POINTS;
-            uint256 creatorCut = (submissionCost * creatorFeeBps) / BASIS_POINTS;
-            uint256 referralCut = (submissionCost * referralFeeBps) / BASIS_POINTS;
-            uint256 rewardCut = submissionCost - protocolCut - creatorCut - referralCut;
+    /**
+     * @notice Scores a ranking with the question's curve and caches the total
+     * @param rankedIndices Array of answer indices in descending order of quality (best first)
+     */
+    function _applyRanking(uint256[] calldata rankedIndices) internal {
+        cachedTotalScore = StoaScoring.applyRanking(
+            answers, isRevealed, revealPeriod > 0, scoringMode, scoringParams, maxWinners, rankedIndices
+        );
+    }
 
-            token.transferFrom(msg.sender, treasury, protocolCut);
-            token.transferFrom(msg.sender, creator, creatorCut);
+    /**
+     * @notice Pays a winner's reward
+     * @param user The winner to pay
+     * @return reward The amount transferred to `user`
+     */
+    function _claimReward(address user) internal returns (uint256 reward) {
+        Answer storage ans = answers[_answerIndex(user) - 1];
+        if (!evaluated) revert NotEvaluated();
+        if (!isFinalized()) revert RankingNotFinal();
+        _checkNotSwept();
+        if (ans.score == 0) revert NoReward();
+        if (ans.rewarded) revert AlreadyClaimed();
 
-            if (referrer != address(0)) {
-                token.transferFrom(msg.sender, referrer, referralCut);
-            } else {
-                rewardCut += referralCut; // Add referral cut to reward pool if no referrer
-            }
+        if (cachedTotalScore == 0) revert NoScoresAssigned();
 
-            token.transferFrom(msg.sender, address(this), rewardCut);
-            totalRewardPool += rewardCut;
-        }
+        // Simple single-token reward calculation
+        reward = (totalRewardPool * ans.score) / cachedTotalScore;
+        ans.rewarded = true;
 
-        answers.push(
-            Answer({responder: responder, answerHash: answerHash, timestamp: block.timestamp, score: 0, rewarded: false})
-        );
+        // Single token transfer - much simpler!
+        token.transfer(user, reward);
+        emit RewardClaimed(user, reward);
+    }
 
-        userAnswerIndex[responder] = answers.length;
+    /**
+     * @notice Marks every open dispute resolved and refunds or slashes its bond
+     * @param refund True to return bonds to challengers, false to send them to the treasury
+     */
+    function _settleDisputes(bool refund) internal {
+        if (openDisputes == 0) revert NoOpenDisputes();
+        if (block.timestamp < disputeEndsAt) revert DisputePeriodNotOver(disputeEndsAt);
+        if (block.timestamp > disputeEndsAt + ARBITRATION_PERIOD) {
+            revert ArbitrationPeriodOver(disputeEndsAt + ARBITRATION_PERIOD);
+        }
 
-        if (referrer != address(0)) {
-            emit AnswerSubmittedWithReferral(responder, answers.length - 1, referrer);
-        } else {
-            emit AnswerSubmitted(responder, answers.length - 1);
+        for (uint256 i = 0; i < disputes.length; i++) {
+            Dispute storage dispute = disputes[i];
+            if (dispute.resolved) continue;
+            dispute.resolved = true;
+            token.transfer(refund ? dispute.challenger : treasury, dispute.bond);
         }
+        openDisputes = 0;
     }
 
     /**
-     * @notice Internal function to handle answer submission on behalf of another user
-     * @param user The address of the user for whom the answer is being submitted
+     * @notice Internal function to handle answer submission logic
+     * @dev The caller pays the submission cost, which is collected here and then split
+     * @param responder The address of the answer responder
      * @param answerHash The keccak256 hash of the answer content
      * @param referrer The address of the referrer (address(0) if no referrer)
      */
-    function _submitAnswerFor(address user, bytes32 answerHash, address referrer) internal {
-        require(user != address(0), "Invalid user");
-        require(userAnswerIndex[user] == 0, "Already submitted");
+    function _submitAnswer(address responder, bytes32 answerHash, address referrer) internal {
+        if (submissionCost > 0) {
+            token.transferFrom(msg.sender, address(this), submissionCost);
+        }
+        _recordAnswer(responder, answerHash, referrer);
+    }
+
+    /**
+     * @notice Records an answer whose submission cost this contract already holds, and pays out the fees
+     * @param responder The address of the answer responder
+     * @param answerHash The keccak256 hash of the answer content
+     * @param referrer The address of the referrer (address(0) if no referrer)
+     */
+    function _recordAnswer(address responder, bytes32 answerHash, address referrer) internal whenNotPaused {
+        if (userAnswerIndex[responder] != 0) revert AlreadySubmitted(responder);
 
         if (submissionCost > 0) {
             uint256 protocolCut = (submissionCost * feeBps) / BASIS_POINTS;
@@ -366,61 +1216,74 @@ contract StoaQuestion is StoaBase {
             uint256 referralCut = (submissionCost * referralFeeBps) / BASIS_POINTS;
             uint256 rewardCut = submissionCost - protocolCut - creatorCut - referralCut;
 
-            token.transferFrom(msg.sender, treasury, protocolCut);
-            token.transferFrom(msg.sender, creator, creatorCut);
+            token.transfer(treasury, protocolCut);
+            token.transfer(creator, creatorCut);
 
             if (referrer != address(0)) {
-                token.transferFrom(msg.sender, referrer, referralCut);
+                token.transfer(referrer, referralCut);
             } else {
                 rewardCut += referralCut; // Add referral cut to reward pool if no referrer
             }
 
-            token.transferFrom(msg.sender, address(this), rewardCut);
             totalRewardPool += rewardCut;
+            poolContributions[responder] += rewardCut;
         }
 
         answers.push(
-            Answer({responder: user, answerHash: answerHash, timestamp: block.timestamp, score: 0, rewarded: false})
+            Answer({responder: responder, answerHash: answerHash, timestamp: block.timestamp, score: 0, rewarded: false})
         );
 
-        userAnswerIndex[user] = answers.length;
+        userAnswerIndex[responder] = answers.length;
 
         if (referrer != address(0)) {
-            emit AnswerSubmittedWithReferral(user, answers.length - 1, referrer);
+            emit AnswerSubmittedWithReferral(responder, answers.length - 1, referrer);
         } else {
-            emit AnswerSubmitted(user, answers.length - 1);
+            emit AnswerSubmitted(responder, answers.length - 1);
         }
     }
 
     /**
-     * @notice Provides emergency refund when evaluation deadline is missed
-     * @dev Allows participants to claim equal refunds if creator fails to evaluate within deadline
+     * @notice Provides emergency refund when evaluation deadline is missed, nobody wins or the question is cancelled
+     * @dev Allows participants to claim equal refunds if creator fails to evaluate within deadline, or if the
+     *      final ranking has no winners. If the creator cancelled the question, each participant gets back what they
+     *      paid into the pool instead.
      * @custom:requirements
-     * - Question must not have been evaluated
-     * - Current time must exceed evaluation deadline (endsAt + 7 days)
+     * - Unless the question was cancelled:
+     *   - Current time must exceed evaluation deadline (revealEndsAt + 7 days) if the question was not evaluated
+     *   - If it was evaluated, no answer may have been ranked and the ranking must be final
+     * - Unclaimed rewards must not have been swept
      * - Caller must have submitted an answer
      * - Caller must not have already received a refund
      * @custom:behavior
-     * - Distributes totalRewardPool equally among all participants
+     * - Distributes totalRewardPool equally among all participants, or refunds the caller's poolContributions and
+     *   takes them out of the pool if cancelled
      * - Marks caller's answer as rewarded to prevent double refunds
      * - Transfers refund amount to caller
      * - Emits RewardClaimed event (reused for refunds)
      * @custom:security This is a safety mechanism to prevent funds from being locked forever
      */
     function emergencyRefund() external {
-        require(!evaluated, "Already evaluated");
-        require(block.timestamp > evaluationDeadline, "Evaluation deadline not reached");
-
-        uint256 index = userAnswerIndex[msg.sender];
-        require(index > 0, "No submission");
+        if (cancelled) {
+            // Refunds are the caller's own contributions, available right away
+        } else if (evaluated) {
+            if (cachedTotalScore != 0) revert AlreadyEvaluated();
+            if (!isFinalized()) revert RankingNotFinal();
+        } else {
+            if (block.timestamp <= evaluationDeadline) revert EvaluationDeadlineNotReached(evaluationDeadline);
+        }
+        _checkNotSwept();
 
-        Answer storage ans = answers[index - 1];
-        require(!ans.rewarded, "Already refunded");
+        Answer storage ans = answers[_answerIndex(msg.sender) - 1];
+        if (ans.rewarded) revert AlreadyRefunded();
 
         ans.rewarded = true; // Prevent double refunds
 
         // Equal refund distribution from single pool
         uint256 refundAmount = totalRewardPool / answers.length;
+        if (cancelled) {
+            refundAmount = poolContributions[msg.sender];
+            totalRewardPool -= refundAmount;
+        }
         if (refundAmount > 0) {
             token.transfer(msg.sender, refundAmount);
         }
@@ -434,18 +1297,19 @@ contract StoaQuestion is StoaBase {
      * @return claimableAmount The amount of tokens the user can claim (0 if not eligible)
      * @custom:behavior
      * - Returns 0 if user hasn't submitted an answer
-     * - Returns 0 if question hasn't been evaluated yet
+     * - Returns 0 if question hasn't been evaluated yet or the ranking can still change
      * - Returns 0 if user's answer has no score (not a winner)
-     * - Returns 0 if user has already claimed their reward
+     * - Returns 0 if user has already claimed their reward or unclaimed rewards were swept
      * - Returns calculated reward amount based on score proportion if eligible
      */
-    function getClaimableAmount(address user) external view returns (uint256) {
+    function getClaimableAmount(address user) public view returns (uint256) {
         uint256 index = userAnswerIndex[user];
         if (index == 0) return 0; // No submission
 
         Answer memory ans = answers[index - 1];
 
-        if (!evaluated) return 0; // Not evaluated yet
+        if (!isFinalized()) return 0; // Not evaluated yet, or still disputable
+        if (rewardsSwept) return 0; // Left unclaimed past the claim deadline
         if (ans.score == 0) return 0; // No reward
         if (ans.rewarded) return 0; // Already claimed
         if (cachedTotalScore == 0) return 0; // No scores assigned
@@ -453,6 +1317,16 @@ contract StoaQuestion is StoaBase {
         return (totalRewardPool * ans.score) / cachedTotalScore;
     }
 
+    /**
+     * @notice Returns whether the protocol guardian has paused every question
+     * @dev Read from the factory. While paused, answers, revisions and seeds are rejected; claims, refunds, reveals,
+     *      evaluation and disputes go on.
+     * @return True while the factory is paused
+     */
+    function paused() public view returns (bool) {
+        return IPausable(factory).paused();
+    }
+
     /**
      * @notice Returns whether the question is currently active for submissions
      * @return True if submissions are still allowed, false otherwise
@@ -463,10 +1337,10 @@ contract StoaQuestion is StoaBase {
 
     /**
      * @notice Returns whether the question is in the evaluation period
-     * @return True if question ended but evaluation deadline hasn't passed
+     * @return True if the question and reveal periods ended but evaluation deadline hasn't passed
      */
     function isEvaluationPeriod() external view returns (bool) {
-        return block.timestamp >= endsAt && block.timestamp <= evaluationDeadline && !evaluated;
+        return block.timestamp >= revealEndsAt() && block.timestamp <= evaluationDeadline && !evaluated;
     }
 
     /**
@@ -480,14 +1354,23 @@ contract StoaQuestion is StoaBase {
 
     /**
      * @notice Returns the current status of the question
-     * @return Status string: "Active", "AwaitingEvaluation", "Evaluated", "EmergencyRefundAvailable"
+     * @return Status string: "Active", "RevealPeriod", "AwaitingEvaluation", "DisputePeriod", "Disputed",
+     *         "Evaluated", "EmergencyRefundAvailable", "Cancelled"
      */
     function getQuestionStatus() external view returns (string memory) {
-        if (block.timestamp < endsAt) {
+        if (cancelled) {
+            return "Cancelled";
+        } else if (block.timestamp < endsAt) {
             return "Active";
+        } else if (block.timestamp < revealEndsAt()) {
+            return "RevealPeriod";
         } else if (!evaluated && block.timestamp <= evaluationDeadline) {
             return "AwaitingEvaluation";
-        } else if (evaluated) {
+        } else if (evaluated && block.timestamp < disputeEndsAt) {
+            return "DisputePeriod";
+        } else if (evaluated && !isFinalized()) {
+            return "Disputed";
+        } else if (evaluated && cachedTotalScore > 0) {
             return "Evaluated";
         } else {
             return "EmergencyRefundAvailable";
@@ -513,29 +1396,10 @@ contract StoaQuestion is StoaBase {
 
     /**
      * @notice Returns addresses of all users who received scores (winners)
-     * @return Array of winner addresses
+     * @return addresses Array of winner addresses
      */
-    function getWinnerAddresses() external view returns (address[] memory) {
-        uint256 winnerCount = 0;
-
-        // First pass: count winners
-        for (uint256 i = 0; i < answers.length; i++) {
-            if (answers[i].score > 0) {
-                winnerCount++;
-            }
-        }
-
-        // Second pass: collect winner addresses
-        address[] memory winners = new address[](winnerCount);
-        uint256 index = 0;
-        for (uint256 i = 0; i < answers.length; i++) {
-            if (answers[i].score > 0) {
-                winners[index] = answers[i].responder;
-                index++;
-            }
-        }
-
-        return winners;
+    function getWinnerAddresses() external view returns (address[] memory addresses) {
+        (addresses,) = StoaScoring.winners(answers, false);
     }
 
     /**
@@ -544,41 +1408,7 @@ contract StoaQuestion is StoaBase {
      * @return scores Array of scores corresponding to the addresses
      */
     function getRankedWinners() external view returns (address[] memory addresses, uint256[] memory scores) {
-        uint256 winnerCount = 0;
-
-        // Count winners
-        for (uint256 i = 0; i < answers.length; i++) {
-            if (answers[i].score > 0) {
-                winnerCount++;
-            }
-        }
-
-        addresses = new address[](winnerCount);
-        scores = new uint256[](winnerCount);
-
-        // Collect winners
-        uint256 index = 0;
-        for (uint256 i = 0; i < answers.length; i++) {
-            if (answers[i].score > 0) {
-                addresses[index] = answers[i].responder;
-                scores[index] = answers[i].score;
-                index++;
-            }
-        }
-
-        // Simple bubble sort by score (descending)
-        for (uint256 i = 0; i < winnerCount; i++) {
-            for (uint256 j = 0; j < winnerCount - 1 - i; j++) {
-                if (scores[j] < scores[j + 1]) {
-                    // Swap scores
-                    (scores[j], scores[j + 1]) = (scores[j + 1], scores[j]);
-                    // Swap addresses
-                    (addresses[j], addresses[j + 1]) = (addresses[j + 1], addresses[j]);
-                }
-            }
-        }
-
-        return (addresses, scores);
+        return StoaScoring.winners(answers, true);
     }
 
     /**
@@ -587,46 +1417,41 @@ contract StoaQuestion is StoaBase {
      */
     function getTotalClaimed() external view returns (uint256) {
         if (!evaluated || cachedTotalScore == 0) return 0;
-
-        uint256 totalClaimed = 0;
-        for (uint256 i = 0; i < answers.length; i++) {
-            if (answers[i].rewarded && answers[i].score > 0) {
-                totalClaimed += (totalRewardPool * answers[i].score) / cachedTotalScore;
-            }
-        }
-        return totalClaimed;
+        return StoaScoring.claimedRewards(answers, totalRewardPool, cachedTotalScore);
     }
 
     /**
      * @notice Returns the total amount of unclaimed rewards available
-     * @return Total unclaimed reward amount
+     * @dev Emergency refunds count as claimed while no answer is scored
+     * @return Total unclaimed reward amount, 0 once swept
      */
-    function getUnclaimedRewards() external view returns (uint256) {
-        if (!evaluated || cachedTotalScore == 0) return totalRewardPool;
+    function getUnclaimedRewards() public view returns (uint256) {
+        if (rewardsSwept) return 0;
+        if (cancelled) return totalRewardPool; // Refunds and reclaimed seeds were taken out of the pool
 
-        uint256 totalClaimed = 0;
-        for (uint256 i = 0; i < answers.length; i++) {
-            if (answers[i].rewarded && answers[i].score > 0) {
-                totalClaimed += (totalRewardPool * answers[i].score) / cachedTotalScore;
-            }
-        }
+        uint256 totalClaimed = StoaScoring.claimedRewards(answers, totalRewardPool, cachedTotalScore);
         return totalRewardPool > totalClaimed ? totalRewardPool - totalClaimed : 0;
     }
 
     /**
      * @notice Checks if emergency refund is available
-     * @return True if users can claim emergency refunds
+     * @return True if the evaluation deadline passed unevaluated, the final ranking has no winners or the question
+     *         was cancelled
      */
-    function canEmergencyRefund() external view returns (bool) {
-        return !evaluated && block.timestamp > evaluationDeadline;
+    function canEmergencyRefund() public view returns (bool) {
+        if (rewardsSwept) return false;
+        if (cancelled) return true;
+        if (evaluated) return cachedTotalScore == 0 && isFinalized();
+        return block.timestamp > evaluationDeadline;
     }
 
     /**
      * @notice Returns the emergency refund amount per participant
-     * @return Amount each participant can claim in emergency refund
+     * @return Amount each participant can claim in emergency refund, 0 if the question was cancelled (each participant
+     *         then gets their poolContributions)
      */
     function getEmergencyRefundAmount() external view returns (uint256) {
-        if (evaluated || block.timestamp <= evaluationDeadline || answers.length == 0) {
+        if (!canEmergencyRefund() || answers.length == 0 || cancelled) {
             return 0;
         }
         return totalRewardPool / answers.length;
@@ -639,23 +1464,8 @@ contract StoaQuestion is StoaBase {
      */
     function getMultipleClaimableAmounts(address[] calldata users) external view returns (uint256[] memory amounts) {
         amounts = new uint256[](users.length);
-
         for (uint256 i = 0; i < users.length; i++) {
-            uint256 index = userAnswerIndex[users[i]];
-            if (index == 0) {
-                amounts[i] = 0; // No submission
-                continue;
-            }
-
-            Answer memory ans = answers[index - 1];
-
-            if (!evaluated || ans.score == 0 || ans.rewarded || cachedTotalScore == 0) {
-                amounts[i] = 0;
-            } else {
-                amounts[i] = (totalRewardPool * ans.score) / cachedTotalScore;
-            }
+            amounts[i] = getClaimableAmount(users[i]);
         }
-
-        return amounts;
     }
 }
@@ -1,19 +1,33 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "./StoaBase.sol";
 import "./StoaQuestion.sol";
 import "./StoaProtocol.sol";
-import "openzeppelin-contracts/access/Ownable.sol";
+import {CREATE3} from "./utils/CREATE3.sol";
+import {Pagination} from "./utils/Pagination.sol";
+import "openzeppelin-contracts/proxy/Clones.sol";
+import "openzeppelin-contracts/security/Pausable.sol";
 import "openzeppelin-contracts/token/ERC20/IERC20.sol";
 
-contract StoaQuestionFactory is Ownable {
-    address public treasury;
+contract StoaQuestionFactory is StoaBase, Pausable {
     StoaProtocol public protocolRegistry;
 
     uint256 public questionCount;
     mapping(address => bool) public isWhitelisted;
     address[] public allQuestions;
 
+    // Every question is an EIP-1167 clone of this implementation, deployed with the factory
+    address public immutable questionImplementation;
+
+    uint256 private constant BASIS_POINTS = 10000;
+    address public arbiter; // Settles disputes on new questions; zero disables disputes
+    uint256 public disputePeriod;
+    uint256 public disputeBondBps; // Dispute bond as a share of the question's submission cost
+    uint256 public claimPeriod; // Time winners of new questions have to claim before leftovers can be swept; zero disables
+    address public claimRouter; // Can batch reward claims on new questions; zero disables
+    address public guardian; // Can pause and unpause, besides the owner; zero leaves it to the owner
+
     event QuestionCreated(
         uint256 indexed questionId,
         address indexed question,
@@ -24,17 +38,140 @@ contract StoaQuestionFactory is Ownable {
         uint8 maxWinners,
         uint256 seedAmount
     );
+    event DisputeConfigUpdated(address indexed arbiter, uint256 disputePeriod, uint256 disputeBondBps);
+    event ClaimPeriodUpdated(uint256 claimPeriod);
+    event ClaimRouterUpdated(address indexed claimRouter);
+    event GuardianUpdated(address indexed guardian);
 
     constructor(address _treasury, address _protocolRegistry) {
-        _transferOwnership(msg.sender);
-        treasury = _treasury;
+        _initializeBase(
+            _treasury,
+            FeeConfig({
+                feeBps: 1000, creatorFeeBps: 1000, referralFeeBps: 500, maxCreatorFeeBps: 2000, maxReferralFeeBps: 1000
+            })
+        );
         protocolRegistry = StoaProtocol(_protocolRegistry);
+        // Only the factory's creation code embeds StoaQuestion's, so the factory stays under the 24KB size limit
+        questionImplementation = address(new StoaQuestion());
     }
 
     function whitelistCreator(address user, bool allowed) external onlyOwner {
         isWhitelisted[user] = allowed;
     }
 
+    /**
+     * @notice Sets the protocol fee of questions created from now on
+     * @dev Existing questions keep the fees they were created with. setCreatorFeeBps and setReferralFeeBps set the
+     *      other defaults; creators can move those within the caps on their own questions.
+     * @param newFeeBps The protocol fee in basis points of each submission
+     * @custom:requirements
+     * - The protocol fee plus both caps must not exceed 100%
+     */
+    function setFeeBps(uint256 newFeeBps) external onlyOwner {
+        _setFeeBps(newFeeBps);
+    }
+
+    /**
+     * @notice Sets how high creators can raise the creator and referral fees of questions created from now on
+     * @dev Defaults above the new caps are lowered to them; existing questions keep the caps they were created with
+     * @param newMaxCreatorFeeBps The highest creator fee in basis points
+     * @param newMaxReferralFeeBps The highest referral fee in basis points
+     * @custom:requirements
+     * - The protocol fee plus both caps must not exceed 100%
+     */
+    function setFeeCaps(uint256 newMaxCreatorFeeBps, uint256 newMaxReferralFeeBps) external onlyOwner {
+        _setFeeCaps(newMaxCreatorFeeBps, newMaxReferralFeeBps);
+    }
+
+    /**
+     * @notice Sets the treasury that receives the protocol fees of questions created from now on
+     * @param newTreasury The new treasury address
+     */
+    function setTreasury(address newTreasury) external onlyOwner {
+        _setTreasury(newTreasury);
+    }
+
+    /**
+     * @notice Sets the dispute rules for questions created from now on
+     * @dev Existing questions keep the rules they were created with
+     * @param _arbiter The address that settles disputes, or the zero address to disable disputes
+     * @param _disputePeriod How long after evaluation a dispute can be opened
+     * @param _disputeBondBps Dispute bond in basis points of the question's submission cost, at least one token unit
+     */
+    function setDisputeConfig(address _arbiter, uint256 _disputePeriod, uint256 _disputeBondBps) external onlyOwner {
+        if (_arbiter != address(0)) {
+            if (_disputePeriod == 0) revert InvalidDisputePeriod();
+            if (_disputeBondBps == 0) revert InvalidDisputeBond();
+        }
+        arbiter = _arbiter;
+        disputePeriod = _disputePeriod;
+        disputeBondBps = _disputeBondBps;
+        emit DisputeConfigUpdated(_arbiter, _disputePeriod, _disputeBondBps);
+    }
+
+    /**
+     * @notice Sets how long winners of questions created from now on have to claim
+     * @dev After the claim deadline the creator or treasury can sweep unclaimed rewards; existing questions keep theirs
+     * @param _claimPeriod The claim period (at least MIN_CLAIM_PERIOD), or 0 to disable sweeping
+     */
+    function setClaimPeriod(uint256 _claimPeriod) external onlyOwner {
+        // The questions' own minimum, so a bad setting can't make every createQuestion revert
+        if (_claimPeriod != 0 && _claimPeriod < MIN_CLAIM_PERIOD) {
+            revert ClaimPeriodTooShort(_claimPeriod, MIN_CLAIM_PERIOD);
+        }
+        claimPeriod = _claimPeriod;
+        emit ClaimPeriodUpdated(_claimPeriod);
+    }
+
+    /**
+     * @notice Sets the router allowed to claim rewards on winners' behalf on questions created from now on
+     * @dev Existing questions keep theirs; their owner can change it with StoaQuestion.setClaimRouter
+     * @param _claimRouter The StoaClaimRouter address, or the zero address to disable batch claims
+     */
+    function setClaimRouter(address _claimRouter) external onlyOwner {
+        claimRouter = _claimRouter;
+        emit ClaimRouterUpdated(_claimRouter);
+    }
+
+    /**
+     * @notice Sets the protocol's guardian, who can pause and unpause like the owner
+     * @dev Meant for an account that can react faster than the owner, such as a monitoring bot or a security multisig
+     * @param _guardian The new guardian, or the zero address to leave pausing to the owner
+     */
+    function setGuardian(address _guardian) external onlyOwner {
+        guardian = _guardian;
+        emit GuardianUpdated(_guardian);
+    }
+
+    /**
+     * @notice Stops question creation, and answers, revisions and seeding on every question this factory created
+     * @dev Questions read paused() from the factory that deployed their implementation, so this takes effect on all
+     *      of them at once. Claims, refunds, seed reclaims, reveals, evaluation and disputes keep working, so funds
+     *      can always leave. Deadlines keep running; creators can extend questions that were open.
+     * @custom:requirements
+     * - Caller must be the guardian or the owner
+     * - Factory must not be paused already
+     * @custom:behavior
+     * - Emits Paused event with the caller
+     */
+    function pause() external {
+        _checkGuardian();
+        _pause();
+    }
+
+    /**
+     * @notice Lifts a pause
+     * @custom:requirements
+     * - Caller must be the guardian or the owner
+     * - Factory must be paused
+     * @custom:behavior
+     * - Emits Unpaused event with the caller
+     */
+    function unpause() external {
+        _checkGuardian();
+        _unpause();
+    }
+
     function createQuestion(
         address token,
         uint256 submissionCost,
@@ -42,18 +179,150 @@ contract StoaQuestionFactory is Ownable {
         uint8 maxWinners,
         uint256 seedAmount
     ) external returns (address) {
-        require(isWhitelisted[msg.sender], "Not whitelisted");
-        require(token != address(0), "Invalid token");
-        require(submissionCost > 0, "Submission cost must be greater than 0");
+        return _createQuestion(
+            token,
+            submissionCost,
+            duration,
+            maxWinners,
+            seedAmount,
+            msg.sender,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0),
+            0,
+            bytes32(0)
+        );
+    }
 
-        StoaQuestion q = new StoaQuestion(token, submissionCost, duration, maxWinners, treasury, msg.sender);
+    /**
+     * @notice Creates a question with its own evaluator, scoring curve and optional commit-reveal
+     * @dev See StoaQuestion.ScoringMode for the modes and their parameters
+     * @param evaluator The address allowed to rank the answers; the creator can rotate it until evaluation
+     * @param scoringMode How ranks are turned into scores
+     * @param scoringParams The mode's parameters in basis points
+     * @param revealPeriod How long after the question ends sealed answers can be revealed, or 0 for open answers
+     */
+    function createQuestion(
+        address token,
+        uint256 submissionCost,
+        uint256 duration,
+        uint8 maxWinners,
+        uint256 seedAmount,
+        address evaluator,
+        StoaQuestion.ScoringMode scoringMode,
+        uint16[] calldata scoringParams,
+        uint256 revealPeriod
+    ) external returns (address) {
+        return _createQuestion(
+            token,
+            submissionCost,
+            duration,
+            maxWinners,
+            seedAmount,
+            evaluator,
+            scoringMode,
+            scoringParams,
+            revealPeriod,
+            bytes32(0)
+        );
+    }
 
-        q.transferOwnership(msg.sender);
+    /**
+     * @notice Creates a question at an address known in advance, see predictQuestionAddress
+     * @dev The address depends only on this factory, the caller and `salt`, not on the question's settings or on
+     *      how many questions were created before it, so content can be stored under it before the transaction
+     * @param salt Any nonzero value the caller has not used with this factory before
+     * @custom:requirements
+     * - `salt` must be nonzero and unused by the caller
+     */
+    function createQuestion(
+        address token,
+        uint256 submissionCost,
+        uint256 duration,
+        uint8 maxWinners,
+        uint256 seedAmount,
+        address evaluator,
+        StoaQuestion.ScoringMode scoringMode,
+        uint16[] calldata scoringParams,
+        uint256 revealPeriod,
+        bytes32 salt
+    ) external returns (address) {
+        if (salt == bytes32(0)) revert InvalidSalt();
+        return _createQuestion(
+            token,
+            submissionCost,
+            duration,
+            maxWinners,
+            seedAmount,
+            evaluator,
+            scoringMode,
+            scoringParams,
+            revealPeriod,
+            salt
+        );
+    }
+
+    /**
+     * @notice Returns the address createQuestion deploys `creator`'s question with `salt` to
+     * @dev Each creator has their own salts, so nobody can take another creator's address
+     * @param creator The address that will call createQuestion
+     * @param salt The salt it will pass
+     */
+    function predictQuestionAddress(address creator, bytes32 salt) public view returns (address) {
+        return CREATE3.predictDeterministicAddress(_questionSalt(creator, salt));
+    }
+
+    function getAllQuestions() external view returns (address[] memory) {
+        return allQuestions;
+    }
+
+    /**
+     * @notice Returns up to `limit` of the questions this factory created, starting at index `offset`
+     * @param offset Index of the first question to return; question IDs are indices plus one
+     * @param limit Largest number of questions to return
+     * @return page The questions' addresses, oldest first; shorter than `limit` at the end, empty past it
+     */
+    function getQuestions(uint256 offset, uint256 limit) external view returns (address[] memory page) {
+        page = new address[](Pagination.pageLength(allQuestions.length, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = allQuestions[offset + i];
+        }
+    }
+
+    function _createQuestion(
+        address token,
+        uint256 submissionCost,
+        uint256 duration,
+        uint8 maxWinners,
+        uint256 seedAmount,
+        address evaluator,
+        StoaQuestion.ScoringMode scoringMode,
+        uint16[] memory scoringParams,
+        uint256 revealPeriod,
+        bytes32 salt
+    ) internal whenNotPaused returns (address) {
+        if (!isWhitelisted[msg.sender]) revert NotWhitelisted();
+        if (token == address(0)) revert InvalidToken();
+        if (submissionCost == 0) revert InvalidSubmissionCost();
+
+        StoaQuestion q = StoaQuestion(_deployQuestion(salt));
+        q.initialize(
+            token,
+            submissionCost,
+            duration,
+            maxWinners,
+            treasury,
+            _feeConfig(),
+            msg.sender,
+            evaluator,
+            scoringMode,
+            scoringParams
+        );
+        _configureQuestion(q, submissionCost, revealPeriod);
 
         if (seedAmount > 0) {
             IERC20(token).transferFrom(msg.sender, address(this), seedAmount);
             IERC20(token).approve(address(q), seedAmount);
-            q.seedQuestion(seedAmount);
+            q.seedQuestionFor(msg.sender, seedAmount);
         }
 
         allQuestions.push(address(q));
@@ -68,7 +337,52 @@ contract StoaQuestionFactory is Ownable {
         return address(q);
     }
 
-    function getAllQuestions() external view returns (address[] memory) {
-        return allQuestions;
+    // Applies the factory's current settings, then hands the question to its creator
+    function _configureQuestion(StoaQuestion q, uint256 submissionCost, uint256 revealPeriod) internal {
+        if (arbiter != address(0)) {
+            uint256 disputeBond = (submissionCost * disputeBondBps) / BASIS_POINTS;
+            // A bond that rounds down to zero would be rejected, so cheap questions get the smallest one instead
+            q.configureDisputes(arbiter, disputePeriod, disputeBond > 0 ? disputeBond : 1);
+        }
+        if (claimPeriod > 0) {
+            q.setClaimPeriod(claimPeriod);
+        }
+        if (revealPeriod > 0) {
+            q.enableCommitReveal(revealPeriod);
+        }
+        if (claimRouter != address(0)) {
+            q.setClaimRouter(claimRouter);
+        }
+        q.transferOwnership(msg.sender);
+    }
+
+    // Clones the implementation, through CREATE3 at the caller's predicted address if a salt is given
+    function _deployQuestion(bytes32 salt) internal returns (address) {
+        if (salt == bytes32(0)) {
+            return Clones.clone(questionImplementation);
+        }
+        if (predictQuestionAddress(msg.sender, salt).code.length != 0) revert SaltAlreadyUsed(salt);
+        // EIP-1167 creation code, the same bytes Clones.clone deploys
+        bytes memory initCode = abi.encodePacked(
+            hex"3d602d80600a3d3981f3363d3d373d3d3d363d73", questionImplementation, hex"5af43d82803e903d91602b57fd5bf3"
+        );
+        return CREATE3.deployDeterministic(initCode, _questionSalt(msg.sender, salt));
+    }
+
+    function _checkGuardian() internal view {
+        if (msg.sender != guardian && msg.sender != owner()) revert NotGuardian();
+    }
+
+    /// @dev The same error as a paused question's, in place of Pausable's revert string
+    function _requireNotPaused() internal view override {
+        if (paused()) revert ProtocolPaused();
+    }
+
+    function _requirePaused() internal view override {
+        if (!paused()) revert ProtocolNotPaused();
+    }
+
+    function _questionSalt(address creator, bytes32 salt) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked(creator, salt));
     }
 }
@@ -0,0 +1,176 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./StoaQuestion.sol";
+import "./interfaces/IStoaErrors.sol";
+
+/**
+ * @title StoaScoring
+ * @notice The scoring curves of StoaQuestion: which parameters each mode accepts, the score of each rank and the
+ *         winners a ranking produces
+ * @dev A linked library rather than internal code, to keep StoaQuestion under the 24KB contract size limit
+ *      (EIP-170). See StoaQuestion.ScoringMode for the curves.
+ */
+library StoaScoring {
+    uint256 private constant BASIS_POINTS = 10000;
+
+    /**
+     * @notice Reverts unless `params` are valid parameters of `mode` for a question with `maxWinners` winners
+     * @param mode The scoring mode
+     * @param params The mode's parameters in basis points
+     * @param maxWinners The question's maximum number of winners
+     */
+    function validate(StoaQuestion.ScoringMode mode, uint16[] calldata params, uint8 maxWinners) public pure {
+        if (mode == StoaQuestion.ScoringMode.Linear || mode == StoaQuestion.ScoringMode.Equal) {
+            if (params.length != 0) revert IStoaErrors.UnexpectedScoringParams();
+        } else if (mode == StoaQuestion.ScoringMode.WinnerTakesMost) {
+            if (params.length != 1) revert IStoaErrors.InvalidScoringParams();
+            if (params[0] <= BASIS_POINTS / 2 || params[0] >= BASIS_POINTS) {
+                revert IStoaErrors.InvalidFirstPlaceShare(params[0]);
+            }
+        } else if (mode == StoaQuestion.ScoringMode.Geometric) {
+            if (params.length != 1) revert IStoaErrors.InvalidScoringParams();
+            if (params[0] == 0 || params[0] >= BASIS_POINTS) revert IStoaErrors.InvalidRatio(params[0]);
+        } else {
+            if (params.length != maxWinners) revert IStoaErrors.ShareCountMismatch(params.length, maxWinners);
+            uint256 sum = 0;
+            for (uint256 i = 0; i < params.length; i++) {
+                if (params[i] == 0) revert IStoaErrors.ZeroShare(i);
+                sum += params[i];
+            }
+            if (sum != BASIS_POINTS) revert IStoaErrors.SharesSumMismatch(sum);
+        }
+    }
+
+    /**
+     * @notice Returns the score of `rank` under a scoring curve
+     * @param mode The scoring mode
+     * @param params The mode's parameters, validated with validate
+     * @param maxWinners The question's maximum number of winners
+     * @param rank Zero-based position in the ranking, less than maxWinners
+     * @return The rank's score
+     */
+    function score(StoaQuestion.ScoringMode mode, uint16[] storage params, uint8 maxWinners, uint256 rank)
+        public
+        view
+        returns (uint256)
+    {
+        if (mode == StoaQuestion.ScoringMode.Linear) {
+            return maxWinners - rank;
+        } else if (mode == StoaQuestion.ScoringMode.WinnerTakesMost) {
+            if (rank == 0) return params[0];
+            return (BASIS_POINTS - params[0]) / (maxWinners - 1);
+        } else if (mode == StoaQuestion.ScoringMode.Equal) {
+            return 1;
+        } else if (mode == StoaQuestion.ScoringMode.Geometric) {
+            uint256 rankScore = BASIS_POINTS;
+            for (uint256 i = 0; i < rank && rankScore > 1; i++) {
+                rankScore = (rankScore * params[0]) / BASIS_POINTS;
+            }
+            return rankScore > 0 ? rankScore : 1;
+        } else {
+            return params[rank];
+        }
+    }
+
+    /**
+     * @notice Scores a ranking with a scoring curve
+     * @param answers The question's answers
+     * @param isRevealed The question's revealed answers
+     * @param commitReveal Whether ranked answers must have been revealed
+     * @param mode The scoring mode
+     * @param params The mode's parameters
+     * @param maxWinners The question's maximum number of winners
+     * @param rankedIndices Answer indices in descending order of quality (best first)
+     * @return totalScore The sum of the assigned scores
+     */
+    function applyRanking(
+        StoaQuestion.Answer[] storage answers,
+        mapping(uint256 => bool) storage isRevealed,
+        bool commitReveal,
+        StoaQuestion.ScoringMode mode,
+        uint16[] storage params,
+        uint8 maxWinners,
+        uint256[] calldata rankedIndices
+    ) public returns (uint256 totalScore) {
+        if (rankedIndices.length > maxWinners) {
+            revert IStoaErrors.TooManyWinners(rankedIndices.length, maxWinners);
+        }
+
+        for (uint256 i = 0; i < rankedIndices.length; i++) {
+            if (rankedIndices[i] >= answers.length) revert IStoaErrors.InvalidAnswerIndex(rankedIndices[i]);
+            if (commitReveal && !isRevealed[rankedIndices[i]]) revert IStoaErrors.AnswerNotRevealed(rankedIndices[i]);
+            uint256 rankScore = score(mode, params, maxWinners, i);
+            answers[rankedIndices[i]].score = rankScore;
+            totalScore += rankScore;
+        }
+    }
+
+    /**
+     * @notice Returns the responders and scores of the scored answers
+     * @param answers The question's answers
+     * @param ranked Whether to sort by score, highest first, rather than by answer index
+     * @return addresses The winners' addresses
+     * @return scores The score of each winner
+     */
+    function winners(StoaQuestion.Answer[] storage answers, bool ranked)
+        public
+        view
+        returns (address[] memory addresses, uint256[] memory scores)
+    {
+        uint256 winnerCount = 0;
+
+        // Count winners
+        for (uint256 i = 0; i < answers.length; i++) {
+            if (answers[i].score > 0) {
+                winnerCount++;
+            }
+        }
+
+        addresses = new address[](winnerCount);
+        scores = new uint256[](winnerCount);
+
+        // Collect winners
+        uint256 index = 0;
+        for (uint256 i = 0; i < answers.length; i++) {
+            if (answers[i].score > 0) {
+                addresses[index] = answers[i].responder;
+                scores[index] = answers[i].score;
+                index++;
+            }
+        }
+
+        if (!ranked) return (addresses, scores);
+
+        // Simple bubble sort by score (descending)
+        for (uint256 i = 0; i < winnerCount; i++) {
+            for (uint256 j = 0; j < winnerCount - 1 - i; j++) {
+                if (scores[j] < scores[j + 1]) {
+                    // Swap scores
+                    (scores[j], scores[j + 1]) = (scores[j + 1], scores[j]);
+                    // Swap addresses
+                    (addresses[j], addresses[j + 1]) = (addresses[j + 1], addresses[j]);
+                }
+            }
+        }
+    }
+
+    /**
+     * @notice Returns how much of the reward pool the answers marked rewarded have taken
+     * @param answers The question's answers
+     * @param rewardPool The question's reward pool
+     * @param totalScore The sum of the answers' scores; 0 while no answer is scored, when each rewarded answer took
+     *        an equal emergency refund
+     * @return claimed The rewards and refunds paid out
+     */
+    function claimedRewards(StoaQuestion.Answer[] storage answers, uint256 rewardPool, uint256 totalScore)
+        public
+        view
+        returns (uint256 claimed)
+    {
+        for (uint256 i = 0; i < answers.length; i++) {
+            if (!answers[i].rewarded) continue;
+            claimed += totalScore == 0 ? rewardPool / answers.length : (rewardPool * answers[i].score) / totalScore;
+        }
+    }
+}
@@ -0,0 +1,97 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "openzeppelin-contracts/token/ERC20/IERC20.sol";
+import "openzeppelin-contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "openzeppelin-contracts/utils/cryptography/ECDSA.sol";
+import "openzeppelin-contracts/utils/cryptography/SignatureChecker.sol";
+import "./interfaces/IPermit2.sol";
+
+/**
+ * @title StoaSignatures
+ * @notice The signed payments and answer intents StoaQuestion accepts: EIP-2612 permits, Permit2 transfers and
+ *         EIP-712 answer intents
+ * @dev A linked library rather than internal code, to keep StoaQuestion under the 24KB contract size limit
+ *      (EIP-170). Its functions run in the question's context, so `address(this)` is the question and `msg.sender`
+ *      its caller.
+ */
+library StoaSignatures {
+    // Uniswap's Permit2, at the same address on every chain
+    address internal constant PERMIT2 = 0x000000000022D473030F116dDEE9F6B43aC78BA3;
+
+    bytes32 internal constant ANSWER_INTENT_TYPEHASH =
+        keccak256("AnswerIntent(address question,bytes32 answerHash,address referrer,uint256 nonce,uint256 deadline)");
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    /**
+     * @notice Approves the question to spend the caller's tokens with an EIP-2612 permit
+     * @dev A failed permit is ignored; the transfer that follows reverts if the allowance is missing
+     * @param token The question's token
+     * @param amount The amount the permit approves
+     * @param deadline The permit's deadline
+     * @param v The permit signature's v
+     * @param r The permit signature's r
+     * @param s The permit signature's s
+     */
+    function permit(IERC20 token, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) public {
+        try IERC20Permit(address(token)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+    }
+
+    /**
+     * @notice Transfers the caller's tokens to the question with a Permit2 signature transfer
+     * @param token The question's token
+     * @param amount The amount to transfer, which the permit must allow exactly
+     * @param nonce The Permit2 permit's nonce
+     * @param deadline The Permit2 permit's deadline
+     * @param signature The caller's signature over the Permit2 permit
+     */
+    function permit2Transfer(IERC20 token, uint256 amount, uint256 nonce, uint256 deadline, bytes calldata signature)
+        public
+    {
+        IPermit2(PERMIT2)
+            .permitTransferFrom(
+                IPermit2.PermitTransferFrom({
+                permitted: IPermit2.TokenPermissions({token: address(token), amount: amount}),
+                nonce: nonce,
+                deadline: deadline
+            }),
+                IPermit2.SignatureTransferDetails({to: address(this), requestedAmount: amount}),
+                msg.sender,
+                signature
+            );
+    }
+
+    /**
+     * @notice Returns the EIP-712 digest of an answer intent for the question
+     * @dev The domain is name "StoaQuestion", version "1", this chain and the question
+     * @param answerHash The keccak256 hash of the answer content
+     * @param referrer The referrer, or the zero address
+     * @param nonce The responder's intent nonce
+     * @param deadline The last timestamp the intent can be submitted at
+     * @return The digest the responder signs
+     */
+    function hashAnswerIntent(bytes32 answerHash, address referrer, uint256 nonce, uint256 deadline)
+        public
+        view
+        returns (bytes32)
+    {
+        bytes32 domainSeparator = keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256("StoaQuestion"), keccak256("1"), block.chainid, address(this))
+        );
+        bytes32 structHash =
+            keccak256(abi.encode(ANSWER_INTENT_TYPEHASH, address(this), answerHash, referrer, nonce, deadline));
+        return ECDSA.toTypedDataHash(domainSeparator, structHash);
+    }
+
+    /**
+     * @notice Checks a signature by an account or, with EIP-1271, a smart contract wallet
+     * @param signer The expected signer
+     * @param digest The signed digest
+     * @param signature The signature
+     * @return Whether `signer` signed `digest`
+     */
+    function isValidSignatureNow(address signer, bytes32 digest, bytes calldata signature) public view returns (bool) {
+        return SignatureChecker.isValidSignatureNow(signer, digest, signature);
+    }
+}
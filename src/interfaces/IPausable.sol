@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title  IPausable
+ * @notice The view of OpenZeppelin's Pausable that questions read from the factory that deployed them.
+ */
+interface IPausable {
+    /// @notice Whether the contract is paused.
+    function paused() external view returns (bool);
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title  IPermit2
+ * @notice The signature transfer part of Uniswap's Permit2, deployed at the same address on every chain.
+ * @dev Token holders approve Permit2 once per token; each transfer is then authorized by a signed, single-use permit.
+ */
+interface IPermit2 {
+    struct TokenPermissions {
+        address token;
+        uint256 amount;
+    }
+
+    struct PermitTransferFrom {
+        TokenPermissions permitted;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct SignatureTransferDetails {
+        address to;
+        uint256 requestedAmount;
+    }
+
+    /**
+     * @notice Transfers tokens from `owner` with a signed permit.
+     * @dev The permit is signed over the caller's address as spender; each nonce can be used once.
+     * @param permit The permit data signed by the owner.
+     * @param transferDetails The recipient and the amount to transfer, at most the permitted amount.
+     * @param owner The owner of the tokens.
+     * @param signature The owner's signature over the permit.
+     */
+    function permitTransferFrom(
+        PermitTransferFrom memory permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external;
+}
@@ -0,0 +1,221 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title  IStoaErrors
+ * @notice The custom errors the Stoa contracts revert with. The contracts inherit this interface, so every error
+ *         appears in each of their ABIs, including those raised inside the StoaScoring library.
+ */
+interface IStoaErrors {
+    // Access control
+
+    /// @notice The caller is not the question's evaluator.
+    error NotEvaluator();
+    /// @notice The caller is not the question's arbiter.
+    error NotArbiter();
+    /// @notice The caller may not submit answers on others' behalf.
+    error NotAuthorizedSubmitter();
+    /// @notice The caller is not the question's claim router.
+    error NotClaimRouter();
+    /// @notice Only the question's creator or the treasury can sweep its unclaimed rewards.
+    error NotCreatorOrTreasury();
+    /// @notice The caller is not whitelisted to create questions.
+    error NotWhitelisted();
+    /// @notice Only the guardian or the factory owner can pause and unpause.
+    error NotGuardian();
+
+    // Pausing
+
+    /// @notice The protocol is paused.
+    error ProtocolPaused();
+    /// @notice The protocol is not paused.
+    error ProtocolNotPaused();
+
+    // Fees
+
+    /// @notice The treasury cannot be the zero address.
+    error InvalidTreasury();
+    /// @notice The protocol fee and the fee caps would add up to more than 100%.
+    error FeesExceedMax(uint256 totalBps);
+    /// @notice The creator fee is above its cap.
+    error CreatorFeeExceedsCap(uint256 feeBps, uint256 maxFeeBps);
+    /// @notice The referral fee is above its cap.
+    error ReferralFeeExceedsCap(uint256 feeBps, uint256 maxFeeBps);
+
+    // Question setup
+
+    /// @notice The token cannot be the zero address.
+    error InvalidToken();
+    /// @notice The submission cost must be greater than zero.
+    error InvalidSubmissionCost();
+    /// @notice The duration must be greater than zero.
+    error InvalidDuration();
+    /// @notice The question address cannot be the zero address.
+    error InvalidQuestionAddress();
+    /// @notice The creator cannot be the zero address.
+    error InvalidCreator();
+    /// @notice The evaluator cannot be the zero address.
+    error InvalidEvaluator();
+    /// @notice The salt cannot be zero.
+    error InvalidSalt();
+    /// @notice The caller already created a question with this salt.
+    error SaltAlreadyUsed(bytes32 salt);
+    /// @notice The arbiter cannot be the zero address.
+    error InvalidArbiter();
+    /// @notice The dispute period must be greater than zero.
+    error InvalidDisputePeriod();
+    /// @notice The dispute bond must be greater than zero.
+    error InvalidDisputeBond();
+    /// @notice The question's disputes are already configured.
+    error DisputesAlreadyConfigured();
+    /// @notice The claim period is shorter than the minimum.
+    error ClaimPeriodTooShort(uint256 claimPeriod, uint256 minClaimPeriod);
+    /// @notice The reveal period must be greater than zero.
+    error InvalidRevealPeriod();
+    /// @notice Commit-reveal is already enabled on the question.
+    error CommitRevealAlreadyEnabled();
+    /// @notice The question already has answers, so its rules can no longer change.
+    error AnswersAlreadySubmitted();
+
+    // Scoring curves
+
+    /// @notice The scoring mode takes no parameters.
+    error UnexpectedScoringParams();
+    /// @notice The scoring mode takes exactly one parameter.
+    error InvalidScoringParams();
+    /// @notice First place's share must be above 50% and below 100%.
+    error InvalidFirstPlaceShare(uint16 shareBps);
+    /// @notice The ratio between ranks must be above 0% and below 100%.
+    error InvalidRatio(uint16 ratioBps);
+    /// @notice A custom curve needs one share per winner.
+    error ShareCountMismatch(uint256 shares, uint8 maxWinners);
+    /// @notice Every rank's share must be greater than zero.
+    error ZeroShare(uint256 rank);
+    /// @notice The shares must add up to 100%.
+    error SharesSumMismatch(uint256 sumBps);
+    /// @notice The rank is not among the question's winners.
+    error InvalidRank(uint256 rank, uint8 maxWinners);
+
+    // Deadlines
+
+    /// @notice The question stopped taking answers at `endsAt`.
+    error QuestionEnded(uint256 endsAt);
+    /// @notice The question is open until `endsAt`.
+    error QuestionNotEnded(uint256 endsAt);
+    /// @notice The question was cancelled.
+    error QuestionIsCancelled();
+    /// @notice The new end must be after the current one and no later than `maxEndsAt`.
+    error InvalidEnd(uint256 newEndsAt, uint256 maxEndsAt);
+    /// @notice The question ends at `endsAt`, within the close notice period.
+    error EndsWithinNoticePeriod(uint256 endsAt);
+    /// @notice The evaluation deadline passed at `evaluationDeadline`.
+    error EvaluationDeadlinePassed(uint256 evaluationDeadline);
+    /// @notice The evaluation deadline is `evaluationDeadline`.
+    error EvaluationDeadlineNotReached(uint256 evaluationDeadline);
+
+    // Answers
+
+    /// @notice The user cannot be the zero address.
+    error InvalidUser();
+    /// @notice The responder already answered the question.
+    error AlreadySubmitted(address responder);
+    /// @notice The responder has not answered the question.
+    error NoSubmission(address responder);
+    /// @notice The signed intent expired at `deadline`.
+    error IntentExpired(uint256 deadline);
+    /// @notice The signature is not the responder's.
+    error InvalidSignature();
+    /// @notice The question takes open answers.
+    error CommitRevealDisabled();
+    /// @notice The reveal period ended at `revealEndsAt`.
+    error RevealPeriodOver(uint256 revealEndsAt);
+    /// @notice The answer at `index` is already revealed.
+    error AlreadyRevealed(uint256 index);
+    /// @notice The answer and salt do not match the answer sealed at `index`.
+    error InvalidReveal(uint256 index);
+
+    // Seeds
+
+    /// @notice The amount must be greater than zero.
+    error InvalidAmount();
+    /// @notice The caller has no seed in the question.
+    error NoSeed();
+
+    // Evaluation
+
+    /// @notice The question is already evaluated.
+    error AlreadyEvaluated();
+    /// @notice The question is not evaluated yet.
+    error NotEvaluated();
+    /// @notice Evaluation opens at `revealEndsAt`.
+    error EvaluationTooEarly(uint256 revealEndsAt);
+    /// @notice The ranking names more answers than the question has winners.
+    error TooManyWinners(uint256 given, uint8 maxWinners);
+    /// @notice No answer has the index `index`.
+    error InvalidAnswerIndex(uint256 index);
+    /// @notice The sealed answer at `index` was never revealed, so it cannot be ranked.
+    error AnswerNotRevealed(uint256 index);
+
+    // Disputes
+
+    /// @notice The question has no arbiter.
+    error DisputesDisabled();
+    /// @notice The dispute period ended at `disputeEndsAt`.
+    error DisputePeriodOver(uint256 disputeEndsAt);
+    /// @notice The dispute period ends at `disputeEndsAt`.
+    error DisputePeriodNotOver(uint256 disputeEndsAt);
+    /// @notice The caller already disputed the ranking.
+    error AlreadyDisputed();
+    /// @notice The caller has not disputed the ranking.
+    error NoDispute();
+    /// @notice The caller's dispute is already resolved.
+    error DisputeAlreadyResolved();
+    /// @notice The ranking has no open disputes.
+    error NoOpenDisputes();
+    /// @notice The arbiter's deadline passed at `arbitrationDeadline`.
+    error ArbitrationPeriodOver(uint256 arbitrationDeadline);
+    /// @notice The arbiter has until `arbitrationDeadline`.
+    error ArbitrationPeriodNotOver(uint256 arbitrationDeadline);
+
+    // Claims and refunds
+
+    /// @notice The ranking can still be disputed or is under dispute.
+    error RankingNotFinal();
+    /// @notice The caller's answer was not ranked.
+    error NoReward();
+    /// @notice The reward was already claimed.
+    error AlreadyClaimed();
+    /// @notice The refund was already taken.
+    error AlreadyRefunded();
+    /// @notice No answer was scored.
+    error NoScoresAssigned();
+    /// @notice The question's unclaimed rewards were swept.
+    error RewardsSwept();
+    /// @notice The question has no claim deadline.
+    error SweepingDisabled();
+    /// @notice Winners can claim until `claimDeadline`.
+    error ClaimPeriodNotOver(uint256 claimDeadline);
+    /// @notice Every reward was claimed.
+    error NothingToSweep();
+    /// @notice The follow-up question cannot be this question.
+    error InvalidFollowUpQuestion();
+    /// @notice The follow-up question is paid in another token.
+    error TokenMismatch();
+    /// @notice The follow-up question no longer takes answers.
+    error FollowUpQuestionEnded();
+
+    // Balances
+
+    /// @notice The caller is not a balance admin.
+    error NotAdmin();
+    /// @notice The balance manager cannot hold a balance of its own.
+    error ContractAsUser();
+    /// @notice The recipient cannot be the zero address.
+    error InvalidRecipient();
+    /// @notice The balance is smaller than the amount.
+    error InsufficientBalance(uint256 balance, uint256 amount);
+    /// @notice The caller has nothing to claim.
+    error NoBalance();
+    /// @notice Only `available` tokens are not owed to users.
+    error InsufficientExcess(uint256 available, uint256 amount);
+}
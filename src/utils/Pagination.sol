@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title  Pagination
+ * @notice Bounds for the offset/limit views that page through arrays too long to return in one eth_call.
+ */
+library Pagination {
+    /**
+     * @notice Returns how many items the page of up to `limit` items starting at `offset` holds
+     * @dev Pages past the end are empty rather than reverting, so callers can page until they get a short page
+     * @param length The length of the array being paged through
+     * @param offset Index of the page's first item
+     * @param limit Largest number of items to return
+     */
+    function pageLength(uint256 length, uint256 offset, uint256 limit) internal pure returns (uint256) {
+        if (offset >= length) return 0;
+        uint256 remaining = length - offset;
+        return remaining < limit ? remaining : limit;
+    }
+}
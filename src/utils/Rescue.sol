@@ -16,6 +16,7 @@ interface IERC20 {
 contract Rescue {
     error Failed();
     error NotOwner();
+    error InsufficientBalance(uint256 balance, uint256 amount);
 
     event ETHWithdrawn(address indexed recipient, uint256 amount);
     event ERC20Withdrawn(address indexed token, address indexed recipient, uint256 amount);
@@ -41,7 +42,7 @@ contract Rescue {
     }
 
     function withdrawETH(address payable recipient, uint256 amount) external onlyOwner {
-        require(amount <= address(this).balance, "Insufficient balance");
+        if (amount > address(this).balance) revert InsufficientBalance(address(this).balance, amount);
         (bool sent,) = recipient.call{value: amount}("");
         if (!sent) revert Failed();
         emit ETHWithdrawn(recipient, amount);
@@ -129,7 +129,7 @@ contract BalanceManagerTest is Test {
         // User1 attempts to set balance for User2 again
         vm.stopPrank();
         vm.startPrank(_user1);
-        vm.expectRevert("Caller is not an admin");
+        vm.expectRevert(IStoaErrors.NotAdmin.selector);
         _balanceManager.setBalance(_user2, address(_mockTokenA), amount);
         console.log("User1 attempted to set balance for User2 and failed as expected after being removed as admin");
 
@@ -518,12 +518,65 @@ contract BalanceManagerTest is Test {
         vm.startPrank(_admin1);
 
         address contractAddress = address(_balanceManager);
-        vm.expectRevert("Contract cannot be the user");
+        vm.expectRevert(IStoaErrors.ContractAsUser.selector);
         _balanceManager.setBalance(contractAddress, address(_mockTokenA), _fiveHundred);
 
         vm.stopPrank();
     }
 
+    function testInvalidAddressesRevert() public {
+        vm.startPrank(_admin1);
+
+        vm.expectRevert(IStoaErrors.InvalidUser.selector);
+        _balanceManager.setBalance(address(0), address(_mockTokenA), _fiveHundred);
+
+        vm.expectRevert(IStoaErrors.InvalidToken.selector);
+        _balanceManager.increaseBalance(_user1, address(0), _fiveHundred);
+
+        vm.expectRevert(IStoaErrors.InvalidRecipient.selector);
+        _balanceManager.withdrawExcessTokens(address(_mockTokenA), 1, address(0));
+
+        vm.expectRevert(IStoaErrors.InvalidAmount.selector);
+        _balanceManager.fund(address(_mockTokenA), 0);
+
+        vm.stopPrank();
+    }
+
+    function testCannotReduceBelowZero() public {
+        vm.startPrank(_admin1);
+        _balanceManager.setBalance(_user1, address(_mockTokenA), _threeHundred);
+
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.InsufficientBalance.selector, _threeHundred, _fiveHundred));
+        _balanceManager.reduceBalance(_user1, address(_mockTokenA), _fiveHundred);
+
+        vm.stopPrank();
+    }
+
+    function testCannotClaimWithoutBalance() public {
+        vm.startPrank(_user1);
+
+        vm.expectRevert(IStoaErrors.NoBalance.selector);
+        _balanceManager.claim(address(_mockTokenA));
+
+        vm.expectRevert(IStoaErrors.NoBalance.selector);
+        _balanceManager.claimAll();
+
+        vm.stopPrank();
+    }
+
+    function testCannotWithdrawOwedTokens() public {
+        vm.startPrank(_admin1);
+        _balanceManager.setBalance(_user1, address(_mockTokenA), _fiveHundred);
+        _mockTokenA.approve(address(_balanceManager), _oneThousand);
+        _balanceManager.fund(address(_mockTokenA), _oneThousand);
+
+        // Only the half not owed to user1 can be withdrawn
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.InsufficientExcess.selector, _fiveHundred, _oneThousand));
+        _balanceManager.withdrawExcessTokens(address(_mockTokenA), _oneThousand, _admin1);
+
+        vm.stopPrank();
+    }
+
     // assert contract cannot receive ETH
     function testCannotReceiveEth() public {
         vm.expectRevert(bytes("Contract should not accept ETH"));
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "../src/utils/Rescue.sol";
+
+/**
+ * @title Rescue Test
+ * @dev Covers withdrawing ETH from the Rescue contract.
+ */
+contract RescueTest is Test {
+    Rescue _rescue;
+    address payable _recipient = payable(vm.addr(1));
+
+    function setUp() public {
+        _rescue = new Rescue();
+        vm.deal(address(_rescue), 1 ether);
+    }
+
+    function testWithdrawETH() public {
+        _rescue.withdrawETH(_recipient, 0.4 ether);
+        assertEq(_recipient.balance, 0.4 ether, "Recipient should receive the amount");
+        assertEq(address(_rescue).balance, 0.6 ether, "Rescue should keep the rest");
+    }
+
+    function testWithdrawAllETH() public {
+        _rescue.withdrawAllETH(_recipient);
+        assertEq(_recipient.balance, 1 ether, "Recipient should receive the whole balance");
+    }
+
+    function testCannotWithdrawMoreThanBalance() public {
+        vm.expectRevert(abi.encodeWithSelector(Rescue.InsufficientBalance.selector, 1 ether, 2 ether));
+        _rescue.withdrawETH(_recipient, 2 ether);
+    }
+
+    function testOnlyOwnerCanWithdraw() public {
+        vm.prank(_recipient);
+        vm.expectRevert(Rescue.NotOwner.selector);
+        _rescue.withdrawETH(_recipient, 1 ether);
+    }
+}
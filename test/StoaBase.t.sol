@@ -4,9 +4,28 @@ pragma solidity ^0.8.20;
 import "forge-std/Test.sol";
 import "../src/StoaBase.sol";
 
-// Concrete implementation of StoaBase for testing
+// Concrete implementation of StoaBase for testing, with the factory's defaults and setters
 contract ConcreteStoaBase is StoaBase {
-    constructor(address _treasury) StoaBase(_treasury) {}
+    constructor(address _treasury) {
+        _initializeBase(
+            _treasury,
+            FeeConfig({
+                feeBps: 1000, creatorFeeBps: 1000, referralFeeBps: 500, maxCreatorFeeBps: 2000, maxReferralFeeBps: 1000
+            })
+        );
+    }
+
+    function setFeeBps(uint256 newFeeBps) external onlyOwner {
+        _setFeeBps(newFeeBps);
+    }
+
+    function setFeeCaps(uint256 newMaxCreatorFeeBps, uint256 newMaxReferralFeeBps) external onlyOwner {
+        _setFeeCaps(newMaxCreatorFeeBps, newMaxReferralFeeBps);
+    }
+
+    function setTreasury(address newTreasury) external onlyOwner {
+        _setTreasury(newTreasury);
+    }
 }
 
 contract StoaBaseTest is Test {
@@ -19,6 +38,7 @@ contract StoaBaseTest is Test {
     event FeeUpdated(uint256 newFeeBps);
     event CreatorFeeUpdated(uint256 newCreatorFeeBps);
     event ReferralFeeUpdated(uint256 newReferralFeeBps);
+    event FeeCapsUpdated(uint256 maxCreatorFeeBps, uint256 maxReferralFeeBps);
     event TreasuryUpdated(address newTreasury);
 
     function setUp() public {
@@ -37,10 +57,12 @@ contract StoaBaseTest is Test {
         assertEq(stoaBase.feeBps(), 1000); // Default 10% protocol fee
         assertEq(stoaBase.creatorFeeBps(), 1000); // Default 10% creator fee
         assertEq(stoaBase.referralFeeBps(), 500); // Default 5% referral fee
+        assertEq(stoaBase.maxCreatorFeeBps(), 2000);
+        assertEq(stoaBase.maxReferralFeeBps(), 1000);
     }
 
     function testConstructorRevertsWithZeroTreasury() public {
-        vm.expectRevert("Invalid treasury");
+        vm.expectRevert(IStoaErrors.InvalidTreasury.selector);
         new ConcreteStoaBase(address(0));
     }
 
@@ -79,7 +101,7 @@ contract StoaBaseTest is Test {
     }
 
     function testSetFeeBpsToMaxValue() public {
-        uint256 newFeeBps = 10000; // 100%
+        uint256 newFeeBps = 7000; // 100% minus the 20% creator and 10% referral caps
 
         vm.expectEmit(true, false, false, true);
         emit FeeUpdated(newFeeBps);
@@ -124,7 +146,7 @@ contract StoaBaseTest is Test {
     }
 
     function testSetTreasuryToZeroAddress() public {
-        vm.expectRevert("Invalid treasury");
+        vm.expectRevert(IStoaErrors.InvalidTreasury.selector);
         stoaBase.setTreasury(address(0));
 
         // Treasury should remain unchanged
@@ -226,9 +248,9 @@ contract StoaBaseTest is Test {
     }
 
     function testSetFeeBpsRevertsAboveMax() public {
-        uint256 invalidFeeBps = 10001; // Above 100%
+        uint256 invalidFeeBps = 7001; // Above 100% with the caps
 
-        vm.expectRevert("Fee cannot exceed 100%");
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.FeesExceedMax.selector, 10001));
         stoaBase.setFeeBps(invalidFeeBps);
     }
 
@@ -256,9 +278,9 @@ contract StoaBaseTest is Test {
     }
 
     function testSetCreatorFeeBpsRevertsAboveMax() public {
-        uint256 invalidCreatorFeeBps = 10001; // Above 100%
+        uint256 invalidCreatorFeeBps = 2001; // Above the 20% cap
 
-        vm.expectRevert("Creator fee cannot exceed 100%");
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.CreatorFeeExceedsCap.selector, invalidCreatorFeeBps, 2000));
         stoaBase.setCreatorFeeBps(invalidCreatorFeeBps);
     }
 
@@ -274,7 +296,7 @@ contract StoaBaseTest is Test {
     }
 
     function testSetCreatorFeeBpsToMaxValue() public {
-        uint256 newCreatorFeeBps = 10000; // 100%
+        uint256 newCreatorFeeBps = 2000; // The cap
 
         vm.expectEmit(true, false, false, true);
         emit CreatorFeeUpdated(newCreatorFeeBps);
@@ -308,9 +330,9 @@ contract StoaBaseTest is Test {
     }
 
     function testSetReferralFeeBpsRevertsAboveMax() public {
-        uint256 invalidReferralFeeBps = 10001; // Above 100%
+        uint256 invalidReferralFeeBps = 1001; // Above the 10% cap
 
-        vm.expectRevert("Referral fee cannot exceed 100%");
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.ReferralFeeExceedsCap.selector, invalidReferralFeeBps, 1000));
         stoaBase.setReferralFeeBps(invalidReferralFeeBps);
     }
 
@@ -326,7 +348,7 @@ contract StoaBaseTest is Test {
     }
 
     function testSetReferralFeeBpsToMaxValue() public {
-        uint256 newReferralFeeBps = 10000; // 100%
+        uint256 newReferralFeeBps = 1000; // The cap
 
         vm.expectEmit(true, false, false, true);
         emit ReferralFeeUpdated(newReferralFeeBps);
@@ -340,7 +362,7 @@ contract StoaBaseTest is Test {
         uint256[] memory feeValues = new uint256[](3);
         feeValues[0] = 250; // 2.5%
         feeValues[1] = 750; // 7.5%
-        feeValues[2] = 1250; // 12.5%
+        feeValues[2] = 1000; // 10%
 
         for (uint256 i = 0; i < feeValues.length; i++) {
             vm.expectEmit(true, false, false, true);
@@ -351,21 +373,57 @@ contract StoaBaseTest is Test {
         }
     }
 
+    // Fee Cap Tests
+    function testSetFeeCapsAsOwner() public {
+        vm.expectEmit(true, false, false, true);
+        emit FeeCapsUpdated(3000, 2000);
+
+        stoaBase.setFeeCaps(3000, 2000);
+
+        assertEq(stoaBase.maxCreatorFeeBps(), 3000);
+        assertEq(stoaBase.maxReferralFeeBps(), 2000);
+        stoaBase.setCreatorFeeBps(3000);
+        assertEq(stoaBase.creatorFeeBps(), 3000);
+    }
+
+    function testSetFeeCapsAsNonOwner() public {
+        vm.prank(nonOwner);
+        vm.expectRevert("Ownable: caller is not the owner");
+        stoaBase.setFeeCaps(3000, 2000);
+    }
+
+    function testSetFeeCapsLowersFeesAboveThem() public {
+        vm.expectEmit(true, false, false, true);
+        emit CreatorFeeUpdated(400);
+        vm.expectEmit(true, false, false, true);
+        emit ReferralFeeUpdated(100);
+
+        stoaBase.setFeeCaps(400, 100);
+
+        assertEq(stoaBase.creatorFeeBps(), 400);
+        assertEq(stoaBase.referralFeeBps(), 100);
+    }
+
+    function testSetFeeCapsRevertsAboveMax() public {
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.FeesExceedMax.selector, 10001));
+        stoaBase.setFeeCaps(8000, 1001); // 10% protocol fee + 90.01%
+    }
+
     // Fuzz Tests
     function testFuzzSetFeeBps(uint256 feeBps) public {
-        vm.assume(feeBps <= 10000);
+        vm.assume(feeBps <= 7000);
         stoaBase.setFeeBps(feeBps);
         assertEq(stoaBase.feeBps(), feeBps);
     }
 
     function testFuzzSetCreatorFeeBps(uint256 creatorFeeBps) public {
-        vm.assume(creatorFeeBps <= 10000);
+        vm.assume(creatorFeeBps <= 2000);
         stoaBase.setCreatorFeeBps(creatorFeeBps);
         assertEq(stoaBase.creatorFeeBps(), creatorFeeBps);
     }
 
     function testFuzzSetReferralFeeBps(uint256 referralFeeBps) public {
-        vm.assume(referralFeeBps <= 10000);
+        vm.assume(referralFeeBps <= 1000);
         stoaBase.setReferralFeeBps(referralFeeBps);
         assertEq(stoaBase.referralFeeBps(), referralFeeBps);
     }
@@ -378,10 +436,13 @@ contract StoaBaseTest is Test {
     }
 
     function testFuzzSetTreasuryRejectsZero(address _treasury) public {
-        vm.assume(_treasury == address(0));
-
-        vm.expectRevert("Invalid treasury");
+        // Assuming the input is zero depends on the fuzzer drawing it, so reject zero after any valid treasury
+        vm.assume(_treasury != address(0));
         stoaBase.setTreasury(_treasury);
+
+        vm.expectRevert(IStoaErrors.InvalidTreasury.selector);
+        stoaBase.setTreasury(address(0));
+        assertEq(stoaBase.treasury(), _treasury);
     }
 
     // View Function Tests
@@ -455,14 +516,19 @@ contract StoaBaseTest is Test {
     }
 
     function testExtremeFeeCombinations() public {
-        // Test with very high fees (all at max)
-        stoaBase.setFeeBps(10000); // 100% protocol fee
-        stoaBase.setCreatorFeeBps(10000); // 100% creator fee
-        stoaBase.setReferralFeeBps(10000); // 100% referral fee
-
+        // Test with very high fees (all at max, adding up to 100%)
+        stoaBase.setFeeBps(7000); // 70% protocol fee
+        stoaBase.setCreatorFeeBps(2000); // 20% creator fee
+        stoaBase.setReferralFeeBps(1000); // 10% referral fee
+
+        assertEq(stoaBase.feeBps(), 7000);
+        assertEq(stoaBase.creatorFeeBps(), 2000);
+        assertEq(stoaBase.referralFeeBps(), 1000);
+
+        // Without caps the protocol fee alone can take everything
+        stoaBase.setFeeCaps(0, 0);
+        stoaBase.setFeeBps(10000);
         assertEq(stoaBase.feeBps(), 10000);
-        assertEq(stoaBase.creatorFeeBps(), 10000);
-        assertEq(stoaBase.referralFeeBps(), 10000);
 
         // Test with all at zero
         stoaBase.setFeeBps(0);
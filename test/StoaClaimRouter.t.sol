@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "../src/StoaClaimRouter.sol";
+import "../src/StoaQuestion.sol";
+import "openzeppelin-contracts/proxy/Clones.sol";
+import "openzeppelin-contracts/token/ERC20/ERC20.sol";
+
+// Mock ERC20 token for testing
+contract MockToken is ERC20 {
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {
+        _mint(msg.sender, 1000000 * 10 ** 18);
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
+
+contract StoaClaimRouterTest is Test {
+    StoaClaimRouter public router;
+    StoaQuestion public implementation;
+    MockToken public paymentToken;
+    StoaQuestion public question1;
+    StoaQuestion public question2;
+
+    address public treasury;
+    address public creator;
+    address public user1;
+    address public user2;
+
+    // Questions read paused() from whoever deployed their implementation
+    bool public paused;
+
+    uint256 public constant SUBMISSION_COST = 10 * 10 ** 18;
+    uint256 public constant DURATION = 7 days;
+    uint8 public constant MAX_WINNERS = 2;
+
+    function setUp() public {
+        treasury = makeAddr("treasury");
+        creator = makeAddr("creator");
+        user1 = makeAddr("user1");
+        user2 = makeAddr("user2");
+
+        router = new StoaClaimRouter();
+        implementation = new StoaQuestion();
+        paymentToken = new MockToken("PaymentToken", "PAY");
+        paymentToken.mint(user1, 1000 * 10 ** 18);
+        paymentToken.mint(user2, 1000 * 10 ** 18);
+
+        question1 = _deployQuestion(true);
+        question2 = _deployQuestion(true);
+    }
+
+    function testClaimAll() public {
+        _answer(question1);
+        _answer(question2);
+        _evaluate(question1);
+        _evaluate(question2);
+        uint256 expected1 = question1.getClaimableAmount(user1);
+        uint256 expected2 = question2.getClaimableAmount(user1);
+        assertGt(expected1, 0);
+
+        uint256 balanceBefore = paymentToken.balanceOf(user1);
+        vm.prank(user1);
+        uint256[] memory amounts = router.claimAll(user1, _questions());
+
+        assertEq(amounts[0], expected1);
+        assertEq(amounts[1], expected2);
+        assertEq(paymentToken.balanceOf(user1), balanceBefore + expected1 + expected2);
+        assertTrue(question1.getAnswer(0).rewarded);
+        assertTrue(question2.getAnswer(0).rewarded);
+        assertEq(paymentToken.balanceOf(address(router)), 0);
+
+        // Already claimed rewards are skipped
+        vm.prank(user1);
+        amounts = router.claimAll(user1, _questions());
+        assertEq(amounts[0], 0);
+        assertEq(amounts[1], 0);
+    }
+
+    function testClaimAllPaysTheWinner() public {
+        _answerAndEvaluate(question1);
+        uint256 expected = question1.getClaimableAmount(user1);
+        uint256 callerBalance = paymentToken.balanceOf(user2);
+        uint256 winnerBalance = paymentToken.balanceOf(user1);
+
+        vm.prank(user2);
+        router.claimAll(user1, _questions());
+
+        assertEq(paymentToken.balanceOf(user1), winnerBalance + expected);
+        assertEq(paymentToken.balanceOf(user2), callerBalance);
+    }
+
+    function testClaimAllSkipsQuestionsWithNothingToClaim() public {
+        _answerAndEvaluate(question1);
+        // question2 is unevaluated and user2 lost question1
+
+        vm.prank(user2);
+        uint256[] memory amounts = router.claimAll(user2, _questions());
+        assertEq(amounts[0], 0);
+        assertEq(amounts[1], 0);
+    }
+
+    function testClaimAllRequiresRouterOnQuestion() public {
+        StoaQuestion unrouted = _deployQuestion(false);
+        _answerAndEvaluate(unrouted);
+
+        address[] memory questions = new address[](1);
+        questions[0] = address(unrouted);
+        vm.expectRevert(IStoaErrors.NotClaimRouter.selector);
+        router.claimAll(user1, questions);
+    }
+
+    function testGetClaimableAmounts() public {
+        _answerAndEvaluate(question1);
+
+        uint256[] memory amounts = router.getClaimableAmounts(user1, _questions());
+        assertEq(amounts.length, 2);
+        assertEq(amounts[0], question1.getClaimableAmount(user1));
+        assertGt(amounts[0], 0);
+        assertEq(amounts[1], 0);
+    }
+
+    function _deployQuestion(bool routed) internal returns (StoaQuestion q) {
+        q = StoaQuestion(Clones.clone(address(implementation)));
+        q.initialize(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            _defaultFees(),
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
+        if (routed) q.setClaimRouter(address(router));
+
+        vm.prank(user1);
+        paymentToken.approve(address(q), type(uint256).max);
+        vm.prank(user2);
+        paymentToken.approve(address(q), type(uint256).max);
+    }
+
+    // user1 answers first and wins; user2 answers but is not ranked
+    function _answerAndEvaluate(StoaQuestion q) internal {
+        _answer(q);
+        _evaluate(q);
+    }
+
+    function _answer(StoaQuestion q) internal {
+        vm.prank(user1);
+        q.submitAnswer(keccak256("Answer 1"));
+        vm.prank(user2);
+        q.submitAnswer(keccak256("Answer 2"));
+    }
+
+    function _evaluate(StoaQuestion q) internal {
+        vm.warp(q.endsAt());
+        uint256[] memory rankedIndices = new uint256[](1);
+        rankedIndices[0] = 0;
+        vm.prank(creator);
+        q.evaluateAnswers(rankedIndices);
+    }
+
+    function _questions() internal view returns (address[] memory questions) {
+        questions = new address[](2);
+        questions[0] = address(question1);
+        questions[1] = address(question2);
+    }
+
+    // The factory's default fees
+    function _defaultFees() internal pure returns (StoaBase.FeeConfig memory) {
+        return StoaBase.FeeConfig({
+            feeBps: 1000, creatorFeeBps: 1000, referralFeeBps: 500, maxCreatorFeeBps: 2000, maxReferralFeeBps: 1000
+        });
+    }
+}
@@ -108,22 +108,22 @@ contract StoaProtocolTest is Test {
     }
 
     function test_registerQuestion_RevertIf_InvalidQuestionAddress() public {
-        vm.expectRevert("Invalid question address");
+        vm.expectRevert(IStoaErrors.InvalidQuestionAddress.selector);
         stoaProtocol.registerQuestion(address(0), creator1, SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1);
     }
 
     function test_registerQuestion_RevertIf_InvalidCreatorAddress() public {
-        vm.expectRevert("Invalid creator address");
+        vm.expectRevert(IStoaErrors.InvalidCreator.selector);
         stoaProtocol.registerQuestion(questionAddress1, address(0), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1);
     }
 
     function test_registerQuestion_RevertIf_ZeroSubmissionCost() public {
-        vm.expectRevert("Submission cost must be greater than 0");
+        vm.expectRevert(IStoaErrors.InvalidSubmissionCost.selector);
         stoaProtocol.registerQuestion(questionAddress1, creator1, 0, DURATION_1, MAX_WINNERS_1);
     }
 
     function test_registerQuestion_RevertIf_ZeroDuration() public {
-        vm.expectRevert("Duration must be greater than 0");
+        vm.expectRevert(IStoaErrors.InvalidDuration.selector);
         stoaProtocol.registerQuestion(questionAddress1, creator1, SUBMISSION_COST_1, 0, MAX_WINNERS_1);
     }
 
@@ -167,6 +167,53 @@ contract StoaProtocolTest is Test {
         assertEq(questions[1].questionAddress, questionAddress2);
     }
 
+    function test_getQuestions_Pages() public {
+        stoaProtocol.registerQuestion(questionAddress1, creator1, SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1);
+        stoaProtocol.registerQuestion(questionAddress2, creator2, SUBMISSION_COST_2, DURATION_2, MAX_WINNERS_2);
+
+        StoaProtocol.QuestionMeta[] memory page = stoaProtocol.getQuestions(1, 10);
+        assertEq(page.length, 1);
+        assertEq(page[0].questionAddress, questionAddress2);
+        assertEq(page[0].creator, creator2);
+
+        page = stoaProtocol.getQuestions(0, 1);
+        assertEq(page.length, 1);
+        assertEq(page[0].questionAddress, questionAddress1);
+
+        assertEq(stoaProtocol.getQuestions(2, 10).length, 0);
+        assertEq(stoaProtocol.getQuestions(type(uint256).max, type(uint256).max).length, 0);
+    }
+
+    function test_getQuestionsByCreator_Pages() public {
+        address questionAddress3 = makeAddr("question3");
+        stoaProtocol.registerQuestion(questionAddress1, creator1, SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1);
+        stoaProtocol.registerQuestion(questionAddress2, creator2, SUBMISSION_COST_2, DURATION_2, MAX_WINNERS_2);
+        stoaProtocol.registerQuestion(questionAddress3, creator1, SUBMISSION_COST_2, DURATION_1, MAX_WINNERS_1);
+
+        assertEq(stoaProtocol.getQuestionCountByCreator(creator1), 2);
+        assertEq(stoaProtocol.getQuestionCountByCreator(creator2), 1);
+        assertEq(stoaProtocol.getQuestionCountByCreator(nonOwner), 0);
+
+        (uint256[] memory ids, StoaProtocol.QuestionMeta[] memory page) =
+            stoaProtocol.getQuestionsByCreator(creator1, 0, 10);
+        assertEq(ids.length, 2);
+        assertEq(page.length, 2);
+        assertEq(ids[0], 0);
+        assertEq(ids[1], 2);
+        assertEq(page[0].questionAddress, questionAddress1);
+        assertEq(page[1].questionAddress, questionAddress3);
+        assertEq(page[1].submissionCost, SUBMISSION_COST_2);
+
+        (ids, page) = stoaProtocol.getQuestionsByCreator(creator1, 1, 1);
+        assertEq(ids.length, 1);
+        assertEq(ids[0], 2);
+        assertEq(page[0].questionAddress, questionAddress3);
+
+        (ids, page) = stoaProtocol.getQuestionsByCreator(creator2, 1, 10);
+        assertEq(ids.length, 0);
+        assertEq(page.length, 0);
+    }
+
     function test_getQuestionCount_StartsAtZero() public {
         assertEq(stoaProtocol.getQuestionCount(), 0);
     }
@@ -245,7 +292,7 @@ contract StoaProtocolTest is Test {
         vm.assume(submissionCost > 0);
         vm.assume(duration > 0);
 
-        vm.expectRevert("Invalid question address");
+        vm.expectRevert(IStoaErrors.InvalidQuestionAddress.selector);
         stoaProtocol.registerQuestion(address(0), creator, submissionCost, duration, maxWinners);
     }
 
@@ -259,7 +306,7 @@ contract StoaProtocolTest is Test {
         vm.assume(submissionCost > 0);
         vm.assume(duration > 0);
 
-        vm.expectRevert("Invalid creator address");
+        vm.expectRevert(IStoaErrors.InvalidCreator.selector);
         stoaProtocol.registerQuestion(questionAddr, address(0), submissionCost, duration, maxWinners);
     }
 
@@ -273,7 +320,7 @@ contract StoaProtocolTest is Test {
         vm.assume(creator != address(0));
         vm.assume(duration > 0);
 
-        vm.expectRevert("Submission cost must be greater than 0");
+        vm.expectRevert(IStoaErrors.InvalidSubmissionCost.selector);
         stoaProtocol.registerQuestion(questionAddr, creator, 0, duration, maxWinners);
     }
 
@@ -287,7 +334,7 @@ contract StoaProtocolTest is Test {
         vm.assume(creator != address(0));
         vm.assume(submissionCost > 0);
 
-        vm.expectRevert("Duration must be greater than 0");
+        vm.expectRevert(IStoaErrors.InvalidDuration.selector);
         stoaProtocol.registerQuestion(questionAddr, creator, submissionCost, 0, maxWinners);
     }
 
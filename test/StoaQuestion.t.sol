@@ -3,7 +3,9 @@ pragma solidity ^0.8.20;
 
 import "forge-std/Test.sol";
 import "../src/StoaQuestion.sol";
+import "openzeppelin-contracts/proxy/Clones.sol";
 import "openzeppelin-contracts/token/ERC20/ERC20.sol";
+import "openzeppelin-contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 // Mock ERC20 token for testing
 contract MockToken is ERC20 {
@@ -16,7 +18,78 @@ contract MockToken is ERC20 {
     }
 }
 
+// Mock smart contract wallet for testing: accepts EIP-1271 signatures made by its owner key
+contract MockSmartWallet {
+    address public immutable owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        (bytes32 r, bytes32 s) = abi.decode(signature[:64], (bytes32, bytes32));
+        return ecrecover(hash, uint8(signature[64]), r, s) == owner ? bytes4(0x1626ba7e) : bytes4(0xffffffff);
+    }
+}
+
+// Mock ERC20 token with EIP-2612 permit for testing
+contract MockPermitToken is ERC20Permit {
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) ERC20Permit(name) {}
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
+
+// Mock Permit2 for testing: checks signature transfers the way Uniswap's Permit2 does
+contract MockPermit2 {
+    bytes32 public constant TOKEN_PERMISSIONS_TYPEHASH = keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 public constant PERMIT_TRANSFER_FROM_TYPEHASH = keccak256(
+        "PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)"
+        "TokenPermissions(address token,uint256 amount)"
+    );
+
+    mapping(address => mapping(uint256 => bool)) public usedNonces;
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)"),
+                keccak256("Permit2"),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    function hashPermit(IPermit2.PermitTransferFrom memory permit, address spender) public view returns (bytes32) {
+        bytes32 tokenPermissions = keccak256(abi.encode(TOKEN_PERMISSIONS_TYPEHASH, permit.permitted));
+        bytes32 structHash = keccak256(
+            abi.encode(PERMIT_TRANSFER_FROM_TYPEHASH, tokenPermissions, spender, permit.nonce, permit.deadline)
+        );
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+
+    function permitTransferFrom(
+        IPermit2.PermitTransferFrom memory permit,
+        IPermit2.SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= permit.deadline, "SignatureExpired");
+        require(transferDetails.requestedAmount <= permit.permitted.amount, "InvalidAmount");
+        require(!usedNonces[owner][permit.nonce], "InvalidNonce");
+        usedNonces[owner][permit.nonce] = true;
+
+        (bytes32 r, bytes32 s) = abi.decode(signature[:64], (bytes32, bytes32));
+        require(ecrecover(hashPermit(permit, msg.sender), uint8(signature[64]), r, s) == owner, "InvalidSigner");
+
+        IERC20(permit.permitted.token).transferFrom(owner, transferDetails.to, transferDetails.requestedAmount);
+    }
+}
+
 contract StoaQuestionTest is Test {
+    StoaQuestion public implementation;
     StoaQuestion public question;
     MockToken public paymentToken; // Single token for everything
 
@@ -30,17 +103,40 @@ contract StoaQuestionTest is Test {
     address public funder;
     address public referrer;
 
+    // Stands in for the factory: questions read paused() from whoever deployed their implementation
+    bool public paused;
+
     uint256 public constant SUBMISSION_COST = 10 * 10 ** 18; // 10 tokens
     uint256 public constant DURATION = 7 days;
     uint8 public constant MAX_WINNERS = 3;
     uint256 public constant INITIAL_BALANCE = 1000 * 10 ** 18;
+    uint256 public constant DISPUTE_PERIOD = 3 days;
+    uint256 public constant DISPUTE_BOND = 20 * 10 ** 18;
+    uint256 public constant REVEAL_PERIOD = 2 days;
+    uint256 public constant CLAIM_PERIOD = 30 days;
 
     // Events for testing
     event AnswerSubmitted(address indexed responder, uint256 index);
     event AnswerSubmittedWithReferral(address indexed responder, uint256 index, address indexed referrer);
+    event AnswerUpdated(address indexed responder, uint256 index, bytes32 answerHash);
+    event RevisionFeeSet(uint256 revisionFee);
     event Evaluated(uint256[] rankedAnswerIndices);
     event RewardClaimed(address indexed user, uint256 amount);
     event Seeded(address indexed funder, uint256 amount);
+    event SeedReclaimed(address indexed funder, uint256 amount);
+    event EvaluatorUpdated(address indexed previousEvaluator, address indexed newEvaluator);
+    event DisputesConfigured(address indexed arbiter, uint256 disputePeriod, uint256 disputeBond);
+    event DisputeOpened(address indexed challenger, uint256 index, bytes32 reasonHash, uint256 bond);
+    event DisputesResolved(bool rankingUpheld, uint256[] rankedAnswerIndices);
+    event DisputeBondReclaimed(address indexed challenger, uint256 amount);
+    event ClaimPeriodSet(uint256 claimPeriod);
+    event ClaimRouterSet(address indexed claimRouter);
+    event UnclaimedRewardsSwept(StoaQuestion.SweepDestination destination, address indexed recipient, uint256 amount);
+    event CommitRevealEnabled(uint256 revealPeriod);
+    event AnswerRevealed(address indexed responder, uint256 index, bytes32 answerHash);
+    event QuestionExtended(uint256 endsAt);
+    event QuestionClosedEarly(uint256 endsAt);
+    event QuestionCancelled();
     event FeeUpdated(uint256 newFeeBps);
     event ReferralFeeUpdated(uint256 newReferralFeeBps);
     event TreasuryUpdated(address newTreasury);
@@ -59,9 +155,21 @@ contract StoaQuestionTest is Test {
         // Deploy token and reputation system
         paymentToken = new MockToken("PaymentToken", "PAY");
 
-        // Deploy question contract with single token
-        vm.prank(creator);
-        question = new StoaQuestion(address(paymentToken), SUBMISSION_COST, DURATION, MAX_WINNERS, treasury, creator);
+        // Deploy question contract with single token, as a clone like the factory does
+        implementation = new StoaQuestion();
+        vm.startPrank(creator);
+        question = _cloneQuestion(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
+        vm.stopPrank();
 
         // Distribute tokens to users
         paymentToken.mint(user1, INITIAL_BALANCE);
@@ -116,11 +224,29 @@ contract StoaQuestionTest is Test {
 
         assertEq(question.totalRewardPool(), seedAmount);
         assertEq(paymentToken.balanceOf(address(question)), seedAmount);
+        assertEq(question.seededAmounts(funder), seedAmount);
+        assertEq(question.totalSeeded(), seedAmount);
+    }
+
+    function testSeedQuestionFor() public {
+        uint256 seedAmount = 100 * 10 ** 18;
+        uint256 payerBalance = paymentToken.balanceOf(user1);
+
+        vm.expectEmit(true, false, false, true);
+        emit Seeded(funder, seedAmount);
+
+        vm.prank(user1);
+        question.seedQuestionFor(funder, seedAmount);
+
+        assertEq(paymentToken.balanceOf(user1), payerBalance - seedAmount);
+        assertEq(question.seededAmounts(funder), seedAmount);
+        assertEq(question.seededAmounts(user1), 0);
+        assertEq(question.totalRewardPool(), seedAmount);
     }
 
     function testSeedQuestionRevertsWithZeroAmount() public {
         vm.prank(funder);
-        vm.expectRevert("Amount must be greater than 0");
+        vm.expectRevert(IStoaErrors.InvalidAmount.selector);
         question.seedQuestion(0);
     }
 
@@ -135,6 +261,374 @@ contract StoaQuestionTest is Test {
         vm.prank(user1);
         question.seedQuestion(secondSeed);
         assertEq(question.totalRewardPool(), firstSeed + secondSeed);
+        assertEq(question.seededAmounts(funder), firstSeed);
+        assertEq(question.seededAmounts(user1), secondSeed);
+        assertEq(question.totalSeeded(), firstSeed + secondSeed);
+    }
+
+    function testReclaimSeed() public {
+        uint256 firstSeed = 50 * 10 ** 18;
+        uint256 secondSeed = 75 * 10 ** 18;
+        vm.prank(funder);
+        question.seedQuestion(firstSeed);
+        vm.prank(user1);
+        question.seedQuestion(secondSeed);
+
+        uint256 endsAt = question.endsAt();
+        vm.prank(funder);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.QuestionNotEnded.selector, endsAt));
+        question.reclaimSeed();
+        assertEq(question.getReclaimableSeed(funder), 0);
+
+        vm.warp(block.timestamp + DURATION);
+        assertEq(question.getReclaimableSeed(funder), firstSeed);
+        assertEq(question.getReclaimableSeed(user1), secondSeed);
+
+        uint256 funderBalance = paymentToken.balanceOf(funder);
+        vm.expectEmit(true, false, false, true);
+        emit SeedReclaimed(funder, firstSeed);
+        vm.prank(funder);
+        question.reclaimSeed();
+
+        assertEq(paymentToken.balanceOf(funder), funderBalance + firstSeed);
+        assertEq(question.seededAmounts(funder), 0);
+        assertEq(question.totalRewardPool(), secondSeed);
+        assertEq(question.getReclaimableSeed(user1), secondSeed);
+
+        vm.prank(funder);
+        vm.expectRevert(IStoaErrors.NoSeed.selector);
+        question.reclaimSeed();
+
+        vm.prank(user1);
+        question.reclaimSeed();
+        assertEq(question.totalRewardPool(), 0);
+        assertEq(question.totalSeeded(), 0);
+        assertEq(paymentToken.balanceOf(address(question)), 0);
+    }
+
+    function testReclaimSeedRequiresNoSubmissions() public {
+        vm.prank(funder);
+        question.seedQuestion(100 * 10 ** 18);
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer"));
+
+        vm.warp(block.timestamp + DURATION);
+        assertEq(question.getReclaimableSeed(funder), 0);
+        vm.prank(funder);
+        vm.expectRevert(IStoaErrors.AnswersAlreadySubmitted.selector);
+        question.reclaimSeed();
+    }
+
+    // Deadline Tests
+    function testExtendDeadline() public {
+        uint256 newEndsAt = question.endsAt() + 3 days;
+        assertEq(question.maxEndsAt(), question.endsAt() + question.MAX_EXTENSION());
+
+        vm.expectEmit(false, false, false, true);
+        emit QuestionExtended(newEndsAt);
+        vm.prank(creator);
+        question.extendDeadline(newEndsAt);
+
+        assertEq(question.endsAt(), newEndsAt);
+        assertEq(question.evaluationDeadline(), newEndsAt + 7 days);
+
+        // Answers are accepted until the new end
+        vm.warp(block.timestamp + DURATION + 1 days);
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        vm.warp(newEndsAt);
+        vm.prank(user2);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.QuestionEnded.selector, newEndsAt));
+        question.submitAnswer(keccak256("Answer 2"));
+    }
+
+    function testExtendDeadlineMovesRevealPeriod() public {
+        vm.prank(creator);
+        question.enableCommitReveal(REVEAL_PERIOD);
+        uint256 newEndsAt = question.endsAt() + 1 days;
+
+        vm.prank(creator);
+        question.extendDeadline(newEndsAt);
+
+        assertEq(question.revealEndsAt(), newEndsAt + REVEAL_PERIOD);
+        assertEq(question.evaluationDeadline(), newEndsAt + REVEAL_PERIOD + 7 days);
+    }
+
+    function testExtendDeadlineBounds() public {
+        uint256 endsAt = question.endsAt();
+        uint256 maxEndsAt = question.maxEndsAt();
+
+        vm.startPrank(creator);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.InvalidEnd.selector, endsAt, maxEndsAt));
+        question.extendDeadline(endsAt);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.InvalidEnd.selector, maxEndsAt + 1, maxEndsAt));
+        question.extendDeadline(maxEndsAt + 1);
+
+        // Extending in steps cannot get past maxEndsAt either
+        question.extendDeadline(endsAt + 10 days);
+        question.extendDeadline(maxEndsAt);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.InvalidEnd.selector, maxEndsAt + 1, maxEndsAt));
+        question.extendDeadline(maxEndsAt + 1);
+        vm.stopPrank();
+        assertEq(question.endsAt(), maxEndsAt);
+
+        vm.warp(maxEndsAt);
+        vm.prank(creator);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.QuestionEnded.selector, maxEndsAt));
+        question.extendDeadline(maxEndsAt + 1);
+    }
+
+    function testExtendDeadlineOnlyOwner() public {
+        uint256 newEndsAt = question.endsAt() + 1 days;
+        vm.prank(user1);
+        vm.expectRevert("Ownable: caller is not the owner");
+        question.extendDeadline(newEndsAt);
+    }
+
+    function testCloseEarly() public {
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+
+        uint256 newEndsAt = block.timestamp + question.CLOSE_NOTICE();
+        vm.expectEmit(false, false, false, true);
+        emit QuestionClosedEarly(newEndsAt);
+        vm.prank(creator);
+        question.closeEarly();
+
+        assertEq(question.endsAt(), newEndsAt);
+        assertEq(question.evaluationDeadline(), newEndsAt + 7 days);
+
+        // Responders still have the notice period to answer
+        vm.warp(newEndsAt - 1);
+        vm.prank(user2);
+        question.submitAnswer(keccak256("Answer 2"));
+        vm.warp(newEndsAt);
+        vm.prank(user3);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.QuestionEnded.selector, newEndsAt));
+        question.submitAnswer(keccak256("Answer 3"));
+
+        uint256[] memory rankedIndices = new uint256[](1);
+        vm.prank(creator);
+        question.evaluateAnswers(rankedIndices);
+        assertTrue(question.evaluated());
+    }
+
+    function testCloseEarlyWithinNoticePeriod() public {
+        uint256 endsAt = question.endsAt();
+        vm.warp(endsAt - question.CLOSE_NOTICE());
+        vm.prank(creator);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.EndsWithinNoticePeriod.selector, endsAt));
+        question.closeEarly();
+
+        vm.prank(user1);
+        vm.expectRevert("Ownable: caller is not the owner");
+        question.closeEarly();
+    }
+
+    // Cancellation Tests
+    function testCancelRefundsContributions() public {
+        uint256 seedAmount = 100 * 10 ** 18;
+        uint256 revisionFee = 2 * 10 ** 18;
+        vm.prank(funder);
+        question.seedQuestion(seedAmount);
+        vm.prank(creator);
+        question.setRevisionFee(revisionFee);
+
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        vm.prank(user2);
+        question.submitAnswerWithReferral(keccak256("Answer 2"), referrer);
+        vm.prank(user1);
+        question.updateAnswer(keccak256("Answer 1, revised"));
+
+        // Referral fees leave less of user2's payment in the pool
+        uint256 user1Contribution = question.poolContributions(user1);
+        uint256 user2Contribution = question.poolContributions(user2);
+        assertGt(user1Contribution, user2Contribution + revisionFee);
+        assertEq(question.totalRewardPool(), seedAmount + user1Contribution + user2Contribution);
+
+        vm.expectEmit(false, false, false, true);
+        emit QuestionCancelled();
+        vm.prank(creator);
+        question.cancel();
+
+        assertTrue(question.cancelled());
+        assertEq(question.endsAt(), block.timestamp);
+        assertEq(question.getQuestionStatus(), "Cancelled");
+        assertTrue(question.canEmergencyRefund());
+        assertEq(question.getEmergencyRefundAmount(), 0);
+        assertEq(question.getReclaimableSeed(funder), seedAmount);
+
+        uint256 balanceBefore = paymentToken.balanceOf(user2);
+        vm.expectEmit(true, false, false, true);
+        emit RewardClaimed(user2, user2Contribution);
+        vm.prank(user2);
+        question.emergencyRefund();
+        assertEq(paymentToken.balanceOf(user2), balanceBefore + user2Contribution);
+
+        vm.prank(user2);
+        vm.expectRevert(IStoaErrors.AlreadyRefunded.selector);
+        question.emergencyRefund();
+
+        balanceBefore = paymentToken.balanceOf(funder);
+        vm.prank(funder);
+        question.reclaimSeed();
+        assertEq(paymentToken.balanceOf(funder), balanceBefore + seedAmount);
+        assertEq(question.getUnclaimedRewards(), user1Contribution);
+
+        balanceBefore = paymentToken.balanceOf(user1);
+        vm.prank(user1);
+        question.emergencyRefund();
+        assertEq(paymentToken.balanceOf(user1), balanceBefore + user1Contribution);
+
+        assertEq(question.totalRewardPool(), 0);
+        assertEq(paymentToken.balanceOf(address(question)), 0);
+    }
+
+    function testCancelBlocksAnswersSeedsAndEvaluation() public {
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        vm.prank(creator);
+        question.cancel();
+
+        vm.prank(user2);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.QuestionEnded.selector, block.timestamp));
+        question.submitAnswer(keccak256("Answer 2"));
+
+        vm.prank(funder);
+        vm.expectRevert(IStoaErrors.QuestionIsCancelled.selector);
+        question.seedQuestion(100 * 10 ** 18);
+
+        uint256 maxEndsAt = question.maxEndsAt();
+        vm.prank(creator);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.QuestionEnded.selector, block.timestamp));
+        question.extendDeadline(maxEndsAt);
+
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.QuestionIsCancelled.selector);
+        question.cancel();
+
+        vm.warp(block.timestamp + DURATION + 1);
+        uint256[] memory rankedIndices = new uint256[](1);
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.QuestionIsCancelled.selector);
+        question.evaluateAnswers(rankedIndices);
+    }
+
+    function testCancelAfterEnd() public {
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        uint256 endsAt = question.endsAt();
+
+        // Cancelling while awaiting evaluation keeps the end
+        vm.warp(endsAt + 1 days);
+        vm.prank(creator);
+        question.cancel();
+        assertEq(question.endsAt(), endsAt);
+
+        vm.prank(user1);
+        question.emergencyRefund();
+        assertEq(question.totalRewardPool(), 0);
+    }
+
+    function testCancelAfterEvaluation() public {
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        vm.warp(block.timestamp + DURATION + 1);
+        uint256[] memory rankedIndices = new uint256[](1);
+        vm.prank(creator);
+        question.evaluateAnswers(rankedIndices);
+
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.AlreadyEvaluated.selector);
+        question.cancel();
+    }
+
+    function testCancelAfterEvaluationDeadline() public {
+        uint256 evaluationDeadline = question.evaluationDeadline();
+        vm.warp(evaluationDeadline + 1);
+        vm.prank(creator);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.EvaluationDeadlinePassed.selector, evaluationDeadline));
+        question.cancel();
+    }
+
+    function testCancelOnlyOwner() public {
+        vm.prank(user1);
+        vm.expectRevert("Ownable: caller is not the owner");
+        question.cancel();
+    }
+
+    // Pause Tests
+    function testPausedReadsFromFactory() public {
+        assertEq(question.factory(), address(this));
+        assertFalse(question.paused());
+
+        paused = true;
+        assertTrue(question.paused());
+    }
+
+    function testPauseBlocksAnswersRevisionsAndSeeds() public {
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        paused = true;
+
+        vm.prank(user2);
+        vm.expectRevert(IStoaErrors.ProtocolPaused.selector);
+        question.submitAnswer(keccak256("Answer 2"));
+
+        vm.prank(user2);
+        vm.expectRevert(IStoaErrors.ProtocolPaused.selector);
+        question.submitAnswerWithReferral(keccak256("Answer 2"), referrer);
+
+        vm.prank(user1);
+        vm.expectRevert(IStoaErrors.ProtocolPaused.selector);
+        question.updateAnswer(keccak256("Answer 1, revised"));
+
+        vm.prank(funder);
+        vm.expectRevert(IStoaErrors.ProtocolPaused.selector);
+        question.seedQuestion(100 * 10 ** 18);
+
+        paused = false;
+        vm.prank(user2);
+        question.submitAnswer(keccak256("Answer 2"));
+        assertEq(question.getAnswerCount(), 2);
+    }
+
+    function testPauseAllowsEvaluationAndClaims() public {
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        paused = true;
+
+        vm.warp(block.timestamp + DURATION + 1);
+        uint256[] memory rankedIndices = new uint256[](1);
+        vm.prank(creator);
+        question.evaluateAnswers(rankedIndices);
+
+        uint256 balanceBefore = paymentToken.balanceOf(user1);
+        vm.prank(user1);
+        question.claimReward();
+        assertGt(paymentToken.balanceOf(user1), balanceBefore);
+    }
+
+    function testPauseAllowsRefundsAndSeedReclaims() public {
+        vm.prank(funder);
+        question.seedQuestion(100 * 10 ** 18);
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        uint256 contribution = question.poolContributions(user1);
+        paused = true;
+
+        vm.prank(creator);
+        question.cancel();
+
+        uint256 balanceBefore = paymentToken.balanceOf(user1);
+        vm.prank(user1);
+        question.emergencyRefund();
+        assertEq(paymentToken.balanceOf(user1), balanceBefore + contribution);
+
+        vm.prank(funder);
+        question.reclaimSeed();
+        assertEq(paymentToken.balanceOf(funder), INITIAL_BALANCE);
     }
 
     // Submitter Authorization Tests
@@ -194,10 +688,11 @@ contract StoaQuestionTest is Test {
     }
 
     function testSubmitAnswerAfterDeadline() public {
+        uint256 endsAt = question.endsAt();
         vm.warp(block.timestamp + DURATION + 1);
 
         vm.prank(user1);
-        vm.expectRevert("Question ended");
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.QuestionEnded.selector, endsAt));
         question.submitAnswer(keccak256("Late answer"));
     }
 
@@ -206,21 +701,25 @@ contract StoaQuestionTest is Test {
         question.submitAnswer(keccak256("First answer"));
 
         vm.prank(user1);
-        vm.expectRevert("Already submitted");
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.AlreadySubmitted.selector, user1));
         question.submitAnswer(keccak256("Second answer"));
     }
 
     function testSubmitAnswerWithZeroSubmissionCost() public {
         // Deploy new question with zero submission cost
-        vm.prank(creator);
-        StoaQuestion zeroFeeQuestion = new StoaQuestion(
+        vm.startPrank(creator);
+        StoaQuestion zeroFeeQuestion = _cloneQuestion(
             address(paymentToken),
             0, // Zero submission cost
             DURATION,
             MAX_WINNERS,
             treasury,
-            creator
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
         );
+        vm.stopPrank();
 
         vm.prank(user1);
         zeroFeeQuestion.submitAnswer(keccak256("Free answer"));
@@ -229,17 +728,139 @@ contract StoaQuestionTest is Test {
         assertEq(paymentToken.balanceOf(treasury), 0);
     }
 
-    // Submit Answer For Tests
-    function testSubmitAnswerFor() public {
-        bytes32 answerHash = keccak256("Answer for user");
-
-        vm.prank(creator);
-        question.setSubmitter(submitter, true);
+    // Answer Revision Tests
+    function testUpdateAnswer() public {
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        vm.prank(user2);
+        question.submitAnswer(keccak256("Answer 2"));
+        uint256 submittedAt = block.timestamp;
+        uint256 poolBefore = question.totalRewardPool();
+        uint256 balanceBefore = paymentToken.balanceOf(user1);
 
+        vm.warp(block.timestamp + 1 hours);
+        bytes32 revisedHash = keccak256("Answer 1, revised");
         vm.expectEmit(true, false, false, true);
-        emit AnswerSubmitted(user1, 0);
+        emit AnswerUpdated(user1, 0, revisedHash);
+        vm.prank(user1);
+        question.updateAnswer(revisedHash);
 
-        vm.prank(submitter);
+        // Same slot, new hash; free by default
+        StoaQuestion.Answer memory answer = question.getAnswer(0);
+        assertEq(answer.responder, user1);
+        assertEq(answer.answerHash, revisedHash);
+        assertEq(answer.timestamp, submittedAt);
+        assertEq(question.userAnswerIndex(user1), 1);
+        assertEq(question.getAnswerCount(), 2);
+        assertEq(question.getAnswer(1).answerHash, keccak256("Answer 2"));
+        assertEq(question.totalRewardPool(), poolBefore);
+        assertEq(paymentToken.balanceOf(user1), balanceBefore);
+
+        // Revisions can be revised again
+        vm.prank(user1);
+        question.updateAnswer(keccak256("Answer 1, revised twice"));
+        assertEq(question.getAnswer(0).answerHash, keccak256("Answer 1, revised twice"));
+    }
+
+    function testUpdateAnswerNoSubmission() public {
+        vm.prank(user1);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.NoSubmission.selector, user1));
+        question.updateAnswer(keccak256("Answer 1"));
+    }
+
+    function testUpdateAnswerAfterDeadline() public {
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+
+        uint256 endsAt = question.endsAt();
+        vm.warp(endsAt);
+        vm.prank(user1);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.QuestionEnded.selector, endsAt));
+        question.updateAnswer(keccak256("Answer 1, revised"));
+    }
+
+    function testUpdateAnswerChargesRevisionFee() public {
+        uint256 revisionFee = 2 * 10 ** 18;
+        vm.expectEmit(false, false, false, true);
+        emit RevisionFeeSet(revisionFee);
+        vm.prank(creator);
+        question.setRevisionFee(revisionFee);
+        assertEq(question.revisionFee(), revisionFee);
+
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        uint256 poolBefore = question.totalRewardPool();
+        uint256 balanceBefore = paymentToken.balanceOf(user1);
+        uint256 creatorBalanceBefore = paymentToken.balanceOf(creator);
+        uint256 treasuryBalanceBefore = paymentToken.balanceOf(treasury);
+
+        vm.prank(user1);
+        question.updateAnswer(keccak256("Answer 1, revised"));
+
+        // The whole fee goes to the reward pool
+        assertEq(paymentToken.balanceOf(user1), balanceBefore - revisionFee);
+        assertEq(question.totalRewardPool(), poolBefore + revisionFee);
+        assertEq(paymentToken.balanceOf(creator), creatorBalanceBefore);
+        assertEq(paymentToken.balanceOf(treasury), treasuryBalanceBefore);
+    }
+
+    function testSetRevisionFeeOnlyOwner() public {
+        vm.prank(user1);
+        vm.expectRevert("Ownable: caller is not the owner");
+        question.setRevisionFee(1);
+    }
+
+    function testCannotChangeRevisionFeeAfterAnswers() public {
+        vm.prank(creator);
+        question.setRevisionFee(1);
+
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+
+        // Raising the fee now would charge responders more than they answered under
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.AnswersAlreadySubmitted.selector);
+        question.setRevisionFee(100 * 10 ** 18);
+        assertEq(question.revisionFee(), 1);
+
+        uint256 balanceBefore = paymentToken.balanceOf(user1);
+        vm.prank(user1);
+        question.updateAnswer(keccak256("Answer 1, revised"));
+        assertEq(paymentToken.balanceOf(user1), balanceBefore - 1);
+    }
+
+    function testUpdateSealedAnswer() public {
+        StoaQuestion committed = _deploySealedQuestion();
+        bytes32 answerHash = keccak256("Answer 1");
+        bytes32 revisedHash = keccak256("Answer 1, revised");
+        bytes32 sealedHash = committed.sealAnswer(user1, answerHash, keccak256("salt 1"));
+        // A revision is sealed like the original, under a fresh salt
+        bytes32 revisedSealedHash = committed.sealAnswer(user1, revisedHash, keccak256("salt 2"));
+
+        vm.prank(user1);
+        committed.submitAnswer(sealedHash);
+        vm.prank(user1);
+        committed.updateAnswer(revisedSealedHash);
+        assertEq(committed.getAnswer(0).answerHash, revisedSealedHash);
+
+        vm.warp(committed.endsAt());
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.InvalidReveal.selector, 0));
+        committed.revealAnswer(0, answerHash, keccak256("salt 1"));
+        committed.revealAnswer(0, revisedHash, keccak256("salt 2"));
+        assertEq(committed.getAnswer(0).answerHash, revisedHash);
+    }
+
+    // Submit Answer For Tests
+    function testSubmitAnswerFor() public {
+        bytes32 answerHash = keccak256("Answer for user");
+
+        vm.prank(creator);
+        question.setSubmitter(submitter, true);
+
+        vm.expectEmit(true, false, false, true);
+        emit AnswerSubmitted(user1, 0);
+
+        vm.prank(submitter);
         question.submitAnswerFor(user1, answerHash);
 
         StoaQuestion.Answer memory answer = question.getAnswer(0);
@@ -250,7 +871,7 @@ contract StoaQuestionTest is Test {
 
     function testSubmitAnswerForUnauthorized() public {
         vm.prank(user2);
-        vm.expectRevert("Not allowed");
+        vm.expectRevert(IStoaErrors.NotAuthorizedSubmitter.selector);
         question.submitAnswerFor(user1, keccak256("Unauthorized"));
     }
 
@@ -259,7 +880,7 @@ contract StoaQuestionTest is Test {
         question.setSubmitter(submitter, true);
 
         vm.prank(submitter);
-        vm.expectRevert("Invalid user");
+        vm.expectRevert(IStoaErrors.InvalidUser.selector);
         question.submitAnswerFor(address(0), keccak256("Zero address"));
     }
 
@@ -271,10 +892,126 @@ contract StoaQuestionTest is Test {
         question.submitAnswerFor(user1, keccak256("First"));
 
         vm.prank(submitter);
-        vm.expectRevert("Already submitted");
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.AlreadySubmitted.selector, user1));
         question.submitAnswerFor(user1, keccak256("Second"));
     }
 
+    // Answer Intent Tests
+    function testSubmitAnswerWithIntent() public {
+        (address signer, uint256 key) = makeAddrAndKey("signer");
+        bytes32 answerHash = keccak256("Signed answer");
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signAnswerIntent(question, key, answerHash, referrer, deadline);
+        vm.prank(creator);
+        question.setSubmitter(submitter, true);
+        uint256 submitterBalance = paymentToken.balanceOf(submitter);
+
+        vm.expectEmit(true, false, true, true);
+        emit AnswerSubmittedWithReferral(signer, 0, referrer);
+        vm.prank(submitter);
+        question.submitAnswerWithIntent(signer, answerHash, referrer, deadline, signature);
+
+        StoaQuestion.Answer memory answer = question.getAnswer(0);
+        assertEq(answer.responder, signer);
+        assertEq(answer.answerHash, answerHash);
+        assertEq(question.intentNonces(signer), 1);
+        assertEq(paymentToken.balanceOf(submitter), submitterBalance - SUBMISSION_COST);
+    }
+
+    function testSubmitAnswerWithIntentUnauthorized() public {
+        (address signer, uint256 key) = makeAddrAndKey("signer");
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signAnswerIntent(question, key, keccak256("Answer"), address(0), deadline);
+
+        vm.prank(user1);
+        vm.expectRevert(IStoaErrors.NotAuthorizedSubmitter.selector);
+        question.submitAnswerWithIntent(signer, keccak256("Answer"), address(0), deadline, signature);
+    }
+
+    function testSubmitAnswerWithIntentRequiresResponderSignature() public {
+        (address signer,) = makeAddrAndKey("signer");
+        (, uint256 otherKey) = makeAddrAndKey("other");
+        bytes32 answerHash = keccak256("Answer");
+        uint256 deadline = block.timestamp + 1 hours;
+        vm.prank(creator);
+        question.setSubmitter(submitter, true);
+
+        // Signed by someone else
+        bytes memory signature = _signAnswerIntent(question, otherKey, answerHash, address(0), deadline);
+        vm.prank(submitter);
+        vm.expectRevert(IStoaErrors.InvalidSignature.selector);
+        question.submitAnswerWithIntent(signer, answerHash, address(0), deadline, signature);
+    }
+
+    function testSubmitAnswerWithIntentRejectsAlteredIntent() public {
+        (address signer, uint256 key) = makeAddrAndKey("signer");
+        bytes32 answerHash = keccak256("Answer");
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signAnswerIntent(question, key, answerHash, address(0), deadline);
+        vm.prank(creator);
+        question.setSubmitter(submitter, true);
+
+        vm.startPrank(submitter);
+        vm.expectRevert(IStoaErrors.InvalidSignature.selector);
+        question.submitAnswerWithIntent(signer, keccak256("Other answer"), address(0), deadline, signature);
+        vm.expectRevert(IStoaErrors.InvalidSignature.selector);
+        question.submitAnswerWithIntent(signer, answerHash, referrer, deadline, signature);
+        vm.expectRevert(IStoaErrors.InvalidSignature.selector);
+        question.submitAnswerWithIntent(signer, answerHash, address(0), deadline + 1, signature);
+        vm.stopPrank();
+    }
+
+    function testSubmitAnswerWithIntentExpired() public {
+        (address signer, uint256 key) = makeAddrAndKey("signer");
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signAnswerIntent(question, key, keccak256("Answer"), address(0), deadline);
+        vm.prank(creator);
+        question.setSubmitter(submitter, true);
+
+        vm.warp(deadline + 1);
+        vm.prank(submitter);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.IntentExpired.selector, deadline));
+        question.submitAnswerWithIntent(signer, keccak256("Answer"), address(0), deadline, signature);
+    }
+
+    function testSubmitAnswerWithIntentCannotBeReplayed() public {
+        (address signer, uint256 key) = makeAddrAndKey("signer");
+        bytes32 answerHash = keccak256("Answer");
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signAnswerIntent(question, key, answerHash, address(0), deadline);
+        StoaQuestion other = _deployScoredQuestion(StoaQuestion.ScoringMode.Linear, new uint16[](0));
+        other.setSubmitter(submitter, true);
+        vm.prank(creator);
+        question.setSubmitter(submitter, true);
+        vm.prank(submitter);
+        paymentToken.approve(address(other), type(uint256).max);
+
+        vm.prank(submitter);
+        question.submitAnswerWithIntent(signer, answerHash, address(0), deadline, signature);
+
+        // The nonce is used up, and intents are bound to their question
+        vm.prank(submitter);
+        vm.expectRevert(IStoaErrors.InvalidSignature.selector);
+        question.submitAnswerWithIntent(signer, answerHash, address(0), deadline, signature);
+        vm.prank(submitter);
+        vm.expectRevert(IStoaErrors.InvalidSignature.selector);
+        other.submitAnswerWithIntent(signer, answerHash, address(0), deadline, signature);
+    }
+
+    function testSubmitAnswerWithIntentFromSmartWallet() public {
+        (address walletOwner, uint256 key) = makeAddrAndKey("walletOwner");
+        MockSmartWallet wallet = new MockSmartWallet(walletOwner);
+        bytes32 answerHash = keccak256("Answer");
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signAnswerIntent(question, key, answerHash, address(0), deadline);
+        vm.prank(creator);
+        question.setSubmitter(submitter, true);
+
+        vm.prank(submitter);
+        question.submitAnswerWithIntent(address(wallet), answerHash, address(0), deadline, signature);
+        assertEq(question.getAnswer(0).responder, address(wallet));
+    }
+
     // Evaluation Tests
     function testEvaluateAnswers() public {
         // Submit multiple answers
@@ -312,15 +1049,150 @@ contract StoaQuestionTest is Test {
         uint256[] memory rankedIndices = new uint256[](0);
 
         vm.prank(user1);
-        vm.expectRevert("Not evaluator");
+        vm.expectRevert(IStoaErrors.NotEvaluator.selector);
+        question.evaluateAnswers(rankedIndices);
+    }
+
+    function testSeparateEvaluator() public {
+        address evaluator = makeAddr("evaluator");
+        vm.startPrank(creator);
+        StoaQuestion delegated = _cloneQuestion(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            creator,
+            evaluator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
+        vm.stopPrank();
+        assertEq(delegated.evaluator(), evaluator);
+
+        vm.warp(block.timestamp + DURATION + 1);
+        uint256[] memory rankedIndices = new uint256[](0);
+
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.NotEvaluator.selector);
+        delegated.evaluateAnswers(rankedIndices);
+
+        vm.prank(evaluator);
+        delegated.evaluateAnswers(rankedIndices);
+        assertTrue(delegated.evaluated());
+    }
+
+    function testConstructorRejectsZeroEvaluator() public {
+        StoaQuestion clone = StoaQuestion(Clones.clone(address(implementation)));
+        vm.expectRevert(IStoaErrors.InvalidEvaluator.selector);
+        clone.initialize(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            _defaultFees(),
+            creator,
+            address(0),
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
+    }
+
+    function testInitializeSetsDefaults() public {
+        assertEq(question.owner(), creator);
+        assertEq(question.treasury(), treasury);
+        assertEq(question.feeBps(), 1000);
+        assertEq(question.creatorFeeBps(), 1000);
+        assertEq(question.referralFeeBps(), 500);
+        assertEq(question.endsAt(), block.timestamp + DURATION);
+    }
+
+    function testInitializeOnlyOnce() public {
+        vm.prank(user1);
+        vm.expectRevert("Initializable: contract is already initialized");
+        question.initialize(
+            address(paymentToken),
+            0,
+            DURATION,
+            MAX_WINNERS,
+            user1,
+            _defaultFees(),
+            user1,
+            user1,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
+        assertEq(question.owner(), creator);
+    }
+
+    function testImplementationCannotBeInitialized() public {
+        vm.expectRevert("Initializable: contract is already initialized");
+        implementation.initialize(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            _defaultFees(),
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
+    }
+
+    function testSetEvaluator() public {
+        address evaluator = makeAddr("evaluator");
+        assertEq(question.evaluator(), creator);
+
+        vm.expectEmit(true, true, false, true);
+        emit EvaluatorUpdated(creator, evaluator);
+        vm.prank(creator);
+        question.setEvaluator(evaluator);
+        assertEq(question.evaluator(), evaluator);
+
+        vm.warp(block.timestamp + DURATION + 1);
+        uint256[] memory rankedIndices = new uint256[](0);
+
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.NotEvaluator.selector);
+        question.evaluateAnswers(rankedIndices);
+
+        vm.prank(evaluator);
+        question.evaluateAnswers(rankedIndices);
+        assertTrue(question.evaluated());
+    }
+
+    function testSetEvaluatorOnlyOwner() public {
+        vm.prank(user1);
+        vm.expectRevert("Ownable: caller is not the owner");
+        question.setEvaluator(user1);
+    }
+
+    function testSetEvaluatorZeroAddress() public {
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.InvalidEvaluator.selector);
+        question.setEvaluator(address(0));
+    }
+
+    function testSetEvaluatorAfterEvaluation() public {
+        vm.warp(block.timestamp + DURATION + 1);
+        uint256[] memory rankedIndices = new uint256[](0);
+        vm.prank(creator);
         question.evaluateAnswers(rankedIndices);
+
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.AlreadyEvaluated.selector);
+        question.setEvaluator(user1);
     }
 
     function testEvaluateAnswersTooEarly() public {
         uint256[] memory rankedIndices = new uint256[](0);
+        uint256 endsAt = question.endsAt();
 
         vm.prank(creator);
-        vm.expectRevert("Too early");
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.EvaluationTooEarly.selector, endsAt));
         question.evaluateAnswers(rankedIndices);
     }
 
@@ -333,7 +1205,7 @@ contract StoaQuestionTest is Test {
         question.evaluateAnswers(rankedIndices);
 
         vm.prank(creator);
-        vm.expectRevert("Already evaluated");
+        vm.expectRevert(IStoaErrors.AlreadyEvaluated.selector);
         question.evaluateAnswers(rankedIndices);
     }
 
@@ -346,10 +1218,183 @@ contract StoaQuestionTest is Test {
         }
 
         vm.prank(creator);
-        vm.expectRevert("Too many winners");
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.TooManyWinners.selector, MAX_WINNERS + 1, MAX_WINNERS));
         question.evaluateAnswers(rankedIndices);
     }
 
+    // Scoring Curve Tests
+    function testLinearScoringIsDefault() public {
+        (StoaQuestion.ScoringMode mode, uint16[] memory params) = question.getScoringCurve();
+        assertEq(uint8(mode), uint8(StoaQuestion.ScoringMode.Linear));
+        assertEq(params.length, 0);
+
+        uint256[] memory scores = question.getRankScores();
+        assertEq(scores.length, MAX_WINNERS);
+        assertEq(scores[0], 3);
+        assertEq(scores[1], 2);
+        assertEq(scores[2], 1);
+    }
+
+    function testWinnerTakesMostScoring() public {
+        uint16[] memory params = new uint16[](1);
+        params[0] = 8000;
+        StoaQuestion scored = _deployScoredQuestion(StoaQuestion.ScoringMode.WinnerTakesMost, params);
+
+        assertEq(scored.rankScore(0), 8000);
+        assertEq(scored.rankScore(1), 1000);
+        assertEq(scored.rankScore(2), 1000);
+
+        _submitAndEvaluateAll(scored);
+        uint256 pool = scored.totalRewardPool();
+        assertEq(scored.getClaimableAmount(user1), (pool * 8000) / 10000);
+        assertEq(scored.getClaimableAmount(user2), (pool * 1000) / 10000);
+    }
+
+    function testEqualScoring() public {
+        StoaQuestion scored = _deployScoredQuestion(StoaQuestion.ScoringMode.Equal, new uint16[](0));
+
+        _submitAndEvaluateAll(scored);
+        uint256 pool = scored.totalRewardPool();
+        assertEq(scored.totalScore(), 3);
+        assertEq(scored.getClaimableAmount(user1), pool / 3);
+        assertEq(scored.getClaimableAmount(user3), pool / 3);
+    }
+
+    function testGeometricScoring() public {
+        uint16[] memory params = new uint16[](1);
+        params[0] = 5000;
+        StoaQuestion scored = _deployScoredQuestion(StoaQuestion.ScoringMode.Geometric, params);
+
+        uint256[] memory scores = scored.getRankScores();
+        assertEq(scores[0], 10000);
+        assertEq(scores[1], 5000);
+        assertEq(scores[2], 2500);
+
+        _submitAndEvaluateAll(scored);
+        uint256 pool = scored.totalRewardPool();
+        assertEq(scored.getClaimableAmount(user1), (pool * 10000) / 17500);
+        assertEq(scored.getClaimableAmount(user3), (pool * 2500) / 17500);
+    }
+
+    function testGeometricScoringNeverReachesZero() public {
+        uint16[] memory params = new uint16[](1);
+        params[0] = 1;
+
+        vm.startPrank(creator);
+        StoaQuestion scored = _cloneQuestion(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            type(uint8).max,
+            treasury,
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Geometric,
+            params
+        );
+        vm.stopPrank();
+
+        assertEq(scored.rankScore(1), 1);
+        assertEq(scored.rankScore(type(uint8).max - 1), 1);
+    }
+
+    function testCustomScoring() public {
+        uint16[] memory params = new uint16[](3);
+        params[0] = 6000;
+        params[1] = 3000;
+        params[2] = 1000;
+        StoaQuestion scored = _deployScoredQuestion(StoaQuestion.ScoringMode.Custom, params);
+
+        (StoaQuestion.ScoringMode mode, uint16[] memory stored) = scored.getScoringCurve();
+        assertEq(uint8(mode), uint8(StoaQuestion.ScoringMode.Custom));
+        assertEq(stored.length, 3);
+        assertEq(stored[1], 3000);
+
+        _submitAndEvaluateAll(scored);
+        uint256 pool = scored.totalRewardPool();
+        assertEq(scored.getClaimableAmount(user1), (pool * 6000) / 10000);
+        assertEq(scored.getClaimableAmount(user2), (pool * 3000) / 10000);
+        assertEq(scored.getClaimableAmount(user3), (pool * 1000) / 10000);
+    }
+
+    function testCustomScoringRedistributesUnfilledRanks() public {
+        uint16[] memory params = new uint16[](3);
+        params[0] = 6000;
+        params[1] = 3000;
+        params[2] = 1000;
+        StoaQuestion scored = _deployScoredQuestion(StoaQuestion.ScoringMode.Custom, params);
+
+        vm.prank(user1);
+        scored.submitAnswer(keccak256("Answer 1"));
+        vm.prank(user2);
+        scored.submitAnswer(keccak256("Answer 2"));
+
+        vm.warp(block.timestamp + DURATION + 1);
+        uint256[] memory rankedIndices = new uint256[](2);
+        rankedIndices[0] = 0;
+        rankedIndices[1] = 1;
+        vm.prank(creator);
+        scored.evaluateAnswers(rankedIndices);
+
+        uint256 pool = scored.totalRewardPool();
+        assertEq(scored.totalScore(), 9000);
+        assertEq(scored.getClaimableAmount(user1), (pool * 6000) / 9000);
+        assertEq(scored.getClaimableAmount(user2), (pool * 3000) / 9000);
+    }
+
+    function testScoringValidation() public {
+        uint16[] memory one = new uint16[](1);
+
+        one[0] = 5000;
+        _assertScoringReverts(
+            StoaQuestion.ScoringMode.WinnerTakesMost,
+            one,
+            abi.encodeWithSelector(IStoaErrors.InvalidFirstPlaceShare.selector, 5000)
+        );
+
+        one[0] = 10000;
+        _assertScoringReverts(
+            StoaQuestion.ScoringMode.Geometric, one, abi.encodeWithSelector(IStoaErrors.InvalidRatio.selector, 10000)
+        );
+
+        _assertScoringReverts(
+            StoaQuestion.ScoringMode.Linear, one, abi.encodeWithSelector(IStoaErrors.UnexpectedScoringParams.selector)
+        );
+
+        _assertScoringReverts(
+            StoaQuestion.ScoringMode.Geometric,
+            new uint16[](0),
+            abi.encodeWithSelector(IStoaErrors.InvalidScoringParams.selector)
+        );
+
+        _assertScoringReverts(
+            StoaQuestion.ScoringMode.Custom,
+            one,
+            abi.encodeWithSelector(IStoaErrors.ShareCountMismatch.selector, 1, MAX_WINNERS)
+        );
+
+        uint16[] memory shares = new uint16[](3);
+        shares[0] = 5000;
+        shares[1] = 3000;
+        shares[2] = 1000;
+        _assertScoringReverts(
+            StoaQuestion.ScoringMode.Custom,
+            shares,
+            abi.encodeWithSelector(IStoaErrors.SharesSumMismatch.selector, 9000)
+        );
+
+        shares[0] = 7000;
+        shares[2] = 0;
+        _assertScoringReverts(
+            StoaQuestion.ScoringMode.Custom, shares, abi.encodeWithSelector(IStoaErrors.ZeroShare.selector, 2)
+        );
+    }
+
+    function testRankScoreInvalidRank() public {
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.InvalidRank.selector, MAX_WINNERS, MAX_WINNERS));
+        question.rankScore(MAX_WINNERS);
+    }
+
     // Reward Claiming Tests
     function testClaimReward() public {
         // Seed the question
@@ -406,7 +1451,7 @@ contract StoaQuestionTest is Test {
 
     function testClaimRewardNoSubmission() public {
         vm.prank(user1);
-        vm.expectRevert("No submission");
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.NoSubmission.selector, user1));
         question.claimReward();
     }
 
@@ -415,7 +1460,7 @@ contract StoaQuestionTest is Test {
         question.submitAnswer(keccak256("Answer"));
 
         vm.prank(user1);
-        vm.expectRevert("Not evaluated yet");
+        vm.expectRevert(IStoaErrors.NotEvaluated.selector);
         question.claimReward();
     }
 
@@ -430,7 +1475,7 @@ contract StoaQuestionTest is Test {
         question.evaluateAnswers(rankedIndices);
 
         vm.prank(user1);
-        vm.expectRevert("No reward");
+        vm.expectRevert(IStoaErrors.NoReward.selector);
         question.claimReward();
     }
 
@@ -452,7 +1497,7 @@ contract StoaQuestionTest is Test {
         question.claimReward();
 
         vm.prank(user1);
-        vm.expectRevert("Already claimed");
+        vm.expectRevert(IStoaErrors.AlreadyClaimed.selector);
         question.claimReward();
     }
 
@@ -483,6 +1528,30 @@ contract StoaQuestionTest is Test {
         assertEq(answers[1].responder, user2);
     }
 
+    function testGetAnswersPages() public {
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        vm.prank(user2);
+        question.submitAnswer(keccak256("Answer 2"));
+        vm.prank(user3);
+        question.submitAnswer(keccak256("Answer 3"));
+
+        StoaQuestion.Answer[] memory page = question.getAnswers(0, 2);
+        assertEq(page.length, 2);
+        assertEq(page[0].responder, user1);
+        assertEq(page[1].responder, user2);
+
+        // The last page is short, and pages past the end are empty
+        page = question.getAnswers(2, 2);
+        assertEq(page.length, 1);
+        assertEq(page[0].responder, user3);
+        assertEq(page[0].answerHash, keccak256("Answer 3"));
+        assertEq(question.getAnswers(3, 2).length, 0);
+        assertEq(question.getAnswers(type(uint256).max, type(uint256).max).length, 0);
+        assertEq(question.getAnswers(1, type(uint256).max).length, 2);
+        assertEq(question.getAnswers(0, 0).length, 0);
+    }
+
     function testGetUserAnswer() public {
         bytes32 answerHash = keccak256("User answer");
 
@@ -495,7 +1564,7 @@ contract StoaQuestionTest is Test {
     }
 
     function testGetUserAnswerNoAnswer() public {
-        vm.expectRevert("No answer");
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.NoSubmission.selector, user1));
         question.getUserAnswer(user1);
     }
 
@@ -789,9 +1858,19 @@ contract StoaQuestionTest is Test {
 
         for (uint256 i = 0; i < costs.length; i++) {
             // Deploy new question with different cost
-            vm.prank(creator);
-            StoaQuestion testQuestion =
-                new StoaQuestion(address(paymentToken), costs[i], DURATION, MAX_WINNERS, treasury, creator);
+            vm.startPrank(creator);
+            StoaQuestion testQuestion = _cloneQuestion(
+                address(paymentToken),
+                costs[i],
+                DURATION,
+                MAX_WINNERS,
+                treasury,
+                creator,
+                creator,
+                StoaQuestion.ScoringMode.Linear,
+                new uint16[](0)
+            );
+            vm.stopPrank();
 
             vm.prank(user1);
             paymentToken.approve(address(testQuestion), type(uint256).max);
@@ -850,7 +1929,7 @@ contract StoaQuestionTest is Test {
 
     function testFuzzReferralCalculation(uint256 submissionCost, uint16 referralBps) public {
         vm.assume(submissionCost > 0 && submissionCost <= paymentToken.balanceOf(user1));
-        vm.assume(referralBps <= 10000); // Max 100%
+        vm.assume(referralBps <= 1000); // Default referral fee cap
 
         // Ensure total fees don't exceed 100% to prevent overflow
         uint256 totalFees = 1000 + 1000 + referralBps; // protocol + creator + referral
@@ -858,9 +1937,19 @@ contract StoaQuestionTest is Test {
         vm.assume(submissionCost >= totalFees); // Prevent underflow in reward calculation
 
         // Deploy question with fuzzed parameters
-        vm.prank(creator);
-        StoaQuestion fuzzQuestion =
-            new StoaQuestion(address(paymentToken), submissionCost, DURATION, MAX_WINNERS, treasury, creator);
+        vm.startPrank(creator);
+        StoaQuestion fuzzQuestion = _cloneQuestion(
+            address(paymentToken),
+            submissionCost,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
+        vm.stopPrank();
 
         // Set custom referral fee
         vm.prank(creator);
@@ -902,9 +1991,10 @@ contract StoaQuestionTest is Test {
     function testEmergencyRefundTooEarly() public {
         vm.prank(user1);
         question.submitAnswer(keccak256("Answer"));
+        uint256 evaluationDeadline = question.evaluationDeadline();
 
         vm.prank(user1);
-        vm.expectRevert("Evaluation deadline not reached");
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.EvaluationDeadlineNotReached.selector, evaluationDeadline));
         question.emergencyRefund();
     }
 
@@ -923,14 +2013,67 @@ contract StoaQuestionTest is Test {
         // Try emergency refund after evaluation
         vm.warp(block.timestamp + 7 days + 1);
         vm.prank(user1);
-        vm.expectRevert("Already evaluated");
+        vm.expectRevert(IStoaErrors.AlreadyEvaluated.selector);
         question.emergencyRefund();
     }
 
-    // Test referral fee configuration
-    function testSetReferralFeeBps() public {
-        vm.expectEmit(true, false, false, true);
-        emit ReferralFeeUpdated(750); // 7.5%
+    function testEmergencyRefundAfterZeroWinnerEvaluation() public {
+        vm.prank(funder);
+        question.seedQuestion(100 * 10 ** 18);
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        vm.prank(user2);
+        question.submitAnswer(keccak256("Answer 2"));
+
+        vm.warp(block.timestamp + DURATION + 1);
+        vm.prank(creator);
+        question.evaluateAnswers(new uint256[](0));
+
+        assertTrue(question.canEmergencyRefund());
+        assertEq(question.getQuestionStatus(), "EmergencyRefundAvailable");
+        uint256 pool = question.totalRewardPool();
+        uint256 share = pool / 2;
+        assertEq(question.getEmergencyRefundAmount(), share);
+
+        vm.prank(user1);
+        vm.expectRevert(IStoaErrors.NoReward.selector);
+        question.claimReward();
+
+        uint256 balanceBefore = paymentToken.balanceOf(user1);
+        vm.prank(user1);
+        question.emergencyRefund();
+        assertEq(paymentToken.balanceOf(user1), balanceBefore + share);
+        assertEq(question.getUnclaimedRewards(), pool - share);
+
+        vm.prank(user1);
+        vm.expectRevert(IStoaErrors.AlreadyRefunded.selector);
+        question.emergencyRefund();
+    }
+
+    function testZeroWinnerRefundWaitsForFinalRanking() public {
+        (StoaQuestion disputed,) = _deployDisputedQuestion();
+        vm.prank(user1);
+        disputed.submitAnswer(keccak256("Answer 1"));
+
+        vm.warp(block.timestamp + DURATION + 1);
+        vm.prank(creator);
+        disputed.evaluateAnswers(new uint256[](0));
+
+        assertFalse(disputed.canEmergencyRefund());
+        vm.prank(user1);
+        vm.expectRevert(IStoaErrors.RankingNotFinal.selector);
+        disputed.emergencyRefund();
+
+        vm.warp(disputed.disputeEndsAt());
+        vm.prank(user1);
+        disputed.emergencyRefund();
+        assertEq(disputed.getUnclaimedRewards(), 0);
+    }
+
+    // Test referral fee configuration
+    function testSetReferralFeeBps() public {
+        vm.expectEmit(true, false, false, true);
+        emit ReferralFeeUpdated(750); // 7.5%
 
         vm.prank(creator);
         question.setReferralFeeBps(750);
@@ -946,8 +2089,72 @@ contract StoaQuestionTest is Test {
 
     function testSetReferralFeeBpsMaxLimit() public {
         vm.prank(creator);
-        vm.expectRevert("Referral fee cannot exceed 100%");
-        question.setReferralFeeBps(10001); // 100.01%
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.ReferralFeeExceedsCap.selector, 1001, 1000));
+        question.setReferralFeeBps(1001); // Cap is 10%
+    }
+
+    function testSetCreatorFeeBpsWithinCap() public {
+        vm.prank(creator);
+        question.setCreatorFeeBps(2000);
+        assertEq(question.creatorFeeBps(), 2000);
+
+        vm.prank(creator);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.CreatorFeeExceedsCap.selector, 2001, 2000));
+        question.setCreatorFeeBps(2001);
+    }
+
+    function testCreatorCannotChangeProtocolFeeOrTreasury() public {
+        vm.startPrank(creator);
+        (bool feeSet,) = address(question).call(abi.encodeWithSignature("setFeeBps(uint256)", 0));
+        (bool treasurySet,) = address(question).call(abi.encodeWithSignature("setTreasury(address)", creator));
+        (bool capsSet,) = address(question).call(abi.encodeWithSignature("setFeeCaps(uint256,uint256)", 9000, 0));
+        vm.stopPrank();
+
+        assertFalse(feeSet);
+        assertFalse(treasurySet);
+        assertFalse(capsSet);
+        assertEq(question.feeBps(), 1000);
+        assertEq(question.treasury(), treasury);
+        assertEq(question.maxCreatorFeeBps(), 2000);
+    }
+
+    function testInitializeSnapshotsFees() public {
+        StoaBase.FeeConfig memory fees = StoaBase.FeeConfig({
+            feeBps: 300, creatorFeeBps: 200, referralFeeBps: 0, maxCreatorFeeBps: 500, maxReferralFeeBps: 100
+        });
+        StoaQuestion clone = StoaQuestion(Clones.clone(address(implementation)));
+        clone.initialize(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            fees,
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
+
+        assertEq(clone.feeBps(), 300);
+        assertEq(clone.creatorFeeBps(), 200);
+        assertEq(clone.referralFeeBps(), 0);
+        assertEq(clone.maxCreatorFeeBps(), 500);
+        assertEq(clone.maxReferralFeeBps(), 100);
+    }
+
+    function testInitializeRejectsInvalidFees() public {
+        StoaBase.FeeConfig memory fees = _defaultFees();
+        fees.maxCreatorFeeBps = 9000;
+        _assertFeesRevert(fees, abi.encodeWithSelector(IStoaErrors.FeesExceedMax.selector, 11000));
+
+        fees = _defaultFees();
+        fees.creatorFeeBps = 2001;
+        _assertFeesRevert(fees, abi.encodeWithSelector(IStoaErrors.CreatorFeeExceedsCap.selector, 2001, 2000));
+
+        fees = _defaultFees();
+        fees.referralFeeBps = 1001;
+        _assertFeesRevert(fees, abi.encodeWithSelector(IStoaErrors.ReferralFeeExceedsCap.selector, 1001, 1000));
     }
 
     // ============= NEW UTILITY FUNCTION TESTS =============
@@ -975,8 +2182,17 @@ contract StoaQuestionTest is Test {
         assertFalse(question.isEvaluationPeriod());
 
         // Test with a fresh question for evaluation scenario
-        StoaQuestion freshQuestion =
-            new StoaQuestion(address(paymentToken), SUBMISSION_COST, DURATION, MAX_WINNERS, treasury, creator);
+        StoaQuestion freshQuestion = _cloneQuestion(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
 
         // Submit answer to fresh question
         vm.prank(user1);
@@ -1037,8 +2253,17 @@ contract StoaQuestionTest is Test {
         assertEq(question.getQuestionStatus(), "Evaluated");
 
         // Test emergency refund status with a new question
-        StoaQuestion newQuestion =
-            new StoaQuestion(address(paymentToken), SUBMISSION_COST, DURATION, MAX_WINNERS, treasury, creator);
+        StoaQuestion newQuestion = _cloneQuestion(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
 
         vm.prank(user1);
         paymentToken.approve(address(newQuestion), SUBMISSION_COST);
@@ -1232,8 +2457,17 @@ contract StoaQuestionTest is Test {
     // Emergency/Admin Function Tests
     function testCanEmergencyRefund() public {
         // Create fresh question for this test
-        StoaQuestion freshQuestion =
-            new StoaQuestion(address(paymentToken), SUBMISSION_COST, DURATION, MAX_WINNERS, treasury, creator);
+        StoaQuestion freshQuestion = _cloneQuestion(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
 
         // Should not be available initially
         assertFalse(freshQuestion.canEmergencyRefund());
@@ -1252,8 +2486,17 @@ contract StoaQuestionTest is Test {
 
         // Create another question to test evaluated scenario
         vm.warp(block.timestamp - DURATION - 8 days); // Reset time
-        StoaQuestion evaluatedQuestion =
-            new StoaQuestion(address(paymentToken), SUBMISSION_COST, DURATION, MAX_WINNERS, treasury, creator);
+        StoaQuestion evaluatedQuestion = _cloneQuestion(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
 
         vm.prank(user1);
         paymentToken.approve(address(evaluatedQuestion), SUBMISSION_COST);
@@ -1415,4 +2658,898 @@ contract StoaQuestionTest is Test {
         // Should return 0 after claiming
         assertEq(question.getClaimableAmount(user1), 0);
     }
+
+    // Dispute Tests
+    function testConfigureDisputes() public {
+        address arbiter = makeAddr("arbiter");
+        StoaQuestion disputed = _deployScoredQuestion(StoaQuestion.ScoringMode.Linear, new uint16[](0));
+
+        vm.expectEmit(true, false, false, true);
+        emit DisputesConfigured(arbiter, DISPUTE_PERIOD, DISPUTE_BOND);
+        disputed.configureDisputes(arbiter, DISPUTE_PERIOD, DISPUTE_BOND);
+
+        assertEq(disputed.arbiter(), arbiter);
+        assertEq(disputed.disputePeriod(), DISPUTE_PERIOD);
+        assertEq(disputed.disputeBond(), DISPUTE_BOND);
+
+        vm.expectRevert(IStoaErrors.DisputesAlreadyConfigured.selector);
+        disputed.configureDisputes(arbiter, DISPUTE_PERIOD, DISPUTE_BOND);
+    }
+
+    function testConfigureDisputesValidation() public {
+        StoaQuestion disputed = _deployScoredQuestion(StoaQuestion.ScoringMode.Linear, new uint16[](0));
+
+        vm.prank(user1);
+        vm.expectRevert("Ownable: caller is not the owner");
+        disputed.configureDisputes(user1, DISPUTE_PERIOD, DISPUTE_BOND);
+
+        vm.expectRevert(IStoaErrors.InvalidArbiter.selector);
+        disputed.configureDisputes(address(0), DISPUTE_PERIOD, DISPUTE_BOND);
+        vm.expectRevert(IStoaErrors.InvalidDisputePeriod.selector);
+        disputed.configureDisputes(user1, 0, DISPUTE_BOND);
+        vm.expectRevert(IStoaErrors.InvalidDisputeBond.selector);
+        disputed.configureDisputes(user1, DISPUTE_PERIOD, 0);
+
+        vm.prank(user1);
+        disputed.submitAnswer(keccak256("Answer 1"));
+        vm.expectRevert(IStoaErrors.AnswersAlreadySubmitted.selector);
+        disputed.configureDisputes(user1, DISPUTE_PERIOD, DISPUTE_BOND);
+    }
+
+    function testOpenDisputeDisabledByDefault() public {
+        _submitAndEvaluateAll(question);
+
+        vm.prank(user2);
+        vm.expectRevert(IStoaErrors.DisputesDisabled.selector);
+        question.openDispute(keccak256("reason"));
+
+        // Without disputes the ranking is final immediately
+        assertTrue(question.isFinalized());
+        assertEq(question.getQuestionStatus(), "Evaluated");
+    }
+
+    function testDisputePeriodDelaysClaims() public {
+        (StoaQuestion disputed,) = _deployDisputedQuestion();
+        _submitAndEvaluateAll(disputed);
+
+        assertEq(disputed.disputeEndsAt(), block.timestamp + DISPUTE_PERIOD);
+        assertFalse(disputed.isFinalized());
+        assertEq(disputed.getQuestionStatus(), "DisputePeriod");
+        assertEq(disputed.getClaimableAmount(user1), 0);
+
+        vm.prank(user1);
+        vm.expectRevert(IStoaErrors.RankingNotFinal.selector);
+        disputed.claimReward();
+
+        // Unchallenged, the ranking becomes final when the period ends
+        vm.warp(disputed.disputeEndsAt());
+        assertTrue(disputed.isFinalized());
+        assertEq(disputed.getQuestionStatus(), "Evaluated");
+
+        uint256 expected = disputed.getClaimableAmount(user1);
+        assertGt(expected, 0);
+        uint256 before = paymentToken.balanceOf(user1);
+        vm.prank(user1);
+        disputed.claimReward();
+        assertEq(paymentToken.balanceOf(user1) - before, expected);
+    }
+
+    function testOpenDispute() public {
+        (StoaQuestion disputed,) = _deployDisputedQuestion();
+
+        vm.prank(user2);
+        vm.expectRevert(IStoaErrors.NotEvaluated.selector);
+        disputed.openDispute(keccak256("reason"));
+
+        _submitAndEvaluateAll(disputed);
+        bytes32 reasonHash = keccak256("Answer 2 is better than answer 1");
+        uint256 before = paymentToken.balanceOf(user2);
+
+        vm.expectEmit(true, false, false, true);
+        emit DisputeOpened(user2, 0, reasonHash, DISPUTE_BOND);
+        vm.prank(user2);
+        disputed.openDispute(reasonHash);
+
+        assertEq(before - paymentToken.balanceOf(user2), DISPUTE_BOND);
+        assertEq(disputed.openDisputes(), 1);
+        assertEq(disputed.userDisputeIndex(user2), 1);
+
+        StoaQuestion.Dispute[] memory opened = disputed.getDisputes();
+        assertEq(opened.length, 1);
+        assertEq(opened[0].challenger, user2);
+        assertEq(opened[0].reasonHash, reasonHash);
+        assertEq(opened[0].bond, DISPUTE_BOND);
+        assertFalse(opened[0].resolved);
+
+        vm.prank(user2);
+        vm.expectRevert(IStoaErrors.AlreadyDisputed.selector);
+        disputed.openDispute(reasonHash);
+
+        vm.prank(funder);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.NoSubmission.selector, funder));
+        disputed.openDispute(reasonHash);
+
+        uint256 disputeEndsAt = disputed.disputeEndsAt();
+        vm.warp(disputeEndsAt);
+        vm.prank(user3);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.DisputePeriodOver.selector, disputeEndsAt));
+        disputed.openDispute(reasonHash);
+
+        // An open dispute keeps the ranking from becoming final
+        assertFalse(disputed.isFinalized());
+        assertEq(disputed.getQuestionStatus(), "Disputed");
+        vm.prank(user1);
+        vm.expectRevert(IStoaErrors.RankingNotFinal.selector);
+        disputed.claimReward();
+    }
+
+    function testUpholdRankingSlashesBonds() public {
+        (StoaQuestion disputed, address arbiter) = _deployDisputedQuestion();
+        _submitAndEvaluateAll(disputed);
+
+        vm.prank(user2);
+        disputed.openDispute(keccak256("reason 2"));
+        vm.prank(user3);
+        disputed.openDispute(keccak256("reason 3"));
+        uint256 disputeEndsAt = disputed.disputeEndsAt();
+
+        vm.prank(arbiter);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.DisputePeriodNotOver.selector, disputeEndsAt));
+        disputed.upholdRanking();
+
+        vm.warp(disputed.disputeEndsAt());
+        vm.prank(user1);
+        vm.expectRevert(IStoaErrors.NotArbiter.selector);
+        disputed.upholdRanking();
+
+        uint256 treasuryBefore = paymentToken.balanceOf(treasury);
+        vm.expectEmit(false, false, false, true);
+        emit DisputesResolved(true, new uint256[](0));
+        vm.prank(arbiter);
+        disputed.upholdRanking();
+
+        assertEq(paymentToken.balanceOf(treasury) - treasuryBefore, 2 * DISPUTE_BOND);
+        assertEq(disputed.openDisputes(), 0);
+        assertTrue(disputed.getDisputes()[0].resolved);
+        assertTrue(disputed.getDisputes()[1].resolved);
+        assertTrue(disputed.isFinalized());
+        assertEq(disputed.getAnswer(0).score, 3);
+
+        vm.prank(arbiter);
+        vm.expectRevert(IStoaErrors.NoOpenDisputes.selector);
+        disputed.upholdRanking();
+
+        vm.prank(user1);
+        disputed.claimReward();
+    }
+
+    function testReplaceRankingRefundsBonds() public {
+        (StoaQuestion disputed, address arbiter) = _deployDisputedQuestion();
+        _submitAndEvaluateAll(disputed);
+
+        vm.prank(user3);
+        disputed.openDispute(keccak256("reason"));
+        uint256 bondBefore = paymentToken.balanceOf(user3);
+
+        vm.warp(disputed.disputeEndsAt());
+        uint256[] memory rankedIndices = new uint256[](2);
+        rankedIndices[0] = 2;
+        rankedIndices[1] = 0;
+
+        vm.expectEmit(false, false, false, true);
+        emit DisputesResolved(false, rankedIndices);
+        vm.prank(arbiter);
+        disputed.replaceRanking(rankedIndices);
+
+        assertEq(paymentToken.balanceOf(user3) - bondBefore, DISPUTE_BOND);
+        assertEq(disputed.getAnswer(2).score, 3);
+        assertEq(disputed.getAnswer(0).score, 2);
+        assertEq(disputed.getAnswer(1).score, 0); // dropped from the ranking
+        assertEq(disputed.totalScore(), 5);
+        assertTrue(disputed.isFinalized());
+
+        uint256 pool = disputed.totalRewardPool();
+        assertEq(disputed.getClaimableAmount(user3), (pool * 3) / 5);
+        assertEq(disputed.getClaimableAmount(user2), 0);
+
+        vm.prank(user2);
+        vm.expectRevert(IStoaErrors.NoReward.selector);
+        disputed.claimReward();
+        vm.prank(user3);
+        disputed.claimReward();
+    }
+
+    function testReplaceRankingValidatesIndices() public {
+        (StoaQuestion disputed, address arbiter) = _deployDisputedQuestion();
+        _submitAndEvaluateAll(disputed);
+        vm.prank(user2);
+        disputed.openDispute(keccak256("reason"));
+        vm.warp(disputed.disputeEndsAt());
+
+        uint256[] memory rankedIndices = new uint256[](1);
+        rankedIndices[0] = 3;
+        vm.prank(arbiter);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.InvalidAnswerIndex.selector, 3));
+        disputed.replaceRanking(rankedIndices);
+
+        vm.prank(arbiter);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.TooManyWinners.selector, MAX_WINNERS + 1, MAX_WINNERS));
+        disputed.replaceRanking(new uint256[](MAX_WINNERS + 1));
+    }
+
+    function testReclaimDisputeBondAfterArbitrationDeadline() public {
+        (StoaQuestion disputed, address arbiter) = _deployDisputedQuestion();
+        _submitAndEvaluateAll(disputed);
+
+        vm.prank(user2);
+        disputed.openDispute(keccak256("reason"));
+
+        uint256 arbitrationDeadline = disputed.disputeEndsAt() + disputed.ARBITRATION_PERIOD();
+        vm.warp(arbitrationDeadline);
+        vm.prank(user2);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.ArbitrationPeriodNotOver.selector, arbitrationDeadline));
+        disputed.reclaimDisputeBond();
+
+        vm.warp(block.timestamp + 1);
+        vm.prank(arbiter);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.ArbitrationPeriodOver.selector, arbitrationDeadline));
+        disputed.upholdRanking();
+
+        // The arbiter missed the deadline: the ranking stands and the bond comes back
+        assertTrue(disputed.isFinalized());
+        uint256 before = paymentToken.balanceOf(user2);
+        vm.expectEmit(true, false, false, true);
+        emit DisputeBondReclaimed(user2, DISPUTE_BOND);
+        vm.prank(user2);
+        disputed.reclaimDisputeBond();
+        assertEq(paymentToken.balanceOf(user2) - before, DISPUTE_BOND);
+        assertEq(disputed.openDisputes(), 0);
+
+        vm.prank(user2);
+        vm.expectRevert(IStoaErrors.DisputeAlreadyResolved.selector);
+        disputed.reclaimDisputeBond();
+        vm.prank(user3);
+        vm.expectRevert(IStoaErrors.NoDispute.selector);
+        disputed.reclaimDisputeBond();
+
+        vm.prank(user1);
+        disputed.claimReward();
+    }
+
+    function testEnableCommitReveal() public {
+        StoaQuestion committed = _deployScoredQuestion(StoaQuestion.ScoringMode.Linear, new uint16[](0));
+        assertEq(committed.revealEndsAt(), committed.endsAt());
+
+        vm.prank(user1);
+        vm.expectRevert("Ownable: caller is not the owner");
+        committed.enableCommitReveal(REVEAL_PERIOD);
+
+        vm.expectRevert(IStoaErrors.InvalidRevealPeriod.selector);
+        committed.enableCommitReveal(0);
+
+        vm.expectEmit(false, false, false, true);
+        emit CommitRevealEnabled(REVEAL_PERIOD);
+        committed.enableCommitReveal(REVEAL_PERIOD);
+
+        assertEq(committed.revealPeriod(), REVEAL_PERIOD);
+        assertEq(committed.revealEndsAt(), committed.endsAt() + REVEAL_PERIOD);
+        assertEq(committed.evaluationDeadline(), committed.endsAt() + REVEAL_PERIOD + 7 days);
+
+        vm.expectRevert(IStoaErrors.CommitRevealAlreadyEnabled.selector);
+        committed.enableCommitReveal(REVEAL_PERIOD);
+
+        StoaQuestion answered = _deployScoredQuestion(StoaQuestion.ScoringMode.Linear, new uint16[](0));
+        vm.prank(user1);
+        answered.submitAnswer(keccak256("Answer 1"));
+        vm.expectRevert(IStoaErrors.AnswersAlreadySubmitted.selector);
+        answered.enableCommitReveal(REVEAL_PERIOD);
+    }
+
+    function testRevealAnswer() public {
+        StoaQuestion committed = _deploySealedQuestion();
+        bytes32 answerHash = keccak256("Answer 1");
+        bytes32 salt = keccak256("salt 1");
+        bytes32 sealedHash = committed.sealAnswer(user1, answerHash, salt);
+
+        vm.prank(user1);
+        committed.submitAnswer(sealedHash);
+        // Copying the committed hash does not let user2 reveal user1's content as their own
+        vm.prank(user2);
+        committed.submitAnswer(sealedHash);
+        assertEq(committed.getAnswer(0).answerHash, sealedHash);
+
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.QuestionNotEnded.selector, committed.endsAt()));
+        committed.revealAnswer(0, answerHash, salt);
+
+        vm.warp(committed.endsAt());
+        assertEq(committed.getQuestionStatus(), "RevealPeriod");
+        assertFalse(committed.isEvaluationPeriod());
+
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.InvalidReveal.selector, 0));
+        committed.revealAnswer(0, keccak256("Answer 2"), salt);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.InvalidReveal.selector, 1));
+        committed.revealAnswer(1, answerHash, salt);
+
+        // Anyone holding the salt can reveal, e.g. a relayer on the user's behalf
+        vm.expectEmit(true, false, false, true);
+        emit AnswerRevealed(user1, 0, answerHash);
+        vm.prank(submitter);
+        committed.revealAnswer(0, answerHash, salt);
+
+        assertTrue(committed.isRevealed(0));
+        assertFalse(committed.isRevealed(1));
+        assertEq(committed.getAnswer(0).answerHash, answerHash);
+
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.AlreadyRevealed.selector, 0));
+        committed.revealAnswer(0, answerHash, salt);
+
+        vm.warp(committed.revealEndsAt());
+        assertEq(committed.getQuestionStatus(), "AwaitingEvaluation");
+        assertTrue(committed.isEvaluationPeriod());
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.RevealPeriodOver.selector, committed.revealEndsAt()));
+        committed.revealAnswer(1, answerHash, salt);
+    }
+
+    function testRevealAnswerDisabledByDefault() public {
+        vm.prank(user1);
+        question.submitAnswer(keccak256("Answer 1"));
+        vm.warp(question.endsAt());
+
+        vm.expectRevert(IStoaErrors.CommitRevealDisabled.selector);
+        question.revealAnswer(0, keccak256("Answer 1"), bytes32(0));
+    }
+
+    function testEvaluateRequiresRevealedAnswers() public {
+        StoaQuestion committed = _deploySealedQuestion();
+        bytes32 salt = keccak256("salt");
+        bytes32 sealed1 = committed.sealAnswer(user1, keccak256("Answer 1"), salt);
+        bytes32 sealed2 = committed.sealAnswer(user2, keccak256("Answer 2"), salt);
+        vm.prank(user1);
+        committed.submitAnswer(sealed1);
+        vm.prank(user2);
+        committed.submitAnswer(sealed2);
+
+        vm.warp(committed.endsAt());
+        committed.revealAnswer(1, keccak256("Answer 2"), salt);
+
+        uint256[] memory rankedIndices = new uint256[](1);
+        rankedIndices[0] = 1;
+        uint256 revealEndsAt = committed.revealEndsAt();
+        vm.prank(creator);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.EvaluationTooEarly.selector, revealEndsAt));
+        committed.evaluateAnswers(rankedIndices);
+
+        vm.warp(revealEndsAt);
+        uint256[] memory withUnrevealed = new uint256[](2);
+        withUnrevealed[0] = 1;
+        withUnrevealed[1] = 0;
+        vm.prank(creator);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.AnswerNotRevealed.selector, 0));
+        committed.evaluateAnswers(withUnrevealed);
+
+        vm.prank(creator);
+        committed.evaluateAnswers(rankedIndices);
+        assertEq(committed.getAnswer(1).score, MAX_WINNERS);
+
+        vm.prank(user2);
+        committed.claimReward();
+        assertEq(committed.getUnclaimedRewards(), 0);
+    }
+
+    function testSetClaimRouter() public {
+        address router = makeAddr("router");
+
+        vm.prank(user1);
+        vm.expectRevert("Ownable: caller is not the owner");
+        question.setClaimRouter(router);
+
+        vm.expectEmit(true, false, false, true);
+        emit ClaimRouterSet(router);
+        vm.prank(creator);
+        question.setClaimRouter(router);
+        assertEq(question.claimRouter(), router);
+    }
+
+    function testClaimRewardFor() public {
+        address router = makeAddr("router");
+        StoaQuestion routed = _deployScoredQuestion(StoaQuestion.ScoringMode.Linear, new uint16[](0));
+        routed.setClaimRouter(router);
+        _submitAndEvaluateAll(routed);
+        uint256 expected = routed.getClaimableAmount(user1);
+
+        vm.prank(user1);
+        vm.expectRevert(IStoaErrors.NotClaimRouter.selector);
+        routed.claimRewardFor(user1);
+
+        uint256 balanceBefore = paymentToken.balanceOf(user1);
+        vm.expectEmit(true, false, false, true);
+        emit RewardClaimed(user1, expected);
+        vm.prank(router);
+        assertEq(routed.claimRewardFor(user1), expected);
+
+        assertEq(paymentToken.balanceOf(user1), balanceBefore + expected);
+        assertEq(paymentToken.balanceOf(router), 0);
+
+        vm.prank(router);
+        vm.expectRevert(IStoaErrors.AlreadyClaimed.selector);
+        routed.claimRewardFor(user1);
+    }
+
+    function testSetClaimPeriod() public {
+        StoaQuestion swept = _deployScoredQuestion(StoaQuestion.ScoringMode.Linear, new uint16[](0));
+
+        vm.prank(user1);
+        vm.expectRevert("Ownable: caller is not the owner");
+        swept.setClaimPeriod(CLAIM_PERIOD);
+
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.ClaimPeriodTooShort.selector, 7 days - 1, 7 days));
+        swept.setClaimPeriod(7 days - 1);
+
+        vm.expectEmit(false, false, false, true);
+        emit ClaimPeriodSet(CLAIM_PERIOD);
+        swept.setClaimPeriod(CLAIM_PERIOD);
+        assertEq(swept.claimPeriod(), CLAIM_PERIOD);
+        assertEq(swept.claimDeadline(), 0); // not evaluated yet
+
+        vm.prank(user1);
+        swept.submitAnswer(keccak256("Answer 1"));
+        vm.expectRevert(IStoaErrors.AnswersAlreadySubmitted.selector);
+        swept.setClaimPeriod(CLAIM_PERIOD);
+    }
+
+    function testSweepUnclaimedRewardsToTreasury() public {
+        StoaQuestion swept = _deploySweepableQuestion();
+        _submitAndEvaluateAll(swept);
+        assertEq(swept.claimDeadline(), block.timestamp + CLAIM_PERIOD);
+
+        vm.prank(user1);
+        swept.claimReward();
+        uint256 unclaimed = swept.getUnclaimedRewards();
+        assertGt(unclaimed, 0);
+        uint256 claimDeadline = swept.claimDeadline();
+
+        vm.prank(creator);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.ClaimPeriodNotOver.selector, claimDeadline));
+        swept.sweepUnclaimedRewards(StoaQuestion.SweepDestination.Treasury, address(0));
+
+        vm.warp(claimDeadline + 1);
+        vm.prank(user1);
+        vm.expectRevert(IStoaErrors.NotCreatorOrTreasury.selector);
+        swept.sweepUnclaimedRewards(StoaQuestion.SweepDestination.Treasury, address(0));
+
+        uint256 treasuryBefore = paymentToken.balanceOf(treasury);
+        vm.expectEmit(true, false, false, true);
+        emit UnclaimedRewardsSwept(StoaQuestion.SweepDestination.Treasury, treasury, unclaimed);
+        vm.prank(treasury);
+        swept.sweepUnclaimedRewards(StoaQuestion.SweepDestination.Treasury, address(0));
+
+        assertEq(paymentToken.balanceOf(treasury) - treasuryBefore, unclaimed);
+        assertTrue(swept.rewardsSwept());
+        assertEq(swept.getUnclaimedRewards(), 0);
+        assertEq(swept.getClaimableAmount(user2), 0);
+
+        // Late winners lose their rewards once they are swept
+        vm.prank(user2);
+        vm.expectRevert(IStoaErrors.RewardsSwept.selector);
+        swept.claimReward();
+
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.RewardsSwept.selector);
+        swept.sweepUnclaimedRewards(StoaQuestion.SweepDestination.Creator, address(0));
+    }
+
+    function testSweepUnclaimedRewardsToCreator() public {
+        StoaQuestion swept = _deploySweepableQuestion();
+        _submitAndEvaluateAll(swept);
+        uint256 unclaimed = swept.getUnclaimedRewards();
+        assertEq(unclaimed, swept.totalRewardPool());
+
+        vm.warp(swept.claimDeadline() + 1);
+        uint256 creatorBefore = paymentToken.balanceOf(creator);
+        vm.prank(creator);
+        swept.sweepUnclaimedRewards(StoaQuestion.SweepDestination.Creator, address(0));
+        assertEq(paymentToken.balanceOf(creator) - creatorBefore, unclaimed);
+    }
+
+    function testSweepUnclaimedRewardsIntoFollowUpQuestion() public {
+        StoaQuestion swept = _deploySweepableQuestion();
+        _submitAndEvaluateAll(swept);
+        vm.warp(swept.claimDeadline() + 1);
+        uint256 unclaimed = swept.getUnclaimedRewards();
+
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.InvalidFollowUpQuestion.selector);
+        swept.sweepUnclaimedRewards(StoaQuestion.SweepDestination.FollowUpQuestion, address(swept));
+
+        // The original question ended long ago, so it can't take the rewards either
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.FollowUpQuestionEnded.selector);
+        swept.sweepUnclaimedRewards(StoaQuestion.SweepDestination.FollowUpQuestion, address(question));
+
+        MockToken otherToken = new MockToken("OtherToken", "OTH");
+        StoaQuestion otherTokenQuestion = _cloneQuestion(
+            address(otherToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.TokenMismatch.selector);
+        swept.sweepUnclaimedRewards(StoaQuestion.SweepDestination.FollowUpQuestion, address(otherTokenQuestion));
+
+        StoaQuestion followUp = _deployScoredQuestion(StoaQuestion.ScoringMode.Linear, new uint16[](0));
+        vm.expectEmit(true, false, false, true);
+        emit UnclaimedRewardsSwept(StoaQuestion.SweepDestination.FollowUpQuestion, address(followUp), unclaimed);
+        vm.prank(creator);
+        swept.sweepUnclaimedRewards(StoaQuestion.SweepDestination.FollowUpQuestion, address(followUp));
+
+        assertEq(followUp.totalRewardPool(), unclaimed);
+        assertEq(paymentToken.balanceOf(address(followUp)), unclaimed);
+        // The sweeper can take the rollover back if nobody answers the follow-up
+        assertEq(followUp.seededAmounts(creator), unclaimed);
+    }
+
+    function testSweepUnclaimedRewardsRequiresClaimPeriod() public {
+        _submitAndEvaluateAll(question);
+        vm.warp(block.timestamp + 365 days);
+
+        vm.prank(creator);
+        vm.expectRevert(IStoaErrors.SweepingDisabled.selector);
+        question.sweepUnclaimedRewards(StoaQuestion.SweepDestination.Treasury, address(0));
+        assertEq(question.claimDeadline(), 0);
+    }
+
+    function testClaimDeadlineWaitsForArbitration() public {
+        (StoaQuestion disputed,) = _deployDisputedQuestion();
+        disputed.setClaimPeriod(CLAIM_PERIOD);
+        _submitAndEvaluateAll(disputed);
+        assertEq(disputed.claimDeadline(), disputed.disputeEndsAt() + CLAIM_PERIOD);
+
+        vm.prank(user2);
+        disputed.openDispute(keccak256("reason"));
+        assertEq(disputed.claimDeadline(), disputed.disputeEndsAt() + disputed.ARBITRATION_PERIOD() + CLAIM_PERIOD);
+    }
+
+    // Permit Tests
+    function testSubmitAnswerWithPermit() public {
+        (StoaQuestion permitted, MockPermitToken permitToken) = _deployPermitQuestion();
+        (address signer, uint256 key) = makeAddrAndKey("signer");
+        permitToken.mint(signer, INITIAL_BALANCE);
+        uint256 deadline = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signPermit(permitToken, key, address(permitted), SUBMISSION_COST, deadline);
+
+        vm.expectEmit(true, false, true, true);
+        emit AnswerSubmittedWithReferral(signer, 0, referrer);
+        vm.prank(signer);
+        permitted.submitAnswerWithPermit(keccak256("Answer"), referrer, deadline, v, r, s);
+
+        assertEq(permitted.getAnswer(0).responder, signer);
+        assertEq(permitToken.balanceOf(signer), INITIAL_BALANCE - SUBMISSION_COST);
+        assertEq(permitToken.balanceOf(treasury), SUBMISSION_COST / 10);
+        assertEq(permitToken.balanceOf(creator), SUBMISSION_COST / 10);
+        assertEq(permitToken.balanceOf(referrer), SUBMISSION_COST / 20);
+        assertEq(permitted.totalRewardPool(), (SUBMISSION_COST * 75) / 100);
+        assertEq(permitToken.balanceOf(address(permitted)), permitted.totalRewardPool());
+        assertEq(permitToken.allowance(signer, address(permitted)), 0);
+    }
+
+    function testSubmitAnswerWithPermitAfterFrontRun() public {
+        (StoaQuestion permitted, MockPermitToken permitToken) = _deployPermitQuestion();
+        (address signer, uint256 key) = makeAddrAndKey("signer");
+        permitToken.mint(signer, INITIAL_BALANCE);
+        uint256 deadline = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signPermit(permitToken, key, address(permitted), SUBMISSION_COST, deadline);
+
+        // Someone copies the permit from the mempool and uses it first
+        permitToken.permit(signer, address(permitted), SUBMISSION_COST, deadline, v, r, s);
+
+        vm.prank(signer);
+        permitted.submitAnswerWithPermit(keccak256("Answer"), address(0), deadline, v, r, s);
+        assertEq(permitted.getAnswerCount(), 1);
+        assertEq(permitted.totalRewardPool(), (SUBMISSION_COST * 80) / 100);
+    }
+
+    function testSubmitAnswerWithPermitRequiresCallerSignature() public {
+        (StoaQuestion permitted, MockPermitToken permitToken) = _deployPermitQuestion();
+        (, uint256 key) = makeAddrAndKey("signer");
+        permitToken.mint(user1, INITIAL_BALANCE);
+        uint256 deadline = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signPermit(permitToken, key, address(permitted), SUBMISSION_COST, deadline);
+
+        vm.prank(user1);
+        vm.expectRevert("ERC20: insufficient allowance");
+        permitted.submitAnswerWithPermit(keccak256("Answer"), address(0), deadline, v, r, s);
+    }
+
+    function testSeedQuestionWithPermit() public {
+        (StoaQuestion permitted, MockPermitToken permitToken) = _deployPermitQuestion();
+        (address signer, uint256 key) = makeAddrAndKey("signer");
+        permitToken.mint(signer, INITIAL_BALANCE);
+        uint256 amount = 50 * 10 ** 18;
+        uint256 deadline = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signPermit(permitToken, key, address(permitted), amount, deadline);
+
+        vm.expectEmit(true, false, false, true);
+        emit Seeded(signer, amount);
+        vm.prank(signer);
+        permitted.seedQuestionWithPermit(amount, deadline, v, r, s);
+
+        assertEq(permitted.totalRewardPool(), amount);
+        assertEq(permitted.seededAmounts(signer), amount);
+        assertEq(permitToken.balanceOf(signer), INITIAL_BALANCE - amount);
+    }
+
+    function testSubmitAnswerWithPermit2() public {
+        address permit2 = _installPermit2();
+        (address signer, uint256 key) = makeAddrAndKey("signer");
+        paymentToken.mint(signer, INITIAL_BALANCE);
+        vm.prank(signer);
+        paymentToken.approve(permit2, type(uint256).max);
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signPermit2(key, address(question), SUBMISSION_COST, 7, deadline);
+
+        vm.expectEmit(true, false, false, true);
+        emit AnswerSubmitted(signer, 0);
+        vm.prank(signer);
+        question.submitAnswerWithPermit2(keccak256("Answer"), address(0), 7, deadline, signature);
+
+        assertEq(question.getAnswer(0).responder, signer);
+        assertEq(paymentToken.balanceOf(signer), INITIAL_BALANCE - SUBMISSION_COST);
+        assertEq(paymentToken.balanceOf(treasury), SUBMISSION_COST / 10);
+        assertEq(paymentToken.balanceOf(creator), SUBMISSION_COST / 10);
+        assertEq(question.totalRewardPool(), (SUBMISSION_COST * 80) / 100);
+        assertEq(paymentToken.balanceOf(address(question)), question.totalRewardPool());
+    }
+
+    function testSubmitAnswerWithPermit2RequiresCallerSignature() public {
+        address permit2 = _installPermit2();
+        (address signer, uint256 key) = makeAddrAndKey("signer");
+        paymentToken.mint(signer, INITIAL_BALANCE);
+        vm.prank(signer);
+        paymentToken.approve(permit2, type(uint256).max);
+        vm.prank(user1);
+        paymentToken.approve(permit2, type(uint256).max);
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signPermit2(key, address(question), SUBMISSION_COST, 0, deadline);
+
+        vm.prank(user1);
+        vm.expectRevert("InvalidSigner");
+        question.submitAnswerWithPermit2(keccak256("Answer"), address(0), 0, deadline, signature);
+    }
+
+    function testSeedQuestionWithPermit2() public {
+        address permit2 = _installPermit2();
+        (address signer, uint256 key) = makeAddrAndKey("signer");
+        paymentToken.mint(signer, INITIAL_BALANCE);
+        vm.prank(signer);
+        paymentToken.approve(permit2, type(uint256).max);
+        uint256 amount = 50 * 10 ** 18;
+        uint256 deadline = block.timestamp + 1 hours;
+        bytes memory signature = _signPermit2(key, address(question), amount, 1, deadline);
+
+        vm.expectEmit(true, false, false, true);
+        emit Seeded(signer, amount);
+        vm.prank(signer);
+        question.seedQuestionWithPermit2(amount, 1, deadline, signature);
+
+        assertEq(question.totalRewardPool(), amount);
+        assertEq(question.seededAmounts(signer), amount);
+        assertEq(paymentToken.balanceOf(signer), INITIAL_BALANCE - amount);
+
+        // Each permit can only be used once
+        vm.prank(signer);
+        vm.expectRevert("InvalidNonce");
+        question.seedQuestionWithPermit2(amount, 1, deadline, signature);
+    }
+
+    function _deployPermitQuestion() internal returns (StoaQuestion permitted, MockPermitToken permitToken) {
+        permitToken = new MockPermitToken("PermitToken", "PRMT");
+        permitted = _cloneQuestion(
+            address(permitToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
+    }
+
+    function _signPermit(MockPermitToken permitToken, uint256 key, address spender, uint256 value, uint256 deadline)
+        internal
+        view
+        returns (uint8 v, bytes32 r, bytes32 s)
+    {
+        address signer = vm.addr(key);
+        bytes32 structHash = keccak256(
+            abi.encode(
+                keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"),
+                signer,
+                spender,
+                value,
+                permitToken.nonces(signer),
+                deadline
+            )
+        );
+        return vm.sign(key, keccak256(abi.encodePacked("\x19\x01", permitToken.DOMAIN_SEPARATOR(), structHash)));
+    }
+
+    function _signAnswerIntent(
+        StoaQuestion target,
+        uint256 key,
+        bytes32 answerHash,
+        address intentReferrer,
+        uint256 deadline
+    ) internal view returns (bytes memory) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                keccak256(
+                    "AnswerIntent(address question,bytes32 answerHash,address referrer,uint256 nonce,uint256 deadline)"
+                ),
+                address(target),
+                answerHash,
+                intentReferrer,
+                target.intentNonces(vm.addr(key)),
+                deadline
+            )
+        );
+        bytes32 domainSeparator = keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256("StoaQuestion"),
+                keccak256("1"),
+                block.chainid,
+                address(target)
+            )
+        );
+        (uint8 v, bytes32 r, bytes32 s) =
+            vm.sign(key, keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash)));
+        return abi.encodePacked(r, s, v);
+    }
+
+    function _installPermit2() internal returns (address permit2) {
+        permit2 = question.PERMIT2();
+        vm.etch(permit2, address(new MockPermit2()).code);
+    }
+
+    function _signPermit2(uint256 key, address spender, uint256 amount, uint256 nonce, uint256 deadline)
+        internal
+        view
+        returns (bytes memory)
+    {
+        IPermit2.PermitTransferFrom memory permit = IPermit2.PermitTransferFrom({
+            permitted: IPermit2.TokenPermissions({token: address(paymentToken), amount: amount}),
+            nonce: nonce,
+            deadline: deadline
+        });
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(key, MockPermit2(question.PERMIT2()).hashPermit(permit, spender));
+        return abi.encodePacked(r, s, v);
+    }
+
+    // Clones and initializes a question; with vm.startPrank, the pranked address owns it
+    function _cloneQuestion(
+        address _token,
+        uint256 _submissionCost,
+        uint256 _duration,
+        uint8 _maxWinners,
+        address _treasury,
+        address _creator,
+        address _evaluator,
+        StoaQuestion.ScoringMode _scoringMode,
+        uint16[] memory _scoringParams
+    ) internal returns (StoaQuestion q) {
+        q = StoaQuestion(Clones.clone(address(implementation)));
+        q.initialize(
+            _token,
+            _submissionCost,
+            _duration,
+            _maxWinners,
+            _treasury,
+            _defaultFees(),
+            _creator,
+            _evaluator,
+            _scoringMode,
+            _scoringParams
+        );
+    }
+
+    function _assertScoringReverts(StoaQuestion.ScoringMode mode, uint16[] memory params, bytes memory reason)
+        internal
+    {
+        StoaQuestion clone = StoaQuestion(Clones.clone(address(implementation)));
+        vm.expectRevert(reason);
+        clone.initialize(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            _defaultFees(),
+            creator,
+            creator,
+            mode,
+            params
+        );
+    }
+
+    function _assertFeesRevert(StoaBase.FeeConfig memory fees, bytes memory reason) internal {
+        StoaQuestion clone = StoaQuestion(Clones.clone(address(implementation)));
+        vm.expectRevert(reason);
+        clone.initialize(
+            address(paymentToken),
+            SUBMISSION_COST,
+            DURATION,
+            MAX_WINNERS,
+            treasury,
+            fees,
+            creator,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
+    }
+
+    function _deployScoredQuestion(StoaQuestion.ScoringMode mode, uint16[] memory params)
+        internal
+        returns (StoaQuestion scored)
+    {
+        scored = _cloneQuestion(
+            address(paymentToken), SUBMISSION_COST, DURATION, MAX_WINNERS, treasury, creator, creator, mode, params
+        );
+
+        vm.prank(user1);
+        paymentToken.approve(address(scored), type(uint256).max);
+        vm.prank(user2);
+        paymentToken.approve(address(scored), type(uint256).max);
+        vm.prank(user3);
+        paymentToken.approve(address(scored), type(uint256).max);
+    }
+
+    function _deployDisputedQuestion() internal returns (StoaQuestion disputed, address arbiter) {
+        arbiter = makeAddr("arbiter");
+        disputed = _deployScoredQuestion(StoaQuestion.ScoringMode.Linear, new uint16[](0));
+        disputed.configureDisputes(arbiter, DISPUTE_PERIOD, DISPUTE_BOND);
+    }
+
+    function _deploySealedQuestion() internal returns (StoaQuestion committed) {
+        committed = _deployScoredQuestion(StoaQuestion.ScoringMode.Linear, new uint16[](0));
+        committed.enableCommitReveal(REVEAL_PERIOD);
+    }
+
+    function _deploySweepableQuestion() internal returns (StoaQuestion swept) {
+        swept = _deployScoredQuestion(StoaQuestion.ScoringMode.Linear, new uint16[](0));
+        swept.setClaimPeriod(CLAIM_PERIOD);
+    }
+
+    // user1, user2 and user3 answer and are ranked in that order
+    function _submitAndEvaluateAll(StoaQuestion scored) internal {
+        vm.prank(user1);
+        scored.submitAnswer(keccak256("Answer 1"));
+        vm.prank(user2);
+        scored.submitAnswer(keccak256("Answer 2"));
+        vm.prank(user3);
+        scored.submitAnswer(keccak256("Answer 3"));
+
+        vm.warp(block.timestamp + DURATION + 1);
+        uint256[] memory rankedIndices = new uint256[](3);
+        rankedIndices[0] = 0;
+        rankedIndices[1] = 1;
+        rankedIndices[2] = 2;
+        vm.prank(creator);
+        scored.evaluateAnswers(rankedIndices);
+    }
+
+    // The factory's default fees
+    function _defaultFees() internal pure returns (StoaBase.FeeConfig memory) {
+        return StoaBase.FeeConfig({
+            feeBps: 1000, creatorFeeBps: 1000, referralFeeBps: 500, maxCreatorFeeBps: 2000, maxReferralFeeBps: 1000
+        });
+    }
 }
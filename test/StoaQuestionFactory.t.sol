@@ -57,6 +57,12 @@ contract StoaQuestionFactoryTest is Test {
         uint8 maxWinners,
         uint256 seedAmount
     );
+    event DisputeConfigUpdated(address indexed arbiter, uint256 disputePeriod, uint256 disputeBondBps);
+    event ClaimPeriodUpdated(uint256 claimPeriod);
+    event ClaimRouterUpdated(address indexed claimRouter);
+    event GuardianUpdated(address indexed guardian);
+    event Paused(address account);
+    event Unpaused(address account);
 
     function setUp() public {
         owner = address(this);
@@ -104,6 +110,25 @@ contract StoaQuestionFactoryTest is Test {
         assertEq(questions.length, 0);
     }
 
+    function test_constructor_DeploysLockedQuestionImplementation() public {
+        StoaQuestion implementation = StoaQuestion(factory.questionImplementation());
+        assertGt(address(implementation).code.length, 0);
+
+        vm.expectRevert("Initializable: contract is already initialized");
+        implementation.initialize(
+            address(paymentToken),
+            SUBMISSION_COST_1,
+            DURATION_1,
+            MAX_WINNERS_1,
+            treasury,
+            _defaultFees(),
+            creator1,
+            creator1,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0)
+        );
+    }
+
     /*//////////////////////////////////////////////////////////////
                           WHITELIST MANAGEMENT TESTS
     //////////////////////////////////////////////////////////////*/
@@ -161,6 +186,33 @@ contract StoaQuestionFactoryTest is Test {
         assertEq(protocolRegistry.getQuestionCount(), 1);
     }
 
+    function test_createQuestion_DeploysMinimalProxy() public {
+        factory.whitelistCreator(owner, true);
+
+        address questionAddress =
+            factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0);
+
+        bytes memory expectedCode = abi.encodePacked(
+            hex"363d3d373d3d3d363d73", factory.questionImplementation(), hex"5af43d82803e903d91602b57fd5bf3"
+        );
+        assertEq(questionAddress.code, expectedCode);
+
+        StoaQuestion question = StoaQuestion(questionAddress);
+        assertEq(question.owner(), owner);
+        assertEq(question.feeBps(), 1000);
+        assertEq(question.treasury(), treasury);
+    }
+
+    function test_createQuestion_GasUsage() public {
+        factory.whitelistCreator(owner, true);
+
+        uint256 gasBefore = gasleft();
+        factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0);
+        uint256 gasUsed = gasBefore - gasleft();
+
+        console.log("Gas used for createQuestion:", gasUsed);
+    }
+
     function test_createQuestion_WithSeedAmount() public {
         factory.whitelistCreator(owner, true);
 
@@ -173,6 +225,507 @@ contract StoaQuestionFactoryTest is Test {
         assertTrue(questionAddress != address(0));
         StoaQuestion question = StoaQuestion(questionAddress);
         assertEq(question.totalRewardPool(), SEED_AMOUNT_1);
+        // Credited to the creator, not the factory that forwarded it
+        assertEq(question.seededAmounts(owner), SEED_AMOUNT_1);
+        assertEq(question.seededAmounts(address(factory)), 0);
+    }
+
+    function test_createQuestion_WithScoringCurve() public {
+        factory.whitelistCreator(owner, true);
+
+        uint16[] memory shares = new uint16[](MAX_WINNERS_1);
+        shares[0] = 5000;
+        shares[1] = 2000;
+        shares[2] = 1500;
+        shares[3] = 1000;
+        shares[4] = 500;
+
+        address questionAddress = factory.createQuestion(
+            address(paymentToken),
+            SUBMISSION_COST_1,
+            DURATION_1,
+            MAX_WINNERS_1,
+            0,
+            owner,
+            StoaQuestion.ScoringMode.Custom,
+            shares,
+            0
+        );
+
+        StoaQuestion question = StoaQuestion(questionAddress);
+        assertEq(uint8(question.scoringMode()), uint8(StoaQuestion.ScoringMode.Custom));
+        assertEq(question.evaluator(), owner);
+        assertEq(question.rankScore(0), 5000);
+        assertEq(question.rankScore(4), 500);
+        assertEq(factory.questionCount(), 1);
+    }
+
+    function test_createQuestion_DefaultsToLinearScoring() public {
+        factory.whitelistCreator(owner, true);
+
+        address questionAddress =
+            factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0);
+
+        StoaQuestion question = StoaQuestion(questionAddress);
+        assertEq(uint8(question.scoringMode()), uint8(StoaQuestion.ScoringMode.Linear));
+        assertEq(question.rankScore(0), MAX_WINNERS_1);
+        assertEq(question.evaluator(), owner);
+    }
+
+    function test_createQuestion_WithEvaluator() public {
+        factory.whitelistCreator(owner, true);
+
+        address questionAddress = factory.createQuestion(
+            address(paymentToken),
+            SUBMISSION_COST_1,
+            DURATION_1,
+            MAX_WINNERS_1,
+            0,
+            nonOwner,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0),
+            0
+        );
+
+        StoaQuestion question = StoaQuestion(questionAddress);
+        assertEq(question.evaluator(), nonOwner);
+        assertEq(question.creator(), owner);
+
+        // The creator owns the question and can hand evaluation back to itself
+        question.setEvaluator(owner);
+        assertEq(question.evaluator(), owner);
+    }
+
+    function test_createQuestion_WithRevealPeriod() public {
+        factory.whitelistCreator(owner, true);
+
+        address questionAddress = factory.createQuestion(
+            address(paymentToken),
+            SUBMISSION_COST_1,
+            DURATION_1,
+            MAX_WINNERS_1,
+            0,
+            owner,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0),
+            1 days
+        );
+
+        StoaQuestion question = StoaQuestion(questionAddress);
+        assertEq(question.revealPeriod(), 1 days);
+        assertEq(question.revealEndsAt(), question.endsAt() + 1 days);
+        assertEq(question.evaluationDeadline(), question.endsAt() + 1 days + 7 days);
+        assertEq(question.owner(), owner);
+    }
+
+    function test_createQuestion_DefaultsToOpenAnswers() public {
+        factory.whitelistCreator(owner, true);
+
+        address questionAddress =
+            factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0);
+
+        StoaQuestion question = StoaQuestion(questionAddress);
+        assertEq(question.revealPeriod(), 0);
+        assertEq(question.revealEndsAt(), question.endsAt());
+    }
+
+    function test_createQuestion_InvalidScoringCurve() public {
+        factory.whitelistCreator(owner, true);
+
+        uint16[] memory shares = new uint16[](1);
+        shares[0] = 10000;
+
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.ShareCountMismatch.selector, 1, MAX_WINNERS_1));
+        factory.createQuestion(
+            address(paymentToken),
+            SUBMISSION_COST_1,
+            DURATION_1,
+            MAX_WINNERS_1,
+            0,
+            owner,
+            StoaQuestion.ScoringMode.Custom,
+            shares,
+            0
+        );
+    }
+
+    function test_createQuestion_WithSalt_DeploysAtPredictedAddress() public {
+        factory.whitelistCreator(creator1, true);
+        bytes32 salt = keccak256("question-1");
+        address predicted = factory.predictQuestionAddress(creator1, salt);
+        assertEq(predicted.code.length, 0);
+
+        vm.expectEmit(true, true, true, true);
+        emit QuestionCreated(
+            1, predicted, creator1, address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0
+        );
+        address questionAddress = _createSaltedQuestion(creator1, salt);
+
+        assertEq(questionAddress, predicted);
+        assertEq(factory.allQuestions(0), predicted);
+        bytes memory expectedCode = abi.encodePacked(
+            hex"363d3d373d3d3d363d73", factory.questionImplementation(), hex"5af43d82803e903d91602b57fd5bf3"
+        );
+        assertEq(questionAddress.code, expectedCode);
+
+        StoaQuestion question = StoaQuestion(questionAddress);
+        assertEq(question.owner(), creator1);
+        assertEq(question.creator(), creator1);
+        assertEq(question.submissionCost(), SUBMISSION_COST_1);
+    }
+
+    function test_createQuestion_WithSalt_IndependentOfQuestionCount() public {
+        factory.whitelistCreator(creator1, true);
+        factory.whitelistCreator(creator2, true);
+        bytes32 salt = keccak256("question-1");
+        address predicted = factory.predictQuestionAddress(creator1, salt);
+
+        // Another creator's question lands first without moving creator1's address
+        vm.prank(creator2);
+        factory.createQuestion(address(paymentToken), SUBMISSION_COST_2, DURATION_2, MAX_WINNERS_2, 0);
+
+        assertEq(_createSaltedQuestion(creator1, salt), predicted);
+        assertEq(factory.questionCount(), 2);
+    }
+
+    function test_createQuestion_WithSalt_NamespacedByCreator() public {
+        factory.whitelistCreator(creator1, true);
+        factory.whitelistCreator(creator2, true);
+        bytes32 salt = keccak256("question-1");
+
+        address first = _createSaltedQuestion(creator1, salt);
+        address second = _createSaltedQuestion(creator2, salt);
+
+        assertTrue(first != second);
+        assertEq(second, factory.predictQuestionAddress(creator2, salt));
+        assertEq(StoaQuestion(second).creator(), creator2);
+    }
+
+    function test_createQuestion_WithSalt_RevertsOnReusedSalt() public {
+        factory.whitelistCreator(creator1, true);
+        bytes32 salt = keccak256("question-1");
+        _createSaltedQuestion(creator1, salt);
+
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.SaltAlreadyUsed.selector, salt));
+        _createSaltedQuestion(creator1, salt);
+    }
+
+    function test_createQuestion_WithSalt_RevertsOnZeroSalt() public {
+        factory.whitelistCreator(creator1, true);
+
+        vm.expectRevert(IStoaErrors.InvalidSalt.selector);
+        _createSaltedQuestion(creator1, bytes32(0));
+    }
+
+    function test_createQuestion_WithSalt_NotWhitelisted() public {
+        vm.expectRevert(IStoaErrors.NotWhitelisted.selector);
+        _createSaltedQuestion(nonWhitelistedUser, keccak256("question-1"));
+    }
+
+    function test_setDisputeConfig_Success() public {
+        address arbiter = vm.addr(6);
+
+        vm.expectEmit(true, false, false, true);
+        emit DisputeConfigUpdated(arbiter, 3 days, 20000);
+        factory.setDisputeConfig(arbiter, 3 days, 20000);
+
+        assertEq(factory.arbiter(), arbiter);
+        assertEq(factory.disputePeriod(), 3 days);
+        assertEq(factory.disputeBondBps(), 20000);
+    }
+
+    function test_setDisputeConfig_OnlyOwner() public {
+        vm.prank(nonOwner);
+        vm.expectRevert("Ownable: caller is not the owner");
+        factory.setDisputeConfig(nonOwner, 3 days, 20000);
+    }
+
+    function test_setDisputeConfig_Validation() public {
+        vm.expectRevert(IStoaErrors.InvalidDisputePeriod.selector);
+        factory.setDisputeConfig(vm.addr(6), 0, 20000);
+
+        vm.expectRevert(IStoaErrors.InvalidDisputeBond.selector);
+        factory.setDisputeConfig(vm.addr(6), 3 days, 0);
+
+        // The zero arbiter disables disputes regardless of the other settings
+        factory.setDisputeConfig(address(0), 0, 0);
+        assertEq(factory.arbiter(), address(0));
+    }
+
+    function test_createQuestion_WithoutDisputes() public {
+        factory.whitelistCreator(owner, true);
+
+        StoaQuestion question = StoaQuestion(
+            factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0)
+        );
+        assertEq(question.arbiter(), address(0));
+        assertEq(question.disputePeriod(), 0);
+    }
+
+    function test_createQuestion_AppliesDisputeConfig() public {
+        address arbiter = vm.addr(6);
+        factory.setDisputeConfig(arbiter, 3 days, 20000);
+        factory.whitelistCreator(owner, true);
+
+        StoaQuestion question = StoaQuestion(
+            factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0)
+        );
+        assertEq(question.arbiter(), arbiter);
+        assertEq(question.disputePeriod(), 3 days);
+        assertEq(question.disputeBond(), 2 * SUBMISSION_COST_1);
+
+        // The creator cannot swap the arbiter the factory set
+        vm.expectRevert(IStoaErrors.DisputesAlreadyConfigured.selector);
+        question.configureDisputes(owner, 1, 1);
+
+        // Later config changes leave existing questions alone
+        factory.setDisputeConfig(address(0), 0, 0);
+        assertEq(question.arbiter(), arbiter);
+    }
+
+    function test_createQuestion_LowCostWithDisputes() public {
+        factory.setDisputeConfig(vm.addr(6), 3 days, 5000);
+        factory.whitelistCreator(owner, true);
+
+        // Free questions are rejected before disputes are configured
+        vm.expectRevert(IStoaErrors.InvalidSubmissionCost.selector);
+        factory.createQuestion(address(paymentToken), 0, DURATION_1, MAX_WINNERS_1, 0);
+
+        // Half of one token unit rounds down to zero, so the bond is raised to one unit
+        StoaQuestion question =
+            StoaQuestion(factory.createQuestion(address(paymentToken), 1, DURATION_1, MAX_WINNERS_1, 0));
+        assertEq(question.arbiter(), vm.addr(6));
+        assertEq(question.disputeBond(), 1);
+    }
+
+    function test_setClaimPeriod_Success() public {
+        vm.expectEmit(false, false, false, true);
+        emit ClaimPeriodUpdated(30 days);
+        factory.setClaimPeriod(30 days);
+        assertEq(factory.claimPeriod(), 30 days);
+
+        factory.setClaimPeriod(0);
+        assertEq(factory.claimPeriod(), 0);
+    }
+
+    function test_setClaimPeriod_OnlyOwner() public {
+        vm.prank(nonOwner);
+        vm.expectRevert("Ownable: caller is not the owner");
+        factory.setClaimPeriod(30 days);
+    }
+
+    function test_setClaimPeriod_Validation() public {
+        assertEq(factory.MIN_CLAIM_PERIOD(), 7 days);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.ClaimPeriodTooShort.selector, 7 days - 1, 7 days));
+        factory.setClaimPeriod(7 days - 1);
+    }
+
+    function test_createQuestion_AppliesClaimPeriod() public {
+        factory.whitelistCreator(owner, true);
+
+        StoaQuestion withoutSweeping = StoaQuestion(
+            factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0)
+        );
+        assertEq(withoutSweeping.claimPeriod(), 0);
+
+        factory.setClaimPeriod(30 days);
+        StoaQuestion question = StoaQuestion(
+            factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0)
+        );
+        assertEq(question.claimPeriod(), 30 days);
+    }
+
+    function test_constructor_SetsDefaultFees() public {
+        assertEq(factory.feeBps(), 1000);
+        assertEq(factory.creatorFeeBps(), 1000);
+        assertEq(factory.referralFeeBps(), 500);
+        assertEq(factory.maxCreatorFeeBps(), 2000);
+        assertEq(factory.maxReferralFeeBps(), 1000);
+    }
+
+    function test_setFeeBps_OnlyOwner() public {
+        vm.startPrank(nonOwner);
+        vm.expectRevert("Ownable: caller is not the owner");
+        factory.setFeeBps(0);
+        vm.expectRevert("Ownable: caller is not the owner");
+        factory.setFeeCaps(0, 0);
+        vm.expectRevert("Ownable: caller is not the owner");
+        factory.setTreasury(nonOwner);
+        vm.expectRevert("Ownable: caller is not the owner");
+        factory.setCreatorFeeBps(0);
+        vm.stopPrank();
+    }
+
+    function test_createQuestion_SnapshotsFeeConfig() public {
+        factory.whitelistCreator(creator1, true);
+        address newTreasury = makeAddr("newTreasury");
+        factory.setFeeBps(500);
+        factory.setFeeCaps(1500, 500);
+        factory.setCreatorFeeBps(1200);
+        factory.setReferralFeeBps(250);
+        factory.setTreasury(newTreasury);
+
+        vm.prank(creator1);
+        StoaQuestion question = StoaQuestion(
+            factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0)
+        );
+
+        assertEq(question.feeBps(), 500);
+        assertEq(question.creatorFeeBps(), 1200);
+        assertEq(question.referralFeeBps(), 250);
+        assertEq(question.maxCreatorFeeBps(), 1500);
+        assertEq(question.maxReferralFeeBps(), 500);
+        assertEq(question.treasury(), newTreasury);
+
+        // Later changes only apply to new questions
+        factory.setFeeBps(2000);
+        factory.setTreasury(treasury);
+        assertEq(question.feeBps(), 500);
+        assertEq(question.treasury(), newTreasury);
+    }
+
+    function test_createQuestion_CreatorAdjustsFeesWithinCaps() public {
+        factory.whitelistCreator(creator1, true);
+        vm.startPrank(creator1);
+        StoaQuestion question = StoaQuestion(
+            factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0)
+        );
+
+        question.setCreatorFeeBps(2000);
+        question.setReferralFeeBps(0);
+        vm.expectRevert(abi.encodeWithSelector(IStoaErrors.CreatorFeeExceedsCap.selector, 10000, 2000));
+        question.setCreatorFeeBps(10000);
+        vm.stopPrank();
+
+        assertEq(question.creatorFeeBps(), 2000);
+        assertEq(question.referralFeeBps(), 0);
+        assertEq(question.feeBps(), 1000);
+    }
+
+    function test_setClaimRouter_Success() public {
+        address router = makeAddr("router");
+        vm.expectEmit(true, false, false, true);
+        emit ClaimRouterUpdated(router);
+        factory.setClaimRouter(router);
+        assertEq(factory.claimRouter(), router);
+    }
+
+    function test_setClaimRouter_OnlyOwner() public {
+        vm.prank(nonOwner);
+        vm.expectRevert("Ownable: caller is not the owner");
+        factory.setClaimRouter(makeAddr("router"));
+    }
+
+    function test_createQuestion_AppliesClaimRouter() public {
+        factory.whitelistCreator(owner, true);
+
+        StoaQuestion unrouted = StoaQuestion(
+            factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0)
+        );
+        assertEq(unrouted.claimRouter(), address(0));
+
+        address router = makeAddr("router");
+        factory.setClaimRouter(router);
+        StoaQuestion question = StoaQuestion(
+            factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0)
+        );
+        assertEq(question.claimRouter(), router);
+    }
+
+    function test_setGuardian_Success() public {
+        address guardian = makeAddr("guardian");
+        vm.expectEmit(true, false, false, true);
+        emit GuardianUpdated(guardian);
+        factory.setGuardian(guardian);
+        assertEq(factory.guardian(), guardian);
+    }
+
+    function test_setGuardian_OnlyOwner() public {
+        vm.prank(nonOwner);
+        vm.expectRevert("Ownable: caller is not the owner");
+        factory.setGuardian(makeAddr("guardian"));
+    }
+
+    function test_pause_ByGuardian() public {
+        address guardian = makeAddr("guardian");
+        factory.setGuardian(guardian);
+
+        vm.expectEmit(false, false, false, true);
+        emit Paused(guardian);
+        vm.prank(guardian);
+        factory.pause();
+        assertTrue(factory.paused());
+
+        vm.expectEmit(false, false, false, true);
+        emit Unpaused(guardian);
+        vm.prank(guardian);
+        factory.unpause();
+        assertFalse(factory.paused());
+    }
+
+    function test_pause_ByOwner() public {
+        factory.setGuardian(makeAddr("guardian"));
+        factory.pause();
+        assertTrue(factory.paused());
+
+        vm.expectRevert(IStoaErrors.ProtocolPaused.selector);
+        factory.pause();
+
+        factory.unpause();
+        vm.expectRevert(IStoaErrors.ProtocolNotPaused.selector);
+        factory.unpause();
+    }
+
+    function test_pause_OnlyGuardianOrOwner() public {
+        factory.setGuardian(makeAddr("guardian"));
+
+        vm.prank(nonOwner);
+        vm.expectRevert(IStoaErrors.NotGuardian.selector);
+        factory.pause();
+
+        factory.pause();
+        vm.prank(nonOwner);
+        vm.expectRevert(IStoaErrors.NotGuardian.selector);
+        factory.unpause();
+    }
+
+    function test_createQuestion_RevertsWhenPaused() public {
+        factory.whitelistCreator(creator1, true);
+        factory.pause();
+
+        vm.prank(creator1);
+        vm.expectRevert(IStoaErrors.ProtocolPaused.selector);
+        factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0);
+
+        factory.unpause();
+        vm.prank(creator1);
+        factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0);
+        assertEq(factory.questionCount(), 1);
+    }
+
+    function test_pause_AppliesToExistingQuestions() public {
+        factory.whitelistCreator(creator1, true);
+        vm.prank(creator1);
+        StoaQuestion question = StoaQuestion(
+            factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0)
+        );
+        assertEq(question.factory(), address(factory));
+
+        address user = vm.addr(100);
+        paymentToken.transfer(user, 10 ether);
+        vm.prank(user);
+        paymentToken.approve(address(question), type(uint256).max);
+
+        factory.pause();
+        assertTrue(question.paused());
+        vm.prank(user);
+        vm.expectRevert(IStoaErrors.ProtocolPaused.selector);
+        question.submitAnswer(keccak256("Answer"));
+
+        factory.unpause();
+        vm.prank(user);
+        question.submitAnswer(keccak256("Answer"));
+        assertEq(question.getAnswerCount(), 1);
     }
 
     function test_createQuestion_MultipleQuestions() public {
@@ -197,13 +750,13 @@ contract StoaQuestionFactoryTest is Test {
         // Don't whitelist nonOwner
 
         vm.prank(nonOwner);
-        vm.expectRevert("Not whitelisted");
+        vm.expectRevert(IStoaErrors.NotWhitelisted.selector);
         factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0);
     }
 
     function test_createQuestion_NotWhitelisted() public {
         // Owner is not whitelisted by default
-        vm.expectRevert("Not whitelisted");
+        vm.expectRevert(IStoaErrors.NotWhitelisted.selector);
         factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0);
     }
 
@@ -254,6 +807,27 @@ contract StoaQuestionFactoryTest is Test {
         assertEq(allQuestions[1], question2);
     }
 
+    function test_getQuestions_Pages() public {
+        factory.whitelistCreator(owner, true);
+
+        address[] memory created = new address[](3);
+        for (uint256 i = 0; i < created.length; i++) {
+            created[i] = factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0);
+        }
+
+        address[] memory page = factory.getQuestions(1, 5);
+        assertEq(page.length, 2);
+        assertEq(page[0], created[1]);
+        assertEq(page[1], created[2]);
+
+        page = factory.getQuestions(0, 1);
+        assertEq(page.length, 1);
+        assertEq(page[0], created[0]);
+
+        assertEq(factory.getQuestions(3, 1).length, 0);
+        assertEq(factory.getQuestions(type(uint256).max, type(uint256).max).length, 0);
+    }
+
     /*//////////////////////////////////////////////////////////////
                             EDGE CASE TESTS
     //////////////////////////////////////////////////////////////*/
@@ -262,7 +836,7 @@ contract StoaQuestionFactoryTest is Test {
         factory.whitelistCreator(owner, true);
 
         // Protocol registry requires submission cost > 0, so this should revert
-        vm.expectRevert("Submission cost must be greater than 0");
+        vm.expectRevert(IStoaErrors.InvalidSubmissionCost.selector);
         factory.createQuestion(address(paymentToken), 0, DURATION_1, MAX_WINNERS_1, 0);
     }
 
@@ -467,7 +1041,7 @@ contract StoaQuestionFactoryTest is Test {
         factory.whitelistCreator(creator1, true);
 
         // Test createQuestion - should fail due to not being whitelisted
-        vm.expectRevert("Not whitelisted");
+        vm.expectRevert(IStoaErrors.NotWhitelisted.selector);
         factory.createQuestion(address(paymentToken), SUBMISSION_COST_1, DURATION_1, MAX_WINNERS_1, 0);
 
         vm.stopPrank();
@@ -483,4 +1057,27 @@ contract StoaQuestionFactoryTest is Test {
         assertTrue(questionAddress != address(0));
         assertTrue(factory.isWhitelisted(owner));
     }
+
+    function _createSaltedQuestion(address creator, bytes32 salt) internal returns (address) {
+        vm.prank(creator);
+        return factory.createQuestion(
+            address(paymentToken),
+            SUBMISSION_COST_1,
+            DURATION_1,
+            MAX_WINNERS_1,
+            0,
+            creator,
+            StoaQuestion.ScoringMode.Linear,
+            new uint16[](0),
+            0,
+            salt
+        );
+    }
+
+    // The factory's default fees
+    function _defaultFees() internal pure returns (StoaBase.FeeConfig memory) {
+        return StoaBase.FeeConfig({
+            feeBps: 1000, creatorFeeBps: 1000, referralFeeBps: 500, maxCreatorFeeBps: 2000, maxReferralFeeBps: 1000
+        });
+    }
 }